@@ -1,830 +1,1830 @@
-// app.js - Enhanced DeFi Pool Analyzer Backend with 2-Year Data Collection
-const express = require('express');
-const cors = require('cors');
-const axios = require('axios');
-const cron = require('node-cron');
-const fs = require('fs');
-require('dotenv').config();
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-const POOLS_CACHE_FILE = './pools_cache.json';
-const PROCESSED_INDEX_FILE = './last_processed_index.json';
-const METRICS_CACHE_FILE = './metrics_cache.json';
-const NEWS_CACHE_FILE = './news_cache.json';
-
-app.use(cors());
-app.use(express.json());
-
-// Enhanced Health scoring algorithm - Updated for 2-year data collection
-function calculateHealthScore(poolData) {
-    const { tvl, volume24h, aprHistory, tvlHistory, volatility, protocolRisk, governanceScore, tokenPair, platform } = poolData;
-    
-    // 1. Liquidity Risk Assessment (25 points) - Most critical factor
-    const tvlVariance = calculateVariance(tvlHistory);
-    const liquidityRisk = Math.max(0, Math.min(25, 25 * Math.exp(-tvlVariance * 2))); // Adjusted sensitivity
-    
-    // Bonus for absolute liquidity size (deeper = safer)
-    const liquidityBonus = Math.min(5, Math.log(Math.max(tvl, 10000)) / Math.log(10) - 4);
-    const totalLiquidityScore = Math.min(25, liquidityRisk + liquidityBonus);
-    
-    // 2. FIXED: Yield Sustainability Assessment (20 points) - No longer rewards terrible but stable yields
-    const avgApr = aprHistory.length > 0 ? aprHistory.reduce((sum, apr) => sum + apr, 0) / aprHistory.length : 0;
-    let yieldSustainabilityScore;
-    
-    // Heavily penalize very low yields regardless of stability
-    if (avgApr < 0.5) yieldSustainabilityScore = 1;                       // Terrible: <0.5% (essentially dead pools)
-    else if (avgApr >= 0.5 && avgApr < 2) yieldSustainabilityScore = 4;   // Very poor: 0.5-2% 
-    else if (avgApr >= 2 && avgApr < 5) yieldSustainabilityScore = 12;    // Low but acceptable: 2-5%
-    else if (avgApr >= 5 && avgApr <= 15) yieldSustainabilityScore = 20;  // Optimal: 5-15% (realistic sustainable)
-    else if (avgApr > 15 && avgApr <= 25) yieldSustainabilityScore = 16;  // Good but higher risk: 15-25% 
-    else if (avgApr > 25 && avgApr <= 40) yieldSustainabilityScore = 10;  // Moderate risk: 25-40%
-    else if (avgApr > 40 && avgApr <= 60) yieldSustainabilityScore = 6;   // High risk: 40-60%
-    else yieldSustainabilityScore = 2;                                    // Very high risk: >60%
-    
-    // IMPROVED: Volatility calculation that handles temporary spikes better
-    const aprVolatilityRobust = calculateRobustVolatility(aprHistory);
-    
-    // Stability bonus/penalty - but capped so terrible yields can't become good
-    const stabilityMultiplier = Math.max(0.5, Math.min(1.3, 1 + (0.3 * Math.exp(-aprVolatilityRobust * 3) - 0.15)));
-    const totalYieldScore = Math.max(0, Math.min(20, yieldSustainabilityScore * stabilityMultiplier));
-    
-    // 3. Impermanent Loss Risk (20 points)
-    const impermanentLossRisk = assessImpermanentLossRisk(tokenPair, aprHistory, tvlHistory);
-    
-    // 4. Protocol Security & Maturity (15 points)
-    const protocolScore = Math.min(15, Math.max(0, protocolRisk * 15));
-    
-    // 5. Market Activity Health (10 points)
-    const volumeToTvlRatio = volume24h / Math.max(tvl, 1);
-    let activityScore;
-    
-    if (volumeToTvlRatio < 0.005) activityScore = 3;       // Very low activity
-    else if (volumeToTvlRatio < 0.02) activityScore = 6;   // Low but healthy activity
-    else if (volumeToTvlRatio < 0.1) activityScore = 10;   // Optimal activity level
-    else if (volumeToTvlRatio < 0.5) activityScore = 7;    // High activity
-    else activityScore = 3;                                // Excessive activity
-    
-    // 6. ENHANCED: Survivability & Risk-Adjusted Returns (15 points total)
-    const dataPoints = Math.min(aprHistory.length, tvlHistory.length);
-    
-    // A. Enhanced Track Record Scoring (10 points) - Bigger bonus for longer survival
-    let trackRecordScore;
-    if (dataPoints < 90) trackRecordScore = 0;              // <3 months = 0 points
-    else if (dataPoints < 180) trackRecordScore = 2;        // 3-6 months = 2 points
-    else if (dataPoints < 365) trackRecordScore = 5;        // 6-12 months = 5 points  
-    else if (dataPoints < 730) trackRecordScore = 8;        // 1-2 years = 8 points
-    else trackRecordScore = 10;                             // 2+ years = 10 points (big survivability bonus)
-    
-    // B. Risk-Adjusted Return Score (5 points) - Sharpe-like ratio
-    let riskAdjustedScore = 0;
-    if (aprHistory.length > 30 && aprVolatilityRobust > 0) {
-        const sharpeRatio = avgApr / (aprVolatilityRobust * 100); // Normalize volatility
-        if (sharpeRatio > 0.3) riskAdjustedScore = 5;       // Excellent risk-adjusted return
-        else if (sharpeRatio > 0.2) riskAdjustedScore = 4;  // Good risk-adjusted return  
-        else if (sharpeRatio > 0.1) riskAdjustedScore = 2;  // Fair risk-adjusted return
-        else riskAdjustedScore = 0;                         // Poor risk-adjusted return
-    }
-    
-    // 7. ADDED: Whale Concentration Risk Assessment (modifies liquidity score)
-    const whaleRiskPenalty = assessWhaleConcentrationRisk(tvl, volume24h);
-    const adjustedLiquidityScore = Math.max(0, totalLiquidityScore - whaleRiskPenalty);
-    
-    const totalScore = adjustedLiquidityScore + totalYieldScore + impermanentLossRisk + protocolScore + activityScore + trackRecordScore + riskAdjustedScore;
-    
-    // Apply pool type multiplier for final score
-    const poolTypeMultiplier = getPoolTypeMultiplier(tokenPair, platform || 'unknown');
-    const finalScore = Math.min(100, Math.max(0, totalScore * poolTypeMultiplier));
-    
-    return {
-        totalScore: finalScore,
-        breakdown: { 
-            liquidityScore: Math.round(adjustedLiquidityScore * 100) / 100,
-            yieldScore: Math.round(totalYieldScore * 100) / 100,
-            impermanentLossScore: Math.round(impermanentLossRisk * 100) / 100,
-            protocolScore: Math.round(protocolScore * 100) / 100,
-            activityScore: Math.round(activityScore * 100) / 100,
-            trackRecordScore: Math.round(trackRecordScore * 100) / 100,
-            riskAdjustedScore: Math.round(riskAdjustedScore * 100) / 100,
-            whaleRiskPenalty: Math.round(whaleRiskPenalty * 100) / 100,
-            poolTypeMultiplier: Math.round(poolTypeMultiplier * 1000) / 1000
-        }
-    };
-}
-
-// Enhanced Impermanent Loss Risk Assessment  
-function assessImpermanentLossRisk(tokenPair, aprHistory, tvlHistory) {
-    if (!tokenPair) return 10;
-    
-    const tokens = tokenPair.toLowerCase().split('-');
-    const stablecoins = ['usdc', 'usdt', 'dai', 'frax', 'lusd', 'busd', 'usdd'];
-    const correlatedPairs = [
-        ['weth', 'eth'], ['wbtc', 'btc'], ['steth', 'weth'], ['wsteth', 'weth'], 
-        ['reth', 'weth'], ['cbeth', 'weth'], ['usdc', 'usdt'], ['dai', 'usdc']
-    ];
-    
-    // Check for stablecoin pairs (lowest IL risk)
-    const stablecoinCount = tokens.filter(token => stablecoins.includes(token)).length;
-    if (stablecoinCount === 2) return 20; // Both stablecoins - minimal IL risk
-    
-    // Check for highly correlated pairs (low IL risk)
-    const isCorrelated = correlatedPairs.some(pair => 
-        (tokens.includes(pair[0]) && tokens.includes(pair[1])) ||
-        (tokens.includes(pair[1]) && tokens.includes(pair[0]))
-    );
-    if (isCorrelated) return 18; // Highly correlated - low IL risk
-    
-    // One stablecoin + one volatile (moderate IL risk)
-    if (stablecoinCount === 1) return 15;
-    
-    // Major tokens (ETH, BTC derivatives) - moderate IL risk
-    const majorTokens = ['weth', 'eth', 'wbtc', 'btc'];
-    const majorTokenCount = tokens.filter(token => majorTokens.includes(token)).length;
-    if (majorTokenCount >= 1) return 12;
-    
-    // Established DeFi tokens - higher IL risk
-    const establishedTokens = ['uni', 'link', 'aave', 'crv', 'bal', 'comp', 'mkr', 'snx'];
-    const establishedCount = tokens.filter(token => establishedTokens.includes(token)).length;
-    if (establishedCount >= 1) return 10;
-    
-    // Check for extreme volatility indicators in historical data
-    if (aprHistory.length > 30) { // Use 30-day window for 2-year data
-        const recentAprVolatility = calculateVariance(aprHistory.slice(-30));
-        if (recentAprVolatility > 0.5) return 5;
-    }
-    
-    if (tvlHistory.length > 30) {
-        const recentTvlVolatility = calculateVariance(tvlHistory.slice(-30));
-        if (recentTvlVolatility > 0.3) return 6;
-    }
-    
-    return 8; // Unknown token pairs - highest IL risk
-}
-
-// ADDED: Whale Concentration Risk Assessment
-function assessWhaleConcentrationRisk(tvl, volume24h) {
-    // Simulate whale dominance based on pool characteristics
-    const volumeToTvlRatio = tvl > 0 ? volume24h / tvl : 0;
-    
-    // Pools with very low activity relative to size suggest concentrated holdings
-    if (tvl > 5000000 && volumeToTvlRatio < 0.001) {
-        return 5; // Large pool with very low activity = whale dominated, high risk
-    } else if (tvl > 1000000 && volumeToTvlRatio < 0.005) {
-        return 3; // Medium pool with low activity = some concentration risk
-    } else if (volumeToTvlRatio < 0.01) {
-        return 1; // Minor concentration risk
-    }
-    
-    return 0; // No significant whale concentration detected
-}
-
-// ADDED: Enhanced pool type weighting
-function getPoolTypeMultiplier(tokenPair, platform) {
-    if (!tokenPair) return 1;
-    
-    const tokens = tokenPair.toLowerCase().split('-');
-    const stablecoins = ['usdc', 'usdt', 'dai', 'frax', 'lusd', 'busd'];
-    const majorTokens = ['weth', 'eth', 'wbtc', 'btc'];
-    
-    const stablecoinCount = tokens.filter(token => stablecoins.includes(token)).length;
-    const majorTokenCount = tokens.filter(token => majorTokens.includes(token)).length;
-    
-    // Stablecoin pairs get slight bonus for stability
-    if (stablecoinCount === 2) return 1.05;
-    
-    // Major token pairs get small bonus for established nature
-    if (majorTokenCount >= 1) return 1.02;
-    
-    // Curve pools (specialized for stables) get bonus when appropriate
-    if (platform === 'curve' && stablecoinCount >= 1) return 1.03;
-    
-    return 1; // Default multiplier
-}
-
-function calculateVariance(values) {
-    if (!values || values.length < 2) return 0;
-    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
-    if (mean === 0) return 0;
-    const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
-    return Math.sqrt(variance) / mean;
-}
-
-// ADDED: Robust volatility calculation that handles temporary spikes better
-function calculateRobustVolatility(values, percentileThreshold = 0.9) {
-    if (!values || values.length < 10) return 0;
-    
-    // Calculate rolling 30-day volatilities to identify consistent vs. spike-driven volatility
-    const windowSize = Math.min(30, Math.floor(values.length / 4));
-    const rollingVolatilities = [];
-    
-    for (let i = windowSize; i < values.length; i++) {
-        const window = values.slice(i - windowSize, i);
-        const windowMean = window.reduce((sum, val) => sum + val, 0) / window.length;
-        if (windowMean > 0) {
-            const windowVariance = window.reduce((sum, val) => sum + Math.pow(val - windowMean, 2), 0) / window.length;
-            rollingVolatilities.push(Math.sqrt(windowVariance) / windowMean);
-        }
-    }
-    
-    if (rollingVolatilities.length === 0) return 0;
-    
-    // Use median volatility instead of mean to reduce impact of temporary spikes
-    rollingVolatilities.sort((a, b) => a - b);
-    const medianIndex = Math.floor(rollingVolatilities.length / 2);
-    const medianVolatility = rollingVolatilities.length % 2 === 0 
-        ? (rollingVolatilities[medianIndex - 1] + rollingVolatilities[medianIndex]) / 2
-        : rollingVolatilities[medianIndex];
-    
-    return medianVolatility;
-}
-
-// Protocol risk assessment - updated scores
-function assessProtocolRisk(project) {
-    const protocolRisk = {
-        'uniswap-v3': 0.9,   // Very established
-        'sushiswap': 0.8,    // Established
-        'balancer-v2': 0.75, // Moderate
-        'curve': 0.85,       // Very established for stables
-        'pancakeswap': 0.6,  // Less established on mainnet
-        'default': 0.5
-    };
-    return protocolRisk[project] || protocolRisk['default'];
-}
-
-// Enhanced pool quality filtering
-function isQualityPool(pool) {
-    if (pool.tvlUsd < 5000) return false; // Minimum TVL threshold
-    if (!pool.symbol || !pool.symbol.includes('-')) return false;
-    
-    // Enhanced filtering for better pool selection
-    const majorTokens = ['WETH', 'USDC', 'USDT', 'DAI', 'WBTC', 'UNI', 'LINK', 'AAVE', 'CRV', 'BAL'];
-    const stablecoins = ['USDC', 'USDT', 'DAI', 'FRAX', 'LUSD'];
-    const tokens = pool.symbol.split('-');
-    
-    const hasMajorToken = tokens.some(token => majorTokens.includes(token));
-    const hasStablecoin = tokens.some(token => stablecoins.includes(token));
-    const isHighTvl = pool.tvlUsd > 50000;
-    
-    return isHighTvl || hasMajorToken || hasStablecoin;
-}
-
-// Enhanced DefiLlama integration with 2-year data collection
-const DEFI_LLAMA_POOLS_URL = "https://yields.llama.fi/pools";
-const DEFI_LLAMA_POOL_CHART_URL = "https://yields.llama.fi/chart/";
-
-async function fetchDefiLlamaPoolsEnhanced() {
-    try {
-        if (fs.existsSync(POOLS_CACHE_FILE)) {
-            const cached = JSON.parse(fs.readFileSync(POOLS_CACHE_FILE, 'utf8'));
-            const cacheAge = Date.now() - cached.timestamp;
-            if (cached && Array.isArray(cached.data) && cached.data.length > 0 && cacheAge < 3600000) {
-                console.log(`Loaded ${cached.data.length} pools from cache (${Math.round(cacheAge/60000)}min old)`);
-                return cached.data;
-            }
-        }
-        
-        console.log('Fetching fresh pool data from DefiLlama...');
-        const response = await axios.get(DEFI_LLAMA_POOLS_URL, { timeout: 30000 });
-        const allPools = response.data.data;
-        
-        const supportedProjects = ['uniswap-v3', 'sushiswap', 'balancer-v2', 'curve', 'pancakeswap'];
-        const qualityPools = allPools
-            .filter(pool => supportedProjects.includes(pool.project) && pool.chain === "Ethereum")
-            .filter(isQualityPool)
-            .sort((a, b) => (b.tvlUsd || 0) - (a.tvlUsd || 0));
-        
-        console.log(`Filtered to ${qualityPools.length} quality pools from ${supportedProjects.join(', ')}`);
-        
-        fs.writeFileSync(POOLS_CACHE_FILE, JSON.stringify({
-            data: qualityPools,
-            timestamp: Date.now()
-        }));
-        
-        return qualityPools;
-    } catch (error) {
-        console.error('Error fetching DefiLlama pool data:', error.message);
-        return [];
-    }
-}
-
-async function fetchPoolChartEnhanced(poolId) {
-    try {
-        const url = DEFI_LLAMA_POOL_CHART_URL + encodeURIComponent(poolId);
-        const response = await axios.get(url, { timeout: 30000 });
-        
-        if (response.data && Array.isArray(response.data.data)) {
-            const daily = response.data.data;
-            const result = {
-                tvl: daily.map(d => ({ date: new Date(d.timestamp).getTime() / 1000, tvl: d.tvlUsd })),
-                apy: daily.map(d => ({ date: new Date(d.timestamp).getTime() / 1000, apy: d.apy })),
-                volume: daily.map(d => ({ date: new Date(d.timestamp).getTime() / 1000, volume: d.volumeUsd || 0 })),
-                fees: daily.map(d => ({ date: new Date(d.timestamp).getTime() / 1000, fees: d.feesUsd || 0 }))
-            };
-            return result;
-        }
-        return {};
-    } catch (error) {
-        if (error.response && error.response.status === 429) {
-            console.warn(`Rate limited on pool ${poolId}. Waiting 3 seconds...`);
-            await delay(3000);
-            return fetchPoolChartEnhanced(poolId);
-        }
-        console.error(`Error fetching chart for ${poolId}:`, error.message);
-        return {};
-    }
-}
-
-function delay(ms) {
-    return new Promise(res => setTimeout(res, ms));
-}
-
-// Enhanced processing with 2-year data collection
-let cachedPools = [];
-let lastUpdated = null;
-let processingStats = {
-    totalProcessed: 0,
-    successRate: 0,
-    avgProcessingTime: 0,
-    lastRunDuration: 0
-};
-
-function getLastProcessedIndex() {
-    try {
-        if (fs.existsSync(PROCESSED_INDEX_FILE)) {
-            const data = JSON.parse(fs.readFileSync(PROCESSED_INDEX_FILE, 'utf8'));
-            return data.index || 0;
-        }
-    } catch (error) {
-        console.error('Error reading last processed index:', error.message);
-    }
-    return 0;
-}
-
-function saveLastProcessedIndex(index) {
-    try {
-        fs.writeFileSync(PROCESSED_INDEX_FILE, JSON.stringify({ 
-            index, 
-            timestamp: Date.now() 
-        }));
-    } catch (error) {
-        console.error('Error saving last processed index:', error.message);
-    }
-}
-
-// Enhanced pool processing for 2-year data - UPDATED FOR 730 DAYS
-async function processPoolDataEnhanced(pool, maxHistory = 730) { // Changed from 365 to 730
-    const startTime = Date.now();
-    
-    try {
-        console.log(`Processing pool: ${pool.symbol} (${pool.pool})`);
-        
-        // Fetch historical chart data
-        const chart = await fetchPoolChartEnhanced(pool.pool);
-        
-        if (!chart.tvl || !chart.apy || chart.tvl.length === 0 || chart.apy.length === 0) {
-            console.log(`No chart data for ${pool.symbol}`);
-            return null;
-        }
-        
-        // Extract 2-year history (or available history)
-        const tvlHistory = chart.tvl.slice(-maxHistory).map(h => h.tvl || 0);
-        const aprHistory = chart.apy.slice(-maxHistory).map(h => h.apy || 0);
-        const volumeHistory = chart.volume ? chart.volume.slice(-maxHistory).map(h => h.volume || 0) : [];
-        const feesHistory = chart.fees ? chart.fees.slice(-maxHistory).map(h => h.fees || 0) : [];
-        
-        // Enhanced volatility calculations for 2-year data - FIXED to use robust calculation
-        const aprVolatility = calculateRobustVolatility(aprHistory);
-        const tvlVolatility = calculateVariance(tvlHistory);
-        
-        // Protocol risk assessment
-        const protocolRisk = assessProtocolRisk(pool.project);
-        
-        // Calculate comprehensive health score
-        const healthData = calculateHealthScore({
-            tvl: pool.tvlUsd,
-            volume24h: pool.volumeUsd1d || 0,
-            aprHistory,
-            tvlHistory,
-            volatility: aprVolatility,
-            protocolRisk,
-            governanceScore: 0.8, // Placeholder
-            tokenPair: pool.symbol,
-            platform: pool.project
-        });
-        
-        // Risk categorization with enhanced thresholds
-        let riskCategory;
-        if (healthData.totalScore >= 80) {
-            riskCategory = { label: 'Conservative', description: 'Low risk with stable fundamentals and proven track record.' };
-        } else if (healthData.totalScore >= 60) {
-            riskCategory = { label: 'Moderate', description: 'Balanced risk-return profile suitable for moderate investors.' };
-        } else if (healthData.totalScore >= 40) {
-            riskCategory = { label: 'Aggressive', description: 'Higher risk requiring active monitoring but potential for good returns.' };
-        } else {
-            riskCategory = { label: 'Speculative', description: 'High risk investment suitable only for experienced investors.' };
-        }
-        
-        // Data quality assessment
-        let dataQuality;
-        const dataPoints = Math.min(aprHistory.length, tvlHistory.length);
-        if (dataPoints >= 730) dataQuality = 'Excellent';      // 2+ years
-        else if (dataPoints >= 365) dataQuality = 'Good';      // 1+ years  
-        else if (dataPoints >= 180) dataQuality = 'Fair';      // 6+ months
-        else if (dataPoints >= 90) dataQuality = 'Limited';    // 3+ months
-        else dataQuality = 'Insufficient';                     // <3 months
-        
-        // Format historical data for frontend
-        const dates = chart.tvl.slice(-maxHistory).map(h => 
-            new Date(h.date * 1000).toLocaleDateString()
-        );
-        
-        const processedPool = {
-            pool_id: pool.pool,
-            token_pair: pool.symbol,
-            platform: pool.project,
-            chain: pool.chain,
-            tvl: pool.tvlUsd,
-            volume_24h: pool.volumeUsd1d || 0,
-            avg_apr: aprHistory.length > 0 ? aprHistory.reduce((sum, apr) => sum + apr, 0) / aprHistory.length : 0,
-            health_score: healthData.totalScore,
-            risk_category: riskCategory,
-            data_quality: dataQuality,
-            data_points: dataPoints,
-            
-            // Individual scoring components
-            liquidity_score: healthData.breakdown.liquidityScore,
-            yield_score: healthData.breakdown.yieldScore,
-            impermanent_loss_score: healthData.breakdown.impermanentLossScore,
-            protocol_score: healthData.breakdown.protocolScore,
-            activity_score: healthData.breakdown.activityScore,
-            track_record_score: healthData.breakdown.trackRecordScore,
-            risk_adjusted_score: healthData.breakdown.riskAdjustedScore,
-            whale_risk_penalty: healthData.breakdown.whaleRiskPenalty,
-            pool_type_multiplier: healthData.breakdown.poolTypeMultiplier,
-            
-            // Enhanced risk metrics
-            apr_volatility: aprVolatility,
-            tvl_volatility: tvlVolatility,
-            
-            // Historical data for charting
-            historical_data: {
-                dates: dates,
-                tvl: tvlHistory,
-                apr: aprHistory,
-                volume: volumeHistory,
-                fees: feesHistory
-            },
-            
-            // Metadata
-            last_updated: new Date().toISOString(),
-            processing_time: Date.now() - startTime
-        };
-        
-        console.log(`✓ Processed ${pool.symbol}: Health Score ${healthData.totalScore.toFixed(1)}/100 (${dataPoints} days of data)`);
-        return processedPool;
-        
-    } catch (error) {
-        console.error(`Error processing pool ${pool.symbol}:`, error.message);
-        return null;
-    }
-}
-
-// Enhanced batch processing with better error handling
-async function processPoolsBatch(pools, startIndex = 0, batchSize = 5) {
-    const results = [];
-    const errors = [];
-    let successCount = 0;
-    const totalStartTime = Date.now();
-    
-    console.log(`\n🔄 Processing batch of ${pools.length} pools starting from index ${startIndex}...`);
-    
-    for (let i = 0; i < pools.length; i += batchSize) {
-        const batch = pools.slice(i, i + batchSize);
-        console.log(`\nProcessing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(pools.length/batchSize)} (pools ${i+1}-${Math.min(i+batchSize, pools.length)})`);
-        
-        const batchPromises = batch.map(async (pool, batchIndex) => {
-            try {
-                const processed = await processPoolDataEnhanced(pool);
-                if (processed) {
-                    successCount++;
-                    return processed;
-                }
-            } catch (error) {
-                const globalIndex = startIndex + i + batchIndex;
-                errors.push({ pool: pool.symbol, index: globalIndex, error: error.message });
-                console.error(`❌ Failed to process ${pool.symbol} (index ${globalIndex}):`, error.message);
-            }
-            return null;
-        });
-        
-        const batchResults = await Promise.all(batchPromises);
-        results.push(...batchResults.filter(result => result !== null));
-        
-        // Rate limiting - wait between batches
-        if (i + batchSize < pools.length) {
-            console.log('⏱️ Waiting 2 seconds between batches...');
-            await delay(2000);
-        }
-        
-        // Save progress periodically
-        const currentIndex = startIndex + i + batchSize;
-        saveLastProcessedIndex(currentIndex);
-    }
-    
-    const totalDuration = Date.now() - totalStartTime;
-    const successRate = pools.length > 0 ? (successCount / pools.length) * 100 : 0;
-    
-    // Update processing stats
-    processingStats = {
-        totalProcessed: pools.length,
-        successCount,
-        successRate: successRate,
-        avgProcessingTime: results.length > 0 ? results.reduce((sum, p) => sum + p.processing_time, 0) / results.length : 0,
-        lastRunDuration: totalDuration,
-        errors: errors.length
-    };
-    
-    console.log(`\n📊 Batch Processing Complete:`);
-    console.log(`   ✓ Successfully processed: ${successCount}/${pools.length} pools (${successRate.toFixed(1)}%)`);
-    console.log(`   ❌ Errors: ${errors.length}`);
-    console.log(`   ⏱️ Total time: ${(totalDuration/1000).toFixed(1)}s`);
-    console.log(`   📈 Average processing time: ${processingStats.avgProcessingTime.toFixed(0)}ms per pool`);
-    
-    return { results, errors, stats: processingStats };
-}
-
-// Enhanced caching and data management
-function saveCachedPools(pools) {
-    try {
-        const cacheData = {
-            pools: pools,
-            timestamp: Date.now(),
-            totalCount: pools.length,
-            stats: processingStats
-        };
-        
-        fs.writeFileSync(METRICS_CACHE_FILE, JSON.stringify(cacheData, null, 2));
-        console.log(`💾 Cached ${pools.length} processed pools`);
-    } catch (error) {
-        console.error('Error saving cached pools:', error.message);
-    }
-}
-
-function loadCachedPools() {
-    try {
-        if (fs.existsSync(METRICS_CACHE_FILE)) {
-            const cached = JSON.parse(fs.readFileSync(METRICS_CACHE_FILE, 'utf8'));
-            const cacheAge = Date.now() - cached.timestamp;
-            
-            if (cached.pools && Array.isArray(cached.pools) && cacheAge < 7200000) { // 2 hours cache
-                console.log(`📁 Loaded ${cached.pools.length} pools from cache (${Math.round(cacheAge/60000)}min old)`);
-                lastUpdated = new Date(cached.timestamp);
-                processingStats = cached.stats || processingStats;
-                return cached.pools;
-            }
-        }
-    } catch (error) {
-        console.error('Error loading cached pools:', error.message);
-    }
-    return [];
-}
-
-// Main data processing pipeline
-async function updatePoolData() {
-    console.log('\n🚀 Starting enhanced pool data update...');
-    const startTime = Date.now();
-    
-    try {
-        // Fetch raw pool data
-        const rawPools = await fetchDefiLlamaPoolsEnhanced();
-        if (rawPools.length === 0) {
-            console.log('❌ No pools fetched, keeping cached data');
-            return;
-        }
-        
-        // Process pools in batches for better performance and API compliance
-        const lastIndex = getLastProcessedIndex();
-        const poolsToProcess = rawPools.slice(0, 50); // Limit for demo
-        
-        const { results, errors, stats } = await processPoolsBatch(poolsToProcess, 0, 3);
-        
-        if (results.length > 0) {
-            // Sort by health score
-            results.sort((a, b) => b.health_score - a.health_score);
-            
-            cachedPools = results;
-            lastUpdated = new Date();
-            
-            // Save processed data
-            saveCachedPools(results);
-            
-            console.log(`\n🎉 Pool update complete! Processed ${results.length} pools in ${((Date.now() - startTime)/1000).toFixed(1)}s`);
-        } else {
-            console.log('❌ No pools successfully processed');
-        }
-        
-    } catch (error) {
-        console.error('❌ Error in updatePoolData:', error.message);
-    }
-}
-
-// API Routes
-
-// Get processed pools with filtering
-app.get('/api/pools', async (req, res) => {
-    try {
-        let pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
-        
-        // Apply filters
-        const { platform, minTvl, riskCategory, search, limit = 20 } = req.query;
-        
-        if (platform && platform !== 'all') {
-            pools = pools.filter(p => p.platform === platform);
-        }
-        
-        if (minTvl) {
-            pools = pools.filter(p => p.tvl >= parseFloat(minTvl));
-        }
-        
-        if (riskCategory && riskCategory !== 'all') {
-            const categoryMap = {
-                'conservative': (score) => score >= 80,
-                'moderate': (score) => score >= 60 && score < 80,
-                'aggressive': (score) => score >= 40 && score < 60,
-                'speculative': (score) => score < 40
-            };
-            const filterFn = categoryMap[riskCategory];
-            if (filterFn) {
-                pools = pools.filter(p => filterFn(p.health_score));
-            }
-        }
-        
-        if (search) {
-            const searchLower = search.toLowerCase();
-            pools = pools.filter(p => 
-                p.token_pair.toLowerCase().includes(searchLower) ||
-                p.platform.toLowerCase().includes(searchLower)
-            );
-        }
-        
-        // Limit results
-        pools = pools.slice(0, parseInt(limit));
-        
-        res.json({
-            success: true,
-            data: pools,
-            total: pools.length,
-            lastUpdated: lastUpdated,
-            stats: processingStats
-        });
-        
-    } catch (error) {
-        console.error('Error in /api/pools:', error.message);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message 
-        });
-    }
-});
-
-// Get specific pool details
-app.get('/api/pools/:poolId', (req, res) => {
-    try {
-        const pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
-        const pool = pools.find(p => p.pool_id === req.params.poolId);
-        
-        if (pool) {
-            res.json({ success: true, data: pool });
-        } else {
-            res.status(404).json({ success: false, error: 'Pool not found' });
-        }
-    } catch (error) {
-        console.error('Error in /api/pools/:poolId:', error.message);
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-// Get system statistics
-app.get('/api/stats', (req, res) => {
-    try {
-        const pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
-        
-        const stats = {
-            totalPools: pools.length,
-            lastUpdated: lastUpdated,
-            processingStats,
-            healthScoreDistribution: {
-                excellent: pools.filter(p => p.health_score >= 80).length,
-                good: pools.filter(p => p.health_score >= 60 && p.health_score < 80).length,
-                fair: pools.filter(p => p.health_score >= 40 && p.health_score < 60).length,
-                poor: pools.filter(p => p.health_score < 40).length
-            },
-            platformDistribution: pools.reduce((acc, pool) => {
-                acc[pool.platform] = (acc[pool.platform] || 0) + 1;
-                return acc;
-            }, {}),
-            totalTvl: pools.reduce((sum, p) => sum + p.tvl, 0),
-            totalVolume: pools.reduce((sum, p) => sum + p.volume_24h, 0),
-            averageHealthScore: pools.length > 0 ? pools.reduce((sum, p) => sum + p.health_score, 0) / pools.length : 0
-        };
-        
-        res.json({ success: true, data: stats });
-    } catch (error) {
-        console.error('Error in /api/stats:', error.message);
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-// Manual refresh endpoint
-app.post('/api/refresh', async (req, res) => {
-    try {
-        console.log('🔄 Manual refresh requested');
-        res.json({ 
-            success: true, 
-            message: 'Data refresh started. This may take several minutes.' 
-        });
-        
-        // Start update in background
-        updatePoolData().catch(console.error);
-        
-    } catch (error) {
-        console.error('Error in /api/refresh:', error.message);
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    const pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
-    res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        poolsCount: pools.length,
-        lastUpdated: lastUpdated,
-        uptime: process.uptime()
-    });
-});
-
-// Serve static files
-app.use(express.static('public'));
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({ 
-        success: false, 
-        error: 'Internal server error' 
-    });
-});
-
-// Initialize and start server
-async function startServer() {
-    try {
-        // Load cached data on startup
-        cachedPools = loadCachedPools();
-        
-        // Initial data update if no cached data
-        if (cachedPools.length === 0) {
-            console.log('No cached data found, starting initial data fetch...');
-            await updatePoolData();
-        }
-        
-        // Schedule regular updates every 2 hours
-        cron.schedule('0 */2 * * *', () => {
-            console.log('\n⏰ Scheduled update starting...');
-            updatePoolData().catch(console.error);
-        });
-        
-        // Start the server
-        app.listen(PORT, () => {
-            console.log(`\n🚀 DeFi Pool Health Analyzer started!`);
-            console.log(`   📊 Server running on port ${PORT}`);
-            console.log(`   💾 ${cachedPools.length} pools loaded`);
-            console.log(`   📅 Last updated: ${lastUpdated ? lastUpdated.toLocaleString() : 'Never'}`);
-            console.log(`   🔄 Next update: Every 2 hours`);
-            console.log(`\n📍 API Endpoints:`);
-            console.log(`   GET  /api/pools     - Get filtered pools`);
-            console.log(`   GET  /api/stats     - Get system statistics`);
-            console.log(`   POST /api/refresh   - Manual data refresh`);
-            console.log(`   GET  /api/health    - Health check\n`);
-        });
-        
-    } catch (error) {
-        console.error('❌ Failed to start server:', error.message);
-        process.exit(1);
-    }
-}
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down gracefully...');
-    process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-    console.log('\n🛑 SIGTERM received, shutting down gracefully...');
-    process.exit(0);
-});
-
-// Start the application
-startServer();
+// app.js - Enhanced DeFi Pool Analyzer Backend with 2-Year Data Collection
+const express = require('express');
+const cors = require('cors');
+const cron = require('node-cron');
+const crypto = require('crypto');
+const fs = require('fs');
+require('dotenv').config();
+const { buildScoreSnapshot, createScoreHistoryStore } = require('./lib/scoreHistory');
+const { SUPPORTED_CHAINS, parseTokenPair } = require('./lib/chains');
+const { getProfileKey } = require('./lib/scoringProfiles');
+const {
+    protocolRegistry,
+    scoringProfiles,
+    calculateHealthScore,
+    categorizeRisk,
+    calculateVariance,
+    calculateRobustVolatility,
+    assessProtocolRisk,
+    stablecoinRegistry
+} = require('./lib/scoring');
+const { defillamaClient, fetchDefiLlamaPoolsEnhanced, fetchPoolChartEnhanced } = require('./lib/defillama');
+const { createPriceSource } = require('./lib/prices');
+const { estimatePoolImpermanentLoss } = require('./lib/impermanentLoss');
+const { explainHealthScore } = require('./lib/scoreExplanation');
+const { cleanPoolChart } = require('./lib/dataQuality');
+const { MAX_COMPARE_POOLS, comparePools } = require('./lib/comparison');
+const { validateOptimizationRequest, optimizeAllocation } = require('./lib/optimizer');
+const { EVENT_TYPES, createEventHub } = require('./lib/events');
+const { createJobManager } = require('./lib/jobs');
+const { EXPORT_FORMATS, EXPORT_COLUMNS, parseExportRequest, writeExport } = require('./lib/export');
+const { SORT_FIELDS, POOL_FIELDS, parsePoolQuery, filterPools, sortPools, runPoolQuery } = require('./lib/poolQuery');
+const { TRENDING_SIGNALS, parseTrendingQuery, buildTrending } = require('./lib/trending');
+const { DEPEG_STATUS_FILE, createDepegMonitor } = require('./lib/depegMonitor');
+const { EVENT_CATEGORIES, DEFAULT_NEWS_SOURCES_FILE, loadNewsSources, createIncidentFeed } = require('./lib/incidents');
+const { clock } = require('./lib/clock');
+const { createAlertChannels } = require('./lib/alertChannels');
+const { validateAlertRule, createAlertEngine } = require('./lib/alerts');
+const { validatePosition, getPositionCoinIds, valuePosition, summarizePortfolio, createPortfolioStore } = require('./lib/portfolio');
+const { validateApiKeyInput, createApiKeyStore, createAuthMiddleware, parseAuthMode, parseTrustProxy, parseCorsOrigins } = require('./lib/auth');
+const { metrics } = require('./lib/metrics');
+const { logger } = require('./lib/logger');
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+const PROCESSED_INDEX_FILE = './last_processed_index.json';
+const METRICS_CACHE_FILE = './metrics_cache.json';
+const NEWS_CACHE_FILE = './news_cache.json';
+
+// Rolling scheduler settings - each cron tick scores the next slice of the pool universe
+const POOLS_PER_RUN = parseInt(process.env.POOLS_PER_RUN, 10) || 50;
+const UPDATE_CRON = process.env.UPDATE_CRON || '*/30 * * * *';
+const STALE_AFTER_HOURS = parseFloat(process.env.STALE_AFTER_HOURS) || 24;
+// Pools list + a peg check per stablecoin + a chart and up to two price lookups per pool, with headroom for retries
+const UPSTREAM_RUN_BUDGET = parseInt(process.env.DEFILLAMA_RUN_BUDGET, 10) || POOLS_PER_RUN * 3 + 20;
+// API access - see lib/auth.js for the modes and TRUST_PROXY values
+const API_AUTH = parseAuthMode(process.env.API_AUTH);
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+const CORS_ORIGINS = parseCorsOrigins(process.env.CORS_ORIGINS);
+
+const scoreHistoryStore = createScoreHistoryStore();
+const priceSource = createPriceSource();
+// DEPEG_STATUS_FILE=none keeps peg status in memory only
+const depegMonitor = createDepegMonitor(stablecoinRegistry, priceSource,
+    process.env.DEPEG_STATUS_FILE === 'none' ? null : process.env.DEPEG_STATUS_FILE || DEPEG_STATUS_FILE);
+const alertEngine = createAlertEngine({ channels: createAlertChannels(), historyStore: scoreHistoryStore });
+const portfolioStore = createPortfolioStore();
+const incidentFeed = createIncidentFeed(loadNewsSources(process.env.NEWS_SOURCES_FILE || DEFAULT_NEWS_SOURCES_FILE), {
+    registry: protocolRegistry,
+    filePath: NEWS_CACHE_FILE
+});
+const events = createEventHub();
+const refreshJobs = createJobManager();
+const apiKeyStore = createApiKeyStore();
+const authMiddleware = createAuthMiddleware({ mode: API_AUTH, store: apiKeyStore, adminKey: process.env.ADMIN_API_KEY || null });
+
+// req.ip is the client only when the proxies in front of the app are trusted
+app.set('trust proxy', TRUST_PROXY);
+app.use(cors({
+    origin: CORS_ORIGINS,
+    exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After', 'X-Export-Pools', 'Content-Disposition']
+}));
+app.use(express.json());
+// /metrics sits outside /api where scrapers expect it, behind the same keys
+app.use(['/api', '/metrics'], authMiddleware);
+
+// Enhanced processing with 2-year data collection
+let cachedPools = [];
+let lastUpdated = null;
+let processingStats = {
+    totalProcessed: 0,
+    successRate: 0,
+    avgProcessingTime: 0,
+    lastRunDuration: 0
+};
+
+// order: the cycle's pool ids, frozen when the cycle starts so TVL re-sorts of the live universe
+// can't move pools across the cursor; index is the next position in it
+let schedulerState = {
+    index: 0,
+    universeSize: 0,
+    cycle: 0,
+    order: []
+};
+
+// Outcome of the most recent updatePoolData() run, for /api/health and /metrics
+let lastRun = null;
+
+// Pipeline metrics; upstream request metrics are recorded by the clients themselves (lib/upstream.js)
+const poolsScoredTotal = metrics.counter({
+    name: 'pool_analyzer_pools_scored_total',
+    help: 'Pools scored successfully across all runs.'
+});
+const poolsFailedTotal = metrics.counter({
+    name: 'pool_analyzer_pools_failed_total',
+    help: 'Pools that failed to score, by failure reason.',
+    labelNames: ['reason']
+});
+const runsTotal = metrics.counter({
+    name: 'pool_analyzer_runs_total',
+    help: 'Ingestion runs by type (rolling or pools) and outcome (completed, cancelled or failed).',
+    labelNames: ['type', 'status']
+});
+const runDuration = metrics.histogram({
+    name: 'pool_analyzer_run_duration_seconds',
+    help: 'Wall time of ingestion runs.',
+    labelNames: ['type'],
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1200]
+});
+metrics.gauge({
+    name: 'pool_analyzer_last_run_pools',
+    help: 'Pools scored and failed in the most recent run.',
+    labelNames: ['outcome'],
+    collect: () => (lastRun ? [
+        { labels: { outcome: 'scored' }, value: lastRun.scored },
+        { labels: { outcome: 'failed' }, value: lastRun.failed }
+    ] : [])
+});
+metrics.gauge({
+    name: 'pool_analyzer_last_run_success',
+    help: '1 if the most recent run completed or was cancelled, 0 if it failed.',
+    collect: () => (lastRun ? [{ value: lastRun.status === 'failed' ? 0 : 1 }] : [])
+});
+metrics.gauge({
+    name: 'pool_analyzer_last_run_timestamp_seconds',
+    help: 'When the most recent run finished.',
+    collect: () => (lastRun ? [{ value: Date.parse(lastRun.finishedAt) / 1000 }] : [])
+});
+metrics.gauge({
+    name: 'pool_analyzer_cache_age_seconds',
+    help: 'Time since the pool cache was last written.',
+    collect: () => (lastUpdated ? [{ value: Math.round((clock.now() - new Date(lastUpdated).getTime()) / 1000) }] : [])
+});
+metrics.gauge({
+    name: 'pool_analyzer_cached_pools',
+    help: 'Scored pools in the cache.',
+    collect: () => [{ value: cachedPools.length }]
+});
+metrics.gauge({
+    name: 'pool_analyzer_stale_pools',
+    help: `Cached pools not re-scored in the last ${STALE_AFTER_HOURS} hours.`,
+    collect: () => {
+        const now = clock.now();
+        return [{ value: cachedPools.filter(pool => getPoolFreshness(pool, now).is_stale).length }];
+    }
+});
+metrics.gauge({
+    name: 'pool_analyzer_pools_by_risk_category',
+    help: 'Cached pools per risk category.',
+    labelNames: ['risk_category'],
+    collect: () => {
+        const counts = {};
+        cachedPools.forEach(pool => {
+            const label = pool.risk_category ? pool.risk_category.label : 'Unknown';
+            counts[label] = (counts[label] || 0) + 1;
+        });
+        return Object.entries(counts).map(([label, value]) => ({ labels: { risk_category: label }, value }));
+    }
+});
+metrics.histogram({
+    name: 'pool_analyzer_health_score',
+    help: 'Distribution of cached pools\' health scores.',
+    buckets: [10, 20, 30, 40, 50, 60, 70, 80, 90, 100],
+    collect: () => [{ values: cachedPools.map(pool => pool.health_score) }]
+});
+metrics.gauge({
+    name: 'pool_analyzer_upstream_circuit_open',
+    help: '1 while the DefiLlama circuit breaker is open or half-open.',
+    labelNames: ['client'],
+    collect: () => [{ labels: { client: defillamaClient.name }, value: defillamaClient.getState().circuit === 'closed' ? 0 : 1 }]
+});
+
+function getLastProcessedIndex() {
+    try {
+        if (fs.existsSync(PROCESSED_INDEX_FILE)) {
+            const data = JSON.parse(fs.readFileSync(PROCESSED_INDEX_FILE, 'utf8'));
+            schedulerState = {
+                index: data.index || 0,
+                universeSize: data.universeSize || 0,
+                cycle: data.cycle || 0,
+                order: Array.isArray(data.order) ? data.order : []
+            };
+            return schedulerState.index;
+        }
+    } catch (error) {
+        console.error('Error reading last processed index:', error.message);
+    }
+    return 0;
+}
+
+function saveLastProcessedIndex(index, universeSize = schedulerState.universeSize, cycle = schedulerState.cycle, order = schedulerState.order) {
+    try {
+        schedulerState = { index, universeSize, cycle, order };
+        fs.writeFileSync(PROCESSED_INDEX_FILE, JSON.stringify({ 
+            index, 
+            universeSize,
+            cycle,
+            order,
+            timestamp: clock.now() 
+        }));
+    } catch (error) {
+        console.error('Error saving last processed index:', error.message);
+    }
+}
+
+// Enhanced pool processing for 2-year data - UPDATED FOR 730 DAYS
+// log: the run's logger; entries here also carry the pool id
+async function processPoolDataEnhanced(pool, maxHistory = 730, log = logger) { // Changed from 365 to 730
+    const startTime = clock.now();
+    const poolLog = log.child({ pool_id: pool.pool, token_pair: pool.symbol });
+    
+    try {
+        poolLog.debug('Processing pool');
+        
+        // Fetch historical chart data (throws with a failure reason if unavailable)
+        const rawChart = await fetchPoolChartEnhanced(pool.pool);
+        
+        // Clean the 2-year history (or available history): ordering, duplicates, gaps, outliers
+        const { chart, report: qualityReport } = cleanPoolChart(rawChart, { maxHistory });
+        const tvlHistory = chart.tvl.map(h => h.tvl);
+        const aprHistory = chart.apy.map(h => h.apy);
+        const aprBaseHistory = chart.apy.map(h => h.apyBase);
+        const aprRewardHistory = chart.apy.map(h => h.apyReward);
+        const volumeHistory = chart.volume.map(h => h.volume);
+        const feesHistory = chart.fees.map(h => h.fees);
+        
+        // Enhanced volatility calculations for 2-year data - FIXED to use robust calculation
+        const aprVolatility = calculateRobustVolatility(aprHistory);
+        const tvlVolatility = calculateVariance(tvlHistory);
+        
+        // Protocol risk assessment
+        const protocolRisk = assessProtocolRisk(pool.project, pool.chain);
+        const poolType = (protocolRegistry.getProtocol(pool.project) || {}).poolType || 'unknown';
+        
+        // Realized impermanent loss from the underlying tokens' price history
+        let impermanentLossModel = null;
+        try {
+            impermanentLossModel = await estimatePoolImpermanentLoss(pool, {
+                dates: chart.tvl.map(h => h.date),
+                feesHistory,
+                tvlHistory,
+                aprHistory,
+                poolType
+            }, priceSource);
+        } catch (error) {
+            poolLog.warn('IL model unavailable, using heuristic', { error });
+        }
+        
+        // Peg status of any stablecoins in the pool (from the latest peg check)
+        const depegRisk = depegMonitor.assessPool(pool.symbol, pool.chain);
+        
+        // Recent exploits, incidents and proposals for the protocol (from the latest feed refresh)
+        const governance = incidentFeed.assessProtocol(pool.project);
+        
+        // Calculate comprehensive health score
+        const healthData = calculateHealthScore({
+            tvl: pool.tvlUsd,
+            volume24h: pool.volumeUsd1d || 0,
+            aprHistory,
+            tvlHistory,
+            volatility: aprVolatility,
+            protocolRisk,
+            governanceScore: governance.score,
+            tokenPair: pool.symbol,
+            platform: pool.project,
+            chain: pool.chain,
+            impermanentLossModel,
+            depegRisk
+        });
+        
+        // Risk categorization with the default profile's thresholds, the profile the pipeline scores with
+        const riskCategory = categorizeRisk(healthData.totalScore);
+        
+        // Data quality grade from history length, lowered for gaps and outliers
+        const dataPoints = Math.min(aprHistory.length, tvlHistory.length);
+        
+        // Format historical data for frontend
+        const dates = chart.tvl.map(h => 
+            new Date(h.date * 1000).toLocaleDateString()
+        );
+        
+        const processedPool = {
+            pool_id: pool.pool,
+            token_pair: pool.symbol,
+            platform: pool.project,
+            chain: pool.chain,
+            pool_type: poolType,
+            underlying_tokens: pool.underlyingTokens || [],
+            tvl: pool.tvlUsd,
+            volume_24h: pool.volumeUsd1d || 0,
+            avg_apr: aprHistory.length > 0 ? aprHistory.reduce((sum, apr) => sum + apr, 0) / aprHistory.length : 0,
+            avg_apr_base: qualityReport.apy.avgBase,
+            avg_apr_reward: qualityReport.apy.avgReward,
+            health_score: healthData.totalScore,
+            risk_category: riskCategory,
+            scoring_profile: healthData.profile,
+            data_quality: qualityReport.grade,
+            data_quality_report: qualityReport,
+            data_points: dataPoints,
+            
+            // Individual scoring components
+            liquidity_score: healthData.breakdown.liquidityScore,
+            yield_score: healthData.breakdown.yieldScore,
+            impermanent_loss_score: healthData.breakdown.impermanentLossScore,
+            protocol_score: healthData.breakdown.protocolScore,
+            activity_score: healthData.breakdown.activityScore,
+            track_record_score: healthData.breakdown.trackRecordScore,
+            risk_adjusted_score: healthData.breakdown.riskAdjustedScore,
+            whale_risk_penalty: healthData.breakdown.whaleRiskPenalty,
+            depeg_penalty: healthData.breakdown.depegPenalty,
+            pool_type_multiplier: healthData.breakdown.poolTypeMultiplier,
+            
+            // Enhanced risk metrics
+            apr_volatility: aprVolatility,
+            tvl_volatility: tvlVolatility,
+            impermanent_loss: impermanentLossModel ? {
+                model: impermanentLossModel.model,
+                source: impermanentLossModel.source,
+                range_width: impermanentLossModel.rangeWidth,
+                windows: impermanentLossModel.windows,
+                score: impermanentLossModel.score
+            } : null,
+            depeg_risk: {
+                risk_score: depegRisk.riskScore,
+                stablecoins: depegRisk.stablecoins,
+                depegged_tokens: depegRisk.depeggedTokens
+            },
+            governance: {
+                score: governance.score,
+                penalty: governance.penalty,
+                events: governance.events,
+                by_category: governance.byCategory
+            },
+            
+            // Historical data for charting
+            historical_data: {
+                dates: dates,
+                timestamps: chart.tvl.map(h => h.date),
+                tvl: tvlHistory,
+                apr: aprHistory,
+                apr_base: aprBaseHistory,
+                apr_reward: aprRewardHistory,
+                volume: volumeHistory,
+                fees: feesHistory,
+                impermanent_loss: impermanentLossModel ? impermanentLossModel.series : []
+            },
+            
+            // Metadata
+            last_updated: clock.date().toISOString(),
+            processing_time: clock.now() - startTime
+        };
+        
+        poolLog.info('Pool scored', {
+            health_score: Math.round(healthData.totalScore * 10) / 10,
+            data_points: dataPoints,
+            duration_ms: processedPool.processing_time
+        });
+        return processedPool;
+        
+    } catch (error) {
+        // processPoolsBatch logs the failure with its reason and index
+        poolLog.debug('Pool processing failed', { error });
+        throw error;
+    }
+}
+
+// Enhanced batch processing with better error handling
+// job: optional job handle for progress and cancellation; cursorAfter(count) gives the rolling index to save once
+// `count` pools are done (none for targeted re-scores); log: the run's logger; failedBefore: requested pools
+// that already failed before the batch (not in the universe), counted in the job's progress
+async function processPoolsBatch(pools, startIndex = 0, batchSize = 5, { job = null, cursorAfter = null, log = logger, failedBefore = 0 } = {}) {
+    const results = [];
+    const errors = [];
+    let successCount = 0;
+    let processedCount = 0;
+    const totalStartTime = clock.now();
+    
+    log.info('Processing pools', { pools: pools.length, start_index: startIndex });
+    
+    for (let i = 0; i < pools.length; i += batchSize) {
+        // Cancellation takes effect between batches; pools not reached are picked up by the next run
+        if (job && job.isCancelled()) {
+            log.warn('Refresh job cancelled', { job_id: job.id, processed: processedCount, pools: pools.length });
+            break;
+        }
+        const batch = pools.slice(i, i + batchSize);
+        log.debug('Processing batch', {
+            batch: Math.floor(i / batchSize) + 1,
+            batches: Math.ceil(pools.length / batchSize),
+            from: i + 1,
+            to: Math.min(i + batchSize, pools.length)
+        });
+        
+        // Pacing and retries are handled by the shared DefiLlama client
+        const batchPromises = batch.map(async (pool, batchIndex) => {
+            try {
+                const processed = await processPoolDataEnhanced(pool, undefined, log);
+                successCount++;
+                poolsScoredTotal.inc();
+                events.publish('refresh.pool_scored', {
+                    pool_id: processed.pool_id,
+                    token_pair: processed.token_pair,
+                    health_score: processed.health_score
+                });
+                return processed;
+            } catch (error) {
+                const globalIndex = startIndex + i + batchIndex;
+                const failure = {
+                    pool: pool.symbol,
+                    poolId: pool.pool,
+                    index: globalIndex,
+                    reason: error.reason || 'processing_error',
+                    status: error.status || null,
+                    attempts: error.attempts || null,
+                    error: error.message
+                };
+                errors.push(failure);
+                if (job) job.recordError(failure);
+                events.publish('refresh.pool_failed', failure);
+                poolsFailedTotal.inc({ reason: failure.reason });
+                log.error('Pool failed to score', {
+                    pool_id: pool.pool,
+                    token_pair: pool.symbol,
+                    index: globalIndex,
+                    reason: failure.reason,
+                    status: failure.status || undefined,
+                    error: error.message
+                });
+            }
+            return null;
+        });
+        
+        const batchResults = await Promise.all(batchPromises);
+        results.push(...batchResults.filter(result => result !== null));
+        if (job) {
+            job.reportProgress({ processed: failedBefore + Math.min(i + batchSize, pools.length), succeeded: successCount, failed: failedBefore + errors.length });
+        }
+        events.publish('refresh.batch', {
+            batch: Math.floor(i / batchSize) + 1,
+            batches: Math.ceil(pools.length / batchSize),
+            processed: Math.min(i + batchSize, pools.length),
+            total: pools.length,
+            succeeded: successCount,
+            failed: errors.length
+        });
+        
+        // Stop once the circuit is open or the request budget is spent; this batch is retried next run
+        if (defillamaClient.isHalted()) {
+            log.warn('Stopping run early', { reason: defillamaClient.getState().circuit === 'open' ? 'circuit_open' : 'budget_exhausted' });
+            break;
+        }
+        processedCount = Math.min(i + batchSize, pools.length);
+        
+        // Save progress periodically so a restart resumes mid-run
+        if (cursorAfter) saveLastProcessedIndex(cursorAfter(processedCount));
+    }
+    
+    const totalDuration = clock.now() - totalStartTime;
+    const successRate = pools.length > 0 ? (successCount / pools.length) * 100 : 0;
+    
+    // Update processing stats
+    processingStats = {
+        totalProcessed: pools.length,
+        successCount,
+        successRate: successRate,
+        avgProcessingTime: results.length > 0 ? results.reduce((sum, p) => sum + p.processing_time, 0) / results.length : 0,
+        lastRunDuration: totalDuration,
+        errors: errors.length,
+        failureReasons: errors.reduce((acc, e) => {
+            acc[e.reason] = (acc[e.reason] || 0) + 1;
+            return acc;
+        }, {}),
+        // Concurrent pools fail in any order; sorted so replayed runs are identical
+        failures: [...errors].sort((a, b) => a.index - b.index)
+    };
+    
+    log.info('Batch processing complete', {
+        scored: successCount,
+        failed: errors.length,
+        pools: pools.length,
+        success_rate: Math.round(successRate * 10) / 10,
+        duration_ms: totalDuration,
+        avg_pool_ms: Math.round(processingStats.avgProcessingTime)
+    });
+    
+    return { results, errors, processedCount, stats: processingStats };
+}
+
+// Enhanced caching and data management
+function saveCachedPools(pools, log = logger) {
+    try {
+        const cacheData = {
+            pools: pools,
+            timestamp: clock.now(),
+            totalCount: pools.length,
+            stats: processingStats
+        };
+        
+        fs.writeFileSync(METRICS_CACHE_FILE, JSON.stringify(cacheData, null, 2));
+        log.info('Saved pool cache', { pools: pools.length });
+    } catch (error) {
+        log.error('Error saving cached pools', { error });
+    }
+}
+
+function loadCachedPools() {
+    try {
+        if (fs.existsSync(METRICS_CACHE_FILE)) {
+            const cached = JSON.parse(fs.readFileSync(METRICS_CACHE_FILE, 'utf8'));
+            const cacheAge = clock.now() - cached.timestamp;
+            
+            // Pools are refreshed on a rolling basis, so the cache is kept regardless of age
+            // and staleness is reported per pool instead
+            if (cached.pools && Array.isArray(cached.pools)) {
+                console.log(`📁 Loaded ${cached.pools.length} pools from cache (${Math.round(cacheAge/60000)}min old)`);
+                lastUpdated = new Date(cached.timestamp);
+                processingStats = cached.stats || processingStats;
+                return cached.pools;
+            }
+        }
+    } catch (error) {
+        console.error('Error loading cached pools:', error.message);
+    }
+    return [];
+}
+
+// Append this run's scores to the durable history store
+async function recordScoreHistory(pools, recordedAt, log = logger) {
+    try {
+        const timestamp = recordedAt.toISOString();
+        const count = await scoreHistoryStore.append(pools.map(pool => buildScoreSnapshot(pool, timestamp)));
+        log.info('Recorded score snapshots', { snapshots: count, backend: scoreHistoryStore.backend });
+    } catch (error) {
+        log.error('Error recording score history', { error });
+    }
+}
+
+// Accepts ISO dates or unix timestamps (seconds or milliseconds)
+function parseTimeParam(value) {
+    if (value === undefined || value === '') return null;
+    if (/^\d+$/.test(value)) {
+        const numeric = parseInt(value, 10);
+        return new Date(numeric < 1e12 ? numeric * 1000 : numeric);
+    }
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? undefined : parsed;
+}
+
+// Replace re-scored pools, keep the rest, and drop pools that left the universe. A re-scored pool carries
+// the score it replaces as previous_score, so score movers don't have to read the history store back
+function mergeScoredPools(existingPools, scoredPools, universe) {
+    const universeIds = new Set(universe.map(pool => pool.pool));
+    const merged = new Map();
+    
+    existingPools
+        .filter(pool => universeIds.has(pool.pool_id))
+        .forEach(pool => merged.set(pool.pool_id, pool));
+    scoredPools.forEach(pool => {
+        const previous = merged.get(pool.pool_id);
+        merged.set(pool.pool_id, previous ? { ...pool, previous_score: buildScoreSnapshot(previous, previous.last_updated) } : pool);
+    });
+    
+    return Array.from(merged.values()).sort((a, b) => b.health_score - a.health_score);
+}
+
+// Per-pool freshness so clients can flag scores that haven't been refreshed recently
+function getPoolFreshness(pool, now = clock.now()) {
+    const updatedAt = Date.parse(pool.last_updated);
+    if (isNaN(updatedAt)) {
+        return { age_minutes: null, is_stale: true };
+    }
+    const ageMinutes = Math.round((now - updatedAt) / 60000);
+    return {
+        age_minutes: ageMinutes,
+        is_stale: ageMinutes > STALE_AFTER_HOURS * 60
+    };
+}
+
+function withFreshness(pool, now = clock.now()) {
+    return { ...pool, freshness: getPoolFreshness(pool, now) };
+}
+
+function getSchedulerProgress() {
+    const { index, universeSize, cycle } = schedulerState;
+    return {
+        nextIndex: index,
+        universeSize,
+        cycle,
+        cycleProgress: universeSize > 0 ? Math.round((index / universeSize) * 1000) / 10 : 0,
+        poolsPerRun: POOLS_PER_RUN
+    };
+}
+
+// A run fails outright, or when every pool it tried failed
+function getRunStatus(summary) {
+    if (summary.error || (summary.scored === 0 && summary.failed > 0)) return 'failed';
+    return summary.cancelled ? 'cancelled' : 'completed';
+}
+
+// Main data processing pipeline. Without poolIds it scores the next rolling slice of the universe;
+// with poolIds it re-scores just those pools and leaves the rolling cursor alone.
+// job: handle from the job manager for progress, errors and cancellation
+async function updatePoolData({ poolIds = null, job = null } = {}) {
+    // A job's runs share its id, so logs, job status and events line up
+    const runId = job ? job.id : crypto.randomUUID();
+    const type = poolIds ? 'pools' : 'rolling';
+    const log = logger.child({ run_id: runId });
+    const startedAt = clock.date();
+    
+    log.info('Pool data update started', { type, pools_requested: poolIds ? poolIds.length : undefined });
+    const summary = await runPoolUpdate({ poolIds, job, runId, log });
+    
+    const finishedAt = clock.date();
+    const status = getRunStatus(summary);
+    lastRun = {
+        id: runId,
+        type,
+        status,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        scored: summary.scored || 0,
+        failed: summary.failed || 0,
+        error: summary.error || null
+    };
+    runsTotal.inc({ type, status });
+    runDuration.observe({ type }, lastRun.durationMs / 1000);
+    
+    const fields = { type, status, scored: lastRun.scored, failed: lastRun.failed, cached: cachedPools.length, duration_ms: lastRun.durationMs };
+    if (status === 'failed') log.error('Pool data update failed', { ...fields, error: lastRun.error || undefined });
+    else log.info('Pool data update finished', fields);
+    return summary;
+}
+
+async function runPoolUpdate({ poolIds, job, runId, log }) {
+    const startTime = clock.now();
+    const jobId = job ? job.id : null;
+    
+    try {
+        // Every DefiLlama request in this run counts against its budget
+        defillamaClient.beginRun({ maxRequests: UPSTREAM_RUN_BUDGET, runId });
+        
+        // Refresh peg status first so this run's scores see the latest stablecoin prices
+        try {
+            await depegMonitor.refresh({ log });
+        } catch (error) {
+            log.warn('Peg check failed, using last known status', { error });
+        }
+        
+        // Fetch raw pool data
+        const rawPools = await fetchDefiLlamaPoolsEnhanced({ log });
+        if (rawPools.length === 0) {
+            events.publish('refresh.failed', { jobId, error: 'No pools fetched, keeping cached data' });
+            return { error: 'No pools fetched, keeping cached data' };
+        }
+        
+        // Incident and governance feeds, tagged with the tokens of the current universe
+        try {
+            const tokens = new Set(stablecoinRegistry.list().map(coin => coin.symbol));
+            rawPools.forEach(pool => parseTokenPair(pool.symbol, pool.chain).forEach(token => tokens.add(token.canonical)));
+            await incidentFeed.refresh({ tokens: Array.from(tokens), log });
+        } catch (error) {
+            log.warn('News feed refresh failed, using cached events', { error });
+        }
+        
+        let lastIndex = 0;
+        let poolsToProcess;
+        let cursorAfter = null;
+        let notInUniverse = 0;
+        if (poolIds) {
+            poolsToProcess = rawPools.filter(pool => poolIds.includes(pool.pool));
+            const found = new Set(poolsToProcess.map(pool => pool.pool));
+            poolIds.filter(id => !found.has(id)).forEach(id => {
+                notInUniverse++;
+                const failure = { pool: null, poolId: id, index: null, reason: 'not_in_universe', status: null, attempts: null, error: 'Pool is not in the tracked universe' };
+                if (job) job.recordError(failure);
+                events.publish('refresh.pool_failed', failure);
+            });
+            log.info('Re-scoring requested pools', { pools: poolsToProcess.length, requested: poolIds.length });
+        } else {
+            // Resume from where the previous run stopped in this cycle's frozen order. A new cycle takes the
+            // universe's current order; pools that joined mid-cycle wait for it, pools that left are passed over
+            lastIndex = getLastProcessedIndex();
+            if (schedulerState.order.length === 0 || lastIndex >= schedulerState.order.length) {
+                // A cursor saved before orders were frozen still indexes the current order
+                if (schedulerState.order.length > 0 || lastIndex >= rawPools.length) lastIndex = 0;
+                saveLastProcessedIndex(lastIndex, rawPools.length, schedulerState.cycle, rawPools.map(pool => pool.pool));
+            }
+            const order = schedulerState.order;
+            const byId = new Map(rawPools.map(pool => [pool.pool, pool]));
+            const slice = order.slice(lastIndex, lastIndex + POOLS_PER_RUN);
+            const positions = [];
+            poolsToProcess = [];
+            slice.forEach((poolId, offset) => {
+                if (!byId.has(poolId)) return;
+                poolsToProcess.push(byId.get(poolId));
+                positions.push(lastIndex + offset);
+            });
+            // Done with the whole slice: past it, vanished pools included; part way: just past the last pool attempted
+            cursorAfter = count => {
+                if (count >= poolsToProcess.length) return lastIndex + slice.length;
+                return count > 0 ? positions[count - 1] + 1 : lastIndex;
+            };
+            log.info('Scoring rolling slice', {
+                from: lastIndex + 1,
+                to: lastIndex + slice.length,
+                universe_size: order.length,
+                left_universe: slice.length - poolsToProcess.length || undefined,
+                cycle: schedulerState.cycle + 1
+            });
+        }
+        
+        if (job) job.reportProgress({ total: notInUniverse + poolsToProcess.length, processed: notInUniverse, failed: notInUniverse });
+        events.publish('refresh.started', {
+            jobId,
+            poolIds,
+            from: poolIds ? null : lastIndex + 1,
+            to: poolIds ? null : cursorAfter(poolsToProcess.length),
+            pools: poolsToProcess.length,
+            universeSize: poolIds ? rawPools.length : schedulerState.order.length,
+            cycle: schedulerState.cycle + 1
+        });
+        
+        const { results, processedCount } = await processPoolsBatch(poolsToProcess, lastIndex, 3, { job, cursorAfter, log, failedBefore: notInUniverse });
+        processingStats.upstream = defillamaClient.getRunStats();
+        if (job) job.setStats(processingStats);
+        
+        // Advance the cursor past the pools attempted; reaching the end starts a new cycle, ordered afresh, next run
+        if (!poolIds) {
+            const nextIndex = cursorAfter(processedCount);
+            if (nextIndex >= schedulerState.order.length) {
+                saveLastProcessedIndex(0, rawPools.length, schedulerState.cycle + 1, []);
+            } else {
+                saveLastProcessedIndex(nextIndex);
+            }
+        }
+        
+        if (results.length > 0) {
+            const previousPools = cachedPools;
+            cachedPools = mergeScoredPools(cachedPools, results, rawPools);
+            lastUpdated = clock.date();
+            
+            // Save processed data
+            saveCachedPools(cachedPools, log);
+            await recordScoreHistory(results, lastUpdated, log);
+            publishPoolUpdates(results, previousPools);
+            
+            // Alert rules see this run's scores against the previous cache and score history
+            try {
+                const alerts = await alertEngine.evaluate(results, previousPools, lastUpdated, { log });
+                alerts.forEach(alert => events.publish('alert.triggered', alert));
+            } catch (error) {
+                log.error('Error evaluating alert rules', { error });
+            }
+        }
+        
+        const summary = {
+            scored: results.length,
+            failed: (processingStats.errors || 0) + notInUniverse,
+            cached: cachedPools.length,
+            cancelled: Boolean(job && job.isCancelled()),
+            durationMs: clock.now() - startTime,
+            lastUpdated
+        };
+        events.publish('refresh.completed', { jobId, ...summary });
+        return summary;
+        
+    } catch (error) {
+        events.publish('refresh.failed', { jobId, error: error.message });
+        return { error: error.message };
+    } finally {
+        defillamaClient.endRun();
+    }
+}
+
+// Runs updatePoolData as a tracked job; while one is running, further requests get that job back instead
+function startRefreshJob({ poolIds = null, trigger = 'manual' } = {}) {
+    return refreshJobs.start({ type: poolIds ? 'pools' : 'rolling', trigger, params: { poolIds } }, async job => {
+        // The job fails by the same rule as the run it wraps
+        const summary = await updatePoolData({ poolIds, job });
+        if (getRunStatus(summary) === 'failed') throw new Error(summary.error || `No pools scored (${summary.failed} failed)`);
+        return summary;
+    });
+}
+
+// One pool.updated event per re-scored pool, with its score change since the previous cache
+function publishPoolUpdates(scoredPools, previousPools) {
+    const previousById = new Map(previousPools.map(pool => [pool.pool_id, pool]));
+    scoredPools.forEach(pool => {
+        const previous = previousById.get(pool.pool_id);
+        events.publish('pool.updated', {
+            pool_id: pool.pool_id,
+            token_pair: pool.token_pair,
+            platform: pool.platform,
+            chain: pool.chain,
+            health_score: pool.health_score,
+            previous_health_score: previous ? previous.health_score : null,
+            delta: previous ? Math.round((pool.health_score - previous.health_score) * 100) / 100 : null,
+            risk_category: pool.risk_category,
+            previous_risk_category: previous && previous.risk_category ? previous.risk_category.label : null,
+            tvl: pool.tvl,
+            volume_24h: pool.volume_24h,
+            avg_apr: pool.avg_apr,
+            apr_volatility: pool.apr_volatility,
+            data_points: pool.data_points,
+            last_updated: pool.last_updated
+        });
+    });
+}
+
+function findScoredPool(poolId) {
+    const pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
+    return pools.find(pool => pool.pool_id === poolId) || null;
+}
+
+// calculateHealthScore() input rebuilt from a cached pool's stored history
+function getScoringInput(pool) {
+    const history = pool.historical_data || {};
+    return {
+        tvl: pool.tvl,
+        volume24h: pool.volume_24h,
+        aprHistory: history.apr || [],
+        tvlHistory: history.tvl || [],
+        volatility: pool.apr_volatility,
+        protocolRisk: assessProtocolRisk(pool.platform, pool.chain),
+        tokenPair: pool.token_pair,
+        platform: pool.platform,
+        chain: pool.chain,
+        impermanentLossModel: pool.impermanent_loss,
+        depegRisk: pool.depeg_risk ? {
+            riskScore: pool.depeg_risk.risk_score,
+            depeggedTokens: pool.depeg_risk.depegged_tokens
+        } : null,
+        governanceScore: pool.governance ? pool.governance.score : null
+    };
+}
+
+// ?category=exploit,incident&since=&limit= for the event endpoints; replies 400 and returns null when invalid
+function parseIncidentQuery(req, res) {
+    const categories = req.query.category ? String(req.query.category).split(',').map(c => c.trim()).filter(Boolean) : null;
+    const unknown = (categories || []).filter(category => !EVENT_CATEGORIES.includes(category));
+    if (unknown.length > 0) {
+        res.status(400).json({ success: false, error: `Unknown event category: ${unknown.join(', ')}`, availableCategories: EVENT_CATEGORIES });
+        return null;
+    }
+    const since = parseTimeParam(req.query.since);
+    if (since === undefined) {
+        res.status(400).json({ success: false, error: 'Invalid since date' });
+        return null;
+    }
+    return {
+        categories,
+        since: since === null ? null : since.toISOString(),
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+    };
+}
+
+// Re-score a cached pool under another profile from its stored history
+const rescoredPools = new WeakMap();
+
+function scorePoolWithProfile(pool, profile) {
+    const profileKey = getProfileKey(profile);
+    if (pool.scoring_profile === profileKey) return pool;
+    
+    let byProfile = rescoredPools.get(pool);
+    if (!byProfile) {
+        byProfile = new Map();
+        rescoredPools.set(pool, byProfile);
+    }
+    
+    if (!byProfile.has(profileKey)) {
+        const healthData = calculateHealthScore(getScoringInput(pool), profile);
+        
+        byProfile.set(profileKey, {
+            ...pool,
+            health_score: healthData.totalScore,
+            risk_category: categorizeRisk(healthData.totalScore, profile),
+            scoring_profile: healthData.profile,
+            liquidity_score: healthData.breakdown.liquidityScore,
+            yield_score: healthData.breakdown.yieldScore,
+            impermanent_loss_score: healthData.breakdown.impermanentLossScore,
+            protocol_score: healthData.breakdown.protocolScore,
+            activity_score: healthData.breakdown.activityScore,
+            track_record_score: healthData.breakdown.trackRecordScore,
+            risk_adjusted_score: healthData.breakdown.riskAdjustedScore,
+            whale_risk_penalty: healthData.breakdown.whaleRiskPenalty,
+            depeg_penalty: healthData.breakdown.depegPenalty,
+            pool_type_multiplier: healthData.breakdown.poolTypeMultiplier
+        });
+    }
+    
+    return byProfile.get(profileKey);
+}
+
+// Resolves ?profile=, replying 400 for unknown ids
+function resolveScoringProfile(req, res) {
+    if (!req.query.profile) return scoringProfiles.defaultProfile;
+    
+    const profile = scoringProfiles.get(req.query.profile);
+    if (!profile) {
+        res.status(400).json({
+            success: false,
+            error: `Unknown scoring profile: ${req.query.profile}`,
+            availableProfiles: scoringProfiles.list().map(p => p.id)
+        });
+        return null;
+    }
+    return profile;
+}
+
+// API Routes
+
+// Get processed pools: filters, min/max ranges, sort, offset or cursor pages and fields= projection (lib/poolQuery.js)
+app.get('/api/pools', async (req, res) => {
+    try {
+        const query = parsePoolQuery(req.query);
+        if (query.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid pool query',
+                details: query.errors,
+                sortFields: Object.keys(SORT_FIELDS),
+                fields: POOL_FIELDS
+            });
+        }
+        
+        let pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
+        
+        const profile = resolveScoringProfile(req, res);
+        if (!profile) return;
+        if (profile !== scoringProfiles.defaultProfile) {
+            pools = pools.map(pool => scorePoolWithProfile(pool, profile));
+        }
+        
+        // Freshness first, so age_minutes can be sorted on
+        const now = clock.now();
+        const { total, data, pagination, sort } = runPoolQuery(pools.map(pool => withFreshness(pool, now)), query);
+        
+        res.json({
+            success: true,
+            data,
+            total,
+            pagination,
+            sort,
+            lastUpdated: lastUpdated,
+            scoringProfile: getProfileKey(profile),
+            stats: processingStats
+        });
+        
+    } catch (error) {
+        console.error('Error in /api/pools:', error.message);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// Stream the filtered pools as a file (?format=csv|jsonl|xlsx&columns=&history=true). Takes the
+// /api/pools filters and ?profile=; without ?limit= the whole universe is exported
+app.get('/api/export', async (req, res) => {
+    const request = parseExportRequest(req.query);
+    // Same filters and sort as /api/pools; an export is one page, so only limit applies
+    const query = parsePoolQuery(req.query, { maxLimit: Number.MAX_SAFE_INTEGER });
+    const errors = [...request.errors, ...query.errors];
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid export request',
+            details: errors,
+            availableColumns: Object.keys(EXPORT_COLUMNS)
+        });
+    }
+    
+    let pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
+    const profile = resolveScoringProfile(req, res);
+    if (!profile) return;
+    if (profile !== scoringProfiles.defaultProfile) {
+        pools = pools.map(pool => scorePoolWithProfile(pool, profile));
+    }
+    const now = clock.now();
+    pools = sortPools(filterPools(pools.map(pool => withFreshness(pool, now)), query.filters), query.sort);
+    if (query.limit) pools = pools.slice(0, query.limit);
+    
+    const { contentType, extension } = EXPORT_FORMATS[request.format];
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="pools-${clock.date().toISOString().slice(0, 10)}${request.includeHistory ? '-history' : ''}.${extension}"`);
+    res.set('X-Export-Pools', String(pools.length));
+    
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    try {
+        await writeExport(res, pools, { ...request, shouldStop: () => closed, modified: clock.date() });
+        res.end();
+    } catch (error) {
+        console.error('Error in /api/export:', error.message);
+        // Headers are gone once streaming started; cutting the connection marks the file as incomplete
+        if (res.headersSent) res.destroy(error);
+        else res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get specific pool details
+app.get('/api/pools/:poolId', (req, res) => {
+    try {
+        const pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
+        const pool = pools.find(p => p.pool_id === req.params.poolId);
+        
+        const profile = resolveScoringProfile(req, res);
+        if (!profile) return;
+        
+        if (pool) {
+            res.json({ success: true, data: withFreshness(scorePoolWithProfile(pool, profile)) });
+        } else {
+            res.status(404).json({ success: false, error: 'Pool not found' });
+        }
+    } catch (error) {
+        console.error('Error in /api/pools/:poolId:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Explain a pool's score: inputs, rule fired and points per component, and what would change its category
+app.get('/api/pools/:poolId/explain', (req, res) => {
+    try {
+        const pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
+        const pool = pools.find(p => p.pool_id === req.params.poolId);
+        
+        const profile = resolveScoringProfile(req, res);
+        if (!profile) return;
+        
+        if (!pool) {
+            return res.status(404).json({ success: false, error: 'Pool not found' });
+        }
+        
+        res.json({
+            success: true,
+            poolId: pool.pool_id,
+            data: explainHealthScore(getScoringInput(pool), profile)
+        });
+    } catch (error) {
+        console.error('Error in /api/pools/:poolId/explain:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get score history for a pool
+app.get('/api/pools/:poolId/score-history', async (req, res) => {
+    try {
+        const from = parseTimeParam(req.query.from);
+        const to = parseTimeParam(req.query.to);
+        
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ success: false, error: 'Invalid from/to date' });
+        }
+        
+        const history = await scoreHistoryStore.query(req.params.poolId, { from, to });
+        
+        res.json({
+            success: true,
+            poolId: req.params.poolId,
+            data: history,
+            total: history.length
+        });
+    } catch (error) {
+        console.error('Error in /api/pools/:poolId/score-history:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Incidents and governance events for a scored pool: its protocol's, plus any naming one of its tokens
+app.get('/api/pools/:poolId/events', (req, res) => {
+    const pool = findScoredPool(req.params.poolId);
+    if (!pool) {
+        return res.status(404).json({ success: false, error: 'Pool not found' });
+    }
+    const query = parseIncidentQuery(req, res);
+    if (!query) return;
+    
+    const tokens = parseTokenPair(pool.token_pair, pool.chain).map(token => token.canonical);
+    const data = incidentFeed.getEvents({ ...query, protocols: [pool.platform], tokens });
+    res.json({
+        success: true,
+        poolId: pool.pool_id,
+        protocol: pool.platform,
+        tokens,
+        governance: incidentFeed.assessProtocol(pool.platform),
+        data,
+        total: data.length
+    });
+});
+
+// Compare 2-5 pools: aligned histories and component-by-component score deltas
+app.get('/api/compare', (req, res) => {
+    try {
+        const ids = Array.from(new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean)));
+        if (ids.length < 2 || ids.length > MAX_COMPARE_POOLS) {
+            return res.status(400).json({ success: false, error: `Give between 2 and ${MAX_COMPARE_POOLS} distinct pool ids in ?ids=a,b` });
+        }
+        
+        let days = null;
+        if (req.query.days !== undefined) {
+            days = parseInt(req.query.days, 10);
+            if (!(days > 0)) {
+                return res.status(400).json({ success: false, error: '"days" must be a positive integer' });
+            }
+        }
+        
+        const profile = resolveScoringProfile(req, res);
+        if (!profile) return;
+        
+        const pools = ids.map(findScoredPool);
+        const missing = ids.filter((id, i) => !pools[i]);
+        if (missing.length > 0) {
+            return res.status(404).json({ success: false, error: 'Pool not found', missing });
+        }
+        
+        res.json({
+            success: true,
+            data: comparePools(pools.map(pool => scorePoolWithProfile(pool, profile)), { days }),
+            scoringProfile: getProfileKey(profile)
+        });
+    } catch (error) {
+        console.error('Error in /api/compare:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Trending pools, one ranked list per signal (?signal=tvl_inflows,score_movers&window=1|7|30&limit=)
+app.get('/api/trending', (req, res) => {
+    const query = parseTrendingQuery(req.query);
+    if (query.errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid trending query', details: query.errors, signals: TRENDING_SIGNALS });
+    }
+    
+    try {
+        const pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
+        
+        // Score movers compare against the score each pool's last run replaced
+        const previousSnapshots = new Map();
+        pools.forEach(pool => {
+            if (pool.previous_score) previousSnapshots.set(pool.pool_id, pool.previous_score);
+        });
+        
+        res.json({
+            success: true,
+            data: buildTrending(pools, { ...query, previousSnapshots }),
+            window: query.window,
+            limit: query.limit,
+            lastUpdated: lastUpdated
+        });
+    } catch (error) {
+        console.error('Error in /api/trending:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Recommend an allocation of a budget across the scored pools for a risk tolerance and exposure caps
+app.post('/api/optimize', (req, res) => {
+    const profile = resolveScoringProfile(req, res);
+    if (!profile) return;
+    
+    const errors = validateOptimizationRequest(req.body, profile.riskCategories.map(c => c.label));
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid optimization request', details: errors });
+    }
+    
+    try {
+        const pools = (cachedPools.length > 0 ? cachedPools : loadCachedPools())
+            .map(pool => scorePoolWithProfile(pool, profile));
+        const result = optimizeAllocation(pools, req.body, profile);
+        const response = { success: true, data: result, scoringProfile: getProfileKey(profile) };
+        if (result.allocations.length === 0) {
+            response.message = 'No pools satisfy the risk tolerance and constraints';
+        }
+        res.json(response);
+    } catch (error) {
+        console.error('Error in /api/optimize:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Per-chain pool counts, TVL and average score
+function getChainBreakdown(pools) {
+    const breakdown = {};
+    pools.forEach(pool => {
+        const chain = pool.chain || 'Unknown';
+        if (!breakdown[chain]) {
+            breakdown[chain] = { pools: 0, totalTvl: 0, totalVolume: 0, averageHealthScore: 0 };
+        }
+        breakdown[chain].pools++;
+        breakdown[chain].totalTvl += pool.tvl;
+        breakdown[chain].totalVolume += pool.volume_24h;
+        breakdown[chain].averageHealthScore += pool.health_score;
+    });
+    Object.values(breakdown).forEach(entry => {
+        entry.averageHealthScore = entry.averageHealthScore / entry.pools;
+    });
+    return breakdown;
+}
+
+// Get the protocol registry
+app.get('/api/protocols', (req, res) => {
+    try {
+        const now = clock.now();
+        const protocols = protocolRegistry.protocols.map(protocol => ({
+            id: protocol.id,
+            name: protocol.name,
+            enabled: protocol.enabled,
+            chains: protocol.chains.filter(chain => SUPPORTED_CHAINS.includes(chain)),
+            baseSecurityScore: protocol.baseSecurityScore,
+            chainSecurityScores: SUPPORTED_CHAINS
+                .filter(chain => protocol.chains.includes(chain))
+                .reduce((acc, chain) => {
+                    acc[chain] = assessProtocolRisk(protocol.id, chain);
+                    return acc;
+                }, {}),
+            launched: protocol.launched,
+            ageDays: protocol.launched ? Math.floor((now - Date.parse(protocol.launched)) / 86400000) : null,
+            audits: protocol.audits,
+            poolType: protocol.poolType,
+            multiplierRules: protocol.multiplierRules,
+            governanceScore: incidentFeed.assessProtocol(protocol.id).score,
+            logo: protocol.logo || null
+        }));
+        
+        res.json({ success: true, version: protocolRegistry.version, data: protocols, total: protocols.length });
+    } catch (error) {
+        console.error('Error in /api/protocols:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/protocols/:id/events', (req, res) => {
+    const protocol = protocolRegistry.getProtocol(req.params.id);
+    if (!protocol) {
+        return res.status(404).json({ success: false, error: 'Protocol not found' });
+    }
+    const query = parseIncidentQuery(req, res);
+    if (!query) return;
+    
+    const data = incidentFeed.getEvents({ ...query, protocols: [protocol.id] });
+    res.json({
+        success: true,
+        protocol: protocol.id,
+        governance: incidentFeed.assessProtocol(protocol.id),
+        feed: incidentFeed.getStatus(),
+        data,
+        total: data.length
+    });
+});
+
+// Peg status of tracked stablecoins and how many scored pools hold each
+app.get('/api/stablecoins', (req, res) => {
+    try {
+        const pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
+        const status = depegMonitor.getStatus();
+        
+        const data = stablecoinRegistry.list().map(coin => {
+            const peg = status.coins[coin.symbol] || { status: 'unknown', riskScore: 0, currentPrice: null, deviation: null, events: [] };
+            const holders = pools.filter(pool => pool.depeg_risk && pool.depeg_risk.stablecoins.includes(coin.symbol));
+            return {
+                symbol: coin.symbol,
+                name: coin.name,
+                peg: coin.peg,
+                pegValue: coin.pegValue,
+                issuer: coin.issuer,
+                type: coin.type,
+                status: peg.status,
+                riskScore: peg.riskScore,
+                currentPrice: peg.currentPrice,
+                priceDate: peg.priceDate || null,
+                deviation: peg.deviation,
+                events: peg.events,
+                exposure: {
+                    pools: holders.length,
+                    tvl: holders.reduce((sum, pool) => sum + pool.tvl, 0)
+                }
+            };
+        });
+        
+        res.json({
+            success: true,
+            checkedAt: status.checkedAt,
+            thresholds: stablecoinRegistry.thresholds,
+            data,
+            flagged: data.filter(coin => coin.status === 'depegged' || coin.status === 'warning').map(coin => coin.symbol)
+        });
+    } catch (error) {
+        console.error('Error in /api/stablecoins:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Alert rules - evaluated after every update run
+app.get('/api/alerts', (req, res) => {
+    res.json({ success: true, data: alertEngine.list(), total: alertEngine.list().length });
+});
+
+app.post('/api/alerts', (req, res) => {
+    const errors = validateAlertRule(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid alert rule', details: errors });
+    }
+    try {
+        res.status(201).json({ success: true, data: alertEngine.create(req.body) });
+    } catch (error) {
+        console.error('Error in POST /api/alerts:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delivery log, newest first (?ruleId=&status=delivered|failed&limit=)
+app.get('/api/alerts/deliveries', async (req, res) => {
+    try {
+        const deliveries = await alertEngine.getDeliveries({
+            ruleId: req.query.ruleId,
+            status: req.query.status,
+            limit: parseInt(req.query.limit, 10) || 100
+        });
+        res.json({ success: true, data: deliveries, total: deliveries.length });
+    } catch (error) {
+        console.error('Error in /api/alerts/deliveries:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/alerts/:id', (req, res) => {
+    const rule = alertEngine.get(req.params.id);
+    if (!rule) {
+        return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+    res.json({ success: true, data: rule });
+});
+
+// Partial updates are merged over the stored rule, then validated as a whole
+app.put('/api/alerts/:id', (req, res) => {
+    const existing = alertEngine.get(req.params.id);
+    if (!existing) {
+        return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+    const merged = { ...existing, ...req.body };
+    const errors = validateAlertRule(merged);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid alert rule', details: errors });
+    }
+    try {
+        res.json({ success: true, data: alertEngine.update(req.params.id, merged) });
+    } catch (error) {
+        console.error('Error in PUT /api/alerts/:id:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/alerts/:id', (req, res) => {
+    try {
+        if (!alertEngine.remove(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Alert rule not found' });
+        }
+        res.json({ success: true, message: 'Alert rule deleted' });
+    } catch (error) {
+        console.error('Error in DELETE /api/alerts/:id:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Send a sample notification through the rule's channels
+app.post('/api/alerts/:id/test', async (req, res) => {
+    try {
+        const rule = alertEngine.get(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Alert rule not found' });
+        }
+        const pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
+        const deliveries = await alertEngine.sendTest(rule.id, pools.find(p => p.pool_id === rule.poolId) || pools[0]);
+        res.json({ success: deliveries.every(d => d.status === 'delivered'), data: deliveries });
+    } catch (error) {
+        console.error('Error in /api/alerts/:id/test:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Values positions against the scored pools, fetching every needed token price history at once
+async function valuePortfolioPositions(positions, profile) {
+    const pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
+    const poolsById = new Map(pools.map(pool => [pool.pool_id, pool]));
+    const positionPools = positions.map(position => {
+        const pool = poolsById.get(position.poolId);
+        return pool ? scorePoolWithProfile(pool, profile) : null;
+    });
+    
+    const coinIds = [...new Set(positionPools.flatMap(pool => (pool && getPositionCoinIds(pool)) || []))];
+    let priceHistories = {};
+    if (coinIds.length > 0) {
+        const earliest = Math.min(...positions.map(position => Date.parse(position.depositDate)));
+        const days = Math.ceil((clock.now() - earliest) / 86400000) + 2;
+        try {
+            priceHistories = await priceSource.getPriceHistories(coinIds, days);
+        } catch (error) {
+            console.warn('⚠️ Token prices unavailable for portfolio valuation:', error.message);
+        }
+    }
+    
+    return positions.map((position, index) => valuePosition(position, positionPools[index], priceHistories, clock.now()));
+}
+
+// Portfolio summary and every position's estimated PnL
+app.get('/api/portfolio', async (req, res) => {
+    try {
+        const profile = resolveScoringProfile(req, res);
+        if (!profile) return;
+        
+        const positions = await valuePortfolioPositions(portfolioStore.list(), profile);
+        res.json({
+            success: true,
+            data: { summary: summarizePortfolio(positions), positions },
+            scoringProfile: getProfileKey(profile)
+        });
+    } catch (error) {
+        console.error('Error in /api/portfolio:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/portfolio/positions', async (req, res) => {
+    const errors = validatePosition(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid position', details: errors });
+    }
+    if (!findScoredPool(req.body.poolId)) {
+        return res.status(400).json({ success: false, error: `Unknown pool: ${req.body.poolId}` });
+    }
+    try {
+        const position = portfolioStore.add(req.body);
+        const [valued] = await valuePortfolioPositions([position], scoringProfiles.defaultProfile);
+        res.status(201).json({ success: true, data: valued });
+    } catch (error) {
+        console.error('Error in POST /api/portfolio/positions:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/portfolio/positions/:id', async (req, res) => {
+    try {
+        const profile = resolveScoringProfile(req, res);
+        if (!profile) return;
+        
+        const position = portfolioStore.get(req.params.id);
+        if (!position) {
+            return res.status(404).json({ success: false, error: 'Position not found' });
+        }
+        const [valued] = await valuePortfolioPositions([position], profile);
+        res.json({ success: true, data: valued });
+    } catch (error) {
+        console.error('Error in /api/portfolio/positions/:id:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Partial updates are merged over the stored position, then validated as a whole
+app.put('/api/portfolio/positions/:id', async (req, res) => {
+    const existing = portfolioStore.get(req.params.id);
+    if (!existing) {
+        return res.status(404).json({ success: false, error: 'Position not found' });
+    }
+    const merged = { ...existing, ...req.body };
+    // Switching between USD and token amounts replaces the other
+    if (req.body.tokenAmounts) delete merged.amountUsd;
+    if (req.body.amountUsd !== undefined) delete merged.tokenAmounts;
+    
+    const errors = validatePosition(merged);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid position', details: errors });
+    }
+    if (!findScoredPool(merged.poolId)) {
+        return res.status(400).json({ success: false, error: `Unknown pool: ${merged.poolId}` });
+    }
+    try {
+        const position = portfolioStore.update(req.params.id, merged);
+        const [valued] = await valuePortfolioPositions([position], scoringProfiles.defaultProfile);
+        res.json({ success: true, data: valued });
+    } catch (error) {
+        console.error('Error in PUT /api/portfolio/positions/:id:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/portfolio/positions/:id', (req, res) => {
+    try {
+        if (!portfolioStore.remove(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Position not found' });
+        }
+        res.json({ success: true, message: 'Position removed' });
+    } catch (error) {
+        console.error('Error in DELETE /api/portfolio/positions/:id:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// List available scoring profiles
+app.get('/api/scoring-profiles', (req, res) => {
+    const defaultKey = getProfileKey(scoringProfiles.defaultProfile);
+    res.json({
+        success: true,
+        default: defaultKey,
+        data: scoringProfiles.list().map(profile => ({
+            ...profile,
+            key: getProfileKey(profile),
+            isDefault: getProfileKey(profile) === defaultKey
+        }))
+    });
+});
+
+// API keys (admin only) - the plaintext key is returned once, at creation
+app.get('/api/keys', (req, res) => {
+    const keys = apiKeyStore.list();
+    res.json({ success: true, data: keys, total: keys.length });
+});
+
+app.post('/api/keys', (req, res) => {
+    const errors = validateApiKeyInput(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid API key request', details: errors });
+    }
+    try {
+        const { key, record } = apiKeyStore.issue(req.body);
+        res.status(201).json({ success: true, key, data: record, message: 'Store this key now - it cannot be shown again' });
+    } catch (error) {
+        console.error('Error in POST /api/keys:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/keys/:id', (req, res) => {
+    const key = apiKeyStore.get(req.params.id);
+    if (!key) {
+        return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true, data: key });
+});
+
+// Revoked keys stay listed with their usage counters
+app.delete('/api/keys/:id', (req, res) => {
+    try {
+        const key = apiKeyStore.revoke(req.params.id);
+        if (!key) {
+            return res.status(404).json({ success: false, error: 'API key not found' });
+        }
+        res.json({ success: true, data: key, message: 'API key revoked' });
+    } catch (error) {
+        console.error('Error in DELETE /api/keys/:id:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get system statistics
+app.get('/api/stats', (req, res) => {
+    try {
+        const pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
+        
+        const stats = {
+            totalPools: pools.length,
+            lastUpdated: lastUpdated,
+            processingStats,
+            scheduler: getSchedulerProgress(),
+            upstream: defillamaClient.getState(),
+            freshness: {
+                fresh: pools.filter(p => !getPoolFreshness(p).is_stale).length,
+                stale: pools.filter(p => getPoolFreshness(p).is_stale).length,
+                staleAfterHours: STALE_AFTER_HOURS
+            },
+            healthScoreDistribution: {
+                excellent: pools.filter(p => p.health_score >= 80).length,
+                good: pools.filter(p => p.health_score >= 60 && p.health_score < 80).length,
+                fair: pools.filter(p => p.health_score >= 40 && p.health_score < 60).length,
+                poor: pools.filter(p => p.health_score < 40).length
+            },
+            platformDistribution: pools.reduce((acc, pool) => {
+                acc[pool.platform] = (acc[pool.platform] || 0) + 1;
+                return acc;
+            }, {}),
+            supportedChains: SUPPORTED_CHAINS,
+            chainBreakdown: getChainBreakdown(pools),
+            totalTvl: pools.reduce((sum, p) => sum + p.tvl, 0),
+            totalVolume: pools.reduce((sum, p) => sum + p.volume_24h, 0),
+            averageHealthScore: pools.length > 0 ? pools.reduce((sum, p) => sum + p.health_score, 0) / pools.length : 0
+        };
+        
+        res.json({ success: true, data: stats });
+    } catch (error) {
+        console.error('Error in /api/stats:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Manual refresh endpoint: the next rolling slice, or just the pools in { poolIds: [...] }.
+// Only one refresh runs at a time; while one is running this answers 409 with that job
+app.post('/api/refresh', (req, res) => {
+    const poolIds = req.body && req.body.poolIds !== undefined ? req.body.poolIds : null;
+    if (poolIds !== null && (!Array.isArray(poolIds) || poolIds.length === 0 || poolIds.length > POOLS_PER_RUN
+        || poolIds.some(id => typeof id !== 'string' || !id))) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid refresh request',
+            details: [`"poolIds" must be a list of 1-${POOLS_PER_RUN} pool ids`]
+        });
+    }
+    
+    try {
+        const { job, started } = startRefreshJob({ poolIds: poolIds ? Array.from(new Set(poolIds)) : null });
+        if (!started) {
+            return res.status(409).json({ success: false, error: 'A refresh is already running', data: job });
+        }
+        
+        console.log(`🔄 Manual refresh requested (job ${job.id})`);
+        res.json({ 
+            success: true, 
+            message: 'Data refresh started. This may take several minutes.',
+            jobId: job.id,
+            data: job,
+            status: `/api/jobs/${job.id}`,
+            progress: '/api/events?types=refresh'
+        });
+    } catch (error) {
+        console.error('Error in /api/refresh:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Refresh jobs, most recent first
+app.get('/api/jobs', (req, res) => {
+    const jobs = refreshJobs.list();
+    res.json({ success: true, data: jobs, total: jobs.length, active: refreshJobs.active() });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = refreshJobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, data: job });
+});
+
+// Cancels a running job after its current batch; pools already scored are kept
+app.delete('/api/jobs/:id', (req, res) => {
+    const outcome = refreshJobs.cancel(req.params.id);
+    if (!outcome) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    if (!outcome.cancelled) {
+        return res.status(409).json({ success: false, error: `Job is already ${outcome.job.status}`, data: outcome.job });
+    }
+    res.json({ success: true, message: 'Cancellation requested', data: outcome.job });
+});
+
+// Server-Sent Events: refresh progress, pool score updates and alert firings.
+// ?types=refresh,pool limits the stream by prefix; Last-Event-ID (or ?lastEventId=) replays what was missed
+app.get('/api/events', (req, res) => {
+    const types = req.query.types
+        ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+        : null;
+    const unknown = (types || []).filter(type => !EVENT_TYPES.some(known => known === type || known.startsWith(type + '.')));
+    if (unknown.length > 0) {
+        return res.status(400).json({ success: false, error: `Unknown event types: ${unknown.join(', ')}`, availableTypes: EVENT_TYPES });
+    }
+    
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+    events.subscribe(req, res, { types, lastEventId: Number.isNaN(lastEventId) ? null : lastEventId });
+});
+
+// Health check endpoint
+// Degraded still answers 200: the API keeps serving the cached scores, and a platform health check
+// restarting the process wouldn't make upstream data any fresher
+app.get('/api/health', (req, res) => {
+    const pools = cachedPools.length > 0 ? cachedPools : loadCachedPools();
+    const now = clock.now();
+    const dataAgeMinutes = lastUpdated ? Math.round((now - new Date(lastUpdated).getTime()) / 60000) : null;
+    const circuit = defillamaClient.getState().circuit;
+    
+    const reasons = [];
+    if (dataAgeMinutes === null || dataAgeMinutes > STALE_AFTER_HOURS * 60) reasons.push('stale_data');
+    if (lastRun && lastRun.status === 'failed') reasons.push('last_run_failed');
+    if (circuit !== 'closed') reasons.push('upstream_circuit_open');
+    
+    res.json({
+        status: reasons.length > 0 ? 'degraded' : 'healthy',
+        reasons,
+        timestamp: clock.date().toISOString(),
+        poolsCount: pools.length,
+        stalePools: pools.filter(pool => getPoolFreshness(pool, now).is_stale).length,
+        lastUpdated: lastUpdated,
+        dataAgeMinutes,
+        lastRun,
+        upstream: { defillama: circuit },
+        uptime: process.uptime()
+    });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+    try {
+        res.set('Content-Type', metrics.contentType);
+        res.send(metrics.render());
+    } catch (error) {
+        console.error('Error in /metrics:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Serve static files
+app.use(express.static('public'));
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    console.error('Unhandled error:', err);
+    res.status(500).json({ 
+        success: false, 
+        error: 'Internal server error' 
+    });
+});
+
+// Initialize and start server
+async function startServer() {
+    try {
+        // Load cached data on startup
+        cachedPools = loadCachedPools();
+        
+        // Initial data update if no cached data
+        if (cachedPools.length === 0) {
+            console.log('No cached data found, starting initial data fetch...');
+            await startRefreshJob({ trigger: 'startup' }).done;
+        }
+        
+        // Restore the rolling cursor so a restart picks up where it left off
+        getLastProcessedIndex();
+        
+        // Schedule rolling updates - each tick scores the next slice of the universe
+        cron.schedule(UPDATE_CRON, () => {
+            const { job, started } = startRefreshJob({ trigger: 'schedule' });
+            if (started) {
+                logger.info('Scheduled update starting', { run_id: job.id });
+            } else {
+                logger.warn('Scheduled update skipped, previous run still in progress', { run_id: job.id });
+            }
+        });
+        
+        // Start the server
+        app.listen(PORT, () => {
+            console.log(`\n🚀 DeFi Pool Health Analyzer started!`);
+            console.log(`   📊 Server running on port ${PORT}`);
+            console.log(`   💾 ${cachedPools.length} pools loaded`);
+            console.log(`   ⛓️ Chains: ${SUPPORTED_CHAINS.join(', ')}`);
+            console.log(`   📅 Last updated: ${lastUpdated ? lastUpdated.toLocaleString() : 'Never'}`);
+            console.log(`   🔐 API auth: ${API_AUTH}, CORS: ${CORS_ORIGINS === true ? 'any origin' : CORS_ORIGINS.join(', ')}, trust proxy: ${TRUST_PROXY === false ? 'none (set TRUST_PROXY behind a proxy)' : TRUST_PROXY}`);
+            if (API_AUTH !== 'off' && !process.env.ADMIN_API_KEY && !apiKeyStore.list().some(key => key.active && key.role === 'admin')) {
+                console.log(`   ⚠️ No admin key configured - set ADMIN_API_KEY to manage keys, alerts and refreshes`);
+            }
+            console.log(`   🔄 Rolling updates: ${POOLS_PER_RUN} pools per tick (${UPDATE_CRON}), resuming at index ${schedulerState.index}`);
+            console.log(`\n📍 API Endpoints:`);
+            console.log(`   GET  /api/pools     - Filtered pools (&sort=tvl:asc, &minApr=, &maxTvl=, &token=, &dataQuality=, &offset= or &cursor=, &fields=)`);
+            console.log(`   GET  /api/export?format=csv|jsonl|xlsx - Stream filtered pools (&columns=, &history=true)`);
+            console.log(`   GET  /api/pools/:id/explain - Score explanation and sensitivity`);
+            console.log(`   GET  /api/pools/:id/score-history - Score history`);
+            console.log(`   GET  /api/pools/:id/events - Incidents and governance events for the pool's protocol and tokens`);
+            console.log(`   GET  /api/compare?ids=a,b - Compare pools side by side`);
+            console.log(`   GET  /api/trending  - TVL flows, APR trend, volume spikes and score movers (&signal=, &window=1|7|30)`);
+            console.log(`   POST /api/optimize  - Recommended allocation for a budget and risk tolerance`);
+            console.log(`   GET  /api/protocols - Protocol registry (GET /:id/events for incidents and governance)`);
+            console.log(`   GET  /api/scoring-profiles - Scoring profiles (use ?profile= on /api/pools)`);
+            console.log(`   GET  /api/stablecoins - Stablecoin peg status and exposure`);
+            console.log(`   *    /api/alerts    - Alert rules (GET/POST, GET/PUT/DELETE /:id, POST /:id/test, GET /deliveries)`);
+            console.log(`   GET  /api/portfolio - LP positions with PnL and portfolio health (POST/PUT/DELETE /positions)`);
+            console.log(`   GET  /api/stats     - Get system statistics`);
+            console.log(`   POST /api/refresh   - Manual data refresh (all or { poolIds }), returns a job id`);
+            console.log(`   *    /api/jobs      - Refresh jobs (GET, GET/DELETE /:id)`);
+            console.log(`   GET  /api/events    - Live refresh progress, pool updates and alerts (Server-Sent Events)`);
+            console.log(`   *    /api/keys      - API keys (GET/POST, GET/DELETE /:id), admin only`);
+            console.log(`   GET  /api/health    - Health check (degraded when data is stale or the last run failed)`);
+            console.log(`   GET  /metrics       - Prometheus metrics\n`);
+        });
+        
+    } catch (error) {
+        console.error('❌ Failed to start server:', error.message);
+        process.exit(1);
+    }
+}
+
+// Start the application when run directly; requiring app.js (e.g. from tests) has no side effects
+if (require.main === module) {
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\n🛑 Shutting down gracefully...');
+        process.exit(0);
+    });
+    
+    process.on('SIGTERM', () => {
+        console.log('\n🛑 SIGTERM received, shutting down gracefully...');
+        process.exit(0);
+    });
+    
+    startServer();
+}
+
+module.exports = {
+    app,
+    startServer,
+    updatePoolData,
+    startRefreshJob,
+    processPoolDataEnhanced,
+    mergeScoredPools
+};
@@ -0,0 +1,226 @@
+// lib/alertChannels.js - Notification channels for triggered alerts (webhook, Slack, SMTP email)
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const CHANNEL_TYPES = ['webhook', 'slack', 'email'];
+const DELIVERY_TIMEOUT = 10000;
+
+// Webhook URLs come from API users, so by default they may only reach public addresses - otherwise a rule
+// could make the server post to its own network (cloud metadata, internal services). Set
+// ALERT_ALLOW_PRIVATE_WEBHOOKS=true for receivers on a private network
+const allowsPrivateWebhooks = env => env.ALERT_ALLOW_PRIVATE_WEBHOOKS === 'true';
+
+const PRIVATE_IPV4_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+];
+// IPv6 ranges with an embedded IPv4 address (mapped, compatible, NAT64, 6to4) are checked by that address instead
+const PRIVATE_IPV6_RANGES = [
+    ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+];
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+PRIVATE_IPV4_RANGES.forEach(([base, bits]) => PRIVATE_ADDRESSES.addSubnet(base, bits, 'ipv4'));
+PRIVATE_IPV6_RANGES.forEach(([base, bits]) => PRIVATE_ADDRESSES.addSubnet(base, bits, 'ipv6'));
+
+function ipv4ToInt(address) {
+    return address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+const hextetsToIpv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+
+// The eight 16-bit groups of an IPv6 address, with '::' expanded and a dotted IPv4 tail converted
+function ipv6Hextets(address) {
+    let text = address;
+    const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const value = ipv4ToInt(dotted[1]);
+        text = `${text.slice(0, -dotted[1].length)}${Math.floor(value / 65536).toString(16)}:${(value % 65536).toString(16)}`;
+    }
+    const parse = part => (part ? part.split(':').map(hextet => parseInt(hextet, 16)) : []);
+    const [head, tail] = text.split('::');
+    if (tail === undefined) return parse(head);
+    const start = parse(head);
+    const end = parse(tail);
+    return [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+// The IPv4 address an IPv6 one stands for, or null. URL parsing rewrites [::ffff:127.0.0.1] as [::ffff:7f00:1],
+// so the hex forms have to be recognised as well as the dotted ones
+function embeddedIpv4(address) {
+    const h = ipv6Hextets(address);
+    const zeros = (from, to) => h.slice(from, to).every(hextet => hextet === 0);
+    // IPv4-compatible ::a.b.c.d and IPv4-mapped ::ffff:a.b.c.d
+    if (zeros(0, 5) && (h[5] === 0 || h[5] === 0xffff)) return hextetsToIpv4(h[6], h[7]);
+    // IPv4-translated ::ffff:0:a.b.c.d
+    if (zeros(0, 4) && h[4] === 0xffff && h[5] === 0) return hextetsToIpv4(h[6], h[7]);
+    // NAT64 64:ff9b::a.b.c.d
+    if (h[0] === 0x64 && h[1] === 0xff9b && zeros(2, 6)) return hextetsToIpv4(h[6], h[7]);
+    // 6to4 2002:aabb:ccdd::
+    if (h[0] === 0x2002) return hextetsToIpv4(h[1], h[2]);
+    return null;
+}
+
+// Loopback, private, link-local, shared, multicast and reserved addresses, in any of the IPv6 forms that carry one
+function isPrivateAddress(address) {
+    const host = address.replace(/^\[|\]$/g, '').replace(/%.*$/, '').toLowerCase();
+    if (net.isIPv4(host)) return PRIVATE_ADDRESSES.check(host, 'ipv4');
+    if (!net.isIPv6(host)) return false;
+    const ipv4 = embeddedIpv4(host);
+    return ipv4 ? PRIVATE_ADDRESSES.check(ipv4, 'ipv4') : PRIVATE_ADDRESSES.check(host, 'ipv6');
+}
+
+// dns.lookup that fails for private addresses; used by the delivery agents so the check happens at connect time
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+        callback(null, address, family);
+    });
+}
+
+// An http(s) agent that only connects to public addresses. Host names go through publicOnlyLookup; IP literals
+// never reach a lookup, so they are checked before the socket is opened
+function createPublicOnlyAgent(Agent) {
+    const agent = new Agent({ lookup: publicOnlyLookup });
+    const createConnection = agent.createConnection;
+    agent.createConnection = function (options, callback) {
+        const host = String(options.host || '').replace(/^\[|\]$/g, '');
+        if (net.isIP(host) && isPrivateAddress(host)) {
+            callback(new Error(`${host} is a private address`));
+            return undefined;
+        }
+        return createConnection.call(this, options, callback);
+    };
+    return agent;
+}
+
+// Why a channel URL can't be delivered to, or null
+function checkChannelUrl(url, env = process.env) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'must be an http(s) URL';
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return 'must be an http(s) URL';
+    if (!allowsPrivateWebhooks(env) && (parsed.hostname === 'localhost' || parsed.hostname.endsWith('.localhost') || isPrivateAddress(parsed.hostname))) {
+        return 'must not point at a private or loopback address';
+    }
+    return null;
+}
+
+function validateChannel(channel, index, env = process.env) {
+    const label = `channels[${index}]`;
+    if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+        return [`${label}.type must be one of ${CHANNEL_TYPES.join(', ')}`];
+    }
+    if (channel.type === 'email') {
+        const recipients = [].concat(channel.to || []);
+        if (recipients.length === 0 || recipients.some(to => typeof to !== 'string' || !to.includes('@'))) {
+            return [`${label}.to must be an email address or a list of them`];
+        }
+        return [];
+    }
+    if (typeof channel.url !== 'string') {
+        return [`${label}.url must be an http(s) URL`];
+    }
+    const problem = checkChannelUrl(channel.url, env);
+    return problem ? [`${label}.url ${problem}`] : [];
+}
+
+// Where a delivery went, without leaking webhook secrets into the delivery log
+function describeTarget(channel) {
+    if (channel.type === 'email') return [].concat(channel.to).join(', ');
+    try {
+        const url = new URL(channel.url);
+        return `${url.protocol}//${url.host}`;
+    } catch (error) {
+        return 'invalid-url';
+    }
+}
+
+function formatAlertText(alert) {
+    return `🚨 ${alert.ruleName}: ${alert.message}`;
+}
+
+function createAlertChannels(env = process.env) {
+    let mailTransport = null;
+    // Redirects are not followed: a public receiver could otherwise bounce the post to a private address
+    const httpOptions = allowsPrivateWebhooks(env)
+        ? { timeout: DELIVERY_TIMEOUT }
+        : {
+            timeout: DELIVERY_TIMEOUT,
+            maxRedirects: 0,
+            httpAgent: createPublicOnlyAgent(http.Agent),
+            httpsAgent: createPublicOnlyAgent(https.Agent)
+        };
+
+    // Checked again on every send, for rules saved before the URL check existed
+    async function post(url, payload) {
+        const problem = checkChannelUrl(url, env);
+        if (problem) throw new Error(`Webhook URL ${problem}`);
+        await axios.post(url, payload, httpOptions);
+    }
+
+    // nodemailer is only loaded once an email channel is actually used
+    function getMailTransport() {
+        if (!env.SMTP_HOST) {
+            throw new Error('SMTP is not configured (set SMTP_HOST)');
+        }
+        if (!mailTransport) {
+            const nodemailer = require('nodemailer');
+            const port = parseInt(env.SMTP_PORT, 10) || 587;
+            mailTransport = nodemailer.createTransport({
+                host: env.SMTP_HOST,
+                port,
+                secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+                auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+            });
+        }
+        return mailTransport;
+    }
+
+    const senders = {
+        async webhook(channel, alert) {
+            await post(channel.url, { event: 'pool_alert', alert });
+        },
+
+        // Slack incoming webhooks (and compatible ones like Mattermost) take a plain text payload
+        async slack(channel, alert) {
+            await post(channel.url, { text: formatAlertText(alert) });
+        },
+
+        async email(channel, alert) {
+            await getMailTransport().sendMail({
+                from: env.SMTP_FROM || env.SMTP_USER,
+                to: [].concat(channel.to).join(', '),
+                subject: `[DeFi Pool Analyzer] ${alert.ruleName}`,
+                text: `${alert.message}\n\nPool: ${alert.pool.token_pair} (${alert.pool.platform}, ${alert.pool.chain})\nPool ID: ${alert.pool.pool_id}\nTriggered at: ${alert.triggeredAt}`
+            });
+        }
+    };
+
+    return {
+        async send(channel, alert) {
+            return senders[channel.type](channel, alert);
+        }
+    };
+}
+
+module.exports = {
+    CHANNEL_TYPES,
+    isPrivateAddress,
+    publicOnlyLookup,
+    createPublicOnlyAgent,
+    checkChannelUrl,
+    validateChannel,
+    describeTarget,
+    formatAlertText,
+    createAlertChannels
+};
@@ -0,0 +1,364 @@
+// lib/alerts.js - Alert rules over scored pools, evaluated at the end of each update run
+const fs = require('fs');
+const crypto = require('crypto');
+const { SNAPSHOT_FIELDS } = require('./scoreHistory');
+const { validateChannel, describeTarget } = require('./alertChannels');
+const { logger } = require('./logger');
+
+const ALERT_RULES_FILE = process.env.ALERT_RULES_FILE || './alert_rules.json';
+const ALERT_DELIVERY_LOG_FILE = process.env.ALERT_DELIVERY_LOG_FILE || './alert_deliveries.jsonl';
+
+const RULE_TYPES = ['threshold', 'change', 'category_change'];
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const DELIVERY_ATTEMPTS = 2;
+
+// Numeric fields that are also kept in score history, so change rules have a baseline
+const ALERT_METRICS = SNAPSHOT_FIELDS.filter(field => field !== 'scoring_profile');
+
+const OPERATORS = {
+    lt: (a, b) => a < b,
+    lte: (a, b) => a <= b,
+    gt: (a, b) => a > b,
+    gte: (a, b) => a >= b
+};
+
+const OPERATOR_LABELS = { lt: 'below', lte: 'at or below', gt: 'above', gte: 'at or above' };
+
+function validateAlertRule(rule) {
+    const errors = [];
+    if (!rule || typeof rule !== 'object') return ['rule must be an object'];
+
+    if (typeof rule.name !== 'string' || !rule.name.trim()) errors.push('"name" is required');
+    if (rule.poolId !== undefined && rule.poolId !== null && typeof rule.poolId !== 'string') {
+        errors.push('"poolId" must be a pool id, or null to watch every pool');
+    }
+    if (!RULE_TYPES.includes(rule.type)) errors.push(`"type" must be one of ${RULE_TYPES.join(', ')}`);
+
+    if (rule.type === 'threshold') {
+        if (!ALERT_METRICS.includes(rule.metric)) errors.push(`"metric" must be one of ${ALERT_METRICS.join(', ')}`);
+        if (!OPERATORS[rule.operator]) errors.push(`"operator" must be one of ${Object.keys(OPERATORS).join(', ')}`);
+        if (typeof rule.value !== 'number') errors.push('"value" must be a number');
+    } else if (rule.type === 'change') {
+        if (!ALERT_METRICS.includes(rule.metric)) errors.push(`"metric" must be one of ${ALERT_METRICS.join(', ')}`);
+        if (!['up', 'down', 'any'].includes(rule.direction)) errors.push('"direction" must be up, down or any');
+        if (typeof rule.percent !== 'number' || rule.percent <= 0) errors.push('"percent" must be a positive number');
+        if (typeof rule.windowHours !== 'number' || rule.windowHours <= 0) errors.push('"windowHours" must be a positive number');
+    }
+
+    if (rule.cooldownMinutes !== undefined && (typeof rule.cooldownMinutes !== 'number' || rule.cooldownMinutes < 0)) {
+        errors.push('"cooldownMinutes" must be a non-negative number');
+    }
+    if (!Array.isArray(rule.channels) || rule.channels.length === 0) {
+        errors.push('"channels" must be a non-empty array');
+    } else {
+        rule.channels.forEach((channel, index) => errors.push(...validateChannel(channel, index)));
+    }
+
+    return errors;
+}
+
+// Only the fields a rule is made of - anything else in a request body is dropped
+function normalizeRule(input) {
+    const rule = {
+        name: input.name.trim(),
+        poolId: input.poolId || null,
+        type: input.type,
+        enabled: input.enabled !== false,
+        cooldownMinutes: input.cooldownMinutes !== undefined ? input.cooldownMinutes : DEFAULT_COOLDOWN_MINUTES,
+        channels: input.channels
+    };
+    if (input.type === 'threshold') {
+        Object.assign(rule, { metric: input.metric, operator: input.operator, value: input.value });
+    } else if (input.type === 'change') {
+        Object.assign(rule, { metric: input.metric, direction: input.direction, percent: input.percent, windowHours: input.windowHours });
+    }
+    return rule;
+}
+
+function formatValue(metric, value) {
+    if (typeof value !== 'number') return String(value);
+    if (metric === 'tvl' || metric === 'volume_24h') return `$${Math.round(value).toLocaleString('en-US')}`;
+    return (Math.round(value * 100) / 100).toString();
+}
+
+// Whether the rule's condition holds for one pool; change rules need the pool's recent score history
+function checkCondition(rule, pool, previousPool, history, now) {
+    if (rule.type === 'threshold') {
+        const value = pool[rule.metric];
+        if (typeof value !== 'number') return null;
+        if (!OPERATORS[rule.operator](value, rule.value)) return null;
+        return {
+            value,
+            message: `${pool.token_pair} ${rule.metric} is ${formatValue(rule.metric, value)}, ${OPERATOR_LABELS[rule.operator]} ${formatValue(rule.metric, rule.value)}`
+        };
+    }
+
+    if (rule.type === 'category_change') {
+        const before = previousPool && previousPool.risk_category ? previousPool.risk_category.label : null;
+        const after = pool.risk_category ? pool.risk_category.label : null;
+        if (!before || !after || before === after) return null;
+        return { value: after, previousValue: before, message: `${pool.token_pair} risk category changed from ${before} to ${after}` };
+    }
+
+    // change: compare against the oldest snapshot inside the window (history stops short of this run's own)
+    const value = pool[rule.metric];
+    if (typeof value !== 'number') return null;
+    const windowStart = now.getTime() - rule.windowHours * 3600000;
+    const baseline = (history.get(pool.pool_id) || []).find(snapshot =>
+        Date.parse(snapshot.recorded_at) >= windowStart && typeof snapshot[rule.metric] === 'number' && snapshot[rule.metric] !== 0
+    );
+    if (!baseline) return null;
+
+    const changePercent = (value / baseline[rule.metric] - 1) * 100;
+    const matches = rule.direction === 'up' ? changePercent >= rule.percent
+        : rule.direction === 'down' ? changePercent <= -rule.percent
+            : Math.abs(changePercent) >= rule.percent;
+    if (!matches) return null;
+
+    return {
+        value,
+        previousValue: baseline[rule.metric],
+        changePercent: Math.round(changePercent * 100) / 100,
+        message: `${pool.token_pair} ${rule.metric} moved ${changePercent.toFixed(1)}% in ${rule.windowHours}h (${formatValue(rule.metric, baseline[rule.metric])} → ${formatValue(rule.metric, value)})`
+    };
+}
+
+function createAlertEngine({ channels, historyStore, rulesFile = ALERT_RULES_FILE, deliveryLogFile = ALERT_DELIVERY_LOG_FILE }) {
+    // state[ruleId][poolId] = { active, lastTriggeredAt } - edge triggering and cooldowns
+    let store = { rules: [], state: {} };
+
+    try {
+        if (fs.existsSync(rulesFile)) {
+            store = { rules: [], state: {}, ...JSON.parse(fs.readFileSync(rulesFile, 'utf8')) };
+        }
+    } catch (error) {
+        console.error('Error loading alert rules:', error.message);
+    }
+
+    function persist() {
+        fs.writeFileSync(rulesFile, JSON.stringify(store, null, 2));
+    }
+
+    function withState(rule) {
+        const poolStates = Object.values(store.state[rule.id] || {});
+        const lastTriggeredAt = poolStates.reduce((latest, s) => (s.lastTriggeredAt && (!latest || s.lastTriggeredAt > latest) ? s.lastTriggeredAt : latest), null);
+        return { ...rule, lastTriggeredAt, activePools: poolStates.filter(s => s.active).length };
+    }
+
+    async function logDelivery(entry) {
+        await fs.promises.appendFile(deliveryLogFile, JSON.stringify(entry) + '\n', 'utf8');
+    }
+
+    // Sends to every channel of the rule, retrying once, and logs each outcome
+    async function deliver(rule, alert, log = logger) {
+        const results = [];
+        for (const channel of rule.channels) {
+            let error = null;
+            let attempts = 0;
+            while (attempts < DELIVERY_ATTEMPTS) {
+                attempts++;
+                try {
+                    await channels.send(channel, alert);
+                    error = null;
+                    break;
+                } catch (err) {
+                    error = err.response ? `HTTP ${err.response.status}` : err.message;
+                }
+            }
+
+            const entry = {
+                id: crypto.randomUUID(),
+                ruleId: rule.id,
+                ruleName: rule.name,
+                poolId: alert.pool.pool_id,
+                channel: channel.type,
+                target: describeTarget(channel),
+                status: error ? 'failed' : 'delivered',
+                error,
+                attempts,
+                message: alert.message,
+                test: Boolean(alert.test),
+                triggeredAt: alert.triggeredAt,
+                loggedAt: new Date().toISOString()
+            };
+            await logDelivery(entry);
+            results.push(entry);
+
+            if (error) log.warn('Alert delivery failed', { rule_id: rule.id, rule: rule.name, channel: channel.type, error });
+        }
+        return results;
+    }
+
+    return {
+        list() {
+            return store.rules.map(withState);
+        },
+
+        get(id) {
+            const rule = store.rules.find(r => r.id === id);
+            return rule ? withState(rule) : null;
+        },
+
+        create(input) {
+            const now = new Date().toISOString();
+            const rule = { id: crypto.randomUUID(), ...normalizeRule(input), createdAt: now, updatedAt: now };
+            store.rules.push(rule);
+            persist();
+            return withState(rule);
+        },
+
+        update(id, input) {
+            const index = store.rules.findIndex(r => r.id === id);
+            if (index < 0) return null;
+            const existing = store.rules[index];
+            store.rules[index] = { id, ...normalizeRule(input), createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+            // A changed condition starts from a clean slate
+            delete store.state[id];
+            persist();
+            return withState(store.rules[index]);
+        },
+
+        remove(id) {
+            const index = store.rules.findIndex(r => r.id === id);
+            if (index < 0) return false;
+            store.rules.splice(index, 1);
+            delete store.state[id];
+            persist();
+            return true;
+        },
+
+        // scoredPools: pools scored this run; previousPools: the cache before they were merged in; log: the run's logger
+        async evaluate(scoredPools, previousPools, now = new Date(), { log = logger } = {}) {
+            let rules = store.rules.filter(rule => rule.enabled);
+            if (rules.length === 0) return [];
+
+            const previousById = new Map(previousPools.map(pool => [pool.pool_id, pool]));
+            const triggered = [];
+
+            // Change rules share one history read per run, covering the longest window any of them looks back
+            let history = new Map();
+            const changeRules = rules.filter(rule => rule.type === 'change');
+            if (changeRules.length > 0) {
+                const longestWindowHours = Math.max(...changeRules.map(rule => rule.windowHours));
+                try {
+                    history = await historyStore.queryMany(scoredPools.map(pool => pool.pool_id), {
+                        from: new Date(now.getTime() - longestWindowHours * 3600000),
+                        to: new Date(now.getTime() - 1)
+                    });
+                } catch (error) {
+                    log.warn('Score history unavailable, skipping change rules', { error });
+                    rules = rules.filter(rule => rule.type !== 'change');
+                }
+            }
+
+            for (const rule of rules) {
+                const pools = rule.poolId ? scoredPools.filter(pool => pool.pool_id === rule.poolId) : scoredPools;
+                const ruleState = store.state[rule.id] || (store.state[rule.id] = {});
+
+                for (const pool of pools) {
+                    let match;
+                    try {
+                        match = checkCondition(rule, pool, previousById.get(pool.pool_id), history, now);
+                    } catch (error) {
+                        log.warn('Alert rule could not be evaluated', { rule_id: rule.id, rule: rule.name, pool_id: pool.pool_id, error });
+                        continue;
+                    }
+
+                    const poolState = ruleState[pool.pool_id] || { active: false, lastTriggeredAt: null };
+                    const wasActive = poolState.active;
+                    poolState.active = Boolean(match);
+                    ruleState[pool.pool_id] = poolState;
+                    if (!match) continue;
+
+                    // Threshold and change rules fire when the condition starts holding, not on every run
+                    if (wasActive && rule.type !== 'category_change') continue;
+                    const cooldownMs = rule.cooldownMinutes * 60000;
+                    if (poolState.lastTriggeredAt && now.getTime() - Date.parse(poolState.lastTriggeredAt) < cooldownMs) continue;
+
+                    poolState.lastTriggeredAt = now.toISOString();
+                    triggered.push({
+                        rule,
+                        alert: {
+                            ruleId: rule.id,
+                            ruleName: rule.name,
+                            type: rule.type,
+                            metric: rule.metric || 'risk_category',
+                            ...match,
+                            pool: {
+                                pool_id: pool.pool_id,
+                                token_pair: pool.token_pair,
+                                platform: pool.platform,
+                                chain: pool.chain,
+                                health_score: pool.health_score,
+                                tvl: pool.tvl
+                            },
+                            triggeredAt: now.toISOString()
+                        }
+                    });
+                }
+            }
+            persist();
+
+            for (const { rule, alert } of triggered) {
+                await deliver(rule, alert, log);
+            }
+            if (triggered.length > 0) {
+                log.info('Alerts triggered', { alerts: triggered.length, rules: [...new Set(triggered.map(t => t.rule.id))].join(',') });
+            }
+            return triggered.map(t => t.alert);
+        },
+
+        // Delivers a sample alert so channel configuration can be checked
+        async sendTest(id, pool) {
+            const rule = store.rules.find(r => r.id === id);
+            if (!rule) return null;
+            const alert = {
+                ruleId: rule.id,
+                ruleName: rule.name,
+                type: rule.type,
+                metric: rule.metric || 'risk_category',
+                message: `Test notification for "${rule.name}"`,
+                test: true,
+                pool: pool ? {
+                    pool_id: pool.pool_id,
+                    token_pair: pool.token_pair,
+                    platform: pool.platform,
+                    chain: pool.chain,
+                    health_score: pool.health_score,
+                    tvl: pool.tvl
+                } : { pool_id: rule.poolId, token_pair: 'n/a', platform: 'n/a', chain: 'n/a', health_score: null, tvl: null },
+                triggeredAt: new Date().toISOString()
+            };
+            return deliver(rule, alert);
+        },
+
+        // Most recent deliveries first
+        async getDeliveries({ ruleId, status, limit = 100 } = {}) {
+            if (!fs.existsSync(deliveryLogFile)) return [];
+            const lines = (await fs.promises.readFile(deliveryLogFile, 'utf8')).split('\n');
+            const entries = [];
+            for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+                if (!lines[i].trim()) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(lines[i]);
+                } catch (error) {
+                    continue;
+                }
+                if (ruleId && entry.ruleId !== ruleId) continue;
+                if (status && entry.status !== status) continue;
+                entries.push(entry);
+            }
+            return entries;
+        }
+    };
+}
+
+module.exports = {
+    ALERT_RULES_FILE,
+    ALERT_DELIVERY_LOG_FILE,
+    RULE_TYPES,
+    ALERT_METRICS,
+    validateAlertRule,
+    createAlertEngine
+};
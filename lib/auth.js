@@ -0,0 +1,276 @@
+// lib/auth.js - API keys with roles, per-key rate limits and usage counters
+const fs = require('fs');
+const crypto = require('crypto');
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || './api_keys.json';
+// off: no checks; admin-only: reads are open, writes and admin routes need an admin key; required: every route needs a key
+const AUTH_MODES = ['off', 'admin-only', 'required'];
+const ROLES = ['read', 'admin'];
+const RATE_LIMIT_WINDOW_MS = 60000;
+const DEFAULT_RATE_LIMITS = {
+    read: parseInt(process.env.READ_KEY_RATE_LIMIT, 10) || 120,
+    admin: parseInt(process.env.ADMIN_KEY_RATE_LIMIT, 10) || 300
+};
+// Requests per minute per IP when no key is sent (admin-only mode)
+const ANONYMOUS_RATE_LIMIT = parseInt(process.env.ANONYMOUS_RATE_LIMIT, 10) || 60;
+const USAGE_FLUSH_MS = 5000;
+
+// Keys are random 256-bit tokens, so a plain SHA-256 is enough to store them safely
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+    return `dpa_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function validateApiKeyInput(input) {
+    const errors = [];
+    if (!input || typeof input !== 'object') return ['key must be an object'];
+    if (typeof input.name !== 'string' || !input.name.trim()) errors.push('"name" is required');
+    if (!ROLES.includes(input.role)) errors.push(`"role" must be one of: ${ROLES.join(', ')}`);
+    if (input.rateLimitPerMinute !== undefined && (!Number.isInteger(input.rateLimitPerMinute) || input.rateLimitPerMinute < 1)) {
+        errors.push('"rateLimitPerMinute" must be a positive integer');
+    }
+    return errors;
+}
+
+// Key record without its hash
+function describeKey(record) {
+    const { hash, ...rest } = record;
+    return { ...rest, active: !record.revokedAt };
+}
+
+function createApiKeyStore(filePath = API_KEYS_FILE) {
+    let keys = [];
+
+    try {
+        if (fs.existsSync(filePath)) {
+            keys = JSON.parse(fs.readFileSync(filePath, 'utf8')).keys || [];
+        }
+    } catch (error) {
+        console.error('Error loading API keys:', error.message);
+    }
+
+    let byHash = new Map(keys.map(record => [record.hash, record]));
+    let flushTimer = null;
+
+    function persist() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        fs.writeFileSync(filePath, JSON.stringify({ keys }, null, 2));
+    }
+
+    return {
+        list() {
+            return keys.map(describeKey);
+        },
+
+        get(id) {
+            const record = keys.find(k => k.id === id);
+            return record ? describeKey(record) : null;
+        },
+
+        // The plaintext key is only ever returned here
+        issue(input) {
+            const key = generateKey();
+            const record = {
+                id: crypto.randomUUID(),
+                name: input.name.trim(),
+                role: input.role,
+                prefix: key.slice(0, 12),
+                hash: hashKey(key),
+                rateLimitPerMinute: input.rateLimitPerMinute || DEFAULT_RATE_LIMITS[input.role],
+                usage: { requests: 0, rateLimited: 0, lastUsedAt: null },
+                createdAt: new Date().toISOString(),
+                revokedAt: null
+            };
+            keys.push(record);
+            byHash.set(record.hash, record);
+            persist();
+            return { key, record: describeKey(record) };
+        },
+
+        revoke(id) {
+            const record = keys.find(k => k.id === id);
+            if (!record) return null;
+            if (!record.revokedAt) {
+                record.revokedAt = new Date().toISOString();
+                persist();
+            }
+            return describeKey(record);
+        },
+
+        // Active key record for a plaintext key, or null
+        verify(key) {
+            if (typeof key !== 'string' || !key) return null;
+            const record = byHash.get(hashKey(key));
+            return record && !record.revokedAt ? record : null;
+        },
+
+        // Counters are written in the background so requests don't wait on the file
+        recordUsage(record, { rateLimited = false } = {}) {
+            record.usage.requests++;
+            if (rateLimited) record.usage.rateLimited++;
+            record.usage.lastUsedAt = new Date().toISOString();
+            if (!flushTimer) {
+                flushTimer = setTimeout(() => {
+                    try {
+                        persist();
+                    } catch (error) {
+                        console.error('Error saving API key usage:', error.message);
+                    }
+                }, USAGE_FLUSH_MS);
+                flushTimer.unref();
+            }
+        },
+
+        flush() {
+            persist();
+        }
+    };
+}
+
+// Fixed one-minute windows per client id
+function createRateLimiter({ windowMs = RATE_LIMIT_WINDOW_MS, now = () => Date.now() } = {}) {
+    const windows = new Map();
+
+    return {
+        hit(clientId, limit) {
+            const time = now();
+            let window = windows.get(clientId);
+            if (!window || time >= window.resetAt) {
+                window = { count: 0, resetAt: time + windowMs };
+                windows.set(clientId, window);
+                // Drop finished windows now and then so idle clients don't pile up
+                if (windows.size > 10000) {
+                    windows.forEach((w, id) => {
+                        if (time >= w.resetAt) windows.delete(id);
+                    });
+                }
+            }
+            window.count++;
+            return {
+                allowed: window.count <= limit,
+                limit,
+                remaining: Math.max(0, limit - window.count),
+                resetAt: window.resetAt
+            };
+        }
+    };
+}
+
+// Admin for key management, alert rules (they hold channel targets) and anything that changes state;
+// read for lookups and calculations
+function requiredRole(req) {
+    const path = req.path;
+    if (path.startsWith('/keys') || path.startsWith('/alerts')) return 'admin';
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return 'read';
+    if (req.method === 'POST' && path === '/optimize') return 'read';
+    return 'admin';
+}
+
+// Key from "Authorization: Bearer", X-API-Key, or ?api_key= (EventSource can't set headers)
+function extractKey(req) {
+    const authorization = req.get('Authorization');
+    if (authorization && authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+    return req.get('X-API-Key') || (typeof req.query.api_key === 'string' ? req.query.api_key : null);
+}
+
+// Express middleware for /api and /metrics. adminKey: bootstrap key from the environment, accepted as admin and never stored
+function createAuthMiddleware({ mode = 'admin-only', store, adminKey = null, limiter = createRateLimiter(), publicPaths = ['/health'] }) {
+    const adminKeyHash = adminKey ? hashKey(adminKey) : null;
+    const bootstrapRecord = { id: 'env-admin', name: 'ADMIN_API_KEY', role: 'admin', rateLimitPerMinute: DEFAULT_RATE_LIMITS.admin };
+
+    function setRateHeaders(res, result) {
+        res.set('X-RateLimit-Limit', String(result.limit));
+        res.set('X-RateLimit-Remaining', String(result.remaining));
+        res.set('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+    }
+
+    function rejectLimited(res, result) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000))));
+        return res.status(429).json({ success: false, error: 'Rate limit exceeded', limit: result.limit });
+    }
+
+    return (req, res, next) => {
+        if (mode === 'off' || publicPaths.includes(req.path)) return next();
+
+        const key = extractKey(req);
+        const role = requiredRole(req);
+        let record = null;
+        if (key) {
+            record = adminKeyHash && hashKey(key) === adminKeyHash ? bootstrapRecord : store.verify(key);
+            if (!record) {
+                return res.status(401).json({ success: false, error: 'Invalid or revoked API key' });
+            }
+        }
+
+        if (!record) {
+            if (mode === 'required' || role === 'admin') {
+                return res.status(401).json({ success: false, error: 'API key required (Authorization: Bearer <key> or X-API-Key)' });
+            }
+            const result = limiter.hit(`ip:${req.ip}`, ANONYMOUS_RATE_LIMIT);
+            setRateHeaders(res, result);
+            return result.allowed ? next() : rejectLimited(res, result);
+        }
+
+        if (role === 'admin' && record.role !== 'admin') {
+            return res.status(403).json({ success: false, error: 'This endpoint requires an admin key' });
+        }
+
+        const result = limiter.hit(`key:${record.id}`, record.rateLimitPerMinute);
+        setRateHeaders(res, result);
+        if (record !== bootstrapRecord) store.recordUsage(record, { rateLimited: !result.allowed });
+        if (!result.allowed) return rejectLimited(res, result);
+
+        req.apiKey = { id: record.id, name: record.name, role: record.role };
+        next();
+    };
+}
+
+// API_AUTH: one of AUTH_MODES, admin-only when unset. Anything else fails startup rather than guessing a mode
+function parseAuthMode(value) {
+    if (value === undefined || value === '') return 'admin-only';
+    if (!AUTH_MODES.includes(value)) {
+        throw new Error(`API_AUTH must be one of ${AUTH_MODES.join(', ')} (got "${value}")`);
+    }
+    return value;
+}
+
+// TRUST_PROXY: Express's "trust proxy" setting. Anonymous rate limits are keyed on req.ip, which behind a proxy
+// (Railway, a load balancer) is the proxy's address unless that proxy is trusted to report the client's.
+// Unset or "false" trusts nothing; a number trusts that many hops ("1" behind a single proxy); "true" trusts
+// every hop, which lets clients choose their own X-Forwarded-For; otherwise a comma-separated list of
+// addresses, subnets or loopback/linklocal/uniquelocal
+function parseTrustProxy(value) {
+    const trimmed = (value || '').trim();
+    if (trimmed === '' || trimmed === 'false') return false;
+    if (trimmed === 'true') return true;
+    if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+    return trimmed.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// CORS_ORIGINS: comma-separated allowlist; unset or "*" allows any origin
+function parseCorsOrigins(value) {
+    if (!value || value.trim() === '*') return true;
+    return value.split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+module.exports = {
+    API_KEYS_FILE,
+    AUTH_MODES,
+    ROLES,
+    DEFAULT_RATE_LIMITS,
+    hashKey,
+    validateApiKeyInput,
+    createApiKeyStore,
+    createRateLimiter,
+    requiredRole,
+    createAuthMiddleware,
+    parseAuthMode,
+    parseTrustProxy,
+    parseCorsOrigins
+};
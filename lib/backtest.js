@@ -0,0 +1,219 @@
+// lib/backtest.js - Replays the scoring model over historical chart data and
+// measures what actually happened to each pool afterwards
+const { getProfileKey } = require('./scoringProfiles');
+const { scoringProfiles, calculateHealthScore, categorizeRisk, assessProtocolRisk } = require('./scoring');
+const { cleanPoolChart } = require('./dataQuality');
+
+const DAY_SECONDS = 86400;
+
+const DEFAULT_BACKTEST_OPTIONS = {
+    horizons: [30, 90],       // Forward windows in days
+    stepDays: 30,             // Days between as-of dates for each pool
+    minHistoryDays: 30,       // Don't score before a pool has this much history
+    maxHistory: 730,          // Same lookback as the live pipeline
+    drawdownThreshold: 0.5,   // Forward TVL drawdown counted as an adverse event
+    aprCollapseRatio: 0.5,    // Forward APR below this share of trailing APR is a collapse
+    deadTvlUsd: 10000         // Pools ending below this TVL (or whose series stops) are dead
+};
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+// Average ranks, ties share the mean of their positions
+function rankValues(values) {
+    const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+    const ranks = new Array(values.length);
+    let i = 0;
+    while (i < order.length) {
+        let j = i;
+        while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+        const rank = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k++) ranks[order[k].index] = rank;
+        i = j + 1;
+    }
+    return ranks;
+}
+
+function pearsonCorrelation(xs, ys) {
+    if (xs.length < 3) return null;
+    const meanX = mean(xs);
+    const meanY = mean(ys);
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < xs.length; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += Math.pow(xs[i] - meanX, 2);
+        varianceY += Math.pow(ys[i] - meanY, 2);
+    }
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+function spearmanCorrelation(xs, ys) {
+    return pearsonCorrelation(rankValues(xs), rankValues(ys));
+}
+
+// Scores a pool using only chart points up to and including endIndex
+function scorePoolAsOf(pool, chart, endIndex, profile, options = DEFAULT_BACKTEST_OPTIONS) {
+    const start = Math.max(0, endIndex + 1 - options.maxHistory);
+    const tvlHistory = chart.tvl.slice(start, endIndex + 1).map(h => h.tvl || 0);
+    const aprHistory = chart.apy.slice(start, endIndex + 1).map(h => h.apy || 0);
+    const volumePoint = chart.volume ? chart.volume[endIndex] : null;
+
+    const tvl = tvlHistory[tvlHistory.length - 1];
+    const volume24h = volumePoint ? volumePoint.volume || 0 : 0;
+
+    // Note: protocol security comes from today's registry, so it carries some hindsight
+    const healthData = calculateHealthScore({
+        tvl,
+        volume24h,
+        aprHistory,
+        tvlHistory,
+        protocolRisk: assessProtocolRisk(pool.project, pool.chain),
+        tokenPair: pool.symbol,
+        platform: pool.project,
+        chain: pool.chain
+    }, profile);
+
+    return {
+        score: healthData.totalScore,
+        riskCategory: categorizeRisk(healthData.totalScore, profile).label,
+        tvl
+    };
+}
+
+// Forward outcome over horizonDays, or null when the window runs past the data
+function measureForwardOutcome(chart, endIndex, horizonDays, datasetEnd, options = DEFAULT_BACKTEST_OPTIONS) {
+    const asOf = chart.tvl[endIndex].date;
+    const horizonEnd = asOf + horizonDays * DAY_SECONDS;
+    if (horizonEnd > datasetEnd) return null;
+
+    const startTvl = chart.tvl[endIndex].tvl || 0;
+    if (startTvl <= 0) return null;
+
+    const forwardIndexes = [];
+    for (let i = endIndex + 1; i < chart.tvl.length && chart.tvl[i].date <= horizonEnd; i++) {
+        forwardIndexes.push(i);
+    }
+
+    const lastDate = chart.tvl[chart.tvl.length - 1].date;
+    const seriesStopped = lastDate < horizonEnd - 7 * DAY_SECONDS;
+    const forwardTvls = forwardIndexes.map(i => chart.tvl[i].tvl || 0);
+    const endTvl = forwardTvls.length > 0 ? forwardTvls[forwardTvls.length - 1] : 0;
+
+    const maxDrawdown = forwardTvls.length > 0 ? Math.max(0, 1 - Math.min(...forwardTvls) / startTvl) : 1;
+
+    const trailingApr = mean(chart.apy.slice(Math.max(0, endIndex - 29), endIndex + 1).map(h => h.apy || 0));
+    const forwardApr = mean(forwardIndexes.slice(-7).map(i => (chart.apy[i] && chart.apy[i].apy) || 0));
+
+    const died = seriesStopped || endTvl < options.deadTvlUsd;
+    const drawdownEvent = maxDrawdown >= options.drawdownThreshold;
+    const aprCollapse = trailingApr > 0 && forwardApr < trailingApr * options.aprCollapseRatio;
+
+    return {
+        tvlChange: endTvl / startTvl - 1,
+        maxDrawdown,
+        drawdownEvent,
+        aprCollapse,
+        died,
+        adverse: died || drawdownEvent || aprCollapse
+    };
+}
+
+function summarizeCategory(observations) {
+    const rate = key => observations.filter(o => o.outcome[key]).length / observations.length;
+    return {
+        observations: observations.length,
+        averageScore: mean(observations.map(o => o.score)),
+        adverseRate: rate('adverse'),
+        drawdownRate: rate('drawdownEvent'),
+        aprCollapseRate: rate('aprCollapse'),
+        deathRate: rate('died'),
+        meanTvlChange: mean(observations.map(o => o.outcome.tvlChange)),
+        meanMaxDrawdown: mean(observations.map(o => o.outcome.maxDrawdown))
+    };
+}
+
+// series: [{ pool: DefiLlama pool metadata, chart: output of parseChartResponse() }]
+function runBacktest(series, options = {}) {
+    const settings = { ...DEFAULT_BACKTEST_OPTIONS, ...options };
+    const profile = settings.profile || scoringProfiles.defaultProfile;
+
+    // Charts are cleaned as in the live pipeline, so missing points and date gaps don't read as TVL crashes
+    const usable = series
+        .filter(s => s.chart && Array.isArray(s.chart.tvl) && Array.isArray(s.chart.apy))
+        .map(s => ({ pool: s.pool, chart: cleanPoolChart(s.chart).chart }))
+        .filter(s => s.chart.tvl.length > 0);
+    const datasetEnd = usable.reduce((latest, s) => Math.max(latest, s.chart.tvl[s.chart.tvl.length - 1].date), 0);
+
+    const observationsByHorizon = {};
+    settings.horizons.forEach(h => { observationsByHorizon[h] = []; });
+
+    usable.forEach(({ pool, chart }) => {
+        for (let end = settings.minHistoryDays - 1; end < chart.tvl.length; end += settings.stepDays) {
+            const scored = scorePoolAsOf(pool, chart, end, profile, settings);
+
+            settings.horizons.forEach(horizon => {
+                const outcome = measureForwardOutcome(chart, end, horizon, datasetEnd, settings);
+                if (!outcome) return;
+                observationsByHorizon[horizon].push({
+                    poolId: pool.pool,
+                    asOf: new Date(chart.tvl[end].date * 1000).toISOString().slice(0, 10),
+                    score: scored.score,
+                    riskCategory: scored.riskCategory,
+                    outcome
+                });
+            });
+        }
+    });
+
+    const horizons = {};
+    settings.horizons.forEach(horizon => {
+        const observations = observationsByHorizon[horizon];
+        const scores = observations.map(o => o.score);
+        const byCategory = {};
+
+        profile.riskCategories.forEach(category => {
+            const matching = observations.filter(o => o.riskCategory === category.label);
+            if (matching.length > 0) byCategory[category.label] = summarizeCategory(matching);
+        });
+
+        horizons[`${horizon}d`] = {
+            observations: observations.length,
+            // Positive for TVL change, negative for drawdown/adverse if the score is predictive
+            rankCorrelation: {
+                scoreVsTvlChange: spearmanCorrelation(scores, observations.map(o => o.outcome.tvlChange)),
+                scoreVsMaxDrawdown: spearmanCorrelation(scores, observations.map(o => o.outcome.maxDrawdown)),
+                scoreVsAdverse: spearmanCorrelation(scores, observations.map(o => (o.outcome.adverse ? 1 : 0)))
+            },
+            overall: observations.length > 0 ? summarizeCategory(observations) : null,
+            byRiskCategory: byCategory
+        };
+    });
+
+    return {
+        profile: getProfileKey(profile),
+        pools: usable.length,
+        datasetEnd: datasetEnd > 0 ? new Date(datasetEnd * 1000).toISOString() : null,
+        options: {
+            horizons: settings.horizons,
+            stepDays: settings.stepDays,
+            minHistoryDays: settings.minHistoryDays,
+            drawdownThreshold: settings.drawdownThreshold,
+            aprCollapseRatio: settings.aprCollapseRatio,
+            deadTvlUsd: settings.deadTvlUsd
+        },
+        horizons
+    };
+}
+
+module.exports = {
+    DEFAULT_BACKTEST_OPTIONS,
+    rankValues,
+    spearmanCorrelation,
+    scorePoolAsOf,
+    measureForwardOutcome,
+    runBacktest
+};
@@ -0,0 +1,83 @@
+// lib/chains.js - Chain configuration and chain-aware token normalization
+const DEFAULT_CHAINS = ['Ethereum', 'Arbitrum', 'Base', 'Optimism', 'Polygon', 'BSC'];
+
+// Chain maturity scales protocol security scores - a protocol deployed on a young
+// chain inherits that chain's shorter track record and extra bridge/sequencer risk
+const CHAIN_PROFILES = {
+    'Ethereum': { securityFactor: 1.0, launched: '2015-07-30', type: 'L1', coinsId: 'ethereum' },
+    'Arbitrum': { securityFactor: 0.95, launched: '2021-08-31', type: 'L2', coinsId: 'arbitrum' },
+    'Optimism': { securityFactor: 0.94, launched: '2021-12-16', type: 'L2', coinsId: 'optimism' },
+    'Polygon': { securityFactor: 0.9, launched: '2020-05-30', type: 'sidechain', coinsId: 'polygon' },
+    'Base': { securityFactor: 0.88, launched: '2023-08-09', type: 'L2', coinsId: 'base' },
+    'BSC': { securityFactor: 0.85, launched: '2020-09-01', type: 'L1', coinsId: 'bsc' },
+    'default': { securityFactor: 0.8, launched: null, type: 'unknown', coinsId: null }
+};
+
+// Bridged and chain-specific token symbols mapped to the canonical asset they track
+const TOKEN_ALIASES = {
+    'usdc.e': { canonical: 'usdc', bridged: true },
+    'usdbc': { canonical: 'usdc', bridged: true },
+    'axlusdc': { canonical: 'usdc', bridged: true },
+    'usdt.e': { canonical: 'usdt', bridged: true },
+    'axlusdt': { canonical: 'usdt', bridged: true },
+    'dai.e': { canonical: 'dai', bridged: true },
+    'weth.e': { canonical: 'weth', bridged: true },
+    'wbtc.e': { canonical: 'wbtc', bridged: true },
+    'btcb': { canonical: 'wbtc', bridged: true },
+    'usdc': { canonical: 'usdc', bridged: false },
+    'usdt': { canonical: 'usdt', bridged: false },
+    'dai': { canonical: 'dai', bridged: false }
+};
+
+// On BSC the "native-looking" majors are Binance-pegged bridged assets
+const CHAIN_BRIDGED_SYMBOLS = {
+    'BSC': ['usdc', 'usdt', 'eth', 'dai']
+};
+
+function getSupportedChains(env = process.env) {
+    if (!env.SUPPORTED_CHAINS) return DEFAULT_CHAINS;
+    return env.SUPPORTED_CHAINS.split(',').map(chain => chain.trim()).filter(Boolean);
+}
+
+// Chains whose pools are ingested, from SUPPORTED_CHAINS (comma-separated DefiLlama chain names)
+const SUPPORTED_CHAINS = getSupportedChains();
+
+function getChainProfile(chain) {
+    return CHAIN_PROFILES[chain] || CHAIN_PROFILES['default'];
+}
+
+function normalizeToken(symbol, chain) {
+    const lower = (symbol || '').trim().toLowerCase();
+    const alias = TOKEN_ALIASES[lower];
+    const canonical = alias ? alias.canonical : lower;
+    const chainBridged = (CHAIN_BRIDGED_SYMBOLS[chain] || []).includes(lower);
+    return {
+        symbol: lower,
+        canonical,
+        bridged: (alias ? alias.bridged : false) || chainBridged
+    };
+}
+
+// DefiLlama coins API id ("ethereum:0xa0b8...") for a token address on a chain
+function getCoinId(chain, address) {
+    const profile = CHAIN_PROFILES[chain];
+    if (!profile || !profile.coinsId || !address) return null;
+    return `${profile.coinsId}:${address.toLowerCase()}`;
+}
+
+// Splits a DefiLlama pool symbol ("USDC.E-WETH") into normalized tokens
+function parseTokenPair(tokenPair, chain) {
+    if (!tokenPair) return [];
+    return tokenPair.split('-').map(token => normalizeToken(token, chain));
+}
+
+module.exports = {
+    DEFAULT_CHAINS,
+    CHAIN_PROFILES,
+    SUPPORTED_CHAINS,
+    getSupportedChains,
+    getChainProfile,
+    getCoinId,
+    normalizeToken,
+    parseTokenPair
+};
@@ -0,0 +1,40 @@
+// lib/clock.js - Injectable time source, so a recorded ingestion run replays with identical timestamps
+const { getFixtureConfig, readManifest, writeManifest } = require('./fixtures');
+
+function createClock(fixedTime = null) {
+    if (fixedTime === null) {
+        return { fixed: false, now: () => Date.now(), date: () => new Date() };
+    }
+    return { fixed: true, now: () => fixedTime, date: () => new Date(fixedTime) };
+}
+
+// CLOCK_FIXED_TIME pins the clock explicitly. Otherwise recording pins it to the moment the
+// process started (so time-dependent URLs match on replay) and replay reuses that moment
+function resolveFixedTime(env = process.env) {
+    const fixtures = getFixtureConfig(env);
+    let fixed = null;
+
+    if (env.CLOCK_FIXED_TIME) {
+        fixed = Date.parse(env.CLOCK_FIXED_TIME);
+        if (Number.isNaN(fixed)) throw new Error(`CLOCK_FIXED_TIME is not a valid date: ${env.CLOCK_FIXED_TIME}`);
+    } else if (fixtures.mode === 'replay') {
+        const manifest = readManifest(fixtures.dir);
+        if (!manifest) throw new Error(`No fixture manifest in ${fixtures.dir}; record one with DEFILLAMA_MODE=record`);
+        fixed = Date.parse(manifest.recordedAt);
+    } else if (fixtures.mode === 'record') {
+        fixed = Date.now();
+    }
+
+    if (fixtures.mode === 'record') {
+        writeManifest(fixtures.dir, { recordedAt: new Date(fixed).toISOString() });
+    }
+    return fixed;
+}
+
+const clock = createClock(resolveFixedTime());
+
+module.exports = {
+    createClock,
+    resolveFixedTime,
+    clock
+};
@@ -0,0 +1,126 @@
+// lib/comparison.js - Side-by-side comparison of scored pools on a shared date axis
+const { getHistoryTimestamps } = require('./portfolio');
+
+const MAX_COMPARE_POOLS = 5;
+const DAY_SECONDS = 86400;
+
+// Score components in the order the breakdown table shows them; penalties are better when lower
+const COMPARISON_COMPONENTS = [
+    { key: 'health_score', label: 'Health Score' },
+    { key: 'liquidity_score', label: 'Liquidity' },
+    { key: 'yield_score', label: 'Yield' },
+    { key: 'impermanent_loss_score', label: 'Impermanent Loss' },
+    { key: 'protocol_score', label: 'Protocol' },
+    { key: 'activity_score', label: 'Activity' },
+    { key: 'track_record_score', label: 'Track Record' },
+    { key: 'risk_adjusted_score', label: 'Risk-Adjusted Return' },
+    { key: 'whale_risk_penalty', label: 'Whale Risk Penalty', lowerIsBetter: true },
+    { key: 'depeg_penalty', label: 'Depeg Penalty', lowerIsBetter: true },
+    { key: 'pool_type_multiplier', label: 'Pool Type Multiplier' }
+];
+
+const COMPARISON_METRICS = [
+    { key: 'tvl', label: 'TVL' },
+    { key: 'volume_24h', label: '24h Volume' },
+    { key: 'avg_apr', label: 'Average APR' },
+    { key: 'apr_volatility', label: 'APR Volatility', lowerIsBetter: true },
+    { key: 'tvl_volatility', label: 'TVL Volatility', lowerIsBetter: true },
+    { key: 'data_points', label: 'Days of History' }
+];
+
+// Every pool's TVL/APR/volume on the union of their chart days; null where a pool has no data.
+// `days` keeps only the most recent days of the shared axis
+function alignPoolHistories(pools, { days = null } = {}) {
+    const byPool = pools.map(pool => {
+        const history = pool.historical_data || {};
+        const rows = new Map();
+        getHistoryTimestamps(history).forEach((timestamp, i) => {
+            rows.set(Math.floor(timestamp / DAY_SECONDS), {
+                tvl: history.tvl ? history.tvl[i] : null,
+                apr: history.apr ? history.apr[i] : null,
+                volume: history.volume ? history.volume[i] : null
+            });
+        });
+        return { pool, rows };
+    });
+
+    const allDays = new Set();
+    byPool.forEach(({ rows }) => rows.forEach((_, day) => allDays.add(day)));
+    let axis = Array.from(allDays).sort((a, b) => a - b);
+    if (days) axis = axis.slice(-days);
+
+    const valueOn = (rows, day, field) => {
+        const row = rows.get(day);
+        return row && typeof row[field] === 'number' ? row[field] : null;
+    };
+
+    // Days on which every pool has data
+    const overlap = axis.filter(day => byPool.every(({ rows }) => rows.has(day)));
+
+    return {
+        timestamps: axis.map(day => day * DAY_SECONDS),
+        dates: axis.map(day => new Date(day * DAY_SECONDS * 1000).toISOString().slice(0, 10)),
+        overlap: {
+            days: overlap.length,
+            from: overlap.length > 0 ? new Date(overlap[0] * DAY_SECONDS * 1000).toISOString().slice(0, 10) : null,
+            to: overlap.length > 0 ? new Date(overlap[overlap.length - 1] * DAY_SECONDS * 1000).toISOString().slice(0, 10) : null
+        },
+        series: byPool.map(({ pool, rows }) => ({
+            pool_id: pool.pool_id,
+            tvl: axis.map(day => valueOn(rows, day, 'tvl')),
+            apr: axis.map(day => valueOn(rows, day, 'apr')),
+            volume: axis.map(day => valueOn(rows, day, 'volume'))
+        }))
+    };
+}
+
+// Per field: each pool's value, its delta to the first pool, and which pool does best
+function compareFields(pools, fields) {
+    return fields.map(({ key, label, lowerIsBetter = false }) => {
+        const values = pools.map(pool => (typeof pool[key] === 'number' ? pool[key] : null));
+        const baseline = values[0];
+        const ranked = values
+            .map((value, i) => ({ value, poolId: pools[i].pool_id }))
+            .filter(entry => entry.value !== null)
+            .sort((a, b) => (lowerIsBetter ? a.value - b.value : b.value - a.value));
+        const best = ranked.length > 1 && ranked[0].value !== ranked[ranked.length - 1].value ? ranked[0].poolId : null;
+        return {
+            key,
+            label,
+            lowerIsBetter,
+            values: pools.map((pool, i) => ({
+                pool_id: pool.pool_id,
+                value: values[i],
+                delta: values[i] !== null && baseline !== null ? Math.round((values[i] - baseline) * 10000) / 10000 : null
+            })),
+            best
+        };
+    });
+}
+
+// Comparison of scored pools; deltas are relative to the first pool
+function comparePools(pools, options = {}) {
+    return {
+        baseline: pools[0].pool_id,
+        pools: pools.map(pool => ({
+            pool_id: pool.pool_id,
+            token_pair: pool.token_pair,
+            platform: pool.platform,
+            chain: pool.chain,
+            health_score: pool.health_score,
+            risk_category: pool.risk_category ? pool.risk_category.label : null,
+            data_quality: pool.data_quality || null
+        })),
+        components: compareFields(pools, COMPARISON_COMPONENTS),
+        metrics: compareFields(pools, COMPARISON_METRICS),
+        history: alignPoolHistories(pools, options)
+    };
+}
+
+module.exports = {
+    MAX_COMPARE_POOLS,
+    COMPARISON_COMPONENTS,
+    COMPARISON_METRICS,
+    alignPoolHistories,
+    comparePools
+};
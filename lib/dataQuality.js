@@ -0,0 +1,258 @@
+// lib/dataQuality.js - Cleans a pool's DefiLlama chart before scoring and reports what was wrong with it
+const DAY_SECONDS = 86400;
+
+const DEFAULT_QUALITY_OPTIONS = {
+    hampelHalfWindow: 7,           // Days either side of a point in the outlier window
+    hampelThreshold: 3,            // Scaled MADs from the window median that make a point an outlier
+    minRelativeDeviation: 0.1,     // ...and at least this share of the median, so flat series don't flag noise
+    maxInterpolatedShare: 0.05,    // More filled-in points than this costs a quality grade
+    maxOutlierShare: 0.05,         // Likewise for replaced outliers
+    longGapDays: 14,               // A single gap this long costs a quality grade
+    rewardDependenceShare: 0.5     // Reported when rewards make up more of the APY than this
+};
+
+// History length grades, best first - issues found below move a pool down from here
+const QUALITY_GRADES = [
+    { label: 'Excellent', minDays: 730 },   // 2+ years
+    { label: 'Good', minDays: 365 },        // 1+ years
+    { label: 'Fair', minDays: 180 },        // 6+ months
+    { label: 'Limited', minDays: 90 },      // 3+ months
+    { label: 'Insufficient', minDays: 0 }   // <3 months
+];
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Fills nulls linearly between the nearest known neighbours (nearest value at the ends).
+// Returns the filled values and how many were filled; an all-missing series becomes zeros.
+// fillEdges: false leaves the points before the first and after the last known value null
+function interpolateMissing(values, { fillEdges = true } = {}) {
+    const known = [];
+    values.forEach((value, i) => {
+        if (isNumber(value)) known.push(i);
+    });
+    if (known.length === 0) {
+        return fillEdges ? { values: values.map(() => 0), filled: values.length } : { values: values.map(() => null), filled: 0 };
+    }
+
+    let next = 0;
+    let filledCount = 0;
+    const filled = values.map((value, i) => {
+        if (isNumber(value)) return value;
+        while (next < known.length && known[next] < i) next++;
+        const after = known[next];
+        const before = known[next - 1];
+        if ((before === undefined || after === undefined) && !fillEdges) return null;
+        filledCount++;
+        if (before === undefined) return values[after];
+        if (after === undefined) return values[before];
+        return values[before] + (values[after] - values[before]) * (i - before) / (after - before);
+    });
+    return { values: filled, filled: filledCount };
+}
+
+// Hampel filter: points more than `threshold` scaled MADs from their window median are
+// replaced by the median. Returns the cleaned values and the indexes that were replaced
+function hampelFilter(values, options = {}) {
+    const { hampelHalfWindow, hampelThreshold, minRelativeDeviation } = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+    const cleaned = values.slice();
+    const outliers = [];
+
+    values.forEach((value, i) => {
+        const window = values.slice(Math.max(0, i - hampelHalfWindow), i + hampelHalfWindow + 1);
+        if (window.length < 5) return;
+        const center = median(window);
+        const mad = 1.4826 * median(window.map(v => Math.abs(v - center)));
+        const deviation = Math.abs(value - center);
+        if (deviation > hampelThreshold * mad && deviation > minRelativeDeviation * Math.abs(center)) {
+            cleaned[i] = center;
+            outliers.push(i);
+        }
+    });
+    return { values: cleaned, outliers };
+}
+
+// Base and reward APY for one day. Rows without either component count the whole APY as base
+function splitApy(row) {
+    const { apy, apyBase, apyReward } = row;
+    if (isNumber(apyBase) && isNumber(apyReward)) return { base: apyBase, reward: apyReward, split: true };
+    if (isNumber(apyBase)) return { base: apyBase, reward: isNumber(apy) ? Math.max(0, apy - apyBase) : 0, split: true };
+    if (isNumber(apyReward)) return { base: isNumber(apy) ? apy - apyReward : null, reward: apyReward, split: true };
+    return { base: isNumber(apy) ? apy : null, reward: isNumber(apy) ? 0 : null, split: false };
+}
+
+function percent(share) {
+    return `${Math.round(share * 1000) / 10}%`;
+}
+
+function gradeHistory(dataPoints, downgrades) {
+    const index = QUALITY_GRADES.findIndex(grade => dataPoints >= grade.minDays);
+    return QUALITY_GRADES[Math.min(QUALITY_GRADES.length - 1, index + downgrades)].label;
+}
+
+// Sorts, de-duplicates, gap-fills and de-spikes a parsed chart (see parseChartResponse), keeping
+// the last `maxHistory` days. Returns the cleaned chart in the same shape plus a quality report
+function cleanPoolChart(chart, { maxHistory = Infinity, ...options } = {}) {
+    const settings = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+    const tvlSeries = chart.tvl || [];
+    const apySeries = chart.apy || [];
+
+    // One row per chart entry; the series of a chart response share their dates
+    const rows = tvlSeries.map((point, i) => ({
+        date: point.date,
+        tvl: point.tvl,
+        apy: apySeries[i] ? apySeries[i].apy : null,
+        apyBase: apySeries[i] ? apySeries[i].apyBase : null,
+        apyReward: apySeries[i] ? apySeries[i].apyReward : null,
+        volume: chart.volume && chart.volume[i] ? chart.volume[i].volume : null,
+        fees: chart.fees && chart.fees[i] ? chart.fees[i].fees : null
+    })).filter(row => isNumber(row.date));
+
+    // Out-of-order and duplicate timestamps: re-sort, keep the last entry reported for each day
+    let outOfOrderTimestamps = 0;
+    rows.forEach((row, i) => {
+        if (i > 0 && row.date < rows[i - 1].date) outOfOrderTimestamps++;
+    });
+    const byDay = new Map();
+    rows.map((row, i) => ({ row, i }))
+        .sort((a, b) => a.row.date - b.row.date || a.i - b.i)
+        .forEach(({ row }) => byDay.set(Math.floor(row.date / DAY_SECONDS), row));
+    const duplicateTimestamps = rows.length - byDay.size;
+    const days = Array.from(byDay.keys());
+
+    // Missing days become empty rows that interpolation fills in
+    const gaps = [];
+    let daily = [];
+    days.forEach((day, i) => {
+        const missing = i > 0 ? day - days[i - 1] - 1 : 0;
+        for (let d = missing; d >= 1; d--) {
+            daily.push({ date: (day - d) * DAY_SECONDS, tvl: null, apy: null, apyBase: null, apyReward: null, volume: null, fees: null, gapFilled: true });
+        }
+        if (missing > 0) gaps.push({ lastDay: day - 1, days: missing });
+        daily.push(byDay.get(day));
+    });
+    daily = daily.slice(-maxHistory);
+
+    // Gaps and missing values in the scored window; null/NaN stay missing rather than reading as 0
+    const firstKeptDay = daily.length > 0 ? Math.floor(daily[0].date / DAY_SECONDS) : Infinity;
+    const keptGaps = gaps.filter(gap => gap.lastDay >= firstKeptDay);
+    const gapDays = daily.filter(row => row.gapFilled).length;
+    const missingTvl = daily.filter(row => !row.gapFilled && !isNumber(row.tvl)).length;
+    const missingApy = daily.filter(row => !row.gapFilled && !isNumber(row.apy) && !isNumber(row.apyBase) && !isNumber(row.apyReward)).length;
+
+    const splits = daily.map(splitApy);
+    const tvl = interpolateMissing(daily.map(row => row.tvl));
+    const apyBase = interpolateMissing(splits.map(s => s.base));
+    const apyReward = interpolateMissing(splits.map(s => s.reward));
+    // Volume and fees are summed over windows, so a value copied across the days before a pool started
+    // reporting them would invent history; those days stay missing
+    const volume = interpolateMissing(daily.map(row => row.volume), { fillEdges: false });
+    const fees = interpolateMissing(daily.map(row => row.fees), { fillEdges: false });
+    const unreportedVolume = volume.values.filter(value => value === null).length;
+    const unreportedFees = fees.values.filter(value => value === null).length;
+
+    // Outliers: one-day TVL crashes and APY spikes (reward emissions are filtered on their own series)
+    const cleanTvl = hampelFilter(tvl.values, settings);
+    const cleanBase = hampelFilter(apyBase.values, settings);
+    const cleanReward = hampelFilter(apyReward.values, settings);
+    const apy = cleanBase.values.map((base, i) => base + cleanReward.values[i]);
+
+    const apyOutlierDays = new Set([...cleanBase.outliers, ...cleanReward.outliers]).size;
+    const totalApy = apy.reduce((sum, value) => sum + Math.max(0, value), 0);
+    const totalReward = cleanReward.values.reduce((sum, value) => sum + Math.max(0, value), 0);
+    const rewardShare = totalApy > 0 ? totalReward / totalApy : 0;
+    const splitCoverage = daily.length > 0 ? splits.filter(s => s.split).length / daily.length : 0;
+
+    // Concrete reasons, and the ones serious enough to lower the grade
+    const dataPoints = daily.length;
+    const reasons = [];
+    let downgrades = 0;
+    const gradeForLength = gradeHistory(dataPoints, 0);
+    reasons.push(`${dataPoints} days of history (${gradeForLength} for its length)`);
+
+    const interpolatedPoints = gapDays + Math.max(missingTvl, missingApy);
+    if (keptGaps.length > 0) {
+        reasons.push(`${keptGaps.length} date gap${keptGaps.length === 1 ? '' : 's'} totalling ${gapDays} missing days interpolated`);
+    }
+    if (missingTvl > 0 || missingApy > 0) {
+        reasons.push(`Missing values interpolated (TVL: ${missingTvl}, APY: ${missingApy})`);
+    }
+    if (unreportedVolume > 0 || unreportedFees > 0) {
+        reasons.push(`Volume or fees not reported at the start or end of the history (volume: ${unreportedVolume} days, fees: ${unreportedFees} days), left empty rather than extrapolated`);
+    }
+    if (dataPoints > 0 && interpolatedPoints / dataPoints > settings.maxInterpolatedShare) {
+        downgrades++;
+        reasons.push(`${percent(interpolatedPoints / dataPoints)} of points are interpolated - downgraded`);
+    }
+    const longestGapDays = keptGaps.reduce((longest, gap) => Math.max(longest, gap.days), 0);
+    if (longestGapDays >= settings.longGapDays) {
+        downgrades++;
+        reasons.push(`Longest gap is ${longestGapDays} days - downgraded`);
+    }
+
+    const outlierPoints = cleanTvl.outliers.length + apyOutlierDays;
+    if (outlierPoints > 0) {
+        reasons.push(`Outliers replaced by the local median (TVL: ${cleanTvl.outliers.length}, APY: ${apyOutlierDays}${cleanReward.outliers.length > 0 ? `, of which ${cleanReward.outliers.length} reward spikes` : ''})`);
+    }
+    if (dataPoints > 0 && outlierPoints / dataPoints > settings.maxOutlierShare) {
+        downgrades++;
+        reasons.push(`${percent(outlierPoints / dataPoints)} of points are outliers - downgraded`);
+    }
+
+    if (duplicateTimestamps > 0) reasons.push(`${duplicateTimestamps} duplicate timestamps removed (last value per day kept)`);
+    if (outOfOrderTimestamps > 0) reasons.push(`${outOfOrderTimestamps} out-of-order timestamps re-sorted`);
+    if (splitCoverage < 1 && dataPoints > 0) {
+        reasons.push(`Base/reward APY split available for ${percent(splitCoverage)} of days (the rest counted as base APY)`);
+    }
+    if (rewardShare > settings.rewardDependenceShare) {
+        reasons.push(`${percent(rewardShare)} of APY comes from token rewards`);
+    }
+
+    const dates = daily.map(row => row.date);
+    return {
+        chart: {
+            tvl: dates.map((date, i) => ({ date, tvl: cleanTvl.values[i] })),
+            apy: dates.map((date, i) => ({ date, apy: apy[i], apyBase: cleanBase.values[i], apyReward: cleanReward.values[i] })),
+            volume: dates.map((date, i) => ({ date, volume: volume.values[i] })),
+            fees: dates.map((date, i) => ({ date, fees: fees.values[i] }))
+        },
+        report: {
+            grade: gradeHistory(dataPoints, downgrades),
+            dataPoints,
+            reasons,
+            issues: {
+                duplicateTimestamps,
+                outOfOrderTimestamps,
+                gaps: keptGaps.length,
+                gapDays,
+                longestGapDays,
+                missingValues: { tvl: missingTvl, apy: missingApy },
+                unreported: { volume: unreportedVolume, fees: unreportedFees },
+                interpolatedPoints,
+                outliers: { tvl: cleanTvl.outliers.length, apy: apyOutlierDays, apyReward: cleanReward.outliers.length }
+            },
+            apy: {
+                avgBase: dataPoints > 0 ? cleanBase.values.reduce((sum, v) => sum + v, 0) / dataPoints : 0,
+                avgReward: dataPoints > 0 ? cleanReward.values.reduce((sum, v) => sum + v, 0) / dataPoints : 0,
+                rewardShare: Math.round(rewardShare * 10000) / 10000,
+                splitCoverage: Math.round(splitCoverage * 10000) / 10000
+            }
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_QUALITY_OPTIONS,
+    QUALITY_GRADES,
+    median,
+    interpolateMissing,
+    hampelFilter,
+    cleanPoolChart
+};
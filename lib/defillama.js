@@ -0,0 +1,132 @@
+// lib/defillama.js - DefiLlama yields API integration
+const fs = require('fs');
+const { SUPPORTED_CHAINS } = require('./chains');
+const { protocolRegistry, isQualityPool } = require('./scoring');
+const { UpstreamError, createUpstreamClient } = require('./upstream');
+const { getFixtureConfig } = require('./fixtures');
+const { clock } = require('./clock');
+const { logger } = require('./logger');
+
+const POOLS_CACHE_FILE = './pools_cache.json';
+const POOLS_CACHE_TTL = 3600000;
+
+const DEFI_LLAMA_POOLS_URL = "https://yields.llama.fi/pools";
+const DEFI_LLAMA_POOL_CHART_URL = "https://yields.llama.fi/chart/";
+
+const fixtureConfig = getFixtureConfig();
+
+// Shared by every DefiLlama call (yields and coins APIs) so limits apply across all of them
+const defillamaClient = createUpstreamClient({
+    name: 'defillama',
+    ratePerSecond: parseFloat(process.env.DEFILLAMA_RATE_PER_SEC) || 2,
+    burst: parseInt(process.env.DEFILLAMA_BURST, 10) || 5,
+    maxConcurrent: parseInt(process.env.DEFILLAMA_MAX_CONCURRENT, 10) || 3,
+    maxRetries: process.env.DEFILLAMA_MAX_RETRIES !== undefined ? parseInt(process.env.DEFILLAMA_MAX_RETRIES, 10) : 4,
+    cacheDir: process.env.DEFILLAMA_CACHE_DIR || './cache/defillama',
+    cacheTtlMs: (parseFloat(process.env.DEFILLAMA_CHART_CACHE_TTL_MINUTES) || 60) * 60000,
+    mode: fixtureConfig.mode,
+    fixturesDir: fixtureConfig.dir,
+    now: clock.now
+});
+
+if (fixtureConfig.mode !== 'live') {
+    console.log(`🎞️ DefiLlama ${fixtureConfig.mode} mode using ${fixtureConfig.dir} (clock at ${clock.date().toISOString()})`);
+}
+
+// Identifies the chain/protocol selection a cached pool list was filtered with
+function getUniverseKey() {
+    const projects = protocolRegistry.getEnabledProtocols().map(protocol => `${protocol.id}:${protocol.chains.join('+')}`);
+    return `${SUPPORTED_CHAINS.join(',')}|${projects.join(',')}`;
+}
+
+// log: the calling run's logger
+async function fetchDefiLlamaPoolsEnhanced({ log = logger } = {}) {
+    let cached = null;
+    try {
+        // Recording and replaying always go through the client so the fixture set is complete
+        if (fixtureConfig.mode === 'live' && fs.existsSync(POOLS_CACHE_FILE)) {
+            cached = JSON.parse(fs.readFileSync(POOLS_CACHE_FILE, 'utf8'));
+            const cacheAge = clock.now() - cached.timestamp;
+            const sameUniverse = cached.universeKey === getUniverseKey();
+            if (!sameUniverse || !Array.isArray(cached.data) || cached.data.length === 0) {
+                cached = null;
+            } else if (cacheAge < POOLS_CACHE_TTL) {
+                log.info('Loaded pool list from cache', { pools: cached.data.length, age_minutes: Math.round(cacheAge / 60000) });
+                return cached.data;
+            }
+        }
+        
+        log.info('Fetching pool list from DefiLlama');
+        const body = await defillamaClient.get(DEFI_LLAMA_POOLS_URL);
+        if (!body || !Array.isArray(body.data)) {
+            throw new UpstreamError('DefiLlama /pools returned no pool list', { reason: 'invalid_response', url: DEFI_LLAMA_POOLS_URL });
+        }
+        const allPools = body.data;
+        
+        const supportedProjects = protocolRegistry.getEnabledProtocols().map(protocol => protocol.id);
+        const qualityPools = allPools
+            .filter(pool => SUPPORTED_CHAINS.includes(pool.chain) && protocolRegistry.supportsPool(pool.project, pool.chain))
+            .filter(isQualityPool)
+            .sort((a, b) => (b.tvlUsd || 0) - (a.tvlUsd || 0));
+        
+        log.info('Filtered pool universe', { pools: qualityPools.length, fetched: allPools.length, protocols: supportedProjects.join(','), chains: SUPPORTED_CHAINS.join(',') });
+        
+        fs.writeFileSync(POOLS_CACHE_FILE, JSON.stringify({
+            data: qualityPools,
+            universeKey: getUniverseKey(),
+            timestamp: clock.now()
+        }));
+        
+        return qualityPools;
+    } catch (error) {
+        log.error('Error fetching DefiLlama pool list', { error, reason: error.reason || 'unknown' });
+        // An expired pool list beats skipping the run while DefiLlama is unavailable
+        if (cached) {
+            log.warn('Using expired pool list cache', { pools: cached.data.length, age_minutes: Math.round((clock.now() - cached.timestamp) / 60000) });
+            return cached.data;
+        }
+        return [];
+    }
+}
+
+// Converts a raw /chart/{pool} response body into per-series arrays; missing values are left for cleanPoolChart to fill
+function parseChartResponse(body) {
+    if (body && Array.isArray(body.data)) {
+        const daily = body.data;
+        const result = {
+            tvl: daily.map(d => ({ date: new Date(d.timestamp).getTime() / 1000, tvl: d.tvlUsd })),
+            apy: daily.map(d => ({ date: new Date(d.timestamp).getTime() / 1000, apy: d.apy, apyBase: d.apyBase, apyReward: d.apyReward })),
+            volume: daily.map(d => ({ date: new Date(d.timestamp).getTime() / 1000, volume: d.volumeUsd })),
+            fees: daily.map(d => ({ date: new Date(d.timestamp).getTime() / 1000, fees: d.feesUsd }))
+        };
+        return result;
+    }
+    return {};
+}
+
+// Throws an UpstreamError with a `reason` when the chart can't be fetched or is empty
+async function fetchPoolChartEnhanced(poolId) {
+    const url = DEFI_LLAMA_POOL_CHART_URL + encodeURIComponent(poolId);
+    const chart = parseChartResponse(await defillamaClient.get(url, { cache: true }));
+    
+    if (!chart.tvl || !chart.apy || chart.tvl.length === 0 || chart.apy.length === 0) {
+        throw new UpstreamError(`No chart data for ${poolId}`, { reason: 'empty_response', url });
+    }
+    return chart;
+}
+
+function delay(ms) {
+    return new Promise(res => setTimeout(res, ms));
+}
+
+module.exports = {
+    DEFI_LLAMA_POOLS_URL,
+    DEFI_LLAMA_POOL_CHART_URL,
+    POOLS_CACHE_FILE,
+    defillamaClient,
+    getUniverseKey,
+    fetchDefiLlamaPoolsEnhanced,
+    parseChartResponse,
+    fetchPoolChartEnhanced,
+    delay
+};
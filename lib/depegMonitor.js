@@ -0,0 +1,150 @@
+// lib/depegMonitor.js - Tracks each stablecoin's deviation from its peg and derives depeg risk
+const fs = require('fs');
+const { parseTokenPair } = require('./chains');
+const { clock } = require('./clock');
+const { logger } = require('./logger');
+
+const DEPEG_STATUS_FILE = './depeg_status.json';
+
+// Risk per stablecoin (0 = none, 1 = actively depegged) by peg state
+const DEPEG_RISK_LEVELS = {
+    depegged: 1,
+    warning: 0.5,
+    recentEvent: 0.3,
+    historicalEvent: 0.1,
+    healthy: 0
+};
+
+// Contiguous runs of days where the deviation crossed the event threshold
+function findDepegEvents(points, pegValue, eventThreshold) {
+    const events = [];
+    let current = null;
+
+    points.forEach(point => {
+        const deviation = Math.abs(point.price / pegValue - 1);
+        if (deviation >= eventThreshold) {
+            if (!current) {
+                current = { start: point.date, end: point.date, maxDeviation: deviation, minPrice: point.price };
+            }
+            current.end = point.date;
+            current.maxDeviation = Math.max(current.maxDeviation, deviation);
+            current.minPrice = Math.min(current.minPrice, point.price);
+        } else if (current) {
+            events.push(current);
+            current = null;
+        }
+    });
+    if (current) events.push({ ...current, ongoing: true });
+
+    return events.map(event => ({
+        start: new Date(event.start * 1000).toISOString(),
+        end: new Date(event.end * 1000).toISOString(),
+        durationDays: Math.round((event.end - event.start) / 86400) + 1,
+        maxDeviation: Math.round(event.maxDeviation * 1e5) / 1e5,
+        minPrice: event.minPrice,
+        ongoing: Boolean(event.ongoing)
+    }));
+}
+
+// Peg health for one stablecoin from its daily price history
+function assessPegHealth(coin, points, thresholds, now = clock.now()) {
+    if (points.length === 0) {
+        return { symbol: coin.symbol, status: 'unknown', riskScore: 0, currentPrice: null, deviation: null, events: [] };
+    }
+
+    const latest = points[points.length - 1];
+    const deviation = Math.abs(latest.price / coin.pegValue - 1);
+    const events = findDepegEvents(points, coin.pegValue, thresholds.event);
+    const recentCutoff = now - thresholds.recentEventDays * 86400000;
+    const hasRecentEvent = events.some(event => Date.parse(event.end) >= recentCutoff);
+
+    let status;
+    if (deviation >= thresholds.depeg) status = 'depegged';
+    else if (deviation >= thresholds.warning) status = 'warning';
+    else status = 'healthy';
+
+    let riskScore = DEPEG_RISK_LEVELS[status];
+    if (status === 'healthy' && hasRecentEvent) riskScore = DEPEG_RISK_LEVELS.recentEvent;
+    else if (status === 'healthy' && events.length > 0) riskScore = DEPEG_RISK_LEVELS.historicalEvent;
+
+    return {
+        symbol: coin.symbol,
+        status,
+        riskScore,
+        currentPrice: latest.price,
+        priceDate: new Date(latest.date * 1000).toISOString(),
+        deviation: Math.round(deviation * 1e5) / 1e5,
+        events
+    };
+}
+
+// filePath: where the last peg check is kept between restarts; null keeps it in memory only
+function createDepegMonitor(stablecoins, priceSource, filePath = DEPEG_STATUS_FILE) {
+    let state = { checkedAt: null, coins: {} };
+
+    // Last known peg state survives restarts so scoring doesn't start blind
+    try {
+        if (filePath && fs.existsSync(filePath)) {
+            state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+    } catch (error) {
+        console.error('Error loading depeg status:', error.message);
+    }
+
+    return {
+        // log: the calling run's logger
+        async refresh({ log = logger } = {}) {
+            const coins = stablecoins.list();
+            const histories = await priceSource.getPriceHistories(coins.map(coin => coin.coinId), stablecoins.thresholds.lookbackDays);
+
+            const assessed = {};
+            coins.forEach(coin => {
+                assessed[coin.symbol] = {
+                    name: coin.name,
+                    peg: coin.peg,
+                    pegValue: coin.pegValue,
+                    ...assessPegHealth(coin, histories[coin.coinId] || [], stablecoins.thresholds)
+                };
+            });
+
+            state = { checkedAt: clock.date().toISOString(), coins: assessed };
+            if (filePath) fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+
+            const flagged = Object.values(assessed).filter(coin => coin.status === 'depegged' || coin.status === 'warning');
+            log.info('Peg check complete', {
+                stablecoins: coins.length,
+                flagged: flagged.length,
+                flagged_coins: flagged.length > 0 ? flagged.map(c => `${c.symbol}:${c.status}`).join(',') : undefined
+            });
+            return state;
+        },
+
+        getStatus() {
+            return state;
+        },
+
+        // Depeg risk for a pool: the riskiest stablecoin it holds
+        assessPool(tokenPair, chain) {
+            const held = parseTokenPair(tokenPair, chain)
+                .map(token => token.canonical)
+                .filter(symbol => stablecoins.isStablecoin(symbol));
+
+            const coins = held.map(symbol => state.coins[symbol]).filter(Boolean);
+            const riskScore = coins.reduce((max, coin) => Math.max(max, coin.riskScore), 0);
+
+            return {
+                riskScore,
+                stablecoins: held,
+                depeggedTokens: coins.filter(coin => coin.status === 'depegged').map(coin => coin.symbol)
+            };
+        }
+    };
+}
+
+module.exports = {
+    DEPEG_STATUS_FILE,
+    DEPEG_RISK_LEVELS,
+    findDepegEvents,
+    assessPegHealth,
+    createDepegMonitor
+};
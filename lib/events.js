@@ -0,0 +1,87 @@
+// lib/events.js - In-process event hub streamed to clients as Server-Sent Events
+const EVENT_BUFFER_SIZE = parseInt(process.env.EVENT_BUFFER_SIZE, 10) || 500;
+const HEARTBEAT_MS = parseInt(process.env.EVENT_HEARTBEAT_MS, 10) || 25000;
+
+// Event types clients can subscribe to; ?types= matches by prefix ("refresh" covers every refresh.* event)
+const EVENT_TYPES = [
+    'refresh.started',
+    'refresh.batch',
+    'refresh.pool_scored',
+    'refresh.pool_failed',
+    'refresh.completed',
+    'refresh.failed',
+    'pool.updated',
+    'alert.triggered'
+];
+
+function formatEvent(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+function matchesTypes(type, prefixes) {
+    return !prefixes || prefixes.some(prefix => type === prefix || type.startsWith(prefix + '.'));
+}
+
+function createEventHub({ bufferSize = EVENT_BUFFER_SIZE, heartbeatMs = HEARTBEAT_MS } = {}) {
+    // Recent events, so a reconnecting client can catch up from its Last-Event-ID
+    const buffer = [];
+    const clients = new Set();
+    let nextId = 1;
+
+    return {
+        publish(type, data) {
+            const event = { id: nextId++, type, data: { ...data, at: new Date().toISOString() } };
+            buffer.push(event);
+            if (buffer.length > bufferSize) buffer.shift();
+
+            const frame = formatEvent(event);
+            clients.forEach(client => {
+                if (matchesTypes(type, client.types)) client.res.write(frame);
+            });
+            return event;
+        },
+
+        // Turns the response into an event stream until the client disconnects
+        subscribe(req, res, { types = null, lastEventId = null } = {}) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+                // Stops nginx-style proxies from buffering the stream
+                'X-Accel-Buffering': 'no'
+            });
+            res.write(`retry: 5000\n\n`);
+
+            const client = { res, types };
+            if (lastEventId !== null) {
+                buffer
+                    .filter(event => event.id > lastEventId && matchesTypes(event.type, types))
+                    .forEach(event => res.write(formatEvent(event)));
+            }
+            clients.add(client);
+
+            // Comment lines keep idle connections open through proxies
+            const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                clients.delete(client);
+            });
+            return client;
+        },
+
+        clientCount() {
+            return clients.size;
+        },
+
+        recent({ after = 0, types = null } = {}) {
+            return buffer.filter(event => event.id > after && matchesTypes(event.type, types));
+        }
+    };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    formatEvent,
+    matchesTypes,
+    createEventHub
+};
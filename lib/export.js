@@ -0,0 +1,342 @@
+// lib/export.js - Streamed pool exports as CSV, JSON Lines or XLSX
+const zlib = require('zlib');
+const { once } = require('events');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Exportable pool columns; a plain field name reads the pool field of the same name
+const EXPORT_COLUMNS = {
+    pool_id: null,
+    token_pair: null,
+    platform: null,
+    chain: null,
+    pool_type: null,
+    tvl: null,
+    volume_24h: null,
+    avg_apr: null,
+    avg_apr_base: null,
+    avg_apr_reward: null,
+    health_score: null,
+    risk_category: pool => (pool.risk_category ? pool.risk_category.label : null),
+    scoring_profile: null,
+    liquidity_score: null,
+    yield_score: null,
+    impermanent_loss_score: null,
+    protocol_score: null,
+    activity_score: null,
+    track_record_score: null,
+    risk_adjusted_score: null,
+    whale_risk_penalty: null,
+    depeg_penalty: null,
+    pool_type_multiplier: null,
+    apr_volatility: null,
+    tvl_volatility: null,
+    data_quality: null,
+    data_points: null,
+    depeg_risk_score: pool => (pool.depeg_risk ? pool.depeg_risk.risk_score : null),
+    governance_score: pool => (pool.governance ? pool.governance.score : null),
+    last_updated: null,
+    age_minutes: pool => (pool.freshness ? pool.freshness.age_minutes : null),
+    is_stale: pool => (pool.freshness ? pool.freshness.is_stale : null)
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+    'pool_id', 'token_pair', 'platform', 'chain', 'tvl', 'volume_24h', 'avg_apr',
+    'health_score', 'risk_category', 'apr_volatility', 'tvl_volatility', 'data_quality', 'last_updated'
+];
+
+// Per-day columns added by ?history=true, one row per pool and chart day (long format)
+const HISTORY_COLUMNS = ['date', 'history_tvl', 'history_apr', 'history_apr_base', 'history_apr_reward', 'history_volume', 'history_fees', 'history_impermanent_loss'];
+const HISTORY_SERIES = ['tvl', 'apr', 'apr_base', 'apr_reward', 'volume', 'fees', 'impermanent_loss'];
+
+// ?format=&columns=a,b|all&history=true -> { errors, format, columns, includeHistory }
+function parseExportRequest(query) {
+    const errors = [];
+    const format = query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) errors.push(`"format" must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+
+    let columns = DEFAULT_EXPORT_COLUMNS;
+    if (query.columns === 'all') {
+        columns = Object.keys(EXPORT_COLUMNS);
+    } else if (query.columns) {
+        columns = Array.from(new Set(String(query.columns).split(',').map(column => column.trim()).filter(Boolean)));
+        const unknown = columns.filter(column => !Object.prototype.hasOwnProperty.call(EXPORT_COLUMNS, column));
+        if (unknown.length > 0) errors.push(`unknown columns: ${unknown.join(', ')}`);
+        if (columns.length === 0) errors.push('"columns" must name at least one column');
+    }
+
+    const history = query.history;
+    if (history !== undefined && !['true', 'false', '1', '0'].includes(history)) errors.push('"history" must be true or false');
+
+    return { errors, format, columns, includeHistory: history === 'true' || history === '1' };
+}
+
+function readColumn(pool, column) {
+    const read = EXPORT_COLUMNS[column];
+    const value = read ? read(pool) : pool[column];
+    return value === undefined ? null : value;
+}
+
+// Chart timestamps in seconds; older caches only stored locale date strings
+function historyTimestamps(history) {
+    if (Array.isArray(history.timestamps) && history.timestamps.length > 0) return history.timestamps;
+    return (history.dates || []).map(date => Math.floor(Date.parse(date) / 1000));
+}
+
+// Header, then one value array per row
+function* exportRows(pools, { columns, includeHistory = false }) {
+    yield includeHistory ? [...columns, ...HISTORY_COLUMNS] : columns;
+    for (const pool of pools) {
+        const values = columns.map(column => readColumn(pool, column));
+        if (!includeHistory) {
+            yield values;
+            continue;
+        }
+        const history = pool.historical_data || {};
+        const timestamps = historyTimestamps(history);
+        for (let i = 0; i < timestamps.length; i++) {
+            const date = Number.isFinite(timestamps[i]) ? new Date(timestamps[i] * 1000).toISOString().slice(0, 10) : null;
+            const series = HISTORY_SERIES.map(key => {
+                const value = Array.isArray(history[key]) ? history[key][i] : null;
+                return value === undefined ? null : value;
+            });
+            yield [...values, date, ...series];
+        }
+    }
+}
+
+// Cells spreadsheet apps would run as formulas are prefixed with a quote
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'number' && !Number.isFinite(value) ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function xlsxCell(value) {
+    if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) return '<c/>';
+    if (typeof value === 'number') return `<c><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+    return `<c t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+// zlib.crc32 only exists from Node 20.15
+function crc32(buffer, crc = 0) {
+    if (zlib.crc32) return zlib.crc32(buffer, crc);
+    let c = crc ^ 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// Resolves once the output can take more data, or once it closed (a disconnected client never drains)
+function drained(output) {
+    return new Promise(resolve => {
+        const done = () => {
+            output.off('drain', done);
+            output.off('close', done);
+            resolve();
+        };
+        output.on('drain', done);
+        output.on('close', done);
+    });
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+        date: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+    };
+}
+
+// Minimal streaming ZIP writer: entries are deflated on the fly and sized in trailing data descriptors
+function createZipWriter(output, modified = new Date()) {
+    const entries = [];
+    const stamp = dosDateTime(modified);
+    let offset = 0;
+
+    async function writeRaw(buffer) {
+        offset += buffer.length;
+        if (!output.write(buffer)) await drained(output);
+    }
+
+    function localHeader(name) {
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);          // version needed
+        header.writeUInt16LE(0x0808, 6);      // data descriptor follows, UTF-8 names
+        header.writeUInt16LE(8, 8);           // deflate
+        header.writeUInt16LE(stamp.time, 10);
+        header.writeUInt16LE(stamp.date, 12);
+        header.writeUInt16LE(name.length, 26);
+        return Buffer.concat([header, name]);
+    }
+
+    return {
+        // Returns { write(text), end() }; only one entry may be open at a time
+        async openEntry(fileName) {
+            const name = Buffer.from(fileName, 'utf8');
+            const entry = { name, offset, crc: 0, size: 0, compressedSize: 0 };
+            await writeRaw(localHeader(name));
+
+            const deflate = zlib.createDeflateRaw();
+            deflate.on('data', chunk => {
+                entry.compressedSize += chunk.length;
+                offset += chunk.length;
+                if (!output.write(chunk)) {
+                    deflate.pause();
+                    drained(output).then(() => deflate.resume());
+                }
+            });
+            const ended = once(deflate, 'end');
+
+            return {
+                async write(text) {
+                    const buffer = Buffer.from(text, 'utf8');
+                    entry.crc = crc32(buffer, entry.crc);
+                    entry.size += buffer.length;
+                    if (!deflate.write(buffer)) await once(deflate, 'drain');
+                },
+                async end() {
+                    deflate.end();
+                    await ended;
+                    const descriptor = Buffer.alloc(16);
+                    descriptor.writeUInt32LE(0x08074b50, 0);
+                    descriptor.writeUInt32LE(entry.crc, 4);
+                    descriptor.writeUInt32LE(entry.compressedSize, 8);
+                    descriptor.writeUInt32LE(entry.size, 12);
+                    await writeRaw(descriptor);
+                    entries.push(entry);
+                }
+            };
+        },
+
+        async addFile(fileName, text) {
+            const entry = await this.openEntry(fileName);
+            await entry.write(text);
+            await entry.end();
+        },
+
+        // Central directory and end record
+        async finish() {
+            const start = offset;
+            for (const entry of entries) {
+                const header = Buffer.alloc(46);
+                header.writeUInt32LE(0x02014b50, 0);
+                header.writeUInt16LE(20, 4);
+                header.writeUInt16LE(20, 6);
+                header.writeUInt16LE(0x0808, 8);
+                header.writeUInt16LE(8, 10);
+                header.writeUInt16LE(stamp.time, 12);
+                header.writeUInt16LE(stamp.date, 14);
+                header.writeUInt32LE(entry.crc, 16);
+                header.writeUInt32LE(entry.compressedSize, 20);
+                header.writeUInt32LE(entry.size, 24);
+                header.writeUInt16LE(entry.name.length, 28);
+                header.writeUInt32LE(entry.offset, 42);
+                await writeRaw(Buffer.concat([header, entry.name]));
+            }
+            const end = Buffer.alloc(22);
+            end.writeUInt32LE(0x06054b50, 0);
+            end.writeUInt16LE(entries.length, 8);
+            end.writeUInt16LE(entries.length, 10);
+            end.writeUInt32LE(offset - start, 12);
+            end.writeUInt32LE(start, 16);
+            await writeRaw(end);
+        }
+    };
+}
+
+const XLSX_PARTS = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + '<sheets><sheet name="Pools" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>',
+    'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="1"><fill><patternFill patternType="none"/></fill></fills>'
+        + '<borders count="1"><border/></borders>'
+        + '<cellStyleXfs count="1"><xf/></cellStyleXfs>'
+        + '<cellXfs count="1"><xf xfId="0"/></cellXfs>'
+        + '</styleSheet>'
+};
+
+// Writes the export to `output` (an HTTP response or any writable), honouring backpressure.
+// Stops early once shouldStop() is true, e.g. after the client disconnected
+async function writeExport(output, pools, { format, columns, includeHistory = false, shouldStop = () => false, modified = new Date() }) {
+    const rows = exportRows(pools, { columns, includeHistory });
+    let keys = null;
+
+    if (format === 'xlsx') {
+        const zip = createZipWriter(output, modified);
+        for (const [name, content] of Object.entries(XLSX_PARTS)) await zip.addFile(name, content);
+        const sheet = await zip.openEntry('xl/worksheets/sheet1.xml');
+        await sheet.write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+        for (const row of rows) {
+            if (shouldStop()) return;
+            await sheet.write(`<row>${row.map(xlsxCell).join('')}</row>`);
+        }
+        await sheet.write('</sheetData></worksheet>');
+        await sheet.end();
+        await zip.finish();
+        return;
+    }
+
+    for (const row of rows) {
+        if (shouldStop()) return;
+        let line;
+        if (format === 'jsonl') {
+            if (!keys) {
+                keys = row;
+                continue;
+            }
+            line = JSON.stringify(Object.fromEntries(keys.map((key, i) => [key, row[i]])));
+        } else {
+            line = row.map(csvValue).join(',');
+        }
+        if (!output.write(line + '\n')) await drained(output);
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    DEFAULT_EXPORT_COLUMNS,
+    HISTORY_COLUMNS,
+    parseExportRequest,
+    exportRows,
+    csvValue,
+    crc32,
+    createZipWriter,
+    writeExport
+};
@@ -0,0 +1,66 @@
+// lib/fixtures.js - Record/replay of upstream responses for offline, reproducible ingestion runs
+//
+// DEFILLAMA_MODE=record  saves every upstream body to DEFILLAMA_FIXTURES_DIR as it's fetched
+// DEFILLAMA_MODE=replay  serves upstream requests only from those files, never the network
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_MODES = ['live', 'record', 'replay'];
+const DEFAULT_FIXTURES_DIR = './fixtures/defillama';
+const MANIFEST_FILE = 'manifest.json';
+const MAX_NAME_LENGTH = 120;
+
+function getFixtureConfig(env = process.env) {
+    const mode = env.DEFILLAMA_MODE || 'live';
+    if (!FIXTURE_MODES.includes(mode)) {
+        throw new Error(`DEFILLAMA_MODE must be one of ${FIXTURE_MODES.join(', ')} (got "${mode}")`);
+    }
+    return { mode, dir: env.DEFILLAMA_FIXTURES_DIR || DEFAULT_FIXTURES_DIR };
+}
+
+// Readable, filesystem-safe name per URL: host and path, plus a hash of the query string
+function fixtureName(url) {
+    const parsed = new URL(url);
+    let name = `${parsed.hostname}${decodeURIComponent(parsed.pathname)}`.replace(/[^a-zA-Z0-9._-]+/g, '_');
+    if (name.length > MAX_NAME_LENGTH) {
+        name = `${name.slice(0, MAX_NAME_LENGTH)}_${crypto.createHash('sha1').update(name).digest('hex').slice(0, 12)}`;
+    }
+    if (parsed.search) {
+        name += `__${crypto.createHash('sha1').update(parsed.search).digest('hex').slice(0, 12)}`;
+    }
+    return `${name}.json`;
+}
+
+function readFixture(dir, url) {
+    const file = path.join(dir, fixtureName(url));
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeFixture(dir, url, data) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, fixtureName(url)), JSON.stringify({ url, data }));
+}
+
+// The manifest pins the time a fixture set was recorded at, which replays reuse as "now"
+function readManifest(dir) {
+    const file = path.join(dir, MANIFEST_FILE);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function writeManifest(dir, manifest) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+}
+
+module.exports = {
+    FIXTURE_MODES,
+    DEFAULT_FIXTURES_DIR,
+    getFixtureConfig,
+    fixtureName,
+    readFixture,
+    writeFixture,
+    readManifest,
+    writeManifest
+};
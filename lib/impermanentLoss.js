@@ -0,0 +1,165 @@
+// lib/impermanentLoss.js - Impermanent loss from the price ratio history of a pool's two assets
+const { getCoinId } = require('./chains');
+
+const IL_WINDOWS = [30, 90, 365];
+const SCORE_WINDOW = 90;                 // Window that feeds the IL score component
+const IL_SCORE_POINTS = 20;              // Same scale as assessImpermanentLossRisk()
+const IL_SCORE_SENSITIVITY = 20;         // 1% IL ~ 16.4 points, 5% ~ 7.4 points
+const MIN_RANGE_WIDTH = 0.005;
+const MAX_RANGE_WIDTH = 1;
+
+function dayKey(seconds) {
+    return Math.floor(seconds / 86400);
+}
+
+// LP value relative to holding after the price ratio moved by `ratio`,
+// for a weighted constant-product pool (weight 0.5 = Uniswap v2 style)
+function impermanentLossConstantProduct(ratio, weight = 0.5) {
+    if (!(ratio > 0)) return 0;
+    return Math.pow(ratio, weight) / (weight * ratio + (1 - weight)) - 1;
+}
+
+// Concentrated liquidity position opened at price 1 with range [1/(1+width), 1+width].
+// Outside the range the position is entirely one asset, so IL stops growing relative
+// to the range edge but is amplified inside it compared to full-range liquidity
+function impermanentLossConcentrated(ratio, rangeWidth) {
+    if (!(ratio > 0)) return 0;
+    const lower = 1 / (1 + rangeWidth);
+    const upper = 1 + rangeWidth;
+    const sqrtLower = Math.sqrt(lower);
+    const sqrtUpper = Math.sqrt(upper);
+
+    // Token amounts for unit liquidity at price p (price of asset A in units of B)
+    const amounts = price => {
+        if (price <= lower) return { x: 1 / sqrtLower - 1 / sqrtUpper, y: 0 };
+        if (price >= upper) return { x: 0, y: sqrtUpper - sqrtLower };
+        const sqrtPrice = Math.sqrt(price);
+        return { x: 1 / sqrtPrice - 1 / sqrtUpper, y: sqrtPrice - sqrtLower };
+    };
+
+    const entry = amounts(1);
+    const current = amounts(ratio);
+    const holdValue = entry.x * ratio + entry.y;
+    const lpValue = current.x * ratio + current.y;
+    return holdValue > 0 ? lpValue / holdValue - 1 : 0;
+}
+
+// Price of A in B per chart day, forward-filling gaps in either series
+function alignPriceRatio(dates, pricesA, pricesB) {
+    const byDay = series => {
+        const map = new Map();
+        series.forEach(p => map.set(dayKey(p.date), p.price));
+        return map;
+    };
+    const mapA = byDay(pricesA);
+    const mapB = byDay(pricesB);
+    let lastA = null;
+    let lastB = null;
+
+    return dates.map(date => {
+        const key = dayKey(date);
+        if (mapA.has(key)) lastA = mapA.get(key);
+        if (mapB.has(key)) lastB = mapB.get(key);
+        return lastA !== null && lastB !== null ? lastA / lastB : null;
+    });
+}
+
+// Assumed LP range for concentrated pools: about two 30-day standard deviations of the ratio
+function estimateRangeWidth(ratios) {
+    const known = ratios.filter(r => r !== null).slice(-31);
+    if (known.length < 3) return 0.1;
+    const returns = [];
+    for (let i = 1; i < known.length; i++) returns.push(Math.log(known[i] / known[i - 1]));
+    // Realized (non-demeaned) volatility so a steady trend still widens the range
+    const dailyVol = Math.sqrt(returns.reduce((sum, r) => sum + r * r, 0) / returns.length);
+    return Math.max(MIN_RANGE_WIDTH, Math.min(MAX_RANGE_WIDTH, 2 * dailyVol * Math.sqrt(30)));
+}
+
+function ilToScore(il) {
+    return IL_SCORE_POINTS * Math.exp(-Math.abs(il) * IL_SCORE_SENSITIVITY);
+}
+
+// Fee income over a window as a fraction of TVL. Uses daily fees when DefiLlama has them,
+// otherwise the pool's APY (which can include reward emissions, so it's an upper bound)
+function windowFeeReturn(startIndex, endIndex, feesHistory, tvlHistory, aprHistory) {
+    let feeReturn = 0;
+    const hasFees = feesHistory.slice(startIndex, endIndex + 1).some(f => f > 0);
+    for (let i = startIndex + 1; i <= endIndex; i++) {
+        if (hasFees) {
+            feeReturn += tvlHistory[i] > 0 ? (feesHistory[i] || 0) / tvlHistory[i] : 0;
+        } else {
+            feeReturn += (aprHistory[i] || 0) / 100 / 365;
+        }
+    }
+    return { feeReturn, feeSource: hasFees ? 'fees' : 'apy' };
+}
+
+// ratios aligned with the pool's chart dates; poolType from the protocol registry
+function modelImpermanentLoss({ ratios, poolType, feesHistory = [], tvlHistory = [], aprHistory = [] }) {
+    const lastIndex = ratios.length - 1;
+    if (lastIndex < 1 || ratios[lastIndex] === null) return null;
+
+    const concentrated = poolType === 'concentrated';
+    const rangeWidth = concentrated ? estimateRangeWidth(ratios) : null;
+    const ilForRatio = ratio => (concentrated ? impermanentLossConcentrated(ratio, rangeWidth) : impermanentLossConstantProduct(ratio));
+
+    const windows = {};
+    IL_WINDOWS.forEach(days => {
+        const startIndex = lastIndex - days;
+        if (startIndex < 0 || ratios[startIndex] === null) return;
+        const il = ilForRatio(ratios[lastIndex] / ratios[startIndex]);
+        const { feeReturn, feeSource } = windowFeeReturn(startIndex, lastIndex, feesHistory, tvlHistory, aprHistory);
+        windows[`${days}d`] = {
+            il: Math.round(il * 1e6) / 1e6,
+            priceRatioChange: Math.round((ratios[lastIndex] / ratios[startIndex] - 1) * 1e6) / 1e6,
+            feeReturn: Math.round(feeReturn * 1e6) / 1e6,
+            feeSource,
+            net: Math.round((feeReturn + il) * 1e6) / 1e6
+        };
+    });
+
+    // Longest available window up to SCORE_WINDOW drives the score
+    const scoreWindow = [SCORE_WINDOW, 30].map(d => windows[`${d}d`]).find(Boolean);
+    if (!scoreWindow) return null;
+
+    // IL an LP entering at the start of the charted history would be carrying on each day
+    const firstKnown = ratios.findIndex(r => r !== null);
+    const series = ratios.map(ratio => (ratio === null || firstKnown < 0 ? null : Math.round(ilForRatio(ratio / ratios[firstKnown]) * 1e6) / 1e6));
+
+    return {
+        model: concentrated ? 'concentrated' : 'constant-product',
+        rangeWidth: rangeWidth !== null ? Math.round(rangeWidth * 1e4) / 1e4 : null,
+        windows,
+        score: Math.round(ilToScore(scoreWindow.il) * 100) / 100,
+        series
+    };
+}
+
+// Fetches both assets' prices and models IL for a two-asset DefiLlama pool; null if not possible
+async function estimatePoolImpermanentLoss(pool, { dates, feesHistory, tvlHistory, aprHistory, poolType }, priceSource) {
+    const tokens = pool.underlyingTokens || [];
+    if (tokens.length !== 2 || dates.length < 2) return null;
+
+    const coinIds = tokens.map(address => getCoinId(pool.chain, address));
+    if (coinIds.some(id => !id)) return null;
+
+    const days = Math.ceil((dates[dates.length - 1] - dates[0]) / 86400) + 2;
+    const histories = await priceSource.getPriceHistories(coinIds, days);
+    const [pricesA, pricesB] = coinIds.map(id => histories[id] || []);
+    if (pricesA.length === 0 || pricesB.length === 0) return null;
+
+    const ratios = alignPriceRatio(dates, pricesA, pricesB);
+    const model = modelImpermanentLoss({ ratios, poolType, feesHistory, tvlHistory, aprHistory });
+    return model ? { ...model, source: priceSource.source, coins: coinIds } : null;
+}
+
+module.exports = {
+    IL_WINDOWS,
+    impermanentLossConstantProduct,
+    impermanentLossConcentrated,
+    alignPriceRatio,
+    estimateRangeWidth,
+    windowFeeReturn,
+    modelImpermanentLoss,
+    estimatePoolImpermanentLoss
+};
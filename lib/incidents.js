@@ -0,0 +1,448 @@
+// lib/incidents.js - Incident, exploit and governance feeds tagged to protocols and tokens, and the
+// time-decayed governance score they give each protocol
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createUpstreamClient } = require('./upstream');
+const { getFixtureConfig } = require('./fixtures');
+const { clock } = require('./clock');
+const { logger } = require('./logger');
+
+const DEFAULT_NEWS_SOURCES_FILE = path.join(__dirname, '..', 'config', 'news-sources.json');
+const NEWS_CACHE_FILE = './news_cache.json';
+
+// feed: RSS 2.0 or Atom; exploits: DefiLlama hacks list; snapshot: Snapshot hub proposals for the listed spaces
+const SOURCE_TYPES = ['feed', 'exploits', 'snapshot'];
+
+// Least to most severe; keyword matches can raise an item above its source's category, never lower it
+const EVENT_CATEGORIES = ['news', 'governance', 'incident', 'exploit'];
+const DEFAULT_CATEGORY_SETTINGS = {
+    exploit: { weight: 1, halfLifeDays: 90 },
+    incident: { weight: 0.4, halfLifeDays: 30 },
+    governance: { weight: 0.1, halfLifeDays: 14, maxPenalty: 0.25 },
+    news: { weight: 0, halfLifeDays: 7 }
+};
+const CATEGORY_KEYWORDS = {
+    exploit: /\b(exploit|exploited|hack|hacked|drained|stolen|attacker)\b/i,
+    incident: /\b(vulnerability|outage|paused|halted|incident|post-?mortem|depeg|depegged|emergency)\b/i
+};
+// Proposals touching contracts, custody or risk parameters weigh more than routine ones
+const HIGH_IMPACT_GOVERNANCE = /\b(upgrade|migrat\w*|treasury|oracle|parameter|ownership|admin|fee switch)\b/i;
+
+const SNAPSHOT_QUERY = 'query Proposals($spaces: [String]) { proposals(first: 100, where: { space_in: $spaces }, orderBy: "created", orderDirection: desc) { id title body created start end state link space { id } } }';
+const SUMMARY_LENGTH = 500;
+
+// Same record/replay mode as the DefiLlama client, so a recorded fixture set covers the feeds too
+const fixtureConfig = getFixtureConfig();
+const newsClient = createUpstreamClient({
+    name: 'news',
+    ratePerSecond: 1,
+    burst: 3,
+    maxConcurrent: 2,
+    maxRetries: 2,
+    cacheDir: process.env.NEWS_CACHE_DIR || './cache/news',
+    cacheTtlMs: (parseFloat(process.env.NEWS_CACHE_TTL_MINUTES) || 30) * 60000,
+    mode: fixtureConfig.mode,
+    fixturesDir: fixtureConfig.dir,
+    now: clock.now
+});
+
+function validateNewsSources(config) {
+    const errors = [];
+    if (!config || !Array.isArray(config.sources)) return ['"sources" must be an array'];
+
+    const settings = config.settings || {};
+    if (settings.maxAgeDays !== undefined && !(settings.maxAgeDays > 0)) errors.push('settings.maxAgeDays must be a positive number');
+    Object.entries(settings.categories || {}).forEach(([category, values]) => {
+        if (!EVENT_CATEGORIES.includes(category)) {
+            errors.push(`settings.categories.${category}: unknown category`);
+            return;
+        }
+        if (typeof values.weight !== 'number' || values.weight < 0) errors.push(`settings.categories.${category}.weight must be a non-negative number`);
+        if (!(values.halfLifeDays > 0)) errors.push(`settings.categories.${category}.halfLifeDays must be a positive number`);
+        if (values.maxPenalty !== undefined && (typeof values.maxPenalty !== 'number' || values.maxPenalty < 0 || values.maxPenalty > 1)) {
+            errors.push(`settings.categories.${category}.maxPenalty must be a number from 0 to 1`);
+        }
+    });
+
+    const seen = new Set();
+    config.sources.forEach((source, index) => {
+        const label = source && source.id ? `source "${source.id}"` : `sources[${index}]`;
+        if (!source || typeof source.id !== 'string' || !source.id) {
+            errors.push(`${label}: "id" is required`);
+            return;
+        }
+        if (seen.has(source.id)) errors.push(`${label}: duplicate id`);
+        seen.add(source.id);
+
+        if (!SOURCE_TYPES.includes(source.type)) errors.push(`${label}: "type" must be one of ${SOURCE_TYPES.join(', ')}`);
+        if (Boolean(source.url) === Boolean(source.file)) errors.push(`${label}: give either "url" or "file"`);
+        if (source.category !== undefined && !EVENT_CATEGORIES.includes(source.category)) {
+            errors.push(`${label}: "category" must be one of ${EVENT_CATEGORIES.join(', ')}`);
+        }
+        if (source.protocols !== undefined && !Array.isArray(source.protocols)) errors.push(`${label}: "protocols" must be an array`);
+        if (source.type === 'snapshot' && source.url && (!source.spaces || typeof source.spaces !== 'object' || Object.keys(source.spaces).length === 0)) {
+            errors.push(`${label}: "spaces" must map Snapshot space ids to protocol ids`);
+        }
+    });
+
+    return errors;
+}
+
+function loadNewsSources(filePath = DEFAULT_NEWS_SOURCES_FILE) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to read news sources ${filePath}: ${error.message}`);
+    }
+
+    const errors = validateNewsSources(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid news sources ${filePath}:\n - ${errors.join('\n - ')}`);
+    }
+
+    const settings = config.settings || {};
+    const categories = {};
+    EVENT_CATEGORIES.forEach(category => {
+        categories[category] = { ...DEFAULT_CATEGORY_SETTINGS[category], ...((settings.categories || {})[category] || {}) };
+    });
+
+    return {
+        maxAgeDays: settings.maxAgeDays || 365,
+        maxItemsPerSource: settings.maxItemsPerSource || 200,
+        categories,
+        sources: config.sources.filter(source => source.enabled !== false)
+    };
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        const named = XML_ENTITIES[entity.toLowerCase()];
+        return named !== undefined ? named : match;
+    });
+}
+
+// Element text as plain text: CDATA unwrapped, entities decoded, any embedded HTML stripped.
+// Escaped HTML carries its own entities, so those are decoded once more after the tags go
+function elementText(block, name) {
+    const match = block.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`, 'i'));
+    if (!match) return null;
+    const raw = match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+    const text = decodeEntities(decodeEntities(raw).replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+    return text || null;
+}
+
+function toIsoDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const time = typeof value === 'number' ? value * 1000 : Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// RSS <item>s or Atom <entry>s as { title, url, publishedAt, summary }
+function parseFeed(xml) {
+    if (typeof xml !== 'string') return [];
+    const items = [];
+    const pattern = /<(item|entry)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        const block = match[2];
+        const href = block.match(/<link\b[^>]*href=["']([^"']+)["']/i);
+        items.push({
+            title: elementText(block, 'title'),
+            url: elementText(block, 'link') || (href ? decodeEntities(href[1]) : null),
+            publishedAt: toIsoDate(elementText(block, 'pubDate') || elementText(block, 'published') || elementText(block, 'updated') || elementText(block, 'dc:date')),
+            summary: elementText(block, 'description') || elementText(block, 'summary') || elementText(block, 'content:encoded') || elementText(block, 'content')
+        });
+    }
+    return items.filter(item => item.title);
+}
+
+// DefiLlama hacks entries: { date (unix seconds), name, classification, technique, amount, chain: [], source }
+function parseExploits(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .filter(entry => entry && entry.name)
+        .map(entry => ({
+            title: `${entry.name} exploited${entry.technique ? ` (${entry.technique})` : ''}`,
+            url: entry.source || null,
+            publishedAt: toIsoDate(entry.date),
+            summary: [entry.classification, entry.technique, entry.targetType].filter(Boolean).join(' - ') || null,
+            amountUsd: typeof entry.amount === 'number' ? entry.amount : null,
+            chains: Array.isArray(entry.chain) ? entry.chain : []
+        }));
+}
+
+// Snapshot GraphQL response ({ data: { proposals } }) or a bare proposal list from a local file
+function parseSnapshotProposals(body) {
+    const proposals = Array.isArray(body) ? body : (body && body.data && body.data.proposals) || [];
+    return proposals
+        .filter(proposal => proposal && proposal.title)
+        .map(proposal => ({
+            title: proposal.title,
+            url: proposal.link || null,
+            publishedAt: toIsoDate(proposal.created || proposal.start),
+            summary: proposal.body ? proposal.body.replace(/\s+/g, ' ').trim() : null,
+            space: proposal.space ? proposal.space.id : null,
+            state: proposal.state || null
+        }));
+}
+
+function sourceCategory(source) {
+    if (source.type === 'exploits') return 'exploit';
+    return source.category || (source.type === 'snapshot' ? 'governance' : 'news');
+}
+
+// Source category, raised by exploit/incident keywords in the item text. On a source tagged with its own
+// protocols (a project's forum or Snapshot space) that takes a protocol named in the text too, so a post
+// about another project's exploit isn't recorded as one for the forum's project.
+// namesProtocol: whether a registry protocol's name or alias appears in the item
+function classifyItem(item, source, namesProtocol = false) {
+    const base = sourceCategory(source);
+    const text = `${item.title} ${item.summary || ''}`;
+    const matched = ['exploit', 'incident'].find(category => CATEGORY_KEYWORDS[category].test(text));
+    if (!matched || EVENT_CATEGORIES.indexOf(matched) <= EVENT_CATEGORIES.indexOf(base)) return base;
+    return namesProtocol || !(source.protocols || source.spaces) ? matched : base;
+}
+
+// 0-1 within the category: exploit size, or whether a proposal touches contracts and risk settings
+function assessSeverity(item, category) {
+    if (category === 'exploit') {
+        if (item.amountUsd === null || item.amountUsd === undefined) return 0.7;
+        if (item.amountUsd >= 1e7) return 1;
+        if (item.amountUsd >= 1e6) return 0.7;
+        return 0.4;
+    }
+    if (category === 'governance') {
+        return HIGH_IMPACT_GOVERNANCE.test(`${item.title} ${item.summary || ''}`) ? 1 : 0.5;
+    }
+    return 1;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Protocol names and aliases match case-sensitively as whole words ("Curve", not "bonding curve");
+// token symbols match in upper case, optionally $-prefixed. An event raised above its source's category
+// (see classifyItem) is about the protocols it names, so the source's own protocol tags don't apply to it
+function createTagger(protocols, tokens = []) {
+    const protocolPatterns = protocols.map(protocol => ({
+        id: protocol.id,
+        pattern: new RegExp(`(^|[^A-Za-z0-9])(${[protocol.name, ...(protocol.aliases || [])].map(escapeRegExp).join('|')})(?![A-Za-z0-9])`)
+    }));
+    const tokenPatterns = Array.from(new Set(tokens))
+        .filter(symbol => symbol && symbol.length >= 3)
+        .map(symbol => ({ symbol, pattern: new RegExp(`(^|[^A-Za-z0-9.])\\$?${escapeRegExp(symbol.toUpperCase())}(?![A-Za-z0-9])`) }));
+
+    return (event, source) => {
+        const text = `${event.title} ${event.summary || ''}`;
+        const tagged = new Set();
+        if (!event.category || event.category === sourceCategory(source)) {
+            (source.protocols || []).forEach(id => tagged.add(id));
+            if (source.spaces && event.space) (source.spaces[event.space] || []).forEach(id => tagged.add(id));
+        }
+        protocolPatterns.forEach(({ id, pattern }) => {
+            if (pattern.test(text)) tagged.add(id);
+        });
+        return {
+            protocols: Array.from(tagged).sort(),
+            tokens: tokenPatterns.filter(({ pattern }) => pattern.test(text)).map(({ symbol }) => symbol).sort()
+        };
+    };
+}
+
+function eventId(sourceId, item) {
+    return crypto.createHash('sha1').update(`${sourceId}|${item.url || item.title}|${item.publishedAt || ''}`).digest('hex').slice(0, 16);
+}
+
+// Governance score for one protocol's events: 1 minus the decayed, weighted severity, floored at 0.
+// A category with maxPenalty takes off at most that much in total, so an active DAO's steady stream of
+// routine proposals can't weigh as much as an exploit
+function scoreProtocolEvents(events, categories, now = clock.now()) {
+    const byCategory = {};
+    events.forEach(event => {
+        const settings = categories[event.category];
+        if (!settings || settings.weight === 0) return;
+        const ageDays = Math.max(0, (now - Date.parse(event.publishedAt)) / 86400000);
+        const contribution = settings.weight * event.severity * Math.pow(0.5, ageDays / settings.halfLifeDays);
+        byCategory[event.category] = (byCategory[event.category] || 0) + contribution;
+    });
+    let penalty = 0;
+    Object.keys(byCategory).forEach(category => {
+        const { maxPenalty } = categories[category];
+        const contribution = typeof maxPenalty === 'number' ? Math.min(maxPenalty, byCategory[category]) : byCategory[category];
+        penalty += contribution;
+        byCategory[category] = Math.round(contribution * 1000) / 1000;
+    });
+    return {
+        score: Math.round(Math.max(0, 1 - penalty) * 1000) / 1000,
+        penalty: Math.round(penalty * 1000) / 1000,
+        events: events.length,
+        byCategory
+    };
+}
+
+// settings: loadNewsSources() result; registry: protocol registry used for tagging
+function createIncidentFeed(settings, { registry, filePath = NEWS_CACHE_FILE, client = newsClient } = {}) {
+    let state = { updatedAt: null, sources: {}, events: [], firstSeen: {} };
+
+    // Events survive restarts so the first run after one still scores with them
+    try {
+        if (fs.existsSync(filePath)) {
+            state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+    } catch (error) {
+        console.error('Error loading news cache:', error.message);
+    }
+
+    let scoreCache = new Map();
+
+    async function readSource(source) {
+        if (source.file) {
+            const content = fs.readFileSync(source.file, 'utf8');
+            return source.type === 'feed' ? content : JSON.parse(content);
+        }
+        if (source.type === 'snapshot') {
+            const variables = JSON.stringify({ spaces: Object.keys(source.spaces) });
+            return client.get(`${source.url}?query=${encodeURIComponent(SNAPSHOT_QUERY)}&variables=${encodeURIComponent(variables)}`, { cache: true });
+        }
+        return client.get(source.url, { cache: true });
+    }
+
+    function parseSource(source, body) {
+        if (source.type === 'exploits') return parseExploits(body);
+        if (source.type === 'snapshot') return parseSnapshotProposals(body);
+        return parseFeed(body);
+    }
+
+    function protocolEvents(protocolId) {
+        return state.events.filter(event => event.protocols.includes(protocolId));
+    }
+
+    return {
+        // Pulls every source; one failing keeps its previously fetched events. tokens: canonical symbols to tag;
+        // log: the calling run's logger
+        async refresh({ tokens = [], log = logger } = {}) {
+            const now = clock.now();
+            const fetchedAt = clock.date().toISOString();
+            const cutoff = now - settings.maxAgeDays * 86400000;
+            const tag = createTagger(registry.protocols, tokens);
+            const sources = {};
+            const fresh = new Map();
+            const failed = new Set();
+            // Undated items are dated when first seen, and keep that date for as long as their source lists them
+            const previousFirstSeen = state.firstSeen || {};
+            const firstSeen = {};
+
+            for (const source of settings.sources) {
+                try {
+                    // Newest first before truncating, whatever order the source lists them in; undated items last
+                    const items = parseSource(source, await readSource(source))
+                        .map((item, index) => ({ item, index, time: item.publishedAt ? Date.parse(item.publishedAt) : -Infinity }))
+                        .sort((a, b) => b.time - a.time || a.index - b.index)
+                        .slice(0, settings.maxItemsPerSource)
+                        .map(({ item }) => item);
+                    items.forEach(item => {
+                        const id = eventId(source.id, item);
+                        const category = classifyItem(item, source, tag(item, {}).protocols.length > 0);
+                        let publishedAt = item.publishedAt;
+                        if (!publishedAt) {
+                            publishedAt = previousFirstSeen[id] ? previousFirstSeen[id].seenAt : fetchedAt;
+                            firstSeen[id] = { source: source.id, seenAt: publishedAt };
+                        }
+                        const event = {
+                            id,
+                            source: source.id,
+                            category,
+                            severity: assessSeverity(item, category),
+                            title: item.title,
+                            summary: item.summary ? item.summary.slice(0, SUMMARY_LENGTH) : null,
+                            url: item.url,
+                            publishedAt,
+                            ...(item.amountUsd !== undefined ? { amountUsd: item.amountUsd } : {}),
+                            ...(item.chains ? { chains: item.chains } : {}),
+                            ...(item.space ? { space: item.space, state: item.state } : {})
+                        };
+                        fresh.set(event.id, event);
+                    });
+                    sources[source.id] = { status: 'ok', fetchedAt, items: items.length, error: null };
+                } catch (error) {
+                    failed.add(source.id);
+                    const previous = state.sources[source.id] || {};
+                    sources[source.id] = { ...previous, status: 'error', error: error.message, failedAt: fetchedAt };
+                    log.warn('News source failed', { source: source.id, error });
+                }
+            }
+
+            // Keep what failed sources had before; re-tag everything against the current registry and tokens
+            const carried = state.events.filter(event => failed.has(event.source) && !fresh.has(event.id));
+            Object.entries(previousFirstSeen).forEach(([id, entry]) => {
+                if (failed.has(entry.source)) firstSeen[id] = entry;
+            });
+            const events = [...fresh.values(), ...carried]
+                .filter(event => Date.parse(event.publishedAt) >= cutoff)
+                .map(event => ({ ...event, ...tag(event, settings.sources.find(source => source.id === event.source) || {}) }))
+                .sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt));
+
+            state = { updatedAt: fetchedAt, sources, events, firstSeen };
+            scoreCache = new Map();
+            fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+
+            const counts = {};
+            EVENT_CATEGORIES.forEach(category => {
+                counts[category] = events.filter(event => event.category === category).length;
+            });
+            log.info('News feeds refreshed', { sources: settings.sources.length, sources_ok: settings.sources.length - failed.size, events: events.length, ...counts });
+            return state;
+        },
+
+        getStatus() {
+            return { updatedAt: state.updatedAt, sources: state.sources, events: state.events.length };
+        },
+
+        // Newest first, matching any of the protocols or tokens given (both omitted = all events)
+        getEvents({ protocols = null, tokens = null, categories = null, since = null, limit = null } = {}) {
+            const sinceTime = since ? Date.parse(since) : null;
+            const events = state.events.filter(event =>
+                (!protocols && !tokens
+                    || (protocols || []).some(id => event.protocols.includes(id))
+                    || (tokens || []).some(symbol => event.tokens.includes(symbol)))
+                && (!categories || categories.includes(event.category))
+                && (sinceTime === null || Date.parse(event.publishedAt) >= sinceTime)
+            );
+            return limit ? events.slice(0, limit) : events;
+        },
+
+        // Governance score of a protocol for the scoring run, from the events as of the last refresh
+        assessProtocol(protocolId) {
+            if (!scoreCache.has(protocolId)) {
+                scoreCache.set(protocolId, scoreProtocolEvents(protocolEvents(protocolId), settings.categories));
+            }
+            return scoreCache.get(protocolId);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_NEWS_SOURCES_FILE,
+    NEWS_CACHE_FILE,
+    SOURCE_TYPES,
+    EVENT_CATEGORIES,
+    validateNewsSources,
+    loadNewsSources,
+    parseFeed,
+    parseExploits,
+    parseSnapshotProposals,
+    classifyItem,
+    assessSeverity,
+    createTagger,
+    scoreProtocolEvents,
+    createIncidentFeed
+};
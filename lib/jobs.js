@@ -0,0 +1,120 @@
+// lib/jobs.js - Tracked background jobs with a single-run lock and cooperative cancellation
+const crypto = require('crypto');
+
+const JOB_HISTORY_SIZE = parseInt(process.env.JOB_HISTORY_SIZE, 10) || 50;
+
+// Public view of a job; the cancel flag and promise stay internal
+function describeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        trigger: job.trigger,
+        params: job.params,
+        status: job.status,
+        cancelRequested: job.cancelRequested,
+        progress: { ...job.progress },
+        errors: job.errors,
+        error: job.error,
+        result: job.result,
+        stats: job.stats,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        durationMs: job.finishedAt ? Date.parse(job.finishedAt) - Date.parse(job.createdAt) : Date.now() - Date.parse(job.createdAt)
+    };
+}
+
+function createJobManager({ historySize = JOB_HISTORY_SIZE } = {}) {
+    // Insertion order is creation order
+    const jobs = new Map();
+    let active = null;
+
+    function prune() {
+        for (const [id, job] of jobs) {
+            if (jobs.size <= historySize) break;
+            if (job !== active) jobs.delete(id);
+        }
+    }
+
+    return {
+        // Starts `run(handle)` unless a job is already running; the lock is released when it settles.
+        // Returns { job, started, done } where done resolves with the finished job
+        start({ type, trigger = 'manual', params = {} }, run) {
+            if (active) return { job: describeJob(active), started: false, done: active.promise };
+
+            const job = {
+                id: crypto.randomUUID(),
+                type,
+                trigger,
+                params,
+                status: 'running',
+                cancelRequested: false,
+                progress: { processed: 0, total: null, succeeded: 0, failed: 0 },
+                errors: [],
+                error: null,
+                result: null,
+                stats: null,
+                createdAt: new Date().toISOString(),
+                finishedAt: null
+            };
+            const handle = {
+                id: job.id,
+                params,
+                isCancelled: () => job.cancelRequested,
+                reportProgress: progress => Object.assign(job.progress, progress),
+                recordError: error => job.errors.push(error),
+                setStats: stats => {
+                    job.stats = stats;
+                }
+            };
+
+            jobs.set(job.id, job);
+            active = job;
+            prune();
+
+            job.promise = Promise.resolve()
+                .then(() => run(handle))
+                .then(result => {
+                    job.result = result === undefined ? null : result;
+                    job.status = job.cancelRequested ? 'cancelled' : 'completed';
+                }, error => {
+                    job.error = error.message;
+                    job.status = 'failed';
+                })
+                .then(() => {
+                    job.finishedAt = new Date().toISOString();
+                    active = null;
+                    return describeJob(job);
+                });
+
+            return { job: describeJob(job), started: true, done: job.promise };
+        },
+
+        get(id) {
+            const job = jobs.get(id);
+            return job ? describeJob(job) : null;
+        },
+
+        // Most recent first
+        list() {
+            return Array.from(jobs.values()).reverse().map(describeJob);
+        },
+
+        active() {
+            return active ? describeJob(active) : null;
+        },
+
+        // Flags a running job; it stops at its next checkpoint. Returns null for unknown ids
+        cancel(id) {
+            const job = jobs.get(id);
+            if (!job) return null;
+            if (job.status !== 'running') return { job: describeJob(job), cancelled: false };
+            job.cancelRequested = true;
+            return { job: describeJob(job), cancelled: true };
+        }
+    };
+}
+
+module.exports = {
+    describeJob,
+    createJobManager
+};
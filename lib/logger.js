@@ -0,0 +1,80 @@
+// lib/logger.js - Structured logs for the ingestion pipeline: one JSON object per line, or readable text for development
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['json', 'pretty'];
+
+// LOG_FORMAT wins; otherwise production gets JSON lines for the log collector and everything else text
+function resolveLogFormat(env = process.env) {
+    if (LOG_FORMATS.includes(env.LOG_FORMAT)) return env.LOG_FORMAT;
+    return env.NODE_ENV === 'production' ? 'json' : 'pretty';
+}
+
+function resolveLogLevel(env = process.env) {
+    return LOG_LEVELS[env.LOG_LEVEL] ? env.LOG_LEVEL : 'info';
+}
+
+// Errors become { message, reason, status } so upstream failure reasons survive JSON.stringify
+function serializeField(value) {
+    if (value instanceof Error) {
+        const serialized = { message: value.message };
+        if (value.reason) serialized.reason = value.reason;
+        if (value.status) serialized.status = value.status;
+        return serialized;
+    }
+    return value;
+}
+
+const PRETTY_PREFIX = { debug: '🔍 ', info: '', warn: '⚠️ ', error: '❌ ' };
+
+function formatPretty(level, msg, fields) {
+    const details = Object.entries(fields)
+        .map(([key, value]) => {
+            const shown = value && typeof value === 'object' ? (value.message || JSON.stringify(value)) : value;
+            return `${key}=${shown}`;
+        })
+        .join(' ');
+    return `${PRETTY_PREFIX[level]}${msg}${details ? ` (${details})` : ''}`;
+}
+
+// fields are attached to every entry (run_id, pool_id, ...); child() adds more for a narrower scope
+function createLogger({ format = resolveLogFormat(), level = resolveLogLevel(), fields = {}, now = () => new Date(), write = null } = {}) {
+    const minimum = LOG_LEVELS[level] || LOG_LEVELS.info;
+    // console rather than process.stdout, so whatever redirects console (tests, hosts) also gets these
+    const output = write || ((entryLevel, line) => {
+        if (entryLevel === 'error') console.error(line);
+        else if (entryLevel === 'warn') console.warn(line);
+        else console.log(line);
+    });
+
+    function log(entryLevel, msg, extra = {}) {
+        if (LOG_LEVELS[entryLevel] < minimum) return;
+        const merged = {};
+        Object.entries({ ...fields, ...extra }).forEach(([key, value]) => {
+            if (value !== undefined) merged[key] = serializeField(value);
+        });
+        const line = format === 'json'
+            ? JSON.stringify({ time: now().toISOString(), level: entryLevel, msg, ...merged })
+            : formatPretty(entryLevel, msg, merged);
+        output(entryLevel, line);
+    }
+
+    return {
+        format,
+        level,
+        debug: (msg, extra) => log('debug', msg, extra),
+        info: (msg, extra) => log('info', msg, extra),
+        warn: (msg, extra) => log('warn', msg, extra),
+        error: (msg, extra) => log('error', msg, extra),
+        child: extra => createLogger({ format, level, fields: { ...fields, ...extra }, now, write })
+    };
+}
+
+const logger = createLogger();
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_FORMATS,
+    resolveLogFormat,
+    resolveLogLevel,
+    createLogger,
+    logger
+};
@@ -0,0 +1,202 @@
+// lib/metrics.js - Counters, gauges and histograms rendered in the Prometheus text exposition format
+const METRIC_TYPES = ['counter', 'gauge', 'histogram'];
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// Latency buckets in seconds, from a cached response to a slow retry-free upstream call
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Label values in declaration order, so { a, b } and { b, a } land in the same series
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+    const picked = {};
+    labelNames.forEach(name => {
+        picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+    });
+    return picked;
+}
+
+function createHistogramSeries(buckets) {
+    return { buckets: buckets.map(() => 0), count: 0, sum: 0 };
+}
+
+function observeInto(series, buckets, value) {
+    buckets.forEach((bound, i) => {
+        if (value <= bound) series.buckets[i]++;
+    });
+    series.count++;
+    series.sum += value;
+}
+
+// collect: optional () => [{ labels, value }] (or [{ labels, values }] for histograms) evaluated at scrape
+// time, for metrics read off current state rather than counted as things happen
+function createMetric({ type, name, help, labelNames = [], buckets = DEFAULT_BUCKETS, collect = null }) {
+    if (!METRIC_TYPES.includes(type)) throw new Error(`Unknown metric type: ${type}`);
+    if (!METRIC_NAME.test(name)) throw new Error(`Invalid metric name: ${name}`);
+    labelNames.forEach(label => {
+        if (!LABEL_NAME.test(label) || label === 'le') throw new Error(`Invalid label name for ${name}: ${label}`);
+    });
+    const sortedBuckets = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+
+    function getSeries(labels) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+            series.set(key, {
+                labels: pickLabels(labelNames, labels),
+                value: 0,
+                ...(type === 'histogram' ? createHistogramSeries(sortedBuckets) : {})
+            });
+        }
+        return series.get(key);
+    }
+
+    function collected() {
+        if (!collect) return Array.from(series.values());
+        return collect().map(sample => {
+            const entry = { labels: pickLabels(labelNames, sample.labels || {}), value: sample.value };
+            if (type === 'histogram') {
+                Object.assign(entry, createHistogramSeries(sortedBuckets));
+                (sample.values || []).filter(Number.isFinite).forEach(value => observeInto(entry, sortedBuckets, value));
+            }
+            return entry;
+        });
+    }
+
+    function render() {
+        const lines = [`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${name} ${type}`];
+        collected().forEach(entry => {
+            if (type !== 'histogram') {
+                lines.push(`${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+                return;
+            }
+            sortedBuckets.forEach((bound, i) => {
+                lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.buckets[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+            lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        });
+        return lines.join('\n');
+    }
+
+    const metric = { name, type, render };
+    if (type === 'counter') {
+        metric.inc = (labels = {}, amount = 1) => {
+            if (amount < 0) throw new Error(`Counter ${name} can only increase`);
+            getSeries(labels).value += amount;
+        };
+    } else if (type === 'gauge') {
+        metric.set = (labels = {}, value) => {
+            getSeries(labels).value = value;
+        };
+        metric.inc = (labels = {}, amount = 1) => {
+            getSeries(labels).value += amount;
+        };
+    } else {
+        metric.observe = (labels = {}, value) => {
+            if (Number.isFinite(value)) observeInto(getSeries(labels), sortedBuckets, value);
+        };
+    }
+    metric.get = (labels = {}) => {
+        const entry = series.get(seriesKey(labelNames, labels));
+        if (!entry) return type === 'histogram' ? null : 0;
+        return type === 'histogram' ? { buckets: [...entry.buckets], count: entry.count, sum: entry.sum } : entry.value;
+    };
+    metric.reset = () => series.clear();
+    return metric;
+}
+
+function createMetricsRegistry() {
+    const metrics = new Map();
+
+    function register(type, options) {
+        if (metrics.has(options.name)) {
+            const existing = metrics.get(options.name);
+            if (existing.type !== type) throw new Error(`Metric ${options.name} is already registered as a ${existing.type}`);
+            return existing;
+        }
+        const metric = createMetric({ ...options, type });
+        metrics.set(options.name, metric);
+        return metric;
+    }
+
+    return {
+        counter: options => register('counter', options),
+        gauge: options => register('gauge', options),
+        histogram: options => register('histogram', options),
+        get: name => metrics.get(name) || null,
+
+        // Text exposition format 0.0.4
+        render() {
+            return `${Array.from(metrics.values()).map(metric => metric.render()).join('\n\n')}\n`;
+        },
+
+        contentType: 'text/plain; version=0.0.4; charset=utf-8'
+    };
+}
+
+// Host and first path segment ("yields.llama.fi/chart"): the rest of an upstream path is pool ids, coin lists
+// or timestamps, which would make one series per pool
+function endpointLabel(url) {
+    try {
+        const { host, pathname } = new URL(url);
+        const [first = ''] = pathname.split('/').filter(Boolean);
+        return `${host}/${first}`;
+    } catch (error) {
+        return 'invalid';
+    }
+}
+
+// Process-wide registry: the upstream clients and the ingestion pipeline record into it, /metrics renders it
+const metrics = createMetricsRegistry();
+
+const upstreamRequests = metrics.counter({
+    name: 'pool_analyzer_upstream_requests_total',
+    help: 'Upstream API requests by client, endpoint and HTTP status (or failure reason when there was no response).',
+    labelNames: ['client', 'endpoint', 'status']
+});
+const upstreamRateLimited = metrics.counter({
+    name: 'pool_analyzer_upstream_rate_limited_total',
+    help: 'Upstream API responses with HTTP 429.',
+    labelNames: ['client', 'endpoint']
+});
+const upstreamDuration = metrics.histogram({
+    name: 'pool_analyzer_upstream_request_duration_seconds',
+    help: 'Upstream API request latency per attempt.',
+    labelNames: ['client', 'endpoint']
+});
+
+function recordUpstreamRequest({ client, url, status, durationMs = null }) {
+    const endpoint = endpointLabel(url);
+    upstreamRequests.inc({ client, endpoint, status });
+    if (String(status) === '429') upstreamRateLimited.inc({ client, endpoint });
+    if (durationMs !== null) upstreamDuration.observe({ client, endpoint }, durationMs / 1000);
+}
+
+module.exports = {
+    METRIC_TYPES,
+    DEFAULT_BUCKETS,
+    createMetricsRegistry,
+    endpointLabel,
+    recordUpstreamRequest,
+    metrics
+};
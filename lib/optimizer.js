@@ -0,0 +1,301 @@
+// lib/optimizer.js - Mean-variance allocation of a budget across scored pools
+const { parseTokenPair } = require('./chains');
+const { categorizeRisk } = require('./scoring');
+const { alignPoolHistories } = require('./comparison');
+const { concentration } = require('./portfolio');
+
+const DEFAULT_LOOKBACK_DAYS = 90;
+// Pools need this many APR observations in the lookback window, pairs this many shared days for a covariance
+const MIN_HISTORY_POINTS = 14;
+// Allocations move in 0.5% slices of the budget
+const ALLOCATION_STEP = 0.005;
+const MAX_REBALANCE_MOVES = 5000;
+
+// Weight on portfolio APR variance (in APR points squared) per tolerance; lower tolerances give up more yield for stability
+const RISK_AVERSION = {
+    conservative: 0.5,
+    moderate: 0.2,
+    aggressive: 0.1,
+    speculative: 0.05
+};
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function isShare(value) {
+    return typeof value === 'number' && value > 0 && value <= 1;
+}
+
+// categoryLabels: the scoring profile's risk categories, safest first
+function validateOptimizationRequest(body, categoryLabels) {
+    const errors = [];
+    if (!body || typeof body !== 'object') return ['request body must be an object'];
+
+    if (typeof body.budget !== 'number' || !(body.budget > 0)) errors.push('"budget" must be a positive number');
+
+    if (body.riskTolerance !== undefined && (typeof body.riskTolerance !== 'string'
+        || !categoryLabels.some(label => label.toLowerCase() === body.riskTolerance.toLowerCase()))) {
+        errors.push(`"riskTolerance" must be one of: ${categoryLabels.join(', ')}`);
+    }
+
+    if (body.riskAversion !== undefined && (typeof body.riskAversion !== 'number' || body.riskAversion < 0)) {
+        errors.push('"riskAversion" must be a non-negative number');
+    }
+
+    if (body.lookbackDays !== undefined && (!Number.isInteger(body.lookbackDays) || body.lookbackDays < MIN_HISTORY_POINTS)) {
+        errors.push(`"lookbackDays" must be an integer of at least ${MIN_HISTORY_POINTS}`);
+    }
+
+    const constraints = body.constraints;
+    if (constraints !== undefined) {
+        if (!constraints || typeof constraints !== 'object') {
+            errors.push('"constraints" must be an object');
+        } else {
+            ['maxPoolShare', 'maxPlatformShare', 'maxTokenShare'].forEach(key => {
+                if (constraints[key] !== undefined && !isShare(constraints[key])) {
+                    errors.push(`"constraints.${key}" must be a share between 0 (exclusive) and 1`);
+                }
+            });
+            if (constraints.minHealthScore !== undefined && (typeof constraints.minHealthScore !== 'number'
+                || constraints.minHealthScore < 0 || constraints.minHealthScore > 100)) {
+                errors.push('"constraints.minHealthScore" must be a number between 0 and 100');
+            }
+        }
+    }
+    return errors;
+}
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Covariance of two APR series over the days both have data; 0 when they barely overlap
+function pairwiseCovariance(a, b) {
+    const pairs = [];
+    a.forEach((value, i) => {
+        if (value !== null && b[i] !== null) pairs.push([value, b[i]]);
+    });
+    if (pairs.length < MIN_HISTORY_POINTS) return 0;
+    const meanA = mean(pairs.map(p => p[0]));
+    const meanB = mean(pairs.map(p => p[1]));
+    return pairs.reduce((sum, [x, y]) => sum + (x - meanA) * (y - meanB), 0) / (pairs.length - 1);
+}
+
+// Expected APR per pool and the APR covariance matrix over the lookback window
+function estimateAprStatistics(pools, lookbackDays = DEFAULT_LOOKBACK_DAYS) {
+    const history = alignPoolHistories(pools, { days: lookbackDays });
+    const series = history.series.map(entry => entry.apr);
+    const covariance = series.map((a, i) => series.map((b, j) => (j < i ? null : pairwiseCovariance(a, b))));
+    // Fill the lower triangle from the upper one
+    covariance.forEach((row, i) => row.forEach((_, j) => {
+        if (j < i) row[j] = covariance[j][i];
+    }));
+    return {
+        expectedApr: series.map(values => {
+            const present = values.filter(v => v !== null);
+            return present.length > 0 ? mean(present) : null;
+        }),
+        observations: series.map(values => values.filter(v => v !== null).length),
+        covariance
+    };
+}
+
+// Greedy fill then pairwise rebalancing of w >= 0, sum(w) <= 1 maximizing w.mu - lambda/2 * w'Cw.
+// assets: [{ platform, tokens }], caps: { pool, platform, token } as budget shares
+function solveAllocation(expectedApr, covariance, assets, caps, riskAversion) {
+    const n = assets.length;
+    const weights = new Array(n).fill(0);
+    // covTimesWeights[i] = (C w)_i, kept current so each move is priced in O(1)
+    const covTimesWeights = new Array(n).fill(0);
+    const platformTotals = {};
+    const tokenTotals = {};
+    const epsilon = 1e-9;
+    let invested = 0;
+
+    const applyDelta = (i, delta) => {
+        weights[i] += delta;
+        invested += delta;
+        platformTotals[assets[i].platform] = (platformTotals[assets[i].platform] || 0) + delta;
+        // A pool's weight counts evenly towards each of its tokens
+        assets[i].tokens.forEach(token => {
+            tokenTotals[token] = (tokenTotals[token] || 0) + delta / assets[i].tokens.length;
+        });
+        for (let k = 0; k < n; k++) covTimesWeights[k] += covariance[k][i] * delta;
+    };
+
+    // Whether pool i can take `delta` more, after `from` (if any) gives the same amount up
+    const canAdd = (i, delta, from = null) => {
+        if (weights[i] + delta > caps.pool + epsilon) return false;
+        const platform = assets[i].platform;
+        const freedPlatform = from !== null && assets[from].platform === platform ? delta : 0;
+        if ((platformTotals[platform] || 0) + delta - freedPlatform > caps.platform + epsilon) return false;
+        return assets[i].tokens.every(token => {
+            const freedToken = from !== null && assets[from].tokens.includes(token) ? delta / assets[from].tokens.length : 0;
+            return (tokenTotals[token] || 0) + delta / assets[i].tokens.length - freedToken <= caps.token + epsilon;
+        });
+    };
+
+    const addGain = (i, delta) =>
+        delta * expectedApr[i] - riskAversion / 2 * (2 * delta * covTimesWeights[i] + delta * delta * covariance[i][i]);
+
+    const moveGain = (from, to, delta) =>
+        delta * (expectedApr[to] - expectedApr[from])
+        - riskAversion / 2 * (2 * delta * (covTimesWeights[to] - covTimesWeights[from])
+            + delta * delta * (covariance[to][to] + covariance[from][from] - 2 * covariance[to][from]));
+
+    // The whole budget is invested unless the caps leave no room
+    while (invested + ALLOCATION_STEP <= 1 + epsilon) {
+        let best = -1;
+        let bestGain = -Infinity;
+        for (let i = 0; i < n; i++) {
+            if (!canAdd(i, ALLOCATION_STEP)) continue;
+            const gain = addGain(i, ALLOCATION_STEP);
+            if (gain > bestGain) {
+                bestGain = gain;
+                best = i;
+            }
+        }
+        if (best < 0) break;
+        applyDelta(best, ALLOCATION_STEP);
+    }
+
+    // Move slices from the weakest holding to the strongest pool while that improves the objective
+    for (let move = 0; move < MAX_REBALANCE_MOVES; move++) {
+        const marginal = expectedApr.map((apr, i) => apr - riskAversion * covTimesWeights[i]);
+        const holders = weights.map((w, i) => i).filter(i => weights[i] >= ALLOCATION_STEP - epsilon)
+            .sort((a, b) => marginal[a] - marginal[b]);
+        const targets = weights.map((w, i) => i).sort((a, b) => marginal[b] - marginal[a]);
+
+        let improved = false;
+        for (const from of holders) {
+            for (const to of targets) {
+                if (to === from || marginal[to] <= marginal[from]) break;
+                if (!canAdd(to, ALLOCATION_STEP, from)) continue;
+                if (moveGain(from, to, ALLOCATION_STEP) > epsilon) {
+                    applyDelta(from, -ALLOCATION_STEP);
+                    applyDelta(to, ALLOCATION_STEP);
+                    improved = true;
+                }
+                break;
+            }
+            if (improved) break;
+        }
+        if (!improved) break;
+    }
+
+    return weights.map(w => (w < epsilon ? 0 : w));
+}
+
+// Recommended allocation of `budget` across scored pools. Only pools whose risk category is at least as safe
+// as the tolerance (and that clear minHealthScore and have enough APR history) are considered.
+function optimizeAllocation(pools, request, profile) {
+    const categories = profile.riskCategories;
+    const tolerance = categories.find(c => c.label.toLowerCase() === (request.riskTolerance || 'Moderate').toLowerCase())
+        || categories[Math.min(1, categories.length - 1)];
+    const constraints = request.constraints || {};
+    const caps = {
+        pool: constraints.maxPoolShare || 1,
+        platform: constraints.maxPlatformShare || 1,
+        token: constraints.maxTokenShare || 1
+    };
+    const minHealthScore = Math.max(tolerance.minScore, constraints.minHealthScore || 0);
+    const riskAversion = request.riskAversion !== undefined
+        ? request.riskAversion
+        : (RISK_AVERSION[tolerance.label.toLowerCase()] !== undefined ? RISK_AVERSION[tolerance.label.toLowerCase()] : RISK_AVERSION.moderate);
+    const lookbackDays = request.lookbackDays || DEFAULT_LOOKBACK_DAYS;
+
+    const excluded = { riskTolerance: 0, minHealthScore: 0, insufficientHistory: 0 };
+    const healthEligible = pools.filter(pool => {
+        if (pool.health_score < tolerance.minScore) {
+            excluded.riskTolerance++;
+            return false;
+        }
+        if (pool.health_score < minHealthScore) {
+            excluded.minHealthScore++;
+            return false;
+        }
+        return true;
+    });
+
+    let statistics = healthEligible.length > 0 ? estimateAprStatistics(healthEligible, lookbackDays) : null;
+    let candidates = healthEligible;
+    if (statistics && statistics.observations.some(count => count < MIN_HISTORY_POINTS)) {
+        candidates = healthEligible.filter((_, i) => statistics.observations[i] >= MIN_HISTORY_POINTS);
+        excluded.insufficientHistory = healthEligible.length - candidates.length;
+        statistics = candidates.length > 0 ? estimateAprStatistics(candidates, lookbackDays) : null;
+    }
+
+    const assets = candidates.map(pool => ({
+        platform: pool.platform,
+        tokens: Array.from(new Set(parseTokenPair(pool.token_pair, pool.chain).map(token => token.canonical.toUpperCase())))
+    }));
+    const weights = statistics
+        ? solveAllocation(statistics.expectedApr, statistics.covariance, assets, caps, riskAversion)
+        : [];
+
+    const held = weights.map((weight, i) => i).filter(i => weights[i] > 0).sort((a, b) => weights[b] - weights[a]);
+    const invested = held.reduce((sum, i) => sum + weights[i], 0);
+    let variance = 0;
+    held.forEach(i => held.forEach(j => {
+        variance += weights[i] * weights[j] * statistics.covariance[i][j];
+    }));
+
+    const allocations = held.map(i => {
+        const pool = candidates[i];
+        return {
+            pool_id: pool.pool_id,
+            token_pair: pool.token_pair,
+            platform: pool.platform,
+            chain: pool.chain,
+            health_score: pool.health_score,
+            risk_category: pool.risk_category ? pool.risk_category.label : null,
+            weight: round(weights[i], 4),
+            amount: round(weights[i] * request.budget),
+            expected_apr: round(statistics.expectedApr[i], 4),
+            apr_volatility: round(Math.sqrt(Math.max(0, statistics.covariance[i][i])), 4)
+        };
+    });
+
+    // Blended figures describe the invested part of the budget
+    const healthScore = invested > 0 ? held.reduce((sum, i) => sum + weights[i] * candidates[i].health_score, 0) / invested : null;
+    const tokenEntries = [];
+    held.forEach(i => assets[i].tokens.forEach(token => tokenEntries.push({ key: token, value: weights[i] * request.budget / assets[i].tokens.length })));
+    const investedAmount = invested * request.budget;
+
+    return {
+        budget: request.budget,
+        allocated: round(investedAmount),
+        unallocated: Math.max(0, round(request.budget - investedAmount)),
+        riskTolerance: tolerance.label,
+        riskAversion,
+        lookbackDays,
+        constraints: {
+            maxPoolShare: caps.pool,
+            maxPlatformShare: caps.platform,
+            maxTokenShare: caps.token,
+            minHealthScore
+        },
+        expectedApr: invested > 0 ? round(held.reduce((sum, i) => sum + weights[i] * statistics.expectedApr[i], 0) / invested, 4) : null,
+        volatility: invested > 0 ? round(Math.sqrt(Math.max(0, variance)) / invested, 4) : null,
+        healthScore: healthScore !== null ? round(healthScore) : null,
+        riskCategory: healthScore !== null ? categorizeRisk(healthScore, profile).label : null,
+        universe: { pools: pools.length, candidates: candidates.length, excluded },
+        exposure: {
+            platform: concentration(held.map(i => ({ key: candidates[i].platform, value: weights[i] * request.budget })), investedAmount),
+            token: concentration(tokenEntries, investedAmount)
+        },
+        allocations
+    };
+}
+
+module.exports = {
+    DEFAULT_LOOKBACK_DAYS,
+    MIN_HISTORY_POINTS,
+    RISK_AVERSION,
+    validateOptimizationRequest,
+    estimateAprStatistics,
+    solveAllocation,
+    optimizeAllocation
+};
@@ -0,0 +1,299 @@
+// lib/poolQuery.js - Query language for the scored pool list: filters, min/max ranges, sorting,
+// offset or cursor pagination and field projection (/api/pools; /api/export shares the filters and sort)
+const { normalizeToken, parseTokenPair } = require('./chains');
+const { QUALITY_GRADES } = require('./dataQuality');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 500;
+const DEFAULT_SORT = [{ field: 'health_score', direction: 'desc' }];
+const SORT_DIRECTIONS = ['asc', 'desc'];
+
+// Numeric fields that can be sorted on; null reads the same-named pool field
+const SORT_FIELDS = {
+    health_score: null,
+    tvl: null,
+    volume_24h: null,
+    avg_apr: null,
+    avg_apr_base: null,
+    avg_apr_reward: null,
+    apr_volatility: null,
+    tvl_volatility: null,
+    data_points: null,
+    liquidity_score: null,
+    yield_score: null,
+    impermanent_loss_score: null,
+    protocol_score: null,
+    activity_score: null,
+    track_record_score: null,
+    risk_adjusted_score: null,
+    whale_risk_penalty: null,
+    depeg_penalty: null,
+    pool_type_multiplier: null,
+    governance_score: pool => (pool.governance ? pool.governance.score : null),
+    depeg_risk_score: pool => (pool.depeg_risk ? pool.depeg_risk.risk_score : null),
+    age_minutes: pool => (pool.freshness ? pool.freshness.age_minutes : null)
+};
+
+// min<Name>/max<Name> query parameters and the pool field each one bounds
+const RANGE_FILTERS = {
+    Apr: 'avg_apr',
+    Tvl: 'tvl',
+    Volume: 'volume_24h',
+    Score: 'health_score',
+    DataPoints: 'data_points'
+};
+
+// Top-level fields fields= can pick; pool_id is always returned
+const POOL_FIELDS = [
+    'pool_id', 'token_pair', 'platform', 'chain', 'pool_type', 'underlying_tokens',
+    'tvl', 'volume_24h', 'avg_apr', 'avg_apr_base', 'avg_apr_reward',
+    'health_score', 'risk_category', 'scoring_profile', 'data_quality', 'data_quality_report', 'data_points',
+    'liquidity_score', 'yield_score', 'impermanent_loss_score', 'protocol_score', 'activity_score',
+    'track_record_score', 'risk_adjusted_score', 'whale_risk_penalty', 'depeg_penalty', 'pool_type_multiplier',
+    'apr_volatility', 'tvl_volatility', 'impermanent_loss', 'depeg_risk', 'governance',
+    'historical_data', 'last_updated', 'processing_time', 'freshness'
+];
+
+function readSortField(pool, field) {
+    const getter = SORT_FIELDS[field];
+    const value = getter ? getter(pool) : pool[field];
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function splitList(value) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function sortKey(sort) {
+    return sort.map(({ field, direction }) => `${field}:${direction}`).join(',');
+}
+
+// Cursors are opaque to clients: the sort they were issued for plus the last row's sort values and id
+function encodeCursor(sort, pool) {
+    const payload = { s: sortKey(sort), v: sort.map(({ field }) => readSortField(pool, field)), id: pool.pool_id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { error: 'cursor is not valid' };
+    }
+    if (!payload || !Array.isArray(payload.v) || typeof payload.id !== 'string' || typeof payload.s !== 'string') {
+        return { error: 'cursor is not valid' };
+    }
+    if (payload.s !== sortKey(sort)) {
+        return { error: `cursor was issued for sort=${payload.s}, not sort=${sortKey(sort)}` };
+    }
+    return { point: { values: payload.v, id: payload.id } };
+}
+
+function parseNumber(query, name, errors) {
+    if (query[name] === undefined || query[name] === '') return null;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value)) {
+        errors.push(`${name} must be a number`);
+        return null;
+    }
+    return value;
+}
+
+function parseInteger(query, name, errors, { min, max }) {
+    const value = parseNumber(query, name, errors);
+    if (value === null) return null;
+    if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push(`${name} must be a whole number from ${min} to ${max}`);
+        return null;
+    }
+    return value;
+}
+
+// Validates /api/pools query parameters; returns { errors, filters, sort, limit, offset, cursor, fields }.
+// maxLimit: largest accepted limit (exports lift it); limit is null when not given
+function parsePoolQuery(query = {}, { maxLimit = MAX_PAGE_SIZE } = {}) {
+    const errors = [];
+    const text = name => (typeof query[name] === 'string' && query[name] !== '' && query[name] !== 'all' ? query[name] : null);
+
+    const filters = {
+        platform: text('platform'),
+        chain: text('chain'),
+        riskCategory: text('riskCategory'),
+        search: text('search'),
+        dataQuality: null,
+        tokens: null,
+        ranges: []
+    };
+
+    if (text('dataQuality')) {
+        const labels = QUALITY_GRADES.map(grade => grade.label);
+        filters.dataQuality = splitList(query.dataQuality).map(grade => {
+            const label = labels.find(candidate => candidate.toLowerCase() === grade.toLowerCase());
+            if (!label) errors.push(`Unknown dataQuality grade ${grade} (one of ${labels.join(', ')})`);
+            return label;
+        });
+    }
+
+    // token=USDC,WETH keeps pools holding every listed token, bridged variants included (USDC.E counts as USDC)
+    if (text('token')) {
+        filters.tokens = splitList(query.token).map(token => normalizeToken(token).canonical);
+    }
+
+    Object.entries(RANGE_FILTERS).forEach(([suffix, field]) => {
+        const min = parseNumber(query, `min${suffix}`, errors);
+        const max = parseNumber(query, `max${suffix}`, errors);
+        if (min !== null && max !== null && min > max) errors.push(`min${suffix} is greater than max${suffix}`);
+        if (min !== null || max !== null) filters.ranges.push({ field, min, max });
+    });
+
+    // sort=tvl:asc,health_score - descending unless asked otherwise
+    let sort = DEFAULT_SORT;
+    if (text('sort')) {
+        sort = splitList(query.sort).map(entry => {
+            const [field, direction = 'desc'] = entry.split(':').map(part => part.trim());
+            if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, field)) errors.push(`Cannot sort on ${field}`);
+            if (!SORT_DIRECTIONS.includes(direction.toLowerCase())) errors.push(`Sort direction for ${field} must be asc or desc`);
+            return { field, direction: direction.toLowerCase() };
+        });
+    }
+
+    const limit = parseInteger(query, 'limit', errors, { min: 1, max: maxLimit });
+    const offset = parseInteger(query, 'offset', errors, { min: 0, max: Number.MAX_SAFE_INTEGER });
+
+    let cursor = null;
+    if (text('cursor')) {
+        if (offset !== null) errors.push('Use either cursor or offset, not both');
+        const decoded = decodeCursor(query.cursor, sort);
+        if (decoded.error) errors.push(decoded.error);
+        else cursor = decoded.point;
+    }
+
+    let fields = null;
+    if (text('fields')) {
+        fields = Array.from(new Set(['pool_id', ...splitList(query.fields)]));
+        const unknown = fields.filter(field => !POOL_FIELDS.includes(field));
+        if (unknown.length > 0) errors.push(`Unknown fields: ${unknown.join(', ')}`);
+    }
+
+    return { errors, filters, sort, limit, offset, cursor, fields };
+}
+
+function filterPools(pools, { platform, chain, riskCategory, search, dataQuality, tokens, ranges = [] }) {
+    if (platform) {
+        pools = pools.filter(p => p.platform === platform);
+    }
+
+    if (chain) {
+        const chainLower = chain.toLowerCase();
+        pools = pools.filter(p => (p.chain || '').toLowerCase() === chainLower);
+    }
+
+    if (riskCategory) {
+        // Categories carry the thresholds of the profile the pool was scored with
+        const categoryLower = riskCategory.toLowerCase();
+        pools = pools.filter(p => p.risk_category && p.risk_category.label.toLowerCase() === categoryLower);
+    }
+
+    if (search) {
+        const searchLower = search.toLowerCase();
+        pools = pools.filter(p =>
+            p.token_pair.toLowerCase().includes(searchLower) ||
+            p.platform.toLowerCase().includes(searchLower)
+        );
+    }
+
+    if (dataQuality) {
+        pools = pools.filter(p => dataQuality.includes(p.data_quality));
+    }
+
+    if (tokens) {
+        pools = pools.filter(p => {
+            const held = parseTokenPair(p.token_pair, p.chain).map(token => token.canonical);
+            return tokens.every(token => held.includes(token));
+        });
+    }
+
+    // A pool without the bounded value can't be shown to be in range, so it's left out
+    ranges.forEach(({ field, min, max }) => {
+        pools = pools.filter(p => {
+            const value = readSortField(p, field);
+            return value !== null && (min === null || value >= min) && (max === null || value <= max);
+        });
+    });
+
+    return pools;
+}
+
+// Orders by the sort keys, missing values last whatever the direction, then by pool id so pages are stable
+function compareBy(sort, a, b) {
+    for (let i = 0; i < sort.length; i++) {
+        const left = a.values[i];
+        const right = b.values[i];
+        if (left === right) continue;
+        if (left === null) return 1;
+        if (right === null) return -1;
+        return sort[i].direction === 'asc' ? left - right : right - left;
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+function sortPools(pools, sort = DEFAULT_SORT) {
+    return pools
+        .map(pool => ({ pool, values: sort.map(({ field }) => readSortField(pool, field)), id: pool.pool_id }))
+        .sort((a, b) => compareBy(sort, a, b))
+        .map(entry => entry.pool);
+}
+
+function projectPool(pool, fields) {
+    if (!fields) return pool;
+    const projected = {};
+    fields.forEach(field => {
+        if (pool[field] !== undefined) projected[field] = pool[field];
+    });
+    return projected;
+}
+
+// Filters, sorts and pages the pools. total counts every match, not just this page
+function runPoolQuery(pools, { filters, sort, limit, offset, cursor, fields }) {
+    const matched = sortPools(filterPools(pools, filters), sort);
+    const pageSize = limit || DEFAULT_PAGE_SIZE;
+
+    let start = offset || 0;
+    if (cursor) {
+        // First row after the cursor's position; rows that moved since the cursor was issued aren't repeated
+        const index = matched.findIndex(pool => compareBy(sort, { values: sort.map(({ field }) => readSortField(pool, field)), id: pool.pool_id }, cursor) > 0);
+        start = index === -1 ? matched.length : index;
+    }
+
+    const page = matched.slice(start, start + pageSize);
+    const hasMore = start + page.length < matched.length;
+    return {
+        total: matched.length,
+        data: page.map(pool => projectPool(pool, fields)),
+        pagination: {
+            limit: pageSize,
+            offset: start,
+            hasMore,
+            nextOffset: hasMore ? start + page.length : null,
+            nextCursor: hasMore && page.length > 0 ? encodeCursor(sort, page[page.length - 1]) : null
+        },
+        sort: sortKey(sort)
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    DEFAULT_SORT,
+    SORT_FIELDS,
+    RANGE_FILTERS,
+    POOL_FIELDS,
+    parsePoolQuery,
+    filterPools,
+    sortPools,
+    projectPool,
+    runPoolQuery,
+    encodeCursor,
+    decodeCursor
+};
@@ -0,0 +1,304 @@
+// lib/portfolio.js - LP positions, their estimated PnL and aggregated portfolio health
+const fs = require('fs');
+const crypto = require('crypto');
+const { getCoinId, parseTokenPair } = require('./chains');
+const {
+    impermanentLossConstantProduct,
+    impermanentLossConcentrated,
+    alignPriceRatio,
+    estimateRangeWidth,
+    windowFeeReturn
+} = require('./impermanentLoss');
+
+const PORTFOLIO_FILE = process.env.PORTFOLIO_FILE || './portfolio.json';
+
+function validatePosition(position) {
+    const errors = [];
+    if (!position || typeof position !== 'object') return ['position must be an object'];
+
+    if (typeof position.poolId !== 'string' || !position.poolId) errors.push('"poolId" is required');
+
+    const depositTime = Date.parse(position.depositDate);
+    if (Number.isNaN(depositTime)) errors.push('"depositDate" must be a date (YYYY-MM-DD or ISO 8601)');
+    else if (depositTime > Date.now()) errors.push('"depositDate" cannot be in the future');
+
+    const hasUsd = position.amountUsd !== undefined && position.amountUsd !== null;
+    const hasTokens = position.tokenAmounts !== undefined && position.tokenAmounts !== null;
+    if (hasUsd === hasTokens) {
+        errors.push('give either "amountUsd" or "tokenAmounts"');
+    } else if (hasUsd && (typeof position.amountUsd !== 'number' || position.amountUsd <= 0)) {
+        errors.push('"amountUsd" must be a positive number');
+    } else if (hasTokens && (!Array.isArray(position.tokenAmounts) || position.tokenAmounts.length !== 2
+        || position.tokenAmounts.some(amount => typeof amount !== 'number' || amount < 0)
+        || position.tokenAmounts.every(amount => amount === 0))) {
+        errors.push('"tokenAmounts" must be two non-negative numbers in pool token order, not both zero');
+    }
+
+    if (position.label !== undefined && typeof position.label !== 'string') errors.push('"label" must be a string');
+    return errors;
+}
+
+// Coins API ids of a scored pool's two assets, or null when IL can't be priced
+function getPositionCoinIds(pool) {
+    const tokens = pool.underlying_tokens || [];
+    if (tokens.length !== 2) return null;
+    const coinIds = tokens.map(address => getCoinId(pool.chain, address));
+    return coinIds.every(Boolean) ? coinIds : null;
+}
+
+// Last known price at or before `seconds` (half a day of slack for daily candles)
+function priceAt(series, seconds) {
+    let price = null;
+    for (const point of series) {
+        if (point.date > seconds + 43200) break;
+        price = point.price;
+    }
+    return price;
+}
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// Chart timestamps of the pool's history; older caches only stored locale date strings
+function getHistoryTimestamps(history) {
+    if (Array.isArray(history.timestamps) && history.timestamps.length > 0) return history.timestamps;
+    return (history.dates || []).map(date => Math.floor(Date.parse(date) / 1000));
+}
+
+// Estimated value and PnL of one position. priceHistories: { coinId: [{ date, price }] }
+function valuePosition(position, pool, priceHistories = {}, now = Date.now()) {
+    const base = {
+        id: position.id,
+        poolId: position.poolId,
+        label: position.label || null,
+        depositDate: position.depositDate,
+        amountUsd: position.amountUsd !== undefined ? position.amountUsd : null,
+        tokenAmounts: position.tokenAmounts || null
+    };
+    if (!pool) {
+        return { ...base, status: 'pool_unavailable', error: 'Pool is not in the scored set' };
+    }
+
+    const depositSeconds = Math.floor(Date.parse(position.depositDate) / 1000);
+    const nowSeconds = Math.floor(now / 1000);
+    const coinIds = getPositionCoinIds(pool);
+    const [pricesA, pricesB] = coinIds ? coinIds.map(id => priceHistories[id] || []) : [[], []];
+    const entryPrices = [priceAt(pricesA, depositSeconds), priceAt(pricesB, depositSeconds)];
+    const currentPrices = [priceAt(pricesA, nowSeconds), priceAt(pricesB, nowSeconds)];
+    const hasPrices = entryPrices.every(p => p !== null) && currentPrices.every(p => p !== null);
+
+    // Deposit value in USD; token amounts need prices on the deposit date
+    let depositValue;
+    let holdValue;
+    if (position.tokenAmounts) {
+        if (!hasPrices) {
+            return { ...base, status: 'unpriced', error: 'Token prices are unavailable for this pool, record the position in USD instead' };
+        }
+        depositValue = position.tokenAmounts[0] * entryPrices[0] + position.tokenAmounts[1] * entryPrices[1];
+        holdValue = position.tokenAmounts[0] * currentPrices[0] + position.tokenAmounts[1] * currentPrices[1];
+    } else {
+        depositValue = position.amountUsd;
+        // USD deposits are assumed to enter the pool 50/50
+        holdValue = hasPrices
+            ? depositValue * 0.5 * (currentPrices[0] / entryPrices[0] + currentPrices[1] / entryPrices[1])
+            : depositValue;
+    }
+
+    // Impermanent loss from the assets' price ratio since the deposit
+    let impermanentLoss = null;
+    if (hasPrices) {
+        const ratioChange = (currentPrices[0] / currentPrices[1]) / (entryPrices[0] / entryPrices[1]);
+        if (pool.pool_type === 'concentrated') {
+            const history = pool.historical_data || {};
+            const rangeWidth = (pool.impermanent_loss && pool.impermanent_loss.range_width)
+                || estimateRangeWidth(alignPriceRatio(getHistoryTimestamps(history), pricesA, pricesB));
+            impermanentLoss = impermanentLossConcentrated(ratioChange, rangeWidth);
+        } else {
+            impermanentLoss = impermanentLossConstantProduct(ratioChange);
+        }
+    }
+    const lpValue = holdValue * (1 + (impermanentLoss || 0));
+
+    // Fee income from the pool's daily fees (or APY) since the deposit, on the deposited amount
+    const history = pool.historical_data || {};
+    const timestamps = getHistoryTimestamps(history);
+    let startIndex = timestamps.findIndex(t => t >= depositSeconds);
+    const partialHistory = timestamps.length === 0 || timestamps[0] > depositSeconds + 86400;
+    let feesEarned = 0;
+    let feeSource = null;
+    if (startIndex >= 0) {
+        // Count the deposit day's accrual only from the following day on
+        startIndex = Math.max(0, startIndex - (timestamps[startIndex] > depositSeconds ? 1 : 0));
+        const { feeReturn, feeSource: source } = windowFeeReturn(startIndex, timestamps.length - 1, history.fees || [], history.tvl || [], history.apr || []);
+        feesEarned = depositValue * feeReturn;
+        feeSource = source;
+    }
+
+    const currentValue = lpValue + feesEarned;
+    const netPnl = currentValue - depositValue;
+
+    return {
+        ...base,
+        status: 'ok',
+        valuation: hasPrices ? 'priced' : 'fees-only',
+        pool: {
+            token_pair: pool.token_pair,
+            platform: pool.platform,
+            chain: pool.chain,
+            pool_type: pool.pool_type,
+            health_score: pool.health_score,
+            risk_category: pool.risk_category ? pool.risk_category.label : null
+        },
+        daysHeld: Math.max(0, Math.floor((nowSeconds - depositSeconds) / 86400)),
+        depositValue: round(depositValue),
+        holdValue: round(holdValue),
+        lpValue: round(lpValue),
+        feesEarned: round(feesEarned),
+        feeSource,
+        impermanentLoss: impermanentLoss !== null ? round(impermanentLoss, 6) : null,
+        impermanentLossUsd: round(lpValue - holdValue),
+        currentValue: round(currentValue),
+        netPnl: round(netPnl),
+        netPnlPercent: depositValue > 0 ? round(netPnl / depositValue * 100) : null,
+        partialHistory
+    };
+}
+
+// Value and share per key, largest first, plus a Herfindahl index (1 = everything in one bucket)
+function concentration(entries, total) {
+    const buckets = {};
+    entries.forEach(({ key, value }) => {
+        buckets[key] = (buckets[key] || 0) + value;
+    });
+    const breakdown = Object.entries(buckets)
+        .map(([key, value]) => ({ key, value: round(value), share: total > 0 ? round(value / total, 4) : 0 }))
+        .sort((a, b) => b.value - a.value);
+    return {
+        breakdown,
+        herfindahl: round(breakdown.reduce((sum, b) => sum + b.share * b.share, 0), 4),
+        largestShare: breakdown.length > 0 ? breakdown[0].share : 0
+    };
+}
+
+function summarizePortfolio(valuedPositions) {
+    const positions = valuedPositions.filter(p => p.status === 'ok');
+    const sum = field => positions.reduce((total, p) => total + p[field], 0);
+    const totalValue = sum('currentValue');
+    const totalDeposited = sum('depositValue');
+
+    // Health weighted by how much capital sits in each pool
+    const healthScore = totalValue > 0
+        ? positions.reduce((total, p) => total + p.pool.health_score * p.currentValue, 0) / totalValue
+        : null;
+
+    // Each position's value is split evenly across the tokens it holds
+    const tokenEntries = [];
+    positions.forEach(p => {
+        const tokens = parseTokenPair(p.pool.token_pair, p.pool.chain).map(token => token.canonical.toUpperCase());
+        tokens.forEach(token => tokenEntries.push({ key: token, value: p.currentValue / tokens.length }));
+    });
+
+    const riskMix = {};
+    positions.forEach(p => {
+        const label = p.pool.risk_category || 'Unknown';
+        if (!riskMix[label]) riskMix[label] = { positions: 0, value: 0, share: 0 };
+        riskMix[label].positions++;
+        riskMix[label].value += p.currentValue;
+    });
+    Object.values(riskMix).forEach(entry => {
+        entry.value = round(entry.value);
+        entry.share = totalValue > 0 ? round(entry.value / totalValue, 4) : 0;
+    });
+
+    return {
+        positions: valuedPositions.length,
+        valuedPositions: positions.length,
+        totalDeposited: round(totalDeposited),
+        currentValue: round(totalValue),
+        feesEarned: round(sum('feesEarned')),
+        impermanentLossUsd: round(sum('impermanentLossUsd')),
+        netPnl: round(totalValue - totalDeposited),
+        netPnlPercent: totalDeposited > 0 ? round((totalValue - totalDeposited) / totalDeposited * 100) : null,
+        healthScore: healthScore !== null ? round(healthScore) : null,
+        concentration: {
+            platform: concentration(positions.map(p => ({ key: p.pool.platform, value: p.currentValue })), totalValue),
+            chain: concentration(positions.map(p => ({ key: p.pool.chain, value: p.currentValue })), totalValue),
+            token: concentration(tokenEntries, totalValue)
+        },
+        riskMix
+    };
+}
+
+function createPortfolioStore(filePath = PORTFOLIO_FILE) {
+    let positions = [];
+
+    try {
+        if (fs.existsSync(filePath)) {
+            positions = JSON.parse(fs.readFileSync(filePath, 'utf8')).positions || [];
+        }
+    } catch (error) {
+        console.error('Error loading portfolio:', error.message);
+    }
+
+    function persist() {
+        fs.writeFileSync(filePath, JSON.stringify({ positions }, null, 2));
+    }
+
+    function normalize(input) {
+        const position = {
+            poolId: input.poolId,
+            label: input.label || null,
+            depositDate: new Date(Date.parse(input.depositDate)).toISOString()
+        };
+        if (input.tokenAmounts) position.tokenAmounts = input.tokenAmounts;
+        else position.amountUsd = input.amountUsd;
+        return position;
+    }
+
+    return {
+        list() {
+            return positions;
+        },
+
+        get(id) {
+            return positions.find(p => p.id === id) || null;
+        },
+
+        add(input) {
+            const now = new Date().toISOString();
+            const position = { id: crypto.randomUUID(), ...normalize(input), createdAt: now, updatedAt: now };
+            positions.push(position);
+            persist();
+            return position;
+        },
+
+        update(id, input) {
+            const index = positions.findIndex(p => p.id === id);
+            if (index < 0) return null;
+            positions[index] = { id, ...normalize(input), createdAt: positions[index].createdAt, updatedAt: new Date().toISOString() };
+            persist();
+            return positions[index];
+        },
+
+        remove(id) {
+            const index = positions.findIndex(p => p.id === id);
+            if (index < 0) return false;
+            positions.splice(index, 1);
+            persist();
+            return true;
+        }
+    };
+}
+
+module.exports = {
+    PORTFOLIO_FILE,
+    validatePosition,
+    getPositionCoinIds,
+    getHistoryTimestamps,
+    valuePosition,
+    concentration,
+    summarizePortfolio,
+    createPortfolioStore
+};
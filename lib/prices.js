@@ -0,0 +1,101 @@
+// lib/prices.js - Daily token price history from DefiLlama's coins API or local fixtures
+const fs = require('fs');
+const path = require('path');
+const { defillamaClient } = require('./defillama');
+const { clock } = require('./clock');
+
+const DEFI_LLAMA_COINS_CHART_URL = 'https://coins.llama.fi/chart/';
+const PRICE_CACHE_TTL = 3600000; // 1 hour, shared across pools holding the same token
+
+// Normalized price series: [{ date: unix seconds, price }]
+function parseCoinPrices(entry) {
+    if (!entry || !Array.isArray(entry.prices)) return [];
+    return entry.prices
+        .filter(p => typeof p.price === 'number' && p.price > 0)
+        .map(p => ({ date: p.timestamp, price: p.price }))
+        .sort((a, b) => a.date - b.date);
+}
+
+// Spans are rounded up to whole years so pools needing a little more or less history share one request
+const PRICE_SPAN_STEP_DAYS = 365;
+
+function priceSpanDays(days) {
+    return Math.max(1, Math.ceil(days / PRICE_SPAN_STEP_DAYS)) * PRICE_SPAN_STEP_DAYS;
+}
+
+// One coin per URL: which coins a batched URL would hold depends on what concurrent pools fetched first,
+// so a replayed run could ask for URLs that were never recorded
+function buildCoinChartUrl(coinId, days, now) {
+    const span = priceSpanDays(days);
+    const start = Math.floor(now / 1000) - span * 86400;
+    return `${DEFI_LLAMA_COINS_CHART_URL}${encodeURIComponent(coinId)}?start=${start}&span=${span}&period=1d&searchWidth=600`;
+}
+
+// Live coins API source with an in-memory cache per coin and span; concurrent callers share one request
+function createLlamaPriceSource() {
+    const cache = new Map();
+
+    async function getCoinPrices(coinId, days, now) {
+        const key = `${coinId}:${priceSpanDays(days)}`;
+        const cached = cache.get(key);
+        if (cached && now - cached.timestamp < PRICE_CACHE_TTL) return cached.prices;
+
+        const prices = defillamaClient.get(buildCoinChartUrl(coinId, days, now))
+            .then(body => parseCoinPrices(((body && body.coins) || {})[coinId]));
+        cache.set(key, { prices, timestamp: now });
+        try {
+            return await prices;
+        } catch (error) {
+            if (cache.get(key) && cache.get(key).prices === prices) cache.delete(key);
+            throw error;
+        }
+    }
+
+    return {
+        source: 'defillama-coins',
+
+        async getPriceHistories(coinIds, days) {
+            const now = clock.now();
+            const histories = await Promise.all(coinIds.map(id => getCoinPrices(id, days, now)));
+            const result = {};
+            coinIds.forEach((id, i) => {
+                result[id] = histories[i];
+            });
+            return result;
+        }
+    };
+}
+
+// Fixture source - <dir>/<chain>_<address>.json holding a coins API entry ({ prices: [...] })
+function createFixturePriceSource(dir) {
+    return {
+        source: 'fixture',
+
+        async getPriceHistories(coinIds) {
+            const result = {};
+            coinIds.forEach(id => {
+                const file = path.join(dir, `${id.replace(':', '_')}.json`);
+                result[id] = fs.existsSync(file) ? parseCoinPrices(JSON.parse(fs.readFileSync(file, 'utf8'))) : [];
+            });
+            return result;
+        }
+    };
+}
+
+function createPriceSource(env = process.env) {
+    if (env.PRICE_FIXTURES_DIR) {
+        return createFixturePriceSource(env.PRICE_FIXTURES_DIR);
+    }
+    return createLlamaPriceSource();
+}
+
+module.exports = {
+    DEFI_LLAMA_COINS_CHART_URL,
+    PRICE_SPAN_STEP_DAYS,
+    parseCoinPrices,
+    priceSpanDays,
+    buildCoinChartUrl,
+    createLlamaPriceSource,
+    createFixturePriceSource,
+    createPriceSource
+};
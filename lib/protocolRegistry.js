@@ -0,0 +1,141 @@
+// lib/protocolRegistry.js - Config-driven registry of supported protocols
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, '..', 'config', 'protocols.json');
+const MULTIPLIER_CONDITIONS = ['minStablecoins', 'minMajorTokens'];
+
+function isScore(value) {
+    return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+// Returns a list of human-readable problems; empty when the config is valid
+function validateProtocolRegistry(config) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object') {
+        return ['registry must be a JSON object'];
+    }
+    if (!Array.isArray(config.protocols) || config.protocols.length === 0) {
+        return ['"protocols" must be a non-empty array'];
+    }
+    if (config.defaults && config.defaults.baseSecurityScore !== undefined && !isScore(config.defaults.baseSecurityScore)) {
+        errors.push('defaults.baseSecurityScore must be a number between 0 and 1');
+    }
+
+    const seenIds = new Set();
+    config.protocols.forEach((protocol, index) => {
+        const label = protocol && protocol.id ? `protocol "${protocol.id}"` : `protocols[${index}]`;
+
+        if (!protocol || typeof protocol.id !== 'string' || !protocol.id) {
+            errors.push(`${label}: "id" (DefiLlama project id) is required`);
+            return;
+        }
+        if (seenIds.has(protocol.id)) errors.push(`${label}: duplicate id`);
+        seenIds.add(protocol.id);
+
+        if (typeof protocol.name !== 'string' || !protocol.name) errors.push(`${label}: "name" is required`);
+        if (!Array.isArray(protocol.chains) || protocol.chains.length === 0) errors.push(`${label}: "chains" must be a non-empty array`);
+        if (!isScore(protocol.baseSecurityScore)) errors.push(`${label}: "baseSecurityScore" must be a number between 0 and 1`);
+
+        Object.entries(protocol.chainSecurityOverrides || {}).forEach(([chain, score]) => {
+            if (!isScore(score)) errors.push(`${label}: chainSecurityOverrides.${chain} must be a number between 0 and 1`);
+        });
+
+        if (protocol.launched && isNaN(Date.parse(protocol.launched))) errors.push(`${label}: "launched" must be a date`);
+        if (protocol.audits !== undefined && !Array.isArray(protocol.audits)) errors.push(`${label}: "audits" must be an array`);
+        if (protocol.aliases !== undefined && (!Array.isArray(protocol.aliases) || protocol.aliases.some(alias => typeof alias !== 'string' || !alias))) {
+            errors.push(`${label}: "aliases" must be an array of names`);
+        }
+
+        (protocol.multiplierRules || []).forEach((rule, ruleIndex) => {
+            const ruleLabel = `${label}: multiplierRules[${ruleIndex}]`;
+            if (typeof rule.multiplier !== 'number' || rule.multiplier < 0.5 || rule.multiplier > 1.5) {
+                errors.push(`${ruleLabel}.multiplier must be a number between 0.5 and 1.5`);
+            }
+            if (!MULTIPLIER_CONDITIONS.some(condition => typeof rule[condition] === 'number')) {
+                errors.push(`${ruleLabel} needs one of ${MULTIPLIER_CONDITIONS.join(', ')}`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+function createProtocolRegistry(config) {
+    const errors = validateProtocolRegistry(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid protocol registry:\n - ${errors.join('\n - ')}`);
+    }
+
+    const defaults = { baseSecurityScore: 0.5, ...(config.defaults || {}) };
+    const protocols = config.protocols.map(protocol => ({
+        enabled: true,
+        chainSecurityOverrides: {},
+        audits: [],
+        aliases: [],
+        multiplierRules: [],
+        poolType: 'unknown',
+        launched: null,
+        ...protocol
+    }));
+    const byId = new Map(protocols.map(protocol => [protocol.id, protocol]));
+
+    return {
+        version: config.version,
+        defaults,
+        protocols,
+
+        getProtocol(id) {
+            return byId.get(id) || null;
+        },
+
+        getEnabledProtocols() {
+            return protocols.filter(protocol => protocol.enabled);
+        },
+
+        // True when DefiLlama pools for this project on this chain should be ingested
+        supportsPool(project, chain) {
+            const protocol = byId.get(project);
+            return Boolean(protocol && protocol.enabled && protocol.chains.includes(chain));
+        },
+
+        getSecurityScore(project, chain) {
+            const protocol = byId.get(project);
+            if (!protocol) return { score: defaults.baseSecurityScore, overridden: false };
+            if (protocol.chainSecurityOverrides[chain] !== undefined) {
+                return { score: protocol.chainSecurityOverrides[chain], overridden: true };
+            }
+            return { score: protocol.baseSecurityScore, overridden: false };
+        },
+
+        // First matching protocol-specific multiplier rule, or null
+        getMultiplierRule(project, { stablecoinCount, majorTokenCount }) {
+            const protocol = byId.get(project);
+            if (!protocol) return null;
+            return protocol.multiplierRules.find(rule =>
+                (rule.minStablecoins === undefined || stablecoinCount >= rule.minStablecoins) &&
+                (rule.minMajorTokens === undefined || majorTokenCount >= rule.minMajorTokens)
+            ) || null;
+        }
+    };
+}
+
+function loadProtocolRegistry(filePath = DEFAULT_REGISTRY_FILE) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to read protocol registry ${filePath}: ${error.message}`);
+    }
+    const registry = createProtocolRegistry(config);
+    console.log(`📚 Loaded protocol registry v${registry.version}: ${registry.getEnabledProtocols().length}/${registry.protocols.length} protocols enabled`);
+    return registry;
+}
+
+module.exports = {
+    DEFAULT_REGISTRY_FILE,
+    validateProtocolRegistry,
+    createProtocolRegistry,
+    loadProtocolRegistry
+};
@@ -0,0 +1,247 @@
+// lib/scoreExplanation.js - Per-component reasoning behind a health score and what would change its risk category
+const { scoringProfiles, deriveScoringInputs, scoreFromInputs } = require('./scoring');
+const { matchBand, getProfileKey } = require('./scoringProfiles');
+
+// Inputs the sensitivity analysis varies one at a time, everything else held constant.
+// Candidate values are scanned across [min, max] and the crossing refined by bisection
+const SENSITIVITY_INPUTS = [
+    { key: 'avgApr', label: 'Average APR (%)', min: 0, max: 200 },
+    { key: 'aprVolatility', label: 'Robust APR volatility', min: 0, max: 3 },
+    {
+        key: 'volumeToTvlRatio',
+        label: 'Daily volume / TVL',
+        min: 0,
+        max: 2,
+        read: inputs => inputs.volume24h / Math.max(inputs.tvl, 1),
+        apply: (inputs, value) => ({ ...inputs, volume24h: value * Math.max(inputs.tvl, 1) })
+    },
+    { key: 'dataPoints', label: 'Days of history', min: 0, max: 1095, integer: true },
+    { key: 'tvlVariance', label: 'TVL coefficient of variation', min: 0, max: 2 },
+    { key: 'tvl', label: 'TVL in USD (volume unchanged)', min: 1000, max: 1e11, logScale: true },
+    { key: 'protocolRisk', label: 'Protocol security score', min: 0, max: 1 },
+    { key: 'governanceScore', label: 'Incident and governance score', min: 0, max: 1 }
+];
+
+const SCAN_STEPS = 400;
+const BISECTION_STEPS = 40;
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function significant(value) {
+    return Number(value.toPrecision(4));
+}
+
+const BAND_OPERATOR_SYMBOLS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// The band of a profile table that awarded the points, e.g. { index: 3, condition: 'avgApr <= 15', score: 1 }
+function describeBand(value, bands, name) {
+    const band = matchBand(value, bands);
+    if (!band) return null;
+    const conditions = Object.keys(BAND_OPERATOR_SYMBOLS)
+        .filter(operator => band[operator] !== undefined)
+        .map(operator => `${name} ${BAND_OPERATOR_SYMBOLS[operator]} ${band[operator]}`);
+    return {
+        index: bands.indexOf(band),
+        condition: conditions.length > 0 ? conditions.join(' and ') : 'otherwise (catch-all band)',
+        score: band.score
+    };
+}
+
+function categoryIndex(score, profile) {
+    const index = profile.riskCategories.findIndex(c => score >= c.minScore);
+    return index >= 0 ? index : profile.riskCategories.length - 1;
+}
+
+function scanValues(spec) {
+    return Array.from({ length: SCAN_STEPS + 1 }, (_, i) => {
+        const value = spec.logScale
+            ? Math.exp(Math.log(spec.min) + (Math.log(spec.max) - Math.log(spec.min)) * i / SCAN_STEPS)
+            : spec.min + (spec.max - spec.min) * i / SCAN_STEPS;
+        return spec.integer ? Math.round(value) : value;
+    });
+}
+
+function distance(spec, a, b) {
+    return spec.logScale ? Math.abs(Math.log(Math.max(a, 1)) - Math.log(Math.max(b, 1))) : Math.abs(a - b);
+}
+
+// Smallest change of one input that moves the pool into a category matching `reaches`
+function findCategoryChange(inputs, profile, spec, reaches) {
+    const read = spec.read || (values => values[spec.key]);
+    const apply = spec.apply || ((values, value) => ({ ...values, [spec.key]: value }));
+    const current = read(inputs);
+    const categoryAt = value => categoryIndex(scoreFromInputs(apply(inputs, value), profile).totalScore, profile);
+
+    // Closest scanned value that reaches the target
+    let best = null;
+    scanValues(spec).forEach(value => {
+        if (!reaches(categoryAt(value))) return;
+        if (best === null || distance(spec, value, current) < distance(spec, best, current)) best = value;
+    });
+    if (best === null) return null;
+
+    // Refine the crossing between the current value and the closest hit
+    let near = current;
+    let far = best;
+    for (let i = 0; i < BISECTION_STEPS; i++) {
+        if (spec.integer && Math.abs(far - near) <= 1) break;
+        const mid = spec.integer ? Math.round((near + far) / 2) : (near + far) / 2;
+        if (reaches(categoryAt(mid))) far = mid;
+        else near = mid;
+    }
+
+    const category = profile.riskCategories[categoryAt(far)];
+    return {
+        category: category.label,
+        value: significant(far),
+        change: significant(far - current),
+        changePercent: current !== 0 ? round((far - current) / Math.abs(current) * 100, 1) : null
+    };
+}
+
+function analyzeSensitivity(inputs, profile, currentIndex) {
+    return SENSITIVITY_INPUTS.map(spec => {
+        const current = spec.read ? spec.read(inputs) : inputs[spec.key];
+        return {
+            input: spec.key,
+            label: spec.label,
+            current: significant(current),
+            // Next better category, then the next worse one; null when no value in range gets there
+            toNextCategory: currentIndex > 0
+                ? findCategoryChange(inputs, profile, spec, index => index < currentIndex)
+                : null,
+            toPreviousCategory: currentIndex < profile.riskCategories.length - 1
+                ? findCategoryChange(inputs, profile, spec, index => index > currentIndex)
+                : null
+        };
+    });
+}
+
+// Explains calculateHealthScore() for the same poolData: inputs, rule fired and points per component
+function explainHealthScore(poolData, profile = scoringProfiles.defaultProfile) {
+    const inputs = deriveScoringInputs(poolData);
+    const { totalScore, breakdown, terms } = scoreFromInputs(inputs, profile);
+    const { weights } = profile;
+    const currentIndex = categoryIndex(totalScore, profile);
+
+    const components = [
+        {
+            component: 'liquidity',
+            points: round(breakdown.liquidityScore),
+            maxPoints: weights.liquidity,
+            inputs: {
+                tvl: round(inputs.tvl),
+                tvlVariance: round(inputs.tvlVariance, 4),
+                volumeToTvlRatio: round(terms.volumeToTvlRatio, 5)
+            },
+            rule: inputs.tvl <= 0
+                ? 'No liquidity - stability points withheld'
+                : `Stability: ${weights.liquidity} × e^(-${round(inputs.tvlVariance, 4)} × ${profile.liquidity.varianceSensitivity}), plus a TVL size bonus, minus the whale concentration penalty`,
+            details: {
+                stabilityPoints: round(terms.liquidityStability),
+                sizeBonus: round(terms.liquidityBonus),
+                whaleRiskPenalty: round(breakdown.whaleRiskPenalty),
+                whaleRule: terms.whaleRule
+            }
+        },
+        {
+            component: 'yield',
+            points: round(breakdown.yieldScore),
+            maxPoints: weights.yield,
+            inputs: {
+                avgApr: round(inputs.avgApr, 4),
+                aprVolatility: round(inputs.aprVolatility, 4),
+                dataPoints: inputs.aprPoints
+            },
+            band: describeBand(inputs.avgApr, profile.aprBands, 'avgApr'),
+            rule: `APR band points × stability multiplier ${round(terms.stabilityMultiplier, 3)} (0.5-1.3, higher for steadier APR)`,
+            details: {
+                bandPoints: round(terms.yieldBandScore),
+                stabilityMultiplier: round(terms.stabilityMultiplier, 4)
+            }
+        },
+        {
+            component: 'impermanentLoss',
+            points: round(breakdown.impermanentLossScore),
+            maxPoints: weights.impermanentLoss,
+            inputs: {
+                source: inputs.impermanentLossSource,
+                referencePoints: round(inputs.impermanentLossPoints)
+            },
+            rule: inputs.impermanentLossRule
+        },
+        {
+            component: 'protocol',
+            points: round(breakdown.protocolScore),
+            maxPoints: weights.protocol,
+            inputs: {
+                securityScore: inputs.protocolRisk,
+                governanceScore: inputs.governanceScore,
+                governanceMultiplier: round(terms.governanceMultiplier, 3)
+            },
+            rule: `Protocol security score × governance multiplier × ${weights.protocol}`
+        },
+        {
+            component: 'activity',
+            points: round(breakdown.activityScore),
+            maxPoints: weights.activity,
+            inputs: {
+                volume24h: round(inputs.volume24h),
+                volumeToTvlRatio: round(terms.volumeToTvlRatio, 5)
+            },
+            band: describeBand(terms.volumeToTvlRatio, profile.activityBands, 'volumeToTvl')
+        },
+        {
+            component: 'trackRecord',
+            points: round(breakdown.trackRecordScore),
+            maxPoints: weights.trackRecord,
+            inputs: { dataPoints: inputs.dataPoints },
+            band: describeBand(inputs.dataPoints, profile.trackRecordBands, 'days')
+        },
+        {
+            component: 'riskAdjusted',
+            points: round(breakdown.riskAdjustedScore),
+            maxPoints: weights.riskAdjusted,
+            inputs: {
+                avgApr: round(inputs.avgApr, 4),
+                aprVolatility: round(inputs.aprVolatility, 4),
+                sharpeRatio: terms.sharpeRatio !== null ? round(terms.sharpeRatio, 4) : null
+            },
+            band: terms.sharpeRatio !== null ? describeBand(terms.sharpeRatio, profile.sharpeBands, 'sharpe') : null,
+            rule: terms.sharpeRatio !== null
+                ? 'Sharpe-like ratio: avgApr / (aprVolatility × 100)'
+                : 'Needs more than 30 APR data points and non-zero volatility - no points'
+        }
+    ];
+
+    return {
+        healthScore: totalScore,
+        profile: getProfileKey(profile),
+        riskCategory: profile.riskCategories[currentIndex].label,
+        rawScore: round(terms.rawScore),
+        components,
+        adjustments: {
+            depegPenalty: {
+                points: round(breakdown.depegPenalty),
+                riskScore: inputs.depegRiskScore,
+                maxPenalty: terms.maxDepegPenalty,
+                depeggedTokens: inputs.depeggedTokens
+            },
+            poolTypeMultiplier: {
+                multiplier: inputs.poolTypeMultiplier,
+                rule: inputs.poolTypeRule
+            }
+        },
+        categories: profile.riskCategories.map(c => ({ label: c.label, minScore: c.minScore })),
+        sensitivity: analyzeSensitivity(inputs, profile, currentIndex)
+    };
+}
+
+module.exports = {
+    SENSITIVITY_INPUTS,
+    describeBand,
+    explainHealthScore
+};
@@ -0,0 +1,160 @@
+// lib/scoreHistory.js - Append-only per-pool score history with pluggable backends
+const fs = require('fs');
+const readline = require('readline');
+
+const SCORE_HISTORY_FILE = './score_history.jsonl';
+const SUPABASE_HISTORY_TABLE = 'pool_score_history';
+const SUPABASE_QUERY_BATCH = 100;
+
+// Fields copied from a processed pool into every history snapshot
+const SNAPSHOT_FIELDS = [
+    'health_score',
+    'scoring_profile',
+    'liquidity_score',
+    'yield_score',
+    'impermanent_loss_score',
+    'protocol_score',
+    'activity_score',
+    'track_record_score',
+    'risk_adjusted_score',
+    'whale_risk_penalty',
+    'depeg_penalty',
+    'pool_type_multiplier',
+    'tvl',
+    'volume_24h',
+    'avg_apr'
+];
+
+function buildScoreSnapshot(pool, recordedAt) {
+    const snapshot = {
+        pool_id: pool.pool_id,
+        recorded_at: recordedAt
+    };
+    SNAPSHOT_FIELDS.forEach(field => {
+        snapshot[field] = pool[field];
+    });
+    snapshot.risk_category = pool.risk_category ? pool.risk_category.label : null;
+    return snapshot;
+}
+
+function isWithinRange(snapshot, from, to) {
+    const time = Date.parse(snapshot.recorded_at);
+    if (from && time < from.getTime()) return false;
+    if (to && time > to.getTime()) return false;
+    return true;
+}
+
+// Local JSON Lines store - one snapshot per line, never rewritten
+function createFileScoreHistoryStore(filePath = SCORE_HISTORY_FILE) {
+    return {
+        backend: 'file',
+
+        async append(snapshots) {
+            if (snapshots.length === 0) return 0;
+            const lines = snapshots.map(s => JSON.stringify(s)).join('\n') + '\n';
+            await fs.promises.appendFile(filePath, lines, 'utf8');
+            return snapshots.length;
+        },
+
+        async query(poolId, range = {}) {
+            return (await this.queryMany([poolId], range)).get(poolId) || [];
+        },
+
+        // Several pools' snapshots in one pass over the file: Map of pool id -> snapshots, oldest first
+        async queryMany(poolIds, { from, to } = {}) {
+            const wanted = new Set(poolIds);
+            const matches = new Map();
+            if (!fs.existsSync(filePath)) return matches;
+
+            const lines = readline.createInterface({
+                input: fs.createReadStream(filePath, 'utf8'),
+                crlfDelay: Infinity
+            });
+
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+                let snapshot;
+                try {
+                    snapshot = JSON.parse(line);
+                } catch (error) {
+                    // A partially written trailing line shouldn't break the whole history
+                    continue;
+                }
+                if (wanted.has(snapshot.pool_id) && isWithinRange(snapshot, from, to)) {
+                    if (!matches.has(snapshot.pool_id)) matches.set(snapshot.pool_id, []);
+                    matches.get(snapshot.pool_id).push(snapshot);
+                }
+            }
+
+            matches.forEach(snapshots => snapshots.sort((a, b) => Date.parse(a.recorded_at) - Date.parse(b.recorded_at)));
+            return matches;
+        }
+    };
+}
+
+// Supabase store - expects a table with the snapshot columns above
+function createSupabaseScoreHistoryStore(url, key, table = SUPABASE_HISTORY_TABLE) {
+    const { createClient } = require('@supabase/supabase-js');
+    const client = createClient(url, key, { auth: { persistSession: false } });
+
+    return {
+        backend: 'supabase',
+
+        async append(snapshots) {
+            if (snapshots.length === 0) return 0;
+            const { error } = await client.from(table).insert(snapshots);
+            if (error) throw new Error(`Supabase insert failed: ${error.message}`);
+            return snapshots.length;
+        },
+
+        async query(poolId, { from, to } = {}) {
+            let request = client.from(table).select('*').eq('pool_id', poolId);
+            if (from) request = request.gte('recorded_at', from.toISOString());
+            if (to) request = request.lte('recorded_at', to.toISOString());
+
+            const { data, error } = await request.order('recorded_at', { ascending: true });
+            if (error) throw new Error(`Supabase query failed: ${error.message}`);
+            return data || [];
+        },
+
+        // One request per batch of pool ids (ids travel in the URL); Map of pool id -> snapshots, oldest first
+        async queryMany(poolIds, { from, to } = {}) {
+            const matches = new Map();
+            for (let i = 0; i < poolIds.length; i += SUPABASE_QUERY_BATCH) {
+                let request = client.from(table).select('*').in('pool_id', poolIds.slice(i, i + SUPABASE_QUERY_BATCH));
+                if (from) request = request.gte('recorded_at', from.toISOString());
+                if (to) request = request.lte('recorded_at', to.toISOString());
+
+                const { data, error } = await request.order('recorded_at', { ascending: true });
+                if (error) throw new Error(`Supabase query failed: ${error.message}`);
+                (data || []).forEach(snapshot => {
+                    if (!matches.has(snapshot.pool_id)) matches.set(snapshot.pool_id, []);
+                    matches.get(snapshot.pool_id).push(snapshot);
+                });
+            }
+            return matches;
+        }
+    };
+}
+
+// Picks the backend from the environment, falling back to the local file
+function createScoreHistoryStore(env = process.env) {
+    const backend = (env.SCORE_HISTORY_BACKEND || 'file').toLowerCase();
+
+    if (backend === 'supabase') {
+        if (env.SUPABASE_URL && env.SUPABASE_KEY) {
+            return createSupabaseScoreHistoryStore(env.SUPABASE_URL, env.SUPABASE_KEY, env.SUPABASE_HISTORY_TABLE);
+        }
+        console.warn('SCORE_HISTORY_BACKEND=supabase but SUPABASE_URL/SUPABASE_KEY missing, using local file');
+    }
+
+    return createFileScoreHistoryStore(env.SCORE_HISTORY_FILE || SCORE_HISTORY_FILE);
+}
+
+module.exports = {
+    SNAPSHOT_FIELDS,
+    buildScoreSnapshot,
+    createScoreHistoryStore,
+    createFileScoreHistoryStore,
+    createSupabaseScoreHistoryStore
+};
@@ -0,0 +1,390 @@
+// lib/scoring.js - Pool health scoring engine
+const { getChainProfile, parseTokenPair } = require('./chains');
+const { DEFAULT_REGISTRY_FILE, loadProtocolRegistry } = require('./protocolRegistry');
+const { DEFAULT_PROFILES_DIR, scoreFromBands, getProfileKey, loadScoringProfiles } = require('./scoringProfiles');
+const { DEFAULT_STABLECOINS_FILE, loadStablecoins } = require('./stablecoins');
+
+// Validated on load - an invalid registry stops the server before it starts scoring
+const protocolRegistry = loadProtocolRegistry(process.env.PROTOCOL_REGISTRY_FILE || DEFAULT_REGISTRY_FILE);
+const scoringProfiles = loadScoringProfiles(process.env.SCORING_PROFILES_DIR || DEFAULT_PROFILES_DIR, process.env.SCORING_PROFILE);
+const stablecoinRegistry = loadStablecoins(process.env.STABLECOINS_FILE || DEFAULT_STABLECOINS_FILE);
+
+// Point scales the component helpers were written against; profile weights rescale them
+const REFERENCE_IMPERMANENT_LOSS_POINTS = 20;
+const REFERENCE_LIQUIDITY_POINTS = 25;
+
+// Points removed for holding an actively depegged stablecoin, unless the profile sets depeg.maxPenalty
+const DEFAULT_DEPEG_MAX_PENALTY = 15;
+
+// Share of the protocol component lost at a governance score of 0, unless the profile sets governance.maxImpact
+const DEFAULT_GOVERNANCE_MAX_IMPACT = 0.5;
+
+// Enhanced Health scoring algorithm - weights, bands and thresholds come from the scoring profile
+function calculateHealthScore(poolData, profile = scoringProfiles.defaultProfile) {
+    const { totalScore, breakdown } = scoreFromInputs(deriveScoringInputs(poolData), profile);
+    
+    return {
+        totalScore,
+        profile: getProfileKey(profile),
+        breakdown: { 
+            liquidityScore: Math.round(breakdown.liquidityScore * 100) / 100,
+            yieldScore: Math.round(breakdown.yieldScore * 100) / 100,
+            impermanentLossScore: Math.round(breakdown.impermanentLossScore * 100) / 100,
+            protocolScore: Math.round(breakdown.protocolScore * 100) / 100,
+            activityScore: Math.round(breakdown.activityScore * 100) / 100,
+            trackRecordScore: Math.round(breakdown.trackRecordScore * 100) / 100,
+            riskAdjustedScore: Math.round(breakdown.riskAdjustedScore * 100) / 100,
+            whaleRiskPenalty: Math.round(breakdown.whaleRiskPenalty * 100) / 100,
+            depegPenalty: Math.round(breakdown.depegPenalty * 100) / 100,
+            poolTypeMultiplier: Math.round(breakdown.poolTypeMultiplier * 1000) / 1000
+        }
+    };
+}
+
+// Everything the score is computed from that doesn't depend on the scoring profile
+function deriveScoringInputs(poolData) {
+    const { tokenPair, platform, chain, impermanentLossModel, depegRisk } = poolData;
+    
+    // DefiLlama leaves gaps as null/NaN - score only the values that are actually numbers
+    const tvl = toFiniteNumber(poolData.tvl);
+    const aprHistory = toFiniteSeries(poolData.aprHistory);
+    const tvlHistory = toFiniteSeries(poolData.tvlHistory);
+    
+    // Stablecoins currently off their peg aren't treated as stable anywhere below
+    const depeggedTokens = depegRisk ? depegRisk.depeggedTokens || [] : [];
+    
+    // Realized IL from price history when available, otherwise the token-pattern heuristic
+    const impermanentLoss = impermanentLossModel && typeof impermanentLossModel.score === 'number'
+        ? { points: impermanentLossModel.score, source: 'price-model', rule: 'Realized impermanent loss of the underlying tokens\' price history' }
+        : { ...classifyImpermanentLossRisk(tokenPair, aprHistory, tvlHistory, chain, depeggedTokens), source: 'heuristic' };
+    
+    const poolType = classifyPoolType(tokenPair, platform || 'unknown', chain, depeggedTokens);
+    
+    return {
+        tvl,
+        volume24h: toFiniteNumber(poolData.volume24h),
+        protocolRisk: toFiniteNumber(poolData.protocolRisk),
+        // Incident and governance feed score (1 = nothing recent); pools scored without the feed keep 1
+        governanceScore: Number.isFinite(poolData.governanceScore) ? Math.min(1, Math.max(0, poolData.governanceScore)) : 1,
+        tvlVariance: calculateVariance(tvlHistory),
+        avgApr: aprHistory.length > 0 ? aprHistory.reduce((sum, apr) => sum + apr, 0) / aprHistory.length : 0,
+        // IMPROVED: Volatility calculation that handles temporary spikes better
+        aprVolatility: calculateRobustVolatility(aprHistory),
+        aprPoints: aprHistory.length,
+        dataPoints: Math.min(aprHistory.length, tvlHistory.length),
+        impermanentLossPoints: impermanentLoss.points,
+        impermanentLossSource: impermanentLoss.source,
+        impermanentLossRule: impermanentLoss.rule,
+        poolTypeMultiplier: poolType.multiplier,
+        poolTypeRule: poolType.rule,
+        depegRiskScore: depegRisk ? depegRisk.riskScore : 0,
+        depeggedTokens
+    };
+}
+
+// Scores derived inputs under a profile; returns unrounded points plus the intermediate terms
+function scoreFromInputs(inputs, profile = scoringProfiles.defaultProfile) {
+    const { tvl, volume24h, protocolRisk, tvlVariance, avgApr, aprVolatility, aprPoints, dataPoints } = inputs;
+    const { weights } = profile;
+    
+    // 1. Liquidity Risk Assessment (25 points by default) - Most critical factor
+    // A pool with no liquidity has nothing stable about it, however flat its history
+    const liquidityRisk = tvl <= 0 ? 0 : Math.max(0, Math.min(weights.liquidity, weights.liquidity * Math.exp(-tvlVariance * profile.liquidity.varianceSensitivity)));
+    
+    // Bonus for absolute liquidity size (deeper = safer)
+    const maxLiquidityBonus = weights.liquidity * profile.liquidity.sizeBonusMax;
+    const liquidityBonus = Math.min(maxLiquidityBonus, (Math.log(Math.max(tvl, 10000)) / Math.log(10) - 4) * maxLiquidityBonus / 5);
+    const totalLiquidityScore = Math.min(weights.liquidity, liquidityRisk + liquidityBonus);
+    
+    // 2. FIXED: Yield Sustainability Assessment (20 points by default) - No longer rewards terrible but stable yields
+    // APR bands heavily penalize very low yields regardless of stability
+    const yieldSustainabilityScore = scoreFromBands(avgApr, profile.aprBands) * weights.yield;
+    
+    // Stability bonus/penalty - but capped so terrible yields can't become good
+    const stabilityMultiplier = Math.max(0.5, Math.min(1.3, 1 + (0.3 * Math.exp(-aprVolatility * 3) - 0.15)));
+    const totalYieldScore = Math.max(0, Math.min(weights.yield, yieldSustainabilityScore * stabilityMultiplier));
+    
+    // 3. Impermanent Loss Risk (20 points by default)
+    const impermanentLossRisk = inputs.impermanentLossPoints * weights.impermanentLoss / REFERENCE_IMPERMANENT_LOSS_POINTS;
+    
+    // 4. Protocol Security & Maturity (15 points by default), discounted for recent exploits, incidents and risky proposals
+    const governanceMaxImpact = profile.governance && typeof profile.governance.maxImpact === 'number' ? profile.governance.maxImpact : DEFAULT_GOVERNANCE_MAX_IMPACT;
+    const governanceMultiplier = 1 - governanceMaxImpact * (1 - inputs.governanceScore);
+    const protocolScore = Math.min(weights.protocol, Math.max(0, protocolRisk * governanceMultiplier * weights.protocol));
+    
+    // 5. Market Activity Health (10 points by default)
+    const volumeToTvlRatio = volume24h / Math.max(tvl, 1);
+    const activityScore = scoreFromBands(volumeToTvlRatio, profile.activityBands) * weights.activity;
+    
+    // 6. ENHANCED: Survivability & Risk-Adjusted Returns (15 points by default)
+    // A. Enhanced Track Record Scoring (10 points by default) - Bigger bonus for longer survival
+    const trackRecordScore = scoreFromBands(dataPoints, profile.trackRecordBands) * weights.trackRecord;
+    
+    // B. Risk-Adjusted Return Score (5 points by default) - Sharpe-like ratio
+    let riskAdjustedScore = 0;
+    let sharpeRatio = null;
+    if (aprPoints > 30 && aprVolatility > 0) {
+        sharpeRatio = avgApr / (aprVolatility * 100); // Normalize volatility
+        riskAdjustedScore = scoreFromBands(sharpeRatio, profile.sharpeBands) * weights.riskAdjusted;
+    }
+    
+    // 7. ADDED: Whale Concentration Risk Assessment (modifies liquidity score)
+    const whaleTier = classifyWhaleConcentration(tvl, volume24h);
+    const whaleRiskPenalty = whaleTier.penalty * weights.liquidity / REFERENCE_LIQUIDITY_POINTS;
+    const adjustedLiquidityScore = Math.max(0, totalLiquidityScore - whaleRiskPenalty);
+    
+    // 8. Stablecoin Depeg Risk (penalty) - riskiest stablecoin the pool holds
+    const maxDepegPenalty = profile.depeg && typeof profile.depeg.maxPenalty === 'number' ? profile.depeg.maxPenalty : DEFAULT_DEPEG_MAX_PENALTY;
+    const depegPenalty = inputs.depegRiskScore * maxDepegPenalty;
+    
+    const totalScore = adjustedLiquidityScore + totalYieldScore + impermanentLossRisk + protocolScore + activityScore + trackRecordScore + riskAdjustedScore - depegPenalty;
+    
+    // Apply pool type multiplier for final score
+    const finalScore = Math.min(100, Math.max(0, totalScore * inputs.poolTypeMultiplier));
+    
+    return {
+        totalScore: finalScore,
+        breakdown: {
+            liquidityScore: adjustedLiquidityScore,
+            yieldScore: totalYieldScore,
+            impermanentLossScore: impermanentLossRisk,
+            protocolScore,
+            activityScore,
+            trackRecordScore,
+            riskAdjustedScore,
+            whaleRiskPenalty,
+            depegPenalty,
+            poolTypeMultiplier: inputs.poolTypeMultiplier
+        },
+        terms: {
+            liquidityStability: liquidityRisk,
+            liquidityBonus,
+            maxDepegPenalty,
+            governanceMultiplier,
+            yieldBandScore: yieldSustainabilityScore,
+            stabilityMultiplier,
+            volumeToTvlRatio,
+            sharpeRatio,
+            whaleRule: whaleTier.rule,
+            rawScore: totalScore
+        }
+    };
+}
+
+// Risk categorization using the profile's thresholds
+function categorizeRisk(score, profile = scoringProfiles.defaultProfile) {
+    const category = profile.riskCategories.find(c => score >= c.minScore) ||
+        profile.riskCategories[profile.riskCategories.length - 1];
+    return { label: category.label, description: category.description };
+}
+
+// Enhanced Impermanent Loss Risk Assessment  
+function assessImpermanentLossRisk(tokenPair, aprHistory, tvlHistory, chain, depeggedTokens = []) {
+    return classifyImpermanentLossRisk(tokenPair, aprHistory, tvlHistory, chain, depeggedTokens).points;
+}
+
+// IL points from the token pattern, with the rule that decided them
+function classifyImpermanentLossRisk(tokenPair, aprHistory, tvlHistory, chain, depeggedTokens = []) {
+    if (!tokenPair) return { points: 10, rule: 'Unknown token pair' };
+    
+    // Bridged variants (USDC.e, USDbC, ...) are matched by the asset they track
+    const parsedTokens = parseTokenPair(tokenPair, chain);
+    const tokens = parsedTokens.map(token => token.canonical);
+    const isStable = token => isPeggedStablecoin(token, depeggedTokens);
+    const correlatedPairs = [
+        ['weth', 'eth'], ['wbtc', 'btc'], ['steth', 'weth'], ['wsteth', 'weth'], 
+        ['reth', 'weth'], ['cbeth', 'weth'], ['usdc', 'usdt'], ['dai', 'usdc']
+    ];
+    
+    // Check for stablecoin pairs (lowest IL risk)
+    const stablecoinCount = tokens.filter(isStable).length;
+    const hasBridgedStable = parsedTokens.some(token => token.bridged && isStable(token.canonical));
+    if (stablecoinCount === 2) {
+        // Both stablecoins - minimal IL risk, less if bridged
+        return hasBridgedStable
+            ? { points: 18, rule: 'Stablecoin pair with a bridged leg' }
+            : { points: 20, rule: 'Stablecoin pair' };
+    }
+    
+    // Check for highly correlated pairs (low IL risk)
+    const isCorrelated = correlatedPairs.some(pair => 
+        (tokens.includes(pair[0]) && tokens.includes(pair[1])) ||
+        (tokens.includes(pair[1]) && tokens.includes(pair[0]))
+    );
+    if (isCorrelated) return { points: 18, rule: 'Highly correlated pair' };
+    
+    // One stablecoin + one volatile (moderate IL risk)
+    if (stablecoinCount === 1) return { points: 15, rule: 'One stablecoin and one volatile token' };
+    
+    // Major tokens (ETH, BTC derivatives) - moderate IL risk
+    const majorTokens = ['weth', 'eth', 'wbtc', 'btc'];
+    const majorTokenCount = tokens.filter(token => majorTokens.includes(token)).length;
+    if (majorTokenCount >= 1) return { points: 12, rule: 'Major token (ETH/BTC) paired with a volatile token' };
+    
+    // Established DeFi tokens - higher IL risk
+    const establishedTokens = ['uni', 'link', 'aave', 'crv', 'bal', 'comp', 'mkr', 'snx'];
+    const establishedCount = tokens.filter(token => establishedTokens.includes(token)).length;
+    if (establishedCount >= 1) return { points: 10, rule: 'Established DeFi token pair' };
+    
+    // Check for extreme volatility indicators in historical data
+    if (aprHistory.length > 30) { // Use 30-day window for 2-year data
+        const recentAprVolatility = calculateVariance(aprHistory.slice(-30));
+        if (recentAprVolatility > 0.5) return { points: 5, rule: 'Unknown tokens with volatile recent APR' };
+    }
+    
+    if (tvlHistory.length > 30) {
+        const recentTvlVolatility = calculateVariance(tvlHistory.slice(-30));
+        if (recentTvlVolatility > 0.3) return { points: 6, rule: 'Unknown tokens with volatile recent TVL' };
+    }
+    
+    return { points: 8, rule: 'Unknown token pair' }; // Unknown token pairs - highest IL risk
+}
+
+function toFiniteNumber(value, fallback = 0) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+}
+
+function toFiniteSeries(values) {
+    return Array.isArray(values) ? values.filter(value => typeof value === 'number' && Number.isFinite(value)) : [];
+}
+
+// Listed stablecoin that isn't currently off its peg; `use` as in stablecoinRegistry.isStablecoin()
+function isPeggedStablecoin(symbol, depeggedTokens = [], use = null) {
+    return stablecoinRegistry.isStablecoin(symbol, use) && !depeggedTokens.includes(symbol);
+}
+
+// ADDED: Whale Concentration Risk Assessment
+// Pools with very low activity relative to size suggest concentrated holdings - first matching tier wins
+const WHALE_CONCENTRATION_TIERS = [
+    { minTvl: 5000000, maxVolumeToTvl: 0.001, penalty: 5, rule: 'Large pool with very low activity - whale dominated, high risk' },
+    { minTvl: 1000000, maxVolumeToTvl: 0.005, penalty: 3, rule: 'Medium pool with low activity - some concentration risk' },
+    { minTvl: 0, maxVolumeToTvl: 0.01, penalty: 1, rule: 'Low activity - minor concentration risk' }
+];
+
+function assessWhaleConcentrationRisk(tvl, volume24h) {
+    return classifyWhaleConcentration(tvl, volume24h).penalty;
+}
+
+function classifyWhaleConcentration(tvl, volume24h) {
+    // Simulate whale dominance based on pool characteristics
+    const volumeToTvlRatio = tvl > 0 ? volume24h / tvl : 0;
+    const tier = WHALE_CONCENTRATION_TIERS.find(t =>
+        (t.minTvl === 0 || tvl > t.minTvl) && volumeToTvlRatio < t.maxVolumeToTvl
+    );
+    return tier
+        ? { penalty: tier.penalty, rule: tier.rule }
+        : { penalty: 0, rule: 'No significant whale concentration detected' };
+}
+
+// ADDED: Enhanced pool type weighting
+function getPoolTypeMultiplier(tokenPair, platform, chain, depeggedTokens = []) {
+    return classifyPoolType(tokenPair, platform, chain, depeggedTokens).multiplier;
+}
+
+function classifyPoolType(tokenPair, platform, chain, depeggedTokens = []) {
+    if (!tokenPair) return { multiplier: 1, rule: 'Unknown token pair' };
+    
+    const parsedTokens = parseTokenPair(tokenPair, chain);
+    const tokens = parsedTokens.map(token => token.canonical);
+    const majorTokens = ['weth', 'eth', 'wbtc', 'btc'];
+    
+    const stablecoinCount = tokens.filter(token => isPeggedStablecoin(token, depeggedTokens, 'poolTypeBonus')).length;
+    const majorTokenCount = tokens.filter(token => majorTokens.includes(token)).length;
+    
+    // Stablecoin pairs get slight bonus for stability - smaller when a leg is bridged
+    if (stablecoinCount === 2) {
+        return parsedTokens.some(token => token.bridged)
+            ? { multiplier: 1.03, rule: 'Stablecoin pair with a bridged leg' }
+            : { multiplier: 1.05, rule: 'Stablecoin pair' };
+    }
+    
+    // Major token pairs get small bonus for established nature
+    if (majorTokenCount >= 1) return { multiplier: 1.02, rule: 'Pair includes a major token (ETH/BTC)' };
+    
+    // Protocol-specific rules from the registry (e.g. Curve's stableswap bonus)
+    const protocolRule = protocolRegistry.getMultiplierRule(platform, { stablecoinCount, majorTokenCount });
+    if (protocolRule) return { multiplier: protocolRule.multiplier, rule: `Protocol multiplier rule for ${platform}` };
+    
+    return { multiplier: 1, rule: 'No pool type adjustment' }; // Default multiplier
+}
+
+function calculateVariance(values) {
+    values = toFiniteSeries(values);
+    if (values.length < 2) return 0;
+    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+    if (mean === 0) return 0;
+    const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
+    return Math.sqrt(variance) / mean;
+}
+
+// ADDED: Robust volatility calculation that handles temporary spikes better
+function calculateRobustVolatility(values, percentileThreshold = 0.9) {
+    values = toFiniteSeries(values);
+    if (values.length < 10) return 0;
+    
+    // Calculate rolling 30-day volatilities to identify consistent vs. spike-driven volatility
+    const windowSize = Math.min(30, Math.floor(values.length / 4));
+    const rollingVolatilities = [];
+    
+    for (let i = windowSize; i < values.length; i++) {
+        const window = values.slice(i - windowSize, i);
+        const windowMean = window.reduce((sum, val) => sum + val, 0) / window.length;
+        if (windowMean > 0) {
+            const windowVariance = window.reduce((sum, val) => sum + Math.pow(val - windowMean, 2), 0) / window.length;
+            rollingVolatilities.push(Math.sqrt(windowVariance) / windowMean);
+        }
+    }
+    
+    if (rollingVolatilities.length === 0) return 0;
+    
+    // Use median volatility instead of mean to reduce impact of temporary spikes
+    rollingVolatilities.sort((a, b) => a - b);
+    const medianIndex = Math.floor(rollingVolatilities.length / 2);
+    const medianVolatility = rollingVolatilities.length % 2 === 0 
+        ? (rollingVolatilities[medianIndex - 1] + rollingVolatilities[medianIndex]) / 2
+        : rollingVolatilities[medianIndex];
+    
+    return medianVolatility;
+}
+
+// Protocol risk assessment - updated scores, scaled by the maturity of the chain
+function assessProtocolRisk(project, chain = 'Ethereum') {
+    // Base scores and per-chain overrides live in config/protocols.json
+    const { score, overridden } = protocolRegistry.getSecurityScore(project, chain);
+    if (overridden) return score;
+    
+    return Math.round(score * getChainProfile(chain).securityFactor * 1000) / 1000;
+}
+
+// Enhanced pool quality filtering
+function isQualityPool(pool) {
+    if (!(pool.tvlUsd >= 5000)) return false; // Minimum TVL threshold (also rejects missing/NaN TVL)
+    if (!pool.symbol || !pool.symbol.includes('-')) return false;
+    
+    // Enhanced filtering for better pool selection
+    const majorTokens = ['WETH', 'USDC', 'USDT', 'DAI', 'WBTC', 'UNI', 'LINK', 'AAVE', 'CRV', 'BAL'];
+    const tokens = parseTokenPair(pool.symbol, pool.chain).map(token => token.canonical);
+    
+    const hasMajorToken = tokens.some(token => majorTokens.includes(token.toUpperCase()));
+    const hasStablecoin = tokens.some(token => stablecoinRegistry.isStablecoin(token, 'qualityFilter'));
+    const isHighTvl = pool.tvlUsd > 50000;
+    
+    return isHighTvl || hasMajorToken || hasStablecoin;
+}
+
+module.exports = {
+    protocolRegistry,
+    scoringProfiles,
+    stablecoinRegistry,
+    calculateHealthScore,
+    deriveScoringInputs,
+    scoreFromInputs,
+    categorizeRisk,
+    assessImpermanentLossRisk,
+    assessWhaleConcentrationRisk,
+    getPoolTypeMultiplier,
+    calculateVariance,
+    calculateRobustVolatility,
+    assessProtocolRisk,
+    isQualityPool
+};
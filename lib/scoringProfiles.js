@@ -0,0 +1,145 @@
+// lib/scoringProfiles.js - Versioned scoring profiles (weights, bands and thresholds)
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILES_DIR = path.join(__dirname, '..', 'config', 'scoring-profiles');
+const DEFAULT_PROFILE_ID = 'default';
+
+const WEIGHT_KEYS = ['liquidity', 'yield', 'impermanentLoss', 'protocol', 'activity', 'trackRecord', 'riskAdjusted'];
+const BAND_KEYS = ['aprBands', 'activityBands', 'trackRecordBands', 'sharpeBands'];
+const BAND_OPERATORS = ['lt', 'lte', 'gt', 'gte'];
+
+// First band whose condition matches wins; a band without a condition is the catch-all
+function matchBand(value, bands) {
+    return bands.find(band =>
+        (band.lt === undefined || value < band.lt) &&
+        (band.lte === undefined || value <= band.lte) &&
+        (band.gt === undefined || value > band.gt) &&
+        (band.gte === undefined || value >= band.gte)
+    );
+}
+
+function scoreFromBands(value, bands) {
+    const band = matchBand(value, bands);
+    return band ? band.score : 0;
+}
+
+function validateScoringProfile(profile) {
+    const errors = [];
+
+    if (!profile || typeof profile !== 'object') return ['profile must be a JSON object'];
+    if (typeof profile.id !== 'string' || !profile.id) errors.push('"id" is required');
+    if (typeof profile.version !== 'string' || !profile.version) errors.push('"version" is required');
+
+    const weights = profile.weights || {};
+    WEIGHT_KEYS.forEach(key => {
+        if (typeof weights[key] !== 'number' || weights[key] < 0) errors.push(`weights.${key} must be a non-negative number`);
+    });
+    // Weights needn't sum to exactly 100 (the default split is 105 and the final score is capped)
+    const totalWeight = WEIGHT_KEYS.reduce((sum, key) => sum + (weights[key] || 0), 0);
+    if (totalWeight <= 0) errors.push('weights must not all be zero');
+
+    const liquidity = profile.liquidity || {};
+    if (typeof liquidity.varianceSensitivity !== 'number') errors.push('liquidity.varianceSensitivity must be a number');
+    if (typeof liquidity.sizeBonusMax !== 'number' || liquidity.sizeBonusMax < 0 || liquidity.sizeBonusMax > 1) {
+        errors.push('liquidity.sizeBonusMax must be a number between 0 and 1');
+    }
+
+    // Optional - scoring falls back to its default depeg penalty
+    if (profile.depeg && (typeof profile.depeg.maxPenalty !== 'number' || profile.depeg.maxPenalty < 0)) {
+        errors.push('depeg.maxPenalty must be a non-negative number');
+    }
+    // Optional - scoring falls back to its default governance impact
+    if (profile.governance && (typeof profile.governance.maxImpact !== 'number' || profile.governance.maxImpact < 0 || profile.governance.maxImpact > 1)) {
+        errors.push('governance.maxImpact must be a number between 0 and 1');
+    }
+
+    BAND_KEYS.forEach(key => {
+        const bands = profile[key];
+        if (!Array.isArray(bands) || bands.length === 0) {
+            errors.push(`${key} must be a non-empty array`);
+            return;
+        }
+        bands.forEach((band, index) => {
+            if (typeof band.score !== 'number' || band.score < 0 || band.score > 1) {
+                errors.push(`${key}[${index}].score must be a fraction between 0 and 1`);
+            }
+        });
+        const last = bands[bands.length - 1];
+        if (BAND_OPERATORS.some(operator => last[operator] !== undefined)) {
+            errors.push(`${key} must end with a catch-all band (no lt/lte/gt/gte)`);
+        }
+    });
+
+    const categories = profile.riskCategories;
+    if (!Array.isArray(categories) || categories.length === 0) {
+        errors.push('riskCategories must be a non-empty array');
+    } else {
+        categories.forEach((category, index) => {
+            if (typeof category.label !== 'string' || typeof category.minScore !== 'number') {
+                errors.push(`riskCategories[${index}] needs a label and a numeric minScore`);
+            }
+            if (index > 0 && category.minScore >= categories[index - 1].minScore) {
+                errors.push('riskCategories must be ordered by descending minScore');
+            }
+        });
+        if (categories[categories.length - 1].minScore !== 0) errors.push('the last risk category must have minScore 0');
+    }
+
+    return errors;
+}
+
+function getProfileKey(profile) {
+    return `${profile.id}@${profile.version}`;
+}
+
+function loadScoringProfiles(dir = DEFAULT_PROFILES_DIR, defaultId = DEFAULT_PROFILE_ID) {
+    const profiles = new Map();
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+
+    files.forEach(file => {
+        const filePath = path.join(dir, file);
+        let profile;
+        try {
+            profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Unable to read scoring profile ${filePath}: ${error.message}`);
+        }
+
+        const errors = validateScoringProfile(profile);
+        if (errors.length > 0) {
+            throw new Error(`Invalid scoring profile ${filePath}:\n - ${errors.join('\n - ')}`);
+        }
+        if (profiles.has(profile.id)) {
+            throw new Error(`Duplicate scoring profile id "${profile.id}" in ${filePath}`);
+        }
+        profiles.set(profile.id, profile);
+    });
+
+    if (!profiles.has(defaultId)) {
+        throw new Error(`Default scoring profile "${defaultId}" not found in ${dir}`);
+    }
+
+    console.log(`⚖️ Loaded ${profiles.size} scoring profiles (default: ${getProfileKey(profiles.get(defaultId))})`);
+
+    return {
+        defaultProfile: profiles.get(defaultId),
+
+        get(id) {
+            return profiles.get(id) || null;
+        },
+
+        list() {
+            return Array.from(profiles.values());
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_PROFILES_DIR,
+    matchBand,
+    scoreFromBands,
+    validateScoringProfile,
+    getProfileKey,
+    loadScoringProfiles
+};
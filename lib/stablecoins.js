@@ -0,0 +1,83 @@
+// lib/stablecoins.js - Shared stablecoin definitions used by scoring, filtering and the depeg monitor
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STABLECOINS_FILE = path.join(__dirname, '..', 'config', 'stablecoins.json');
+
+// Uses a coin can opt out of with "excludeFrom": the stable-pair pool type bonus and counting as
+// a stablecoin in the universe quality filter. As before the lists were unified, USDD stays out of
+// both and BUSD out of the quality filter; IL and depeg scoring use every listed coin
+const STABLECOIN_USES = ['poolTypeBonus', 'qualityFilter'];
+
+function validateStablecoinConfig(config) {
+    const errors = [];
+    if (!config || !Array.isArray(config.stablecoins) || config.stablecoins.length === 0) {
+        return ['"stablecoins" must be a non-empty array'];
+    }
+
+    const thresholds = config.thresholds || {};
+    ['warning', 'depeg', 'event'].forEach(key => {
+        if (typeof thresholds[key] !== 'number' || thresholds[key] <= 0) errors.push(`thresholds.${key} must be a positive number`);
+    });
+    if (thresholds.warning >= thresholds.depeg) errors.push('thresholds.warning must be below thresholds.depeg');
+
+    const seen = new Set();
+    config.stablecoins.forEach((coin, index) => {
+        const label = coin && coin.symbol ? `stablecoin "${coin.symbol}"` : `stablecoins[${index}]`;
+        if (!coin || typeof coin.symbol !== 'string' || coin.symbol !== coin.symbol.toLowerCase()) {
+            errors.push(`${label}: "symbol" must be a lowercase canonical symbol`);
+            return;
+        }
+        if (seen.has(coin.symbol)) errors.push(`${label}: duplicate symbol`);
+        seen.add(coin.symbol);
+        if (typeof coin.pegValue !== 'number' || coin.pegValue <= 0) errors.push(`${label}: "pegValue" must be a positive number`);
+        if (typeof coin.coinId !== 'string' || !coin.coinId.includes(':')) errors.push(`${label}: "coinId" must be a DefiLlama coins id`);
+        if (coin.excludeFrom !== undefined && (!Array.isArray(coin.excludeFrom) || coin.excludeFrom.some(use => !STABLECOIN_USES.includes(use)))) {
+            errors.push(`${label}: "excludeFrom" must list uses from ${STABLECOIN_USES.join(', ')}`);
+        }
+    });
+
+    return errors;
+}
+
+function loadStablecoins(filePath = DEFAULT_STABLECOINS_FILE) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to read stablecoin config ${filePath}: ${error.message}`);
+    }
+
+    const errors = validateStablecoinConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid stablecoin config ${filePath}:\n - ${errors.join('\n - ')}`);
+    }
+
+    const bySymbol = new Map(config.stablecoins.map(coin => [coin.symbol, coin]));
+
+    return {
+        thresholds: { recentEventDays: 90, lookbackDays: 365, ...config.thresholds },
+
+        // Expects canonical lowercase symbols (see parseTokenPair in lib/chains.js); `use` leaves out
+        // coins excluded from it
+        isStablecoin(symbol, use = null) {
+            const coin = bySymbol.get(symbol);
+            return Boolean(coin) && !(use && (coin.excludeFrom || []).includes(use));
+        },
+
+        get(symbol) {
+            return bySymbol.get(symbol) || null;
+        },
+
+        list() {
+            return config.stablecoins;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_STABLECOINS_FILE,
+    STABLECOIN_USES,
+    validateStablecoinConfig,
+    loadStablecoins
+};
@@ -0,0 +1,232 @@
+// lib/trending.js - Trending and momentum signals from each pool's stored series: TVL net flows,
+// APR trend, volume spikes against the pool's own baseline and health score movers since the previous run
+const { getHistoryTimestamps } = require('./portfolio');
+const { COMPARISON_COMPONENTS } = require('./comparison');
+
+const DAY_SECONDS = 86400;
+const TRENDING_SIGNALS = ['tvl_inflows', 'tvl_outflows', 'apr_trend', 'volume_spikes', 'score_movers'];
+const TVL_FLOW_WINDOWS = [1, 7, 30];
+const DEFAULT_TVL_WINDOW = 7;
+const APR_TREND_DAYS = 30;
+const VOLUME_BASELINE_DAYS = 30;
+// Fewer baseline days than this and a z-score says more about the sample than the pool
+const MIN_BASELINE_POINTS = 7;
+const DEFAULT_TRENDING_LIMIT = 10;
+const MAX_TRENDING_LIMIT = 100;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function formatUsd(value) {
+    const abs = Math.abs(value);
+    if (abs >= 1e9) return `$${(abs / 1e9).toFixed(2)}B`;
+    if (abs >= 1e6) return `$${(abs / 1e6).toFixed(2)}M`;
+    if (abs >= 1e3) return `$${(abs / 1e3).toFixed(1)}K`;
+    return `$${abs.toFixed(0)}`;
+}
+
+const signed = (value, digits = 1) => `${value >= 0 ? '+' : '-'}${Math.abs(value).toFixed(digits)}`;
+
+function numericTail(series, count) {
+    return (series || []).slice(-count).filter(value => typeof value === 'number' && Number.isFinite(value));
+}
+
+// TVL change from the last point at least `days` before the newest one; null without that much history
+function tvlFlow(pool, days) {
+    const history = pool.historical_data || {};
+    const tvl = history.tvl || [];
+    const timestamps = getHistoryTimestamps(history);
+    const end = Math.min(tvl.length, timestamps.length) - 1;
+    if (end < 1 || typeof tvl[end] !== 'number') return null;
+
+    const cutoff = timestamps[end] - days * DAY_SECONDS;
+    let start = -1;
+    for (let i = end - 1; i >= 0; i--) {
+        if (timestamps[i] <= cutoff && typeof tvl[i] === 'number') {
+            start = i;
+            break;
+        }
+    }
+    if (start === -1) return null;
+
+    const change = tvl[end] - tvl[start];
+    return {
+        window_days: days,
+        from_tvl: tvl[start],
+        to_tvl: tvl[end],
+        change_usd: round(change),
+        change_percent: tvl[start] > 0 ? round(change / tvl[start] * 100) : null
+    };
+}
+
+// Least-squares slope of the last `days` daily APR points, in percentage points per day
+function aprTrend(pool, days = APR_TREND_DAYS) {
+    const apr = numericTail((pool.historical_data || {}).apr, days);
+    if (apr.length < MIN_BASELINE_POINTS) return null;
+
+    const n = apr.length;
+    const meanX = (n - 1) / 2;
+    const meanY = apr.reduce((sum, value) => sum + value, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    apr.forEach((value, x) => {
+        covariance += (x - meanX) * (value - meanY);
+        varianceX += (x - meanX) ** 2;
+    });
+    const slope = covariance / varianceX;
+    return {
+        days: n,
+        slope_per_day: round(slope, 4),
+        trend_start: round(meanY - slope * meanX),
+        trend_end: round(meanY + slope * (n - 1 - meanX))
+    };
+}
+
+// Current 24h volume as a z-score against the pool's last `days` daily volumes. A flat baseline has no
+// spread to measure against, so it gets no score rather than an infinite one
+function volumeSpike(pool, days = VOLUME_BASELINE_DAYS) {
+    if (typeof pool.volume_24h !== 'number') return null;
+    const baseline = numericTail((pool.historical_data || {}).volume, days);
+    if (baseline.length < MIN_BASELINE_POINTS) return null;
+
+    const mean = baseline.reduce((sum, value) => sum + value, 0) / baseline.length;
+    const deviation = Math.sqrt(baseline.reduce((sum, value) => sum + (value - mean) ** 2, 0) / baseline.length);
+    if (deviation === 0) return null;
+
+    return {
+        baseline_days: baseline.length,
+        volume_24h: pool.volume_24h,
+        baseline_mean: round(mean),
+        baseline_stddev: round(deviation),
+        z_score: round((pool.volume_24h - mean) / deviation)
+    };
+}
+
+// Health score change against the previous run's snapshot, with the component that moved most
+function scoreMove(pool, previous) {
+    if (!previous || typeof previous.health_score !== 'number' || typeof pool.health_score !== 'number') return null;
+
+    const components = COMPARISON_COMPONENTS
+        .filter(({ key }) => key !== 'health_score' && typeof pool[key] === 'number' && typeof previous[key] === 'number')
+        .map(({ key, label }) => ({ key, label, change: round(pool[key] - previous[key]) }))
+        .filter(component => component.change !== 0)
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+    return {
+        previous_score: previous.health_score,
+        previous_recorded_at: previous.recorded_at,
+        change: round(pool.health_score - previous.health_score),
+        previous_risk_category: previous.risk_category || null,
+        components
+    };
+}
+
+// One entry per signal: how each pool is measured, which pools qualify, the ranking value and the reason shown
+const SIGNAL_BUILDERS = {
+    tvl_inflows: {
+        measure: (pool, { window }) => tvlFlow(pool, window),
+        keep: flow => flow.change_usd > 0,
+        value: flow => flow.change_usd,
+        explain: flow => `TVL up ${formatUsd(flow.change_usd)}${flow.change_percent !== null ? ` (${signed(flow.change_percent)}%)` : ''} over ${flow.window_days}d, from ${formatUsd(flow.from_tvl)} to ${formatUsd(flow.to_tvl)}`
+    },
+    tvl_outflows: {
+        measure: (pool, { window }) => tvlFlow(pool, window),
+        keep: flow => flow.change_usd < 0,
+        value: flow => -flow.change_usd,
+        explain: flow => `TVL down ${formatUsd(flow.change_usd)}${flow.change_percent !== null ? ` (${signed(flow.change_percent)}%)` : ''} over ${flow.window_days}d, from ${formatUsd(flow.from_tvl)} to ${formatUsd(flow.to_tvl)}`
+    },
+    apr_trend: {
+        measure: pool => aprTrend(pool),
+        keep: trend => trend.slope_per_day !== 0,
+        value: trend => Math.abs(trend.slope_per_day),
+        explain: trend => `APR ${trend.slope_per_day > 0 ? 'rising' : 'falling'} ${Math.abs(trend.slope_per_day).toFixed(3)} pts/day over ${trend.days}d (trend ${trend.trend_start.toFixed(2)}% → ${trend.trend_end.toFixed(2)}%)`
+    },
+    volume_spikes: {
+        measure: pool => volumeSpike(pool),
+        keep: spike => spike.z_score > 0,
+        value: spike => spike.z_score,
+        explain: spike => `24h volume ${formatUsd(spike.volume_24h)} is ${spike.z_score.toFixed(1)}σ above its ${spike.baseline_days}-day average of ${formatUsd(spike.baseline_mean)}`
+    },
+    score_movers: {
+        measure: (pool, { previousSnapshots }) => scoreMove(pool, previousSnapshots.get(pool.pool_id)),
+        keep: move => move.change !== 0,
+        value: move => Math.abs(move.change),
+        explain: move => {
+            const lead = move.components[0];
+            return `Health score ${move.change > 0 ? 'up' : 'down'} ${Math.abs(move.change).toFixed(1)} since the previous run (${move.previous_score.toFixed(1)} → ${(move.previous_score + move.change).toFixed(1)})${lead ? `, led by ${lead.label} ${signed(lead.change)}` : ''}`;
+        }
+    }
+};
+
+// Validates /api/trending query parameters; returns { errors, signals, window, limit }
+function parseTrendingQuery(query = {}) {
+    const errors = [];
+
+    let signals = TRENDING_SIGNALS;
+    if (query.signal) {
+        signals = Array.from(new Set(String(query.signal).split(',').map(s => s.trim()).filter(Boolean)));
+        const unknown = signals.filter(signal => !TRENDING_SIGNALS.includes(signal));
+        if (unknown.length > 0) errors.push(`Unknown signal: ${unknown.join(', ')} (one of ${TRENDING_SIGNALS.join(', ')})`);
+    }
+
+    let window = DEFAULT_TVL_WINDOW;
+    if (query.window !== undefined && query.window !== '') {
+        window = Number(query.window);
+        if (!TVL_FLOW_WINDOWS.includes(window)) errors.push(`window must be one of ${TVL_FLOW_WINDOWS.join(', ')} days`);
+    }
+
+    let limit = DEFAULT_TRENDING_LIMIT;
+    if (query.limit !== undefined && query.limit !== '') {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TRENDING_LIMIT) {
+            errors.push(`limit must be a whole number from 1 to ${MAX_TRENDING_LIMIT}`);
+        }
+    }
+
+    return { errors, signals, window, limit };
+}
+
+// Ranked list per requested signal, biggest mover first (ties by pool id).
+// window: TVL flow window in days; previousSnapshots: Map of pool id -> previous run's score snapshot
+function buildTrending(pools, { signals = TRENDING_SIGNALS, window = DEFAULT_TVL_WINDOW, limit = DEFAULT_TRENDING_LIMIT, previousSnapshots = new Map() } = {}) {
+    const context = { window, previousSnapshots };
+    const lists = {};
+
+    signals.forEach(signal => {
+        const builder = SIGNAL_BUILDERS[signal];
+        const ranked = pools
+            .map(pool => ({ pool, detail: builder.measure(pool, context) }))
+            .filter(({ detail }) => detail && builder.keep(detail))
+            .map(({ pool, detail }) => ({ pool, detail, value: builder.value(detail) }))
+            .sort((a, b) => b.value - a.value || (a.pool.pool_id < b.pool.pool_id ? -1 : 1));
+
+        lists[signal] = ranked.slice(0, limit).map(({ pool, detail, value }, i) => ({
+            rank: i + 1,
+            pool_id: pool.pool_id,
+            token_pair: pool.token_pair,
+            platform: pool.platform,
+            chain: pool.chain,
+            health_score: pool.health_score,
+            value,
+            explanation: builder.explain(detail),
+            ...detail,
+            // TVL lists also carry the other windows so a pool's flow can be read at a glance
+            ...(signal.startsWith('tvl_') ? { flows: TVL_FLOW_WINDOWS.map(days => tvlFlow(pool, days)).filter(Boolean) } : {})
+        }));
+    });
+
+    return lists;
+}
+
+module.exports = {
+    TRENDING_SIGNALS,
+    TVL_FLOW_WINDOWS,
+    DEFAULT_TVL_WINDOW,
+    APR_TREND_DAYS,
+    VOLUME_BASELINE_DAYS,
+    tvlFlow,
+    aprTrend,
+    volumeSpike,
+    scoreMove,
+    parseTrendingQuery,
+    buildTrending
+};
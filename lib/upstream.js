@@ -0,0 +1,371 @@
+// lib/upstream.js - Shared HTTP client for upstream APIs: rate limiting, retries, circuit breaker,
+// per-run request budgets and an on-disk conditional (ETag / Last-Modified) cache
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readFixture, writeFixture } = require('./fixtures');
+const { recordUpstreamRequest } = require('./metrics');
+const { logger } = require('./logger');
+
+const DEFAULT_UPSTREAM_OPTIONS = {
+    name: 'upstream',
+    ratePerSecond: 2,          // Token bucket refill rate
+    burst: 5,                  // Token bucket capacity
+    maxConcurrent: 3,
+    timeoutMs: 30000,
+    maxRetries: 4,
+    baseDelayMs: 500,          // Backoff: random(0, min(maxDelayMs, baseDelayMs * 2^attempt))
+    maxDelayMs: 30000,
+    maxRetryAfterMs: 120000,   // Longer Retry-After values fail the request instead of stalling the run
+    failureThreshold: 5,       // Consecutive failed requests that open the circuit
+    cooldownMs: 60000,         // How long the circuit stays open before a trial request
+    cacheDir: null,
+    cacheTtlMs: 0,             // Cached bodies younger than this are used without a request
+    mode: 'live',              // 'record' also saves bodies to fixturesDir, 'replay' only reads them
+    fixturesDir: null,
+    random: Math.random,
+    now: () => Date.now()      // Clock for run bookkeeping (rate limiting always uses real time)
+};
+
+// Failure with a machine-readable reason, so callers can report why a pool wasn't scored
+class UpstreamError extends Error {
+    constructor(message, { reason, status = null, attempts = 0, url = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.reason = reason;
+        this.status = status;
+        this.attempts = attempts;
+        this.url = url;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs, random }) {
+    return Math.floor(random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt)));
+}
+
+// Classifies an axios error into a failure reason and whether another attempt could help
+function classifyError(error) {
+    if (error.response) {
+        const status = error.response.status;
+        if (status === 429) return { reason: 'rate_limited', retryable: true, status };
+        if (status >= 500) return { reason: 'server_error', retryable: true, status };
+        if (status === 404) return { reason: 'not_found', retryable: false, status };
+        return { reason: 'http_error', retryable: false, status };
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+        return { reason: 'timeout', retryable: true, status: null };
+    }
+    return { reason: 'network_error', retryable: true, status: null };
+}
+
+function createTokenBucket({ ratePerSecond, burst }, sleep) {
+    let tokens = burst;
+    let lastRefill = Date.now();
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + (now - lastRefill) / 1000 * ratePerSecond);
+        lastRefill = now;
+    }
+
+    return {
+        async acquire() {
+            refill();
+            while (tokens < 1) {
+                await sleep(Math.ceil((1 - tokens) / ratePerSecond * 1000));
+                refill();
+            }
+            tokens -= 1;
+        }
+    };
+}
+
+function createUpstreamClient(options = {}) {
+    const config = { ...DEFAULT_UPSTREAM_OPTIONS, ...options };
+    const sleep = config.sleep || (ms => new Promise(res => setTimeout(res, ms)));
+    const bucket = createTokenBucket(config, sleep);
+
+    let active = 0;
+    const waiting = [];
+    const breaker = { state: 'closed', consecutiveFailures: 0, openedAt: null, trialInFlight: false };
+    let run = null;
+    let currentRunId = null;
+
+    // Log fields tying an entry to this client and, during a run, to the run
+    function logFields(extra) {
+        return { client: config.name, run_id: currentRunId || undefined, ...extra };
+    }
+
+    async function acquireSlot() {
+        if (active < config.maxConcurrent) {
+            active++;
+            return;
+        }
+        await new Promise(resolve => waiting.push(resolve));
+    }
+
+    function releaseSlot() {
+        const next = waiting.shift();
+        if (next) next();
+        else active--;
+    }
+
+    // Throws while the circuit is open; after the cooldown one trial request is let through
+    function checkBreaker(url) {
+        if (breaker.state === 'open') {
+            if (Date.now() - breaker.openedAt < config.cooldownMs) {
+                throw new UpstreamError(`${config.name} circuit open after ${breaker.consecutiveFailures} consecutive failures`, { reason: 'circuit_open', url });
+            }
+            breaker.state = 'half-open';
+        }
+        if (breaker.state === 'half-open') {
+            if (breaker.trialInFlight) {
+                throw new UpstreamError(`${config.name} circuit half-open, trial request in flight`, { reason: 'circuit_open', url });
+            }
+            breaker.trialInFlight = true;
+        }
+    }
+
+    function recordSuccess() {
+        if (breaker.state !== 'closed') logger.info('Upstream circuit closed', logFields());
+        breaker.state = 'closed';
+        breaker.consecutiveFailures = 0;
+        breaker.trialInFlight = false;
+    }
+
+    function recordFailure(reason) {
+        breaker.trialInFlight = false;
+        // Client-side problems (404, bad request, exhausted budget) say nothing about upstream health
+        if (!['rate_limited', 'server_error', 'timeout', 'network_error'].includes(reason)) return;
+        breaker.consecutiveFailures++;
+        if (breaker.state === 'half-open' || breaker.consecutiveFailures >= config.failureThreshold) {
+            if (breaker.state !== 'open') logger.warn('Upstream circuit opened', logFields({ reason, consecutive_failures: breaker.consecutiveFailures }));
+            breaker.state = 'open';
+            breaker.openedAt = Date.now();
+        }
+    }
+
+    function countRun(field, amount = 1) {
+        if (run) run[field] += amount;
+    }
+
+    function countFailure(reason) {
+        countRun('failures');
+        if (run) run.failureReasons[reason] = (run.failureReasons[reason] || 0) + 1;
+    }
+
+    function consumeBudget(url) {
+        if (!run || run.maxRequests === null) return;
+        if (run.requests >= run.maxRequests) {
+            throw new UpstreamError(`${config.name} request budget of ${run.maxRequests} exhausted for this run`, { reason: 'budget_exhausted', url });
+        }
+    }
+
+    function cacheFile(url) {
+        return path.join(config.cacheDir, `${crypto.createHash('sha1').update(url).digest('hex')}.json`);
+    }
+
+    function readCache(url) {
+        if (!config.cacheDir) return null;
+        try {
+            const file = cacheFile(url);
+            return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function writeCache(url, response) {
+        const etag = response.headers && response.headers.etag;
+        const lastModified = response.headers && response.headers['last-modified'];
+        try {
+            fs.mkdirSync(config.cacheDir, { recursive: true });
+            fs.writeFileSync(cacheFile(url), JSON.stringify({
+                url,
+                etag: etag || null,
+                lastModified: lastModified || null,
+                storedAt: Date.now(),
+                data: response.data
+            }));
+        } catch (error) {
+            logger.warn('Could not cache upstream response', logFields({ url, error }));
+        }
+    }
+
+    // One request attempt under the concurrency limit and rate limiter; each attempt is counted and timed
+    // in the metrics registry under its HTTP status, or its failure reason when nothing came back
+    async function attempt(url, { timeout, headers }) {
+        await acquireSlot();
+        try {
+            consumeBudget(url);
+            await bucket.acquire();
+            countRun('requests');
+            const startedAt = Date.now();
+            try {
+                const response = await axios.get(url, {
+                    timeout,
+                    headers,
+                    validateStatus: status => (status >= 200 && status < 300) || status === 304
+                });
+                recordUpstreamRequest({ client: config.name, url, status: response.status, durationMs: Date.now() - startedAt });
+                return response;
+            } catch (error) {
+                const { reason, status } = classifyError(error);
+                recordUpstreamRequest({ client: config.name, url, status: status || reason, durationMs: Date.now() - startedAt });
+                throw error;
+            }
+        } finally {
+            releaseSlot();
+        }
+    }
+
+    // GET a JSON body. With cache: true the body is stored on disk and revalidated with
+    // If-None-Match / If-Modified-Since; a stale copy is served if upstream can't be reached
+    async function fetchLive(url, { cache = false, timeout = config.timeoutMs } = {}) {
+        const cached = cache ? readCache(url) : null;
+        if (cached && config.cacheTtlMs > 0 && Date.now() - cached.storedAt < config.cacheTtlMs) {
+            countRun('cacheHits');
+            return cached.data;
+        }
+
+        const headers = {};
+        if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        let attempts = 0;
+        let lastFailure = null;
+        try {
+            while (true) {
+                checkBreaker(url);
+                attempts++;
+                try {
+                    const response = await attempt(url, { timeout, headers });
+                    recordSuccess();
+                    if (response.status === 304) {
+                        // A 304 has no body; without a cached copy there is nothing to serve
+                        if (!cached) {
+                            throw new UpstreamError(`${config.name} answered 304 Not Modified with no cached copy`, { reason: 'http_error', status: 304, attempts, url });
+                        }
+                        countRun('notModified');
+                        cached.storedAt = Date.now();
+                        writeCache(url, { headers: { etag: cached.etag, 'last-modified': cached.lastModified }, data: cached.data });
+                        return cached.data;
+                    }
+                    if (cache) writeCache(url, response);
+                    return response.data;
+                } catch (error) {
+                    if (error instanceof UpstreamError) {
+                        recordFailure(error.reason);
+                        throw error;
+                    }
+
+                    const { reason, retryable, status } = classifyError(error);
+                    const retryAfterMs = status === 429 || status === 503
+                        ? parseRetryAfter(error.response.headers && error.response.headers['retry-after'])
+                        : null;
+                    lastFailure = new UpstreamError(`${config.name} request failed: ${status ? `HTTP ${status}` : error.message}`, { reason, status, attempts, url, retryAfterMs });
+                    recordFailure(reason);
+
+                    if (!retryable || attempts > config.maxRetries || breaker.state === 'open') throw lastFailure;
+                    if (retryAfterMs !== null && retryAfterMs > config.maxRetryAfterMs) throw lastFailure;
+
+                    const wait = Math.max(retryAfterMs || 0, backoffDelay(attempts - 1, config));
+                    countRun('retries');
+                    logger.warn('Upstream request failed, retrying', logFields({ url, reason, status: status || undefined, attempt: attempts, max_retries: config.maxRetries, wait_ms: wait }));
+                    await sleep(wait);
+                }
+            }
+        } catch (error) {
+            const failure = error instanceof UpstreamError ? error : lastFailure;
+            failure.attempts = attempts;
+            countFailure(failure.reason);
+
+            if (cached) {
+                logger.warn('Serving cached copy after upstream failure', logFields({ url, reason: failure.reason }));
+                countRun('staleServed');
+                return cached.data;
+            }
+            throw failure;
+        }
+    }
+
+    return {
+        name: config.name,
+        mode: config.mode,
+
+        async get(url, options = {}) {
+            if (config.mode === 'replay') {
+                const fixture = readFixture(config.fixturesDir, url);
+                recordUpstreamRequest({ client: config.name, url, status: fixture ? 'replay' : 'fixture_missing' });
+                if (!fixture) {
+                    countFailure('fixture_missing');
+                    throw new UpstreamError(`No recorded fixture for ${url}`, { reason: 'fixture_missing', url });
+                }
+                // A fixture is read from disk like a cache hit, so it doesn't spend the run's request budget
+                countRun('cacheHits');
+                return fixture.data;
+            }
+
+            const data = await fetchLive(url, options);
+            if (config.mode === 'record') writeFixture(config.fixturesDir, url, data);
+            return data;
+        },
+
+        // Starts per-run accounting; maxRequests caps network requests (null = unlimited), runId tags log entries
+        beginRun({ maxRequests = null, runId = null } = {}) {
+            currentRunId = runId;
+            run = { maxRequests, requests: 0, retries: 0, cacheHits: 0, notModified: 0, staleServed: 0, failures: 0, failureReasons: {}, startedAt: new Date(config.now()).toISOString() };
+            return run;
+        },
+
+        endRun() {
+            const finished = run;
+            run = null;
+            currentRunId = null;
+            return finished;
+        },
+
+        getRunStats() {
+            return run;
+        },
+
+        // True once further requests in this run can only fail fast
+        isHalted() {
+            const circuitOpen = breaker.state === 'open' && Date.now() - breaker.openedAt < config.cooldownMs;
+            const budgetExhausted = Boolean(run && run.maxRequests !== null && run.requests >= run.maxRequests);
+            return circuitOpen || budgetExhausted;
+        },
+
+        getState() {
+            return {
+                circuit: breaker.state,
+                consecutiveFailures: breaker.consecutiveFailures,
+                openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+                activeRequests: active,
+                queuedRequests: waiting.length,
+                run
+            };
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_UPSTREAM_OPTIONS,
+    UpstreamError,
+    parseRetryAfter,
+    backoffDelay,
+    classifyError,
+    createTokenBucket,
+    createUpstreamClient
+};
@@ -0,0 +1,105 @@
+// scripts/backtest.js - Backtest the health score against historical DefiLlama charts
+//
+// Usage:
+//   node scripts/backtest.js [--fixtures <dir>] [--pools 50] [--step 30] [--horizons 30,90]
+//                            [--profile default] [--out backtest_report.json]
+//
+// With --fixtures, reads <dir>/pools.json (DefiLlama /pools body or a plain array) and
+// <dir>/charts/<poolId>.json (raw /chart/{pool} bodies) instead of calling DefiLlama.
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const { scoringProfiles } = require('../lib/scoring');
+const { fetchDefiLlamaPoolsEnhanced, fetchPoolChartEnhanced, parseChartResponse } = require('../lib/defillama');
+const { runBacktest } = require('../lib/backtest');
+
+function parseArgs(argv) {
+    const args = { pools: 50, step: 30, horizons: '30,90', out: './backtest_report.json' };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        args[key] = argv[i + 1];
+        i++;
+    }
+    return args;
+}
+
+function loadFixtureSeries(dir, limit) {
+    const poolsBody = JSON.parse(fs.readFileSync(path.join(dir, 'pools.json'), 'utf8'));
+    const pools = (Array.isArray(poolsBody) ? poolsBody : poolsBody.data || []).slice(0, limit);
+
+    return pools.map(pool => {
+        const chartFile = path.join(dir, 'charts', `${pool.pool}.json`);
+        if (!fs.existsSync(chartFile)) {
+            console.warn(`No chart fixture for ${pool.symbol} (${pool.pool})`);
+            return { pool, chart: {} };
+        }
+        return { pool, chart: parseChartResponse(JSON.parse(fs.readFileSync(chartFile, 'utf8'))) };
+    });
+}
+
+async function fetchLiveSeries(limit) {
+    const pools = (await fetchDefiLlamaPoolsEnhanced()).slice(0, limit);
+    const series = [];
+
+    // The shared DefiLlama client paces and retries these requests
+    for (const pool of pools) {
+        console.log(`Fetching chart for ${pool.symbol} (${pool.pool})`);
+        try {
+            series.push({ pool, chart: await fetchPoolChartEnhanced(pool.pool) });
+        } catch (error) {
+            console.warn(`Skipping ${pool.symbol} (${error.reason || 'error'}): ${error.message}`);
+        }
+    }
+    return series;
+}
+
+function formatRate(value) {
+    return value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatCorrelation(value) {
+    return value === null ? 'n/a' : value.toFixed(3);
+}
+
+function printReport(report) {
+    console.log(`\n📈 Backtest report (${report.profile}, ${report.pools} pools, data to ${report.datasetEnd})`);
+
+    Object.entries(report.horizons).forEach(([horizon, result]) => {
+        console.log(`\n  ${horizon} forward window - ${result.observations} observations`);
+        console.log(`    Spearman score vs TVL change:   ${formatCorrelation(result.rankCorrelation.scoreVsTvlChange)}`);
+        console.log(`    Spearman score vs max drawdown: ${formatCorrelation(result.rankCorrelation.scoreVsMaxDrawdown)}`);
+        console.log(`    Spearman score vs adverse:      ${formatCorrelation(result.rankCorrelation.scoreVsAdverse)}`);
+
+        Object.entries(result.byRiskCategory).forEach(([category, stats]) => {
+            console.log(`    ${category.padEnd(12)} n=${String(stats.observations).padEnd(5)} adverse ${formatRate(stats.adverseRate).padEnd(7)} drawdown ${formatRate(stats.drawdownRate).padEnd(7)} APR collapse ${formatRate(stats.aprCollapseRate).padEnd(7)} dead ${formatRate(stats.deathRate)}`);
+        });
+    });
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const limit = parseInt(args.pools, 10);
+
+    const profile = args.profile ? scoringProfiles.get(args.profile) : scoringProfiles.defaultProfile;
+    if (!profile) {
+        throw new Error(`Unknown scoring profile: ${args.profile}`);
+    }
+
+    const series = args.fixtures ? loadFixtureSeries(args.fixtures, limit) : await fetchLiveSeries(limit);
+
+    const report = runBacktest(series, {
+        profile,
+        stepDays: parseInt(args.step, 10),
+        horizons: args.horizons.split(',').map(h => parseInt(h, 10))
+    });
+    report.generatedAt = new Date().toISOString();
+
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    printReport(report);
+    console.log(`\n💾 Report written to ${args.out}`);
+}
+
+main().catch(error => {
+    console.error('❌ Backtest failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,209 @@
+// test/alerts.test.js - Alert rule evaluation and webhook delivery against a local receiver
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { validateAlertRule, createAlertEngine } = require('../lib/alerts');
+const { isPrivateAddress, publicOnlyLookup, createPublicOnlyAgent, createAlertChannels } = require('../lib/alertChannels');
+
+const quietLog = { info() {}, warn() {} };
+const T0 = Date.parse('2025-03-01T00:00:00Z');
+const at = minutes => new Date(T0 + minutes * 60000);
+
+const pool = healthScore => ({ pool_id: 'pool-a', token_pair: 'WETH-USDC', platform: 'uniswap-v3', chain: 'Ethereum', health_score: healthScore, tvl: 1e6 });
+
+const lowScoreRule = url => ({
+    name: 'Low score',
+    type: 'threshold',
+    metric: 'health_score',
+    operator: 'lt',
+    value: 50,
+    cooldownMinutes: 60,
+    channels: [{ type: 'webhook', url }]
+});
+
+describe('webhook URL checks', () => {
+    it('refuses other schemes and private or loopback hosts', () => {
+        const errorsFor = url => validateAlertRule(lowScoreRule(url));
+        assert.deepEqual(errorsFor('https://hooks.example.com/alerts'), []);
+        assert.deepEqual(errorsFor('file:///etc/passwd'), ['channels[0].url must be an http(s) URL']);
+        assert.deepEqual(errorsFor('gopher://example.com'), ['channels[0].url must be an http(s) URL']);
+        [
+            'http://localhost:8080/', 'http://127.0.0.1/', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.5/', 'http://[::1]:3000/',
+            // URL parsing turns these into the hex forms [::ffff:7f00:1] and [::ffff:a9fe:a9fe]
+            'http://[::ffff:127.0.0.1]:8080/internal', 'http://[::ffff:169.254.169.254]/', 'http://[64:ff9b::127.0.0.1]/', 'http://0x7f000001/'
+        ].forEach(url => {
+            assert.deepEqual(errorsFor(url), ['channels[0].url must not point at a private or loopback address'], url);
+        });
+    });
+
+    it('classifies addresses', () => {
+        ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '100.64.0.1', '::', '::1', 'fd00::1', 'fe80::1%eth0', '::ffff:127.0.0.1'].forEach(address => {
+            assert.equal(isPrivateAddress(address), true, address);
+        });
+        // IPv4 addresses carried in IPv6: mapped and compatible in hex, translated, NAT64 and 6to4
+        ['::ffff:7f00:1', '::ffff:a9fe:a9fe', '[::ffff:a00:5]', '::7f00:1', '::ffff:0:7f00:1', '64:ff9b::a9fe:a9fe', '2002:c0a8:101::1'].forEach(address => {
+            assert.equal(isPrivateAddress(address), true, address);
+        });
+        ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:808:808', '64:ff9b::808:808', '2002:808:808::1'].forEach(address => {
+            assert.equal(isPrivateAddress(address), false, address);
+        });
+    });
+
+    it('refuses to deliver to a private address even if the rule was saved', async () => {
+        const channels = createAlertChannels({});
+        await assert.rejects(channels.send({ type: 'webhook', url: 'http://127.0.0.1:9/' }, {}), /private or loopback/);
+        await assert.rejects(channels.send({ type: 'webhook', url: 'http://[::ffff:127.0.0.1]:9/' }, {}), /private or loopback/);
+    });
+
+    it('refuses to connect to a private IP literal, which never goes through a lookup', async () => {
+        const server = http.createServer((req, res) => res.end('reached'));
+        server.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        try {
+            const agent = createPublicOnlyAgent(http.Agent);
+            const get = url => new Promise((resolve, reject) => {
+                http.get(url, { agent }, res => res.resume().on('end', resolve)).on('error', reject);
+            });
+            await assert.rejects(get(`http://127.0.0.1:${server.address().port}/`), /127\.0\.0\.1 is a private address/);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it('fails the connection when a host name resolves to a private address', async () => {
+        const lookup = (hostname, options) => new Promise((resolve, reject) => {
+            publicOnlyLookup(hostname, options, (error, address) => (error ? reject(error) : resolve(address)));
+        });
+        await assert.rejects(lookup('localhost', {}), /localhost resolves to a private address \(127\.0\.0\.1\)/);
+        await assert.rejects(lookup('localhost', { all: true }), /private address/);
+    });
+});
+
+describe('createAlertEngine', () => {
+    const received = [];
+    let failNext = 0;
+    let receiver;
+    let receiverUrl;
+    let dir;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-test-'));
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                if (failNext > 0) {
+                    failNext--;
+                    res.statusCode = 500;
+                    return res.end();
+                }
+                received.push(JSON.parse(body));
+                res.end('ok');
+            });
+        });
+        receiver.listen(0, '127.0.0.1');
+        await new Promise(resolve => receiver.once('listening', resolve));
+        receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => receiver.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createEngine(name, historyStore = { queryMany: async () => new Map() }) {
+        return createAlertEngine({
+            channels: createAlertChannels({ ALERT_ALLOW_PRIVATE_WEBHOOKS: 'true' }),
+            historyStore,
+            rulesFile: path.join(dir, `${name}-rules.json`),
+            deliveryLogFile: path.join(dir, `${name}-deliveries.jsonl`)
+        });
+    }
+
+    it('fires on the edge, holds off during the cooldown and fires again after it', async () => {
+        received.length = 0;
+        const engine = createEngine('edge');
+        const rule = engine.create(lowScoreRule(receiverUrl));
+        const run = (score, minutes) => engine.evaluate([pool(score)], [], at(minutes), { log: quietLog });
+
+        assert.equal((await run(40, 0)).length, 1);
+        assert.deepEqual(received[0], {
+            event: 'pool_alert',
+            alert: {
+                ruleId: rule.id,
+                ruleName: 'Low score',
+                type: 'threshold',
+                metric: 'health_score',
+                value: 40,
+                message: 'WETH-USDC health_score is 40, below 50',
+                pool: pool(40),
+                triggeredAt: at(0).toISOString()
+            }
+        });
+
+        // Still below: the condition hasn't started holding again
+        assert.equal((await run(45, 10)).length, 0);
+        // Cleared and back below within the hour's cooldown
+        assert.equal((await run(60, 20)).length, 0);
+        assert.equal((await run(40, 30)).length, 0);
+        // Cleared and back below after it
+        assert.equal((await run(70, 40)).length, 0);
+        assert.equal((await run(30, 90)).length, 1);
+
+        assert.deepEqual(received.map(body => body.alert.value), [40, 30]);
+        assert.equal(engine.get(rule.id).lastTriggeredAt, at(90).toISOString());
+
+        // The state survives a restart, so the next run doesn't fire again
+        const restarted = createEngine('edge');
+        assert.equal((await restarted.evaluate([pool(20)], [], at(100), { log: quietLog })).length, 0);
+    });
+
+    it('reads the score history once per run for all change rules', async () => {
+        received.length = 0;
+        const reads = [];
+        const history = new Map([
+            ['pool-a', [{ recorded_at: at(-300).toISOString(), health_score: 80 }, { recorded_at: at(-30).toISOString(), health_score: 50 }]],
+            ['pool-b', [{ recorded_at: at(-30).toISOString(), health_score: 41 }]]
+        ]);
+        const engine = createEngine('change', {
+            async queryMany(poolIds, range) {
+                reads.push({ poolIds, range });
+                return history;
+            }
+        });
+        const changeRule = (name, windowHours) => ({ ...lowScoreRule(receiverUrl), name, type: 'change', direction: 'down', percent: 15, windowHours });
+        engine.create(changeRule('Day drop', 24));
+        engine.create(changeRule('Hour drop', 1));
+
+        const pools = [pool(40), { ...pool(40), pool_id: 'pool-b' }];
+        const alerts = await engine.evaluate(pools, [], at(0), { log: quietLog });
+
+        assert.equal(reads.length, 1);
+        assert.deepEqual(reads[0].poolIds, ['pool-a', 'pool-b']);
+        assert.deepEqual([reads[0].range.from, reads[0].range.to], [at(-24 * 60), new Date(at(0).getTime() - 1)]);
+        // Each rule's baseline is the oldest snapshot inside its own window: 80 for the day, 50 for the hour
+        assert.deepEqual(alerts.map(alert => [alert.ruleName, alert.pool.pool_id, alert.changePercent]), [['Day drop', 'pool-a', -50], ['Hour drop', 'pool-a', -20]]);
+    });
+
+    it('retries a failed delivery once and logs each outcome', async () => {
+        received.length = 0;
+        const engine = createEngine('log');
+        const rule = engine.create(lowScoreRule(receiverUrl));
+
+        failNext = 1;
+        await engine.evaluate([pool(40)], [], at(0), { log: quietLog });
+        failNext = 2;
+        const failed = await engine.sendTest(rule.id, pool(40));
+        assert.deepEqual(failed.map(d => [d.status, d.error, d.attempts]), [['failed', 'HTTP 500', 2]]);
+
+        const deliveries = await engine.getDeliveries();
+        assert.deepEqual(deliveries.map(d => [d.test, d.status, d.attempts]), [[true, 'failed', 2], [false, 'delivered', 2]]);
+        assert.equal(deliveries[1].target, new URL(receiverUrl).origin);
+        assert.equal(deliveries[1].message, 'WETH-USDC health_score is 40, below 50');
+        assert.deepEqual((await engine.getDeliveries({ status: 'failed' })).map(d => d.id), [deliveries[0].id]);
+        assert.equal(received.length, 1);
+    });
+});
@@ -0,0 +1,212 @@
+// test/auth.test.js - Unit tests for API keys, rate limiting and the auth middleware
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const {
+    hashKey,
+    validateApiKeyInput,
+    createApiKeyStore,
+    createRateLimiter,
+    createAuthMiddleware,
+    parseAuthMode,
+    parseTrustProxy,
+    parseCorsOrigins
+} = require('../lib/auth');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-analyzer-auth-'));
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+// Small app behind the middleware; resolves to { request(method, path, key, headers), close() }
+async function startApp({ trustProxy = false, ...options }) {
+    const app = express();
+    app.set('trust proxy', trustProxy);
+    app.use('/api', createAuthMiddleware(options));
+    app.all('/api/*', (req, res) => res.json({ success: true, apiKey: req.apiKey || null }));
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    return {
+        async request(method, pathname, key, headers = {}) {
+            const response = await fetch(baseUrl + pathname, { method, headers: key ? { 'X-API-Key': key, ...headers } : headers });
+            return { status: response.status, headers: response.headers, body: await response.json() };
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+describe('validateApiKeyInput', () => {
+    it('requires a name and a known role', () => {
+        assert.deepEqual(validateApiKeyInput({ name: 'ci', role: 'read' }), []);
+        assert.equal(validateApiKeyInput({ name: ' ', role: 'owner' }).length, 2);
+        assert.equal(validateApiKeyInput({ name: 'ci', role: 'admin', rateLimitPerMinute: 0 }).length, 1);
+    });
+});
+
+describe('createApiKeyStore', () => {
+    it('stores only the hash and verifies issued keys until revoked', () => {
+        const file = path.join(workDir, 'keys.json');
+        const store = createApiKeyStore(file);
+        const { key, record } = store.issue({ name: 'ci', role: 'read' });
+
+        const saved = fs.readFileSync(file, 'utf8');
+        assert.ok(!saved.includes(key));
+        assert.ok(saved.includes(hashKey(key)));
+        assert.equal(record.hash, undefined);
+        assert.equal(record.prefix, key.slice(0, 12));
+        assert.equal(record.rateLimitPerMinute, 120);
+
+        assert.equal(store.verify(key).id, record.id);
+        assert.equal(store.verify('dpa_wrong'), null);
+
+        // A second store reads the same file
+        assert.equal(createApiKeyStore(file).verify(key).id, record.id);
+
+        assert.equal(store.revoke(record.id).active, false);
+        assert.equal(store.verify(key), null);
+        assert.equal(store.revoke('missing'), null);
+    });
+
+    it('counts usage and persists it on flush', () => {
+        const file = path.join(workDir, 'usage.json');
+        const store = createApiKeyStore(file);
+        const { key, record } = store.issue({ name: 'bot', role: 'admin', rateLimitPerMinute: 5 });
+        store.recordUsage(store.verify(key));
+        store.recordUsage(store.verify(key), { rateLimited: true });
+        store.flush();
+
+        const reloaded = createApiKeyStore(file).get(record.id);
+        assert.equal(reloaded.usage.requests, 2);
+        assert.equal(reloaded.usage.rateLimited, 1);
+        assert.ok(reloaded.usage.lastUsedAt);
+    });
+});
+
+describe('createRateLimiter', () => {
+    it('allows `limit` hits per window and client', () => {
+        let now = 0;
+        const limiter = createRateLimiter({ windowMs: 1000, now: () => now });
+        assert.equal(limiter.hit('a', 2).remaining, 1);
+        assert.equal(limiter.hit('a', 2).allowed, true);
+        assert.equal(limiter.hit('a', 2).allowed, false);
+        assert.equal(limiter.hit('b', 2).allowed, true);
+
+        now = 1000;
+        const reset = limiter.hit('a', 2);
+        assert.equal(reset.allowed, true);
+        assert.equal(reset.resetAt, 2000);
+    });
+});
+
+describe('createAuthMiddleware', () => {
+    it('leaves reads open and needs an admin key for writes in admin-only mode', async () => {
+        const store = createApiKeyStore(path.join(workDir, 'admin-only.json'));
+        const readKey = store.issue({ name: 'reader', role: 'read' }).key;
+        const app = await startApp({ mode: 'admin-only', store, adminKey: 'bootstrap' });
+        try {
+            assert.equal((await app.request('GET', '/api/pools')).status, 200);
+            assert.equal((await app.request('POST', '/api/optimize')).status, 200);
+            assert.equal((await app.request('POST', '/api/refresh')).status, 401);
+            assert.equal((await app.request('GET', '/api/alerts')).status, 401);
+            assert.equal((await app.request('POST', '/api/refresh', readKey)).status, 403);
+            assert.equal((await app.request('GET', '/api/keys', readKey)).status, 403);
+
+            const admin = await app.request('POST', '/api/refresh', 'bootstrap');
+            assert.equal(admin.status, 200);
+            assert.equal(admin.body.apiKey.role, 'admin');
+            assert.equal((await app.request('GET', '/api/pools', 'nope')).status, 401);
+        } finally {
+            await app.close();
+        }
+    });
+
+    it('needs a key for every route except health in required mode', async () => {
+        const store = createApiKeyStore(path.join(workDir, 'required.json'));
+        const readKey = store.issue({ name: 'reader', role: 'read' }).key;
+        const app = await startApp({ mode: 'required', store });
+        try {
+            assert.equal((await app.request('GET', '/api/pools')).status, 401);
+            assert.equal((await app.request('GET', '/api/health')).status, 200);
+            const read = await app.request('GET', '/api/pools', readKey);
+            assert.equal(read.status, 200);
+            assert.equal(read.body.apiKey.name, 'reader');
+        } finally {
+            await app.close();
+        }
+    });
+
+    it('answers 429 with Retry-After once a key is over its limit', async () => {
+        const store = createApiKeyStore(path.join(workDir, 'limited.json'));
+        const { key } = store.issue({ name: 'tiny', role: 'read', rateLimitPerMinute: 1 });
+        const app = await startApp({ mode: 'required', store });
+        try {
+            assert.equal((await app.request('GET', '/api/pools', key)).status, 200);
+            const limited = await app.request('GET', '/api/pools', key);
+            assert.equal(limited.status, 429);
+            assert.equal(limited.headers.get('x-ratelimit-remaining'), '0');
+            assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+        } finally {
+            await app.close();
+        }
+    });
+
+    it('does nothing when auth is off', async () => {
+        const app = await startApp({ mode: 'off', store: createApiKeyStore(path.join(workDir, 'off.json')) });
+        try {
+            assert.equal((await app.request('DELETE', '/api/keys/x')).status, 200);
+        } finally {
+            await app.close();
+        }
+    });
+});
+
+describe('parseAuthMode', () => {
+    it('defaults to admin-only and rejects unknown modes', () => {
+        assert.equal(parseAuthMode(undefined), 'admin-only');
+        assert.equal(parseAuthMode('required'), 'required');
+        assert.throws(() => parseAuthMode('requried'), /API_AUTH must be one of off, admin-only, required \(got "requried"\)/);
+    });
+});
+
+describe('parseTrustProxy', () => {
+    it('reads hop counts, true and address lists', () => {
+        assert.equal(parseTrustProxy(undefined), false);
+        assert.equal(parseTrustProxy('false'), false);
+        assert.equal(parseTrustProxy('1'), 1);
+        assert.equal(parseTrustProxy('true'), true);
+        assert.deepEqual(parseTrustProxy('loopback, 10.0.0.0/8'), ['loopback', '10.0.0.0/8']);
+    });
+
+    it('rate limits anonymous clients by their forwarded address only behind a trusted proxy', async () => {
+        const hits = [];
+        const limiter = {
+            hit(key, limit) {
+                hits.push(key);
+                return { allowed: true, limit, remaining: limit - 1, resetAt: Date.now() + 60000 };
+            }
+        };
+        const forwarded = { 'X-Forwarded-For': '203.0.113.7' };
+
+        const direct = await startApp({ mode: 'admin-only', store: createApiKeyStore(path.join(workDir, 'proxy-keys.json')), limiter });
+        await direct.request('GET', '/api/pools', null, forwarded);
+        await direct.close();
+
+        const proxied = await startApp({ mode: 'admin-only', store: createApiKeyStore(path.join(workDir, 'proxy-keys.json')), limiter, trustProxy: parseTrustProxy('1') });
+        await proxied.request('GET', '/api/pools', null, forwarded);
+        await proxied.close();
+
+        assert.match(hits[0], /^ip:(::ffff:)?127\.0\.0\.1$/);
+        assert.equal(hits[1], 'ip:203.0.113.7');
+    });
+});
+
+describe('parseCorsOrigins', () => {
+    it('allows any origin by default and splits an allowlist', () => {
+        assert.equal(parseCorsOrigins(undefined), true);
+        assert.equal(parseCorsOrigins(' * '), true);
+        assert.deepEqual(parseCorsOrigins('https://a.example, https://b.example,'), ['https://a.example', 'https://b.example']);
+    });
+});
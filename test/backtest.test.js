@@ -0,0 +1,93 @@
+// test/backtest.test.js - Unit tests for the scoring backtest
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { rankValues, spearmanCorrelation, measureForwardOutcome, runBacktest } = require('../lib/backtest');
+
+const DAY = 86400;
+const START = Date.parse('2024-01-01T00:00:00Z') / 1000;
+
+// parseChartResponse()-shaped chart of daily points; tvl and apy are functions of the day index
+function buildChart(days, { tvl = () => 1e6, apy = () => 5 } = {}) {
+    const indexes = Array.from({ length: days }, (_, i) => i);
+    return {
+        tvl: indexes.map(i => ({ date: START + i * DAY, tvl: tvl(i) })),
+        apy: indexes.map(i => ({ date: START + i * DAY, apy: apy(i) })),
+        volume: indexes.map(i => ({ date: START + i * DAY, volume: 2e4 }))
+    };
+}
+
+const pool = id => ({ pool: id, project: 'uniswap-v3', chain: 'Ethereum', symbol: 'WETH-USDC' });
+
+// TVL falls from $1M to $400K on day 45
+const collapsing = () => buildChart(120, { tvl: i => (i < 45 ? 1e6 : 4e5) });
+
+describe('rank correlation', () => {
+    it('gives tied values the mean of their ranks', () => {
+        assert.deepEqual(rankValues([10, 20, 10, 30]), [1.5, 3, 1.5, 4]);
+    });
+
+    it('is 1 for any increasing relationship and needs three points', () => {
+        assert.equal(spearmanCorrelation([1, 2, 3, 4], [1, 10, 100, 1000]), 1);
+        assert.equal(spearmanCorrelation([1, 2, 3, 4], [4, 3, 2, 1]), -1);
+        assert.equal(spearmanCorrelation([1, 2], [1, 2]), null);
+    });
+});
+
+describe('measureForwardOutcome', () => {
+    it('flags a forward TVL drawdown past the threshold', () => {
+        const chart = collapsing();
+        const outcome = measureForwardOutcome(chart, 29, 30, chart.tvl[119].date);
+        assert.equal(outcome.maxDrawdown, 0.6);
+        assert.equal(outcome.drawdownEvent, true);
+        assert.equal(outcome.aprCollapse, false);
+        assert.equal(outcome.died, false);
+        assert.equal(outcome.adverse, true);
+    });
+
+    it('skips windows that run past the data and counts a stopped series as dead', () => {
+        const chart = buildChart(120);
+        assert.equal(measureForwardOutcome(chart, 100, 30, chart.tvl[119].date), null);
+
+        const stopped = buildChart(40);
+        const outcome = measureForwardOutcome(stopped, 29, 30, chart.tvl[119].date);
+        assert.equal(outcome.died, true);
+        assert.equal(outcome.adverse, true);
+    });
+
+    it('counts APR falling below half its trailing average as a collapse', () => {
+        const chart = buildChart(120, { apy: i => (i < 40 ? 10 : 2) });
+        assert.equal(measureForwardOutcome(chart, 29, 30, chart.tvl[119].date).aprCollapse, true);
+    });
+});
+
+describe('runBacktest', () => {
+    it('scores each pool every step and measures every horizon that fits the data', () => {
+        const report = runBacktest([
+            { pool: pool('steady'), chart: buildChart(120) },
+            { pool: pool('collapse'), chart: collapsing() },
+            { pool: pool('no-chart'), chart: {} }
+        ]);
+
+        assert.equal(report.pools, 2);
+        assert.equal(report.profile, 'default@1.0.0');
+        // As-of days 29, 59 and 89 fit a 30-day window; only day 29 fits 90 days
+        assert.equal(report.horizons['30d'].observations, 6);
+        assert.equal(report.horizons['90d'].observations, 2);
+        // Only the collapsing pool's first window sees the drop
+        assert.equal(report.horizons['30d'].overall.adverseRate, 1 / 6);
+        const categories = Object.values(report.horizons['30d'].byRiskCategory);
+        assert.equal(categories.reduce((sum, c) => sum + c.observations, 0), 6);
+    });
+
+    it('reads missing points and date gaps as gaps, not as the pool dying', () => {
+        const chart = buildChart(120);
+        // Five days without a TVL value, then five days missing from the chart altogether
+        chart.tvl.slice(40, 45).forEach(point => { point.tvl = null; });
+        ['tvl', 'apy', 'volume'].forEach(key => { chart[key] = chart[key].filter((point, i) => i < 70 || i >= 75); });
+
+        const report = runBacktest([{ pool: pool('gappy'), chart }]);
+        assert.equal(report.horizons['30d'].observations, 3);
+        assert.equal(report.horizons['30d'].overall.adverseRate, 0);
+        assert.equal(report.horizons['30d'].overall.meanMaxDrawdown, 0);
+    });
+});
@@ -0,0 +1,91 @@
+// test/comparison.test.js - Unit tests for pool comparison and history alignment
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { alignPoolHistories, comparePools } = require('../lib/comparison');
+
+const DAY = 86400;
+const START = Date.parse('2024-01-01T00:00:00Z') / 1000;
+
+function scoredPool(poolId, { firstDay = 0, days = 5, tvl = 1e6, apr = 5, ...fields } = {}) {
+    const timestamps = Array.from({ length: days }, (_, i) => START + (firstDay + i) * DAY);
+    return {
+        pool_id: poolId,
+        token_pair: `${poolId}-USDC`,
+        platform: 'uniswap-v3',
+        chain: 'Ethereum',
+        health_score: 70,
+        risk_category: { label: 'Moderate' },
+        liquidity_score: 20,
+        whale_risk_penalty: 0,
+        tvl,
+        historical_data: {
+            timestamps,
+            tvl: timestamps.map((_, i) => tvl + i),
+            apr: timestamps.map(() => apr),
+            volume: timestamps.map(() => 1000)
+        },
+        ...fields
+    };
+}
+
+describe('alignPoolHistories', () => {
+    it('puts every pool on the union of their days, with null where a pool has no data', () => {
+        const history = alignPoolHistories([scoredPool('a', { firstDay: 0, days: 4 }), scoredPool('b', { firstDay: 2, days: 4 })]);
+        assert.deepEqual(history.dates, ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05', '2024-01-06']);
+        assert.deepEqual(history.series[0].tvl, [1e6, 1e6 + 1, 1e6 + 2, 1e6 + 3, null, null]);
+        assert.deepEqual(history.series[1].tvl, [null, null, 1e6, 1e6 + 1, 1e6 + 2, 1e6 + 3]);
+        assert.deepEqual(history.overlap, { days: 2, from: '2024-01-03', to: '2024-01-04' });
+    });
+
+    it('keeps only the most recent days when asked', () => {
+        const history = alignPoolHistories([scoredPool('a', { days: 10 }), scoredPool('b', { days: 10 })], { days: 3 });
+        assert.equal(history.timestamps.length, 3);
+        assert.equal(history.timestamps[0], START + 7 * DAY);
+        assert.equal(history.series[1].apr.length, 3);
+    });
+
+    it('falls back to date strings for pools cached before timestamps were stored', () => {
+        const legacy = scoredPool('a', { days: 2 });
+        legacy.historical_data.dates = ['2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z'];
+        delete legacy.historical_data.timestamps;
+        const history = alignPoolHistories([legacy, scoredPool('b', { days: 2 })]);
+        assert.deepEqual(history.dates, ['2024-01-01', '2024-01-02']);
+        assert.equal(history.series[0].tvl[1], 1e6 + 1);
+    });
+});
+
+describe('comparePools', () => {
+    const pools = [
+        scoredPool('a', { health_score: 70, liquidity_score: 20, whale_risk_penalty: 3 }),
+        scoredPool('b', { health_score: 82.5, liquidity_score: 18, whale_risk_penalty: 0 }),
+        scoredPool('c', { health_score: 60, liquidity_score: 20, whale_risk_penalty: 1 })
+    ];
+
+    it('reports deltas against the first pool', () => {
+        const comparison = comparePools(pools);
+        assert.equal(comparison.baseline, 'a');
+        const health = comparison.components.find(c => c.key === 'health_score');
+        assert.deepEqual(health.values.map(v => v.delta), [0, 12.5, -10]);
+        assert.equal(health.best, 'b');
+    });
+
+    it('treats lower penalties as better', () => {
+        const whale = comparePools(pools).components.find(c => c.key === 'whale_risk_penalty');
+        assert.equal(whale.lowerIsBetter, true);
+        assert.equal(whale.best, 'b');
+    });
+
+    it('names no best pool on a tie and skips missing fields', () => {
+        const comparison = comparePools(pools.slice(0, 2).map(pool => ({ ...pool, liquidity_score: 20 })));
+        assert.equal(comparison.components.find(c => c.key === 'liquidity_score').best, null);
+        const depeg = comparison.components.find(c => c.key === 'depeg_penalty');
+        assert.deepEqual(depeg.values.map(v => v.value), [null, null]);
+        assert.equal(depeg.best, null);
+    });
+
+    it('summarizes each pool', () => {
+        const comparison = comparePools(pools);
+        assert.deepEqual(comparison.pools.map(p => p.risk_category), ['Moderate', 'Moderate', 'Moderate']);
+        assert.equal(comparison.history.series.length, 3);
+    });
+});
@@ -0,0 +1,171 @@
+// test/dataQuality.test.js - Unit tests for chart cleaning and data quality reports
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { interpolateMissing, hampelFilter, cleanPoolChart } = require('../lib/dataQuality');
+const { parseChartResponse } = require('../lib/defillama');
+
+const DAY = 86400;
+const START = Date.parse('2024-01-01T00:00:00Z') / 1000;
+
+// Parsed chart (see parseChartResponse) from rows of { day, tvl, apy, apyBase, apyReward }
+function chartFrom(rows) {
+    return {
+        tvl: rows.map(r => ({ date: START + r.day * DAY, tvl: r.tvl })),
+        apy: rows.map(r => ({ date: START + r.day * DAY, apy: r.apy, apyBase: r.apyBase, apyReward: r.apyReward })),
+        volume: rows.map(r => ({ date: START + r.day * DAY, volume: 1000 })),
+        fees: rows.map(r => ({ date: START + r.day * DAY, fees: 3 }))
+    };
+}
+
+function dailyRows(days, row = () => ({})) {
+    return Array.from({ length: days }, (_, day) => ({
+        day,
+        tvl: 1e6 + (day % 5) * 1000,
+        apy: 5 + (day % 3) * 0.1,
+        ...row(day)
+    }));
+}
+
+describe('interpolateMissing', () => {
+    it('fills interior gaps linearly and the ends with the nearest value', () => {
+        assert.deepEqual(interpolateMissing([null, 2, null, null, 8, NaN]), { values: [2, 2, 4, 6, 8, 8], filled: 4 });
+    });
+
+    it('turns an all-missing series into zeros', () => {
+        assert.deepEqual(interpolateMissing([null, undefined]), { values: [0, 0], filled: 2 });
+    });
+
+    it('can leave the ends missing', () => {
+        assert.deepEqual(interpolateMissing([null, 2, null, 8, NaN], { fillEdges: false }), { values: [null, 2, 5, 8, null], filled: 1 });
+        assert.deepEqual(interpolateMissing([null, undefined], { fillEdges: false }), { values: [null, null], filled: 0 });
+    });
+});
+
+describe('hampelFilter', () => {
+    it('replaces an isolated spike with the local median', () => {
+        const values = Array.from({ length: 30 }, (_, i) => 5 + (i % 3) * 0.1);
+        values[15] = 80;
+        const { values: cleaned, outliers } = hampelFilter(values);
+        assert.deepEqual(outliers, [15]);
+        assert.ok(cleaned[15] < 5.3);
+    });
+
+    it('keeps a lasting level shift', () => {
+        const values = Array.from({ length: 40 }, (_, i) => (i < 20 ? 5 : 12) + (i % 2) * 0.1);
+        assert.deepEqual(hampelFilter(values).outliers, []);
+    });
+
+    it('ignores small wiggles on a flat series', () => {
+        const values = Array.from({ length: 30 }, () => 100);
+        values[10] = 101;
+        assert.deepEqual(hampelFilter(values).outliers, []);
+    });
+});
+
+describe('cleanPoolChart', () => {
+    it('passes a clean chart through unchanged', () => {
+        const rows = dailyRows(400, () => ({ apyBase: 3, apyReward: 2, apy: 5 }));
+        const { chart, report } = cleanPoolChart(chartFrom(rows));
+        assert.equal(chart.tvl.length, 400);
+        assert.deepEqual(chart.tvl.map(p => p.tvl), rows.map(r => r.tvl));
+        assert.equal(report.grade, 'Good');
+        assert.deepEqual(report.reasons, ['400 days of history (Good for its length)']);
+        assert.equal(report.issues.gaps, 0);
+        assert.equal(report.apy.rewardShare, 0.4);
+        assert.equal(report.apy.splitCoverage, 1);
+    });
+
+    it('interpolates missing values instead of reading them as zero', () => {
+        const rows = dailyRows(100, day => (day === 50 ? { tvl: null, apy: NaN } : {}));
+        const { chart, report } = cleanPoolChart(chartFrom(rows));
+        assert.ok(chart.tvl[50].tvl > 1e6);
+        assert.ok(chart.apy[50].apy > 4.9);
+        assert.deepEqual(report.issues.missingValues, { tvl: 1, apy: 1 });
+    });
+
+    it('fills missing volume and fees from their neighbours rather than with zero', () => {
+        const body = {
+            status: 'success',
+            data: [
+                { timestamp: '2024-01-01T00:00:00.000Z', tvlUsd: 1e6, apy: 5, volumeUsd: 2000, feesUsd: 6 },
+                { timestamp: '2024-01-02T00:00:00.000Z', tvlUsd: 1e6, apy: 5, volumeUsd: null },
+                { timestamp: '2024-01-03T00:00:00.000Z', tvlUsd: 1e6, apy: 5, volumeUsd: 4000, feesUsd: 0 }
+            ]
+        };
+        const parsed = parseChartResponse(body);
+        assert.deepEqual(parsed.volume.map(p => p.volume), [2000, null, 4000]);
+        assert.deepEqual(parsed.fees.map(p => p.fees), [6, undefined, 0]);
+
+        const cleaned = cleanPoolChart(parsed).chart;
+        assert.deepEqual(cleaned.volume.map(p => p.volume), [2000, 3000, 4000]);
+        assert.deepEqual(cleaned.fees.map(p => p.fees), [6, 3, 0]);
+    });
+
+    it('doesn\'t copy fees back over the days before a pool reported them', () => {
+        // Fees only for the last 30 of 400 days
+        const chart = chartFrom(dailyRows(400));
+        chart.fees.forEach((point, i) => { point.fees = i >= 370 ? 150 : null; });
+        const { chart: cleaned, report } = cleanPoolChart(chart);
+
+        assert.equal(cleaned.fees.reduce((sum, p) => sum + (p.fees || 0), 0), 4500);
+        assert.equal(cleaned.fees[369].fees, null);
+        assert.deepEqual(report.issues.unreported, { volume: 0, fees: 370 });
+        assert.ok(report.reasons.some(reason => /not reported at the start or end of the history \(volume: 0 days, fees: 370 days\)/.test(reason)));
+    });
+
+    it('fills date gaps with interpolated days', () => {
+        const rows = dailyRows(100).filter(r => r.day < 40 || r.day > 44);
+        const { chart, report } = cleanPoolChart(chartFrom(rows));
+        assert.equal(chart.tvl.length, 100);
+        assert.equal(chart.tvl[42].date, START + 42 * DAY);
+        assert.equal(report.issues.gaps, 1);
+        assert.equal(report.issues.gapDays, 5);
+        assert.equal(report.issues.longestGapDays, 5);
+        assert.ok(report.reasons.some(reason => /1 date gap totalling 5 missing days/.test(reason)));
+    });
+
+    it('downgrades the grade for long gaps', () => {
+        const rows = dailyRows(420).filter(r => r.day < 100 || r.day >= 120);
+        const { report } = cleanPoolChart(chartFrom(rows));
+        assert.equal(report.issues.longestGapDays, 20);
+        // 420 days would be Good; 20 interpolated days (4.8%) stay under the share limit, the gap length doesn't
+        assert.equal(report.grade, 'Fair');
+        assert.ok(report.reasons.some(reason => /Longest gap is 20 days - downgraded/.test(reason)));
+    });
+
+    it('sorts out-of-order rows and keeps the last duplicate for a day', () => {
+        const rows = dailyRows(60);
+        [rows[10], rows[11]] = [rows[11], rows[10]];
+        rows.push({ day: 30, tvl: 1012345, apy: 5 });
+        const { chart, report } = cleanPoolChart(chartFrom(rows));
+        assert.equal(chart.tvl.length, 60);
+        assert.deepEqual(chart.tvl.map(p => p.date), Array.from({ length: 60 }, (_, day) => START + day * DAY));
+        assert.equal(report.issues.outOfOrderTimestamps, 2);
+        assert.equal(report.issues.duplicateTimestamps, 1);
+        assert.equal(chart.tvl[30].tvl, 1012345);
+    });
+
+    it('removes one-day reward spikes but keeps the base APY', () => {
+        const rows = dailyRows(200, day => ({ apyBase: 4, apyReward: day === 100 ? 300 : 1, apy: day === 100 ? 304 : 5 }));
+        const { chart, report } = cleanPoolChart(chartFrom(rows));
+        assert.equal(chart.apy[100].apy, 5);
+        assert.equal(chart.apy[100].apyBase, 4);
+        assert.equal(report.issues.outliers.apyReward, 1);
+        assert.ok(report.reasons.some(reason => /1 reward spikes/.test(reason)));
+    });
+
+    it('flags pools whose APY is mostly rewards', () => {
+        const rows = dailyRows(200, () => ({ apyBase: 1, apyReward: 9, apy: 10 }));
+        const { report } = cleanPoolChart(chartFrom(rows));
+        assert.equal(report.apy.rewardShare, 0.9);
+        assert.ok(report.reasons.includes('90% of APY comes from token rewards'));
+    });
+
+    it('keeps only the last maxHistory days', () => {
+        const rows = dailyRows(900);
+        const { chart, report } = cleanPoolChart(chartFrom(rows), { maxHistory: 730 });
+        assert.equal(chart.tvl.length, 730);
+        assert.equal(chart.tvl[0].date, START + 170 * DAY);
+        assert.equal(report.grade, 'Excellent');
+    });
+});
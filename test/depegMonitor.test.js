@@ -0,0 +1,93 @@
+// test/depegMonitor.test.js - Unit tests for stablecoin peg tracking and pool depeg risk
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEPEG_RISK_LEVELS, findDepegEvents, assessPegHealth, createDepegMonitor } = require('../lib/depegMonitor');
+const { loadStablecoins } = require('../lib/stablecoins');
+
+const DAY = 86400;
+const NOW = Date.parse('2025-03-01T00:00:00Z');
+const thresholds = { warning: 0.005, depeg: 0.02, event: 0.01, recentEventDays: 90, lookbackDays: 365 };
+const usdc = { symbol: 'usdc', pegValue: 1 };
+
+// Daily prices ending the day before NOW
+function prices(values) {
+    const start = NOW / 1000 - values.length * DAY;
+    return values.map((price, i) => ({ date: start + i * DAY, price }));
+}
+
+const flat = (days, price = 1) => Array.from({ length: days }, () => price);
+
+describe('findDepegEvents', () => {
+    it('groups consecutive days past the threshold into one event', () => {
+        const events = findDepegEvents(prices([1, 0.98, 0.95, 0.97, 1, 1, 0.985]), 1, 0.01);
+        assert.equal(events.length, 2);
+        assert.deepEqual([events[0].durationDays, events[0].maxDeviation, events[0].minPrice, events[0].ongoing], [3, 0.05, 0.95, false]);
+        assert.equal(events[1].ongoing, true);
+    });
+});
+
+describe('assessPegHealth', () => {
+    it('grades the latest deviation against the thresholds', () => {
+        assert.equal(assessPegHealth(usdc, prices([...flat(10), 0.97]), thresholds, NOW).status, 'depegged');
+        assert.equal(assessPegHealth(usdc, prices([...flat(10), 0.993]), thresholds, NOW).status, 'warning');
+        const healthy = assessPegHealth(usdc, prices(flat(10)), thresholds, NOW);
+        assert.deepEqual([healthy.status, healthy.riskScore, healthy.deviation], ['healthy', 0, 0]);
+    });
+
+    it('keeps some risk for a healthy coin with a past depeg, more when it was recent', () => {
+        const recent = assessPegHealth(usdc, prices([0.9, ...flat(30)]), thresholds, NOW);
+        assert.deepEqual([recent.status, recent.riskScore], ['healthy', DEPEG_RISK_LEVELS.recentEvent]);
+        const old = assessPegHealth(usdc, prices([0.9, ...flat(200)]), thresholds, NOW);
+        assert.equal(old.riskScore, DEPEG_RISK_LEVELS.historicalEvent);
+    });
+
+    it('reports an unknown status without prices', () => {
+        assert.deepEqual(assessPegHealth(usdc, [], thresholds, NOW), { symbol: 'usdc', status: 'unknown', riskScore: 0, currentPrice: null, deviation: null, events: [] });
+    });
+});
+
+describe('createDepegMonitor', () => {
+    const stablecoins = loadStablecoins();
+    const priceSource = {
+        // USDT is off its peg, the rest hold it
+        async getPriceHistories(coinIds) {
+            const histories = {};
+            coinIds.forEach(id => {
+                histories[id] = prices(id === 'coingecko:tether' ? [...flat(10), 0.96] : flat(11));
+            });
+            return histories;
+        }
+    };
+    const quietLog = { info() {} };
+
+    it('rates a pool by the riskiest stablecoin it holds', async () => {
+        const monitor = createDepegMonitor(stablecoins, priceSource, null);
+        await monitor.refresh({ log: quietLog });
+
+        assert.equal(monitor.getStatus().coins.usdt.status, 'depegged');
+        assert.deepEqual(monitor.assessPool('USDC-USDT', 'Ethereum'), { riskScore: 1, stablecoins: ['usdc', 'usdt'], depeggedTokens: ['usdt'] });
+        assert.deepEqual(monitor.assessPool('WETH-USDC.E', 'Arbitrum'), { riskScore: 0, stablecoins: ['usdc'], depeggedTokens: [] });
+        assert.deepEqual(monitor.assessPool('WETH-WBTC', 'Ethereum'), { riskScore: 0, stablecoins: [], depeggedTokens: [] });
+    });
+
+    it('keeps the last check in the status file when given one, and nowhere otherwise', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'depeg-test-'));
+        const cwd = process.cwd();
+        try {
+            process.chdir(dir);
+            const file = path.join(dir, 'status.json');
+            await createDepegMonitor(stablecoins, priceSource, file).refresh({ log: quietLog });
+            assert.equal(createDepegMonitor(stablecoins, priceSource, file).getStatus().coins.usdt.status, 'depegged');
+
+            fs.rmSync(file);
+            await createDepegMonitor(stablecoins, priceSource, null).refresh({ log: quietLog });
+            assert.deepEqual(fs.readdirSync(dir), []);
+        } finally {
+            process.chdir(cwd);
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,95 @@
+// test/events.test.js - Unit tests for the Server-Sent Events hub
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { formatEvent, matchesTypes, createEventHub } = require('../lib/events');
+
+function fakeConnection() {
+    const req = new EventEmitter();
+    const res = {
+        status: null,
+        headers: null,
+        chunks: [],
+        writeHead(status, headers) {
+            this.status = status;
+            this.headers = headers;
+        },
+        write(chunk) {
+            this.chunks.push(chunk);
+        },
+        // Event frames only, without the retry hint and heartbeats
+        frames() {
+            return this.chunks.filter(chunk => chunk.startsWith('id:'));
+        }
+    };
+    return { req, res };
+}
+
+describe('formatEvent', () => {
+    it('writes id, event name and JSON data as one frame', () => {
+        assert.equal(formatEvent({ id: 3, type: 'pool.updated', data: { pool_id: 'a' } }),
+            'id: 3\nevent: pool.updated\ndata: {"pool_id":"a"}\n\n');
+    });
+});
+
+describe('matchesTypes', () => {
+    it('matches exact types and dotted prefixes', () => {
+        assert.equal(matchesTypes('refresh.batch', null), true);
+        assert.equal(matchesTypes('refresh.batch', ['refresh']), true);
+        assert.equal(matchesTypes('refresh.batch', ['refresh.batch']), true);
+        assert.equal(matchesTypes('refresh.batch', ['pool', 'alert']), false);
+        assert.equal(matchesTypes('refreshing', ['refresh']), false);
+    });
+});
+
+describe('createEventHub', () => {
+    it('streams published events to subscribers of matching types', () => {
+        const hub = createEventHub({ heartbeatMs: 60000 });
+        const all = fakeConnection();
+        const alertsOnly = fakeConnection();
+        hub.subscribe(all.req, all.res);
+        hub.subscribe(alertsOnly.req, alertsOnly.res, { types: ['alert'] });
+
+        hub.publish('refresh.started', { pools: 3 });
+        hub.publish('alert.triggered', { message: 'score dropped' });
+
+        assert.equal(all.res.status, 200);
+        assert.equal(all.res.headers['Content-Type'], 'text/event-stream');
+        assert.equal(all.res.frames().length, 2);
+        assert.equal(alertsOnly.res.frames().length, 1);
+        assert.match(alertsOnly.res.frames()[0], /^id: 2\nevent: alert\.triggered\n/);
+
+        all.req.emit('close');
+        alertsOnly.req.emit('close');
+        assert.equal(hub.clientCount(), 0);
+    });
+
+    it('replays buffered events after the client\'s last event id', () => {
+        const hub = createEventHub({ heartbeatMs: 60000 });
+        hub.publish('refresh.started', {});
+        hub.publish('refresh.batch', { batch: 1 });
+        hub.publish('pool.updated', { pool_id: 'a' });
+
+        const { req, res } = fakeConnection();
+        hub.subscribe(req, res, { types: ['refresh'], lastEventId: 1 });
+        assert.equal(res.frames().length, 1);
+        assert.match(res.frames()[0], /^id: 2\nevent: refresh\.batch/);
+        req.emit('close');
+    });
+
+    it('keeps only the most recent events', () => {
+        const hub = createEventHub({ bufferSize: 2, heartbeatMs: 60000 });
+        ['a', 'b', 'c'].forEach(poolId => hub.publish('pool.updated', { pool_id: poolId }));
+        assert.deepEqual(hub.recent().map(event => event.data.pool_id), ['b', 'c']);
+        assert.deepEqual(hub.recent({ after: 2 }).map(event => event.id), [3]);
+    });
+
+    it('stops writing to clients that disconnected', () => {
+        const hub = createEventHub({ heartbeatMs: 60000 });
+        const { req, res } = fakeConnection();
+        hub.subscribe(req, res);
+        req.emit('close');
+        hub.publish('refresh.completed', {});
+        assert.equal(res.frames().length, 0);
+    });
+});
@@ -0,0 +1,142 @@
+// test/export.test.js - Unit tests for streamed pool exports
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const {
+    DEFAULT_EXPORT_COLUMNS,
+    parseExportRequest,
+    exportRows,
+    csvValue,
+    crc32,
+    writeExport
+} = require('../lib/export');
+
+const pools = [
+    {
+        pool_id: 'pool-a',
+        token_pair: 'WETH-USDC',
+        tvl: 1e6,
+        health_score: 72.5,
+        risk_category: { label: 'Moderate' },
+        governance: { score: 0.9 },
+        freshness: { age_minutes: 5, is_stale: false },
+        historical_data: { timestamps: [1700000000, 1700086400], tvl: [9e5, 1e6], apr: [4.2, null], volume: [1e4] }
+    },
+    { pool_id: 'pool-b', token_pair: '=cmd|calc', tvl: 5e5, health_score: 40, risk_category: null }
+];
+
+async function collect(format, options = {}) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    await writeExport(output, pools, { format, columns: ['pool_id', 'tvl', 'risk_category'], ...options });
+    output.end();
+    return Buffer.concat(chunks);
+}
+
+// Entries of a ZIP archive via its central directory, inflated and CRC-checked
+function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let position = buffer.readUInt32LE(end + 16);
+    const files = {};
+    for (let i = 0; i < count; i++) {
+        const crc = buffer.readUInt32LE(position + 16);
+        const compressedSize = buffer.readUInt32LE(position + 20);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const offset = buffer.readUInt32LE(position + 42);
+        const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+        const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+        const content = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+        assert.equal(crc32(content), crc, `CRC of ${name}`);
+        files[name] = content.toString('utf8');
+        position += 46 + nameLength;
+    }
+    return files;
+}
+
+describe('parseExportRequest', () => {
+    it('defaults to CSV with the standard columns', () => {
+        const request = parseExportRequest({});
+        assert.deepEqual(request, { errors: [], format: 'csv', columns: DEFAULT_EXPORT_COLUMNS, includeHistory: false });
+    });
+
+    it('selects columns, all columns and history', () => {
+        const request = parseExportRequest({ format: 'xlsx', columns: 'pool_id, protocol_score,pool_id', history: 'true' });
+        assert.deepEqual(request.columns, ['pool_id', 'protocol_score']);
+        assert.equal(request.includeHistory, true);
+        assert.ok(parseExportRequest({ columns: 'all' }).columns.includes('governance_score'));
+    });
+
+    it('reports bad formats, columns and flags', () => {
+        assert.equal(parseExportRequest({ format: 'pdf', columns: 'pool_id,secret', history: 'yes' }).errors.length, 3);
+    });
+});
+
+describe('exportRows', () => {
+    it('writes one row per pool with derived columns', () => {
+        const rows = Array.from(exportRows(pools, { columns: ['pool_id', 'risk_category', 'governance_score', 'is_stale'] }));
+        assert.deepEqual(rows, [
+            ['pool_id', 'risk_category', 'governance_score', 'is_stale'],
+            ['pool-a', 'Moderate', 0.9, false],
+            ['pool-b', null, null, null]
+        ]);
+    });
+
+    it('repeats the pool columns for each history day in long format', () => {
+        const rows = Array.from(exportRows(pools, { columns: ['pool_id'], includeHistory: true }));
+        assert.deepEqual(rows[0].slice(0, 4), ['pool_id', 'date', 'history_tvl', 'history_apr']);
+        assert.equal(rows.length, 3);
+        assert.deepEqual(rows[1].slice(0, 6), ['pool-a', '2023-11-14', 9e5, 4.2, null, null]);
+        assert.deepEqual(rows[2].slice(0, 6), ['pool-a', '2023-11-15', 1e6, null, null, null]);
+    });
+});
+
+describe('csvValue', () => {
+    it('quotes separators and neutralizes formulas', () => {
+        assert.equal(csvValue('a,"b"'), '"a,""b"""');
+        assert.equal(csvValue('=SUM(A1)'), '\'=SUM(A1)');
+        assert.equal(csvValue(-1.5), '-1.5');
+        assert.equal(csvValue(null), '');
+        assert.equal(csvValue(NaN), '');
+    });
+});
+
+describe('crc32', () => {
+    it('matches the standard check value', () => {
+        assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    });
+});
+
+describe('writeExport', () => {
+    it('streams CSV', async () => {
+        const csv = (await collect('csv')).toString();
+        assert.equal(csv, 'pool_id,tvl,risk_category\npool-a,1000000,Moderate\npool-b,500000,\n');
+    });
+
+    it('streams JSON Lines keyed by column', async () => {
+        const lines = (await collect('jsonl')).toString().trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(lines, [
+            { pool_id: 'pool-a', tvl: 1e6, risk_category: 'Moderate' },
+            { pool_id: 'pool-b', tvl: 5e5, risk_category: null }
+        ]);
+    });
+
+    it('streams a valid XLSX workbook', async () => {
+        const files = readZip(await collect('xlsx', { columns: ['pool_id', 'token_pair', 'tvl'] }));
+        assert.deepEqual(Object.keys(files).sort(), [
+            '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml'
+        ]);
+        const sheet = files['xl/worksheets/sheet1.xml'];
+        assert.equal((sheet.match(/<row>/g) || []).length, 3);
+        assert.match(sheet, /<c><v>1000000<\/v><\/c>/);
+        // Strings are inline text, never formulas
+        assert.match(sheet, /<t xml:space="preserve">=cmd\|calc<\/t>/);
+    });
+
+    it('stops when asked to', async () => {
+        const csv = (await collect('csv', { shouldStop: () => true })).toString();
+        assert.equal(csv, '');
+    });
+});
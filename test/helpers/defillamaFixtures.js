@@ -0,0 +1,74 @@
+// test/helpers/defillamaFixtures.js - Builds a replayable DefiLlama fixture set for tests
+const { writeFixture, writeManifest } = require('../../lib/fixtures');
+
+const POOLS_URL = 'https://yields.llama.fi/pools';
+const CHART_URL = 'https://yields.llama.fi/chart/';
+const RECORDED_AT = '2025-03-01T00:00:00.000Z';
+
+// Daily chart rows ending the day before RECORDED_AT
+function buildChart(days, { tvl = 1e6, apy = 5, volume = 2e4, fees = 60, tvlDrift = 0, apyWave = 0.5 } = {}) {
+    const end = Date.parse(RECORDED_AT) - 86400000;
+    return Array.from({ length: days }, (_, i) => {
+        const day = i - days + 1;
+        return {
+            timestamp: new Date(end + day * 86400000).toISOString(),
+            tvlUsd: tvl * (1 + tvlDrift * i / days),
+            apy: apy + apyWave * Math.sin(i / 7),
+            apyBase: apy * 0.6,
+            apyReward: apy * 0.4,
+            volumeUsd: volume,
+            feesUsd: fees
+        };
+    });
+}
+
+// Coins API entry of daily prices ending the day before RECORDED_AT; drift is the total change over the series
+function buildPrices(days, { price = 1, drift = 0 } = {}) {
+    const end = Date.parse(RECORDED_AT) / 1000 - 86400;
+    return {
+        prices: Array.from({ length: days }, (_, i) => ({
+            timestamp: end - (days - 1 - i) * 86400,
+            price: price * (1 + drift * i / days)
+        }))
+    };
+}
+
+function buildPool(overrides) {
+    return {
+        chain: 'Ethereum',
+        project: 'uniswap-v3',
+        symbol: 'WETH-USDC',
+        tvlUsd: 1e6,
+        volumeUsd1d: 2e4,
+        apy: 5,
+        apyBase: 3,
+        apyReward: 2,
+        underlyingTokens: [],
+        ...overrides
+    };
+}
+
+// pools: DefiLlama /pools rows; charts: { poolId: chart rows } - pools without a chart are left unrecorded;
+// prices: { coinId: buildPrices() entry }, recorded under every span up to the one a chart as long as the entry asks for
+function writeFixtureSet(dir, { pools, charts, prices = {} }) {
+    writeManifest(dir, { recordedAt: RECORDED_AT });
+    writeFixture(dir, POOLS_URL, { status: 'success', data: pools });
+    Object.entries(charts).forEach(([poolId, rows]) => {
+        writeFixture(dir, CHART_URL + encodeURIComponent(poolId), { status: 'success', data: rows });
+    });
+    // Loaded only when needed: lib/prices pins the clock on load, before callers have set their fixture env
+    const { PRICE_SPAN_STEP_DAYS, priceSpanDays, buildCoinChartUrl } = Object.keys(prices).length > 0 ? require('../../lib/prices') : {};
+    Object.entries(prices).forEach(([coinId, entry]) => {
+        for (let span = PRICE_SPAN_STEP_DAYS; span <= priceSpanDays(entry.prices.length + 1); span += PRICE_SPAN_STEP_DAYS) {
+            writeFixture(dir, buildCoinChartUrl(coinId, span, Date.parse(RECORDED_AT)), { coins: { [coinId]: entry } });
+        }
+    });
+}
+
+module.exports = {
+    RECORDED_AT,
+    buildChart,
+    buildPrices,
+    buildPool,
+    writeFixtureSet
+};
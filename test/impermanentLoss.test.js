@@ -0,0 +1,89 @@
+// test/impermanentLoss.test.js - Known-value tests for the impermanent loss model
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    impermanentLossConstantProduct,
+    impermanentLossConcentrated,
+    alignPriceRatio,
+    modelImpermanentLoss
+} = require('../lib/impermanentLoss');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+
+describe('impermanentLossConstantProduct', () => {
+    it('matches the textbook values for a 50/50 pool', () => {
+        // 2*sqrt(k)/(1+k) - 1
+        close(impermanentLossConstantProduct(2), 2 * Math.SQRT2 / 3 - 1);
+        close(impermanentLossConstantProduct(2), -0.057191);
+        close(impermanentLossConstantProduct(0.5), -0.057191);
+        close(impermanentLossConstantProduct(4), -0.2);
+        assert.equal(impermanentLossConstantProduct(1), 0);
+    });
+
+    it('loses less in a weighted 80/20 pool and nothing for a missing ratio', () => {
+        close(impermanentLossConstantProduct(2, 0.8), Math.pow(2, 0.8) / 1.8 - 1);
+        assert.equal(impermanentLossConstantProduct(0), 0);
+        assert.equal(impermanentLossConstantProduct(null), 0);
+    });
+});
+
+describe('impermanentLossConcentrated', () => {
+    it('amplifies full-range IL inside the range', () => {
+        // IL_v3 = IL_v2 / (1 - (sqrt(lower) + sqrt(1/upper)) / 2) for a position opened at price 1;
+        // with lower = 1/upper = 1/(1+width) that's IL_v2 / (1 - sqrt(1/(1+width)))
+        const width = 0.1;
+        const amplification = 1 / (1 - Math.sqrt(1 / (1 + width)));
+        close(impermanentLossConcentrated(1.05, width), impermanentLossConstantProduct(1.05) * amplification);
+        close(impermanentLossConcentrated(1.05, width), -0.006392);
+        assert.ok(amplification > 20);
+    });
+
+    it('approaches full-range IL as the range widens', () => {
+        close(impermanentLossConcentrated(2, 1e6), impermanentLossConstantProduct(2), 1e-3);
+        assert.equal(impermanentLossConcentrated(1, 0.1), 0);
+    });
+});
+
+describe('alignPriceRatio', () => {
+    it('forward-fills either price across missing days', () => {
+        const day = 86400;
+        const ratios = alignPriceRatio([0, day, 2 * day, 3 * day],
+            [{ date: day, price: 10 }, { date: 3 * day, price: 12 }],
+            [{ date: 0, price: 1 }, { date: 2 * day, price: 2 }]);
+        assert.deepEqual(ratios, [null, 10, 5, 6]);
+    });
+});
+
+describe('modelImpermanentLoss', () => {
+    // 100 days; the price ratio doubles on day 50
+    const ratios = Array.from({ length: 100 }, (_, i) => (i < 50 ? 1 : 2));
+    const aprHistory = ratios.map(() => 36.5);
+
+    it('measures each window and scores the 90-day one', () => {
+        const model = modelImpermanentLoss({ ratios, poolType: 'amm', aprHistory });
+        assert.equal(model.model, 'constant-product');
+        assert.deepEqual(Object.keys(model.windows), ['30d', '90d']);
+        assert.equal(model.windows['30d'].il, 0);
+        assert.equal(model.windows['90d'].il, -0.057191);
+        assert.equal(model.windows['90d'].priceRatioChange, 1);
+        // No fee history, so 36.5% APY accrues at 0.1% a day
+        assert.equal(model.windows['90d'].feeSource, 'apy');
+        assert.equal(model.windows['90d'].feeReturn, 0.09);
+        assert.equal(model.windows['90d'].net, 0.032809);
+        close(model.score, 20 * Math.exp(-0.057191 * 20), 0.01);
+        assert.equal(model.series[99], -0.057191);
+    });
+
+    it('uses the concentrated model for concentrated pools', () => {
+        const model = modelImpermanentLoss({ ratios, poolType: 'concentrated', aprHistory });
+        assert.equal(model.model, 'concentrated');
+        // The last month's ratio is flat, so the range falls back to its narrowest
+        assert.equal(model.rangeWidth, 0.005);
+        assert.ok(model.windows['90d'].il < impermanentLossConstantProduct(2));
+    });
+
+    it('needs at least a 30-day window', () => {
+        assert.equal(modelImpermanentLoss({ ratios: ratios.slice(0, 20), poolType: 'amm' }), null);
+    });
+});
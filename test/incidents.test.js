@@ -0,0 +1,285 @@
+// test/incidents.test.js - Unit tests for the incident and governance feeds
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    validateNewsSources,
+    parseFeed,
+    parseExploits,
+    parseSnapshotProposals,
+    classifyItem,
+    assessSeverity,
+    createTagger,
+    scoreProtocolEvents,
+    createIncidentFeed
+} = require('../lib/incidents');
+const { clock } = require('../lib/clock');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-analyzer-incidents-'));
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const DAY = 86400000;
+const NOW = Date.parse('2026-10-01T00:00:00Z');
+const CATEGORIES = {
+    exploit: { weight: 1, halfLifeDays: 90 },
+    incident: { weight: 0.4, halfLifeDays: 30 },
+    governance: { weight: 0.1, halfLifeDays: 14, maxPenalty: 0.25 },
+    news: { weight: 0, halfLifeDays: 7 }
+};
+
+const protocols = [
+    { id: 'uniswap-v3', name: 'Uniswap V3', aliases: ['Uniswap'] },
+    { id: 'curve', name: 'Curve', aliases: ['Curve Finance'] }
+];
+
+const rss = `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Forum</title>
+<item>
+  <title><![CDATA[Emergency pause of the Curve Finance pools]]></title>
+  <link>https://forum.example/t/1</link>
+  <pubDate>Mon, 28 Sep 2026 10:00:00 GMT</pubDate>
+  <description>&lt;p&gt;USDC withdrawals are halted &amp;amp; under review&lt;/p&gt;</description>
+</item>
+<item>
+  <title>Weekly community call</title>
+  <link>https://forum.example/t/2</link>
+  <pubDate>Sun, 27 Sep 2026 10:00:00 GMT</pubDate>
+</item>
+</channel></rss>`;
+
+const atom = `<feed xmlns="http://www.w3.org/2005/Atom">
+<entry><title>Temperature check: Uniswap fee switch</title><link href="https://gov.example/p/9"/>
+<published>2026-09-20T12:00:00Z</published><summary type="html">Turn on protocol fees</summary></entry>
+</feed>`;
+
+describe('validateNewsSources', () => {
+    it('accepts url and file sources and reports bad ones', () => {
+        assert.deepEqual(validateNewsSources({ sources: [
+            { id: 'a', type: 'feed', url: 'https://example.com/rss' },
+            { id: 'b', type: 'exploits', file: './hacks.json' }
+        ] }), []);
+        const errors = validateNewsSources({ sources: [
+            { id: 'a', type: 'podcast', url: 'x', file: 'y', category: 'rumour' },
+            { id: 'a', type: 'snapshot', url: 'https://hub.example/graphql' }
+        ] });
+        assert.equal(errors.length, 5);
+    });
+
+    it('checks category settings', () => {
+        const errors = validateNewsSources({ sources: [], settings: { categories: { governance: { weight: 0.1, halfLifeDays: 14, maxPenalty: 2 } } } });
+        assert.deepEqual(errors, ['settings.categories.governance.maxPenalty must be a number from 0 to 1']);
+    });
+});
+
+describe('parseFeed', () => {
+    it('reads RSS items with CDATA, entities and embedded HTML', () => {
+        const items = parseFeed(rss);
+        assert.equal(items.length, 2);
+        assert.equal(items[0].title, 'Emergency pause of the Curve Finance pools');
+        assert.equal(items[0].url, 'https://forum.example/t/1');
+        assert.equal(items[0].publishedAt, '2026-09-28T10:00:00.000Z');
+        assert.equal(items[0].summary, 'USDC withdrawals are halted & under review');
+        assert.equal(items[1].summary, null);
+    });
+
+    it('reads Atom entries with link hrefs', () => {
+        const [entry] = parseFeed(atom);
+        assert.equal(entry.url, 'https://gov.example/p/9');
+        assert.equal(entry.publishedAt, '2026-09-20T12:00:00.000Z');
+        assert.equal(entry.summary, 'Turn on protocol fees');
+    });
+});
+
+describe('parseExploits and parseSnapshotProposals', () => {
+    it('normalizes hack list entries and proposals', () => {
+        const [hack] = parseExploits([{ date: 1790000000, name: 'Curve Finance', technique: 'Reentrancy', amount: 6.9e7, chain: ['Ethereum'] }]);
+        assert.equal(hack.title, 'Curve Finance exploited (Reentrancy)');
+        assert.equal(hack.amountUsd, 6.9e7);
+        assert.equal(hack.publishedAt, new Date(1790000000 * 1000).toISOString());
+
+        const [proposal] = parseSnapshotProposals({ data: { proposals: [{ id: '0x1', title: 'Upgrade the oracle', created: 1790000000, space: { id: 'curve.eth' }, state: 'active' }] } });
+        assert.equal(proposal.space, 'curve.eth');
+        assert.equal(proposal.state, 'active');
+    });
+});
+
+describe('classifyItem and assessSeverity', () => {
+    it('raises items above their source category on exploit and incident keywords', () => {
+        const forum = { type: 'feed', category: 'governance' };
+        assert.equal(classifyItem({ title: 'Weekly community call' }, forum), 'governance');
+        assert.equal(classifyItem({ title: 'Emergency pause', summary: null }, forum), 'incident');
+        assert.equal(classifyItem({ title: 'Pool drained by attacker' }, { type: 'feed' }), 'exploit');
+        assert.equal(classifyItem({ title: 'Anything' }, { type: 'exploits' }), 'exploit');
+        assert.equal(classifyItem({ title: 'Routine vote' }, { type: 'snapshot' }), 'governance');
+    });
+
+    it('raises a project forum\'s items only when they name a protocol', () => {
+        const forum = { type: 'feed', category: 'governance', protocols: ['uniswap-v3'] };
+        const item = { title: 'Should we react to the Curve exploit?' };
+        assert.equal(classifyItem(item, forum), 'governance');
+        assert.equal(classifyItem(item, forum, true), 'exploit');
+    });
+
+    it('scales exploits by amount and proposals by what they touch', () => {
+        assert.equal(assessSeverity({ amountUsd: 2e7 }, 'exploit'), 1);
+        assert.equal(assessSeverity({ amountUsd: 5e5 }, 'exploit'), 0.4);
+        assert.equal(assessSeverity({ amountUsd: null }, 'exploit'), 0.7);
+        assert.equal(assessSeverity({ title: 'Upgrade the oracle' }, 'governance'), 1);
+        assert.equal(assessSeverity({ title: 'Grants round' }, 'governance'), 0.5);
+    });
+});
+
+describe('createTagger', () => {
+    it('tags protocols by name or alias and tokens by upper-case symbol', () => {
+        const tag = createTagger(protocols, ['usdc', 'weth', 'dai']);
+        assert.deepEqual(tag({ title: 'Uniswap and Curve Finance hit', summary: 'USDC and $WETH pools' }, {}),
+            { protocols: ['curve', 'uniswap-v3'], tokens: ['usdc', 'weth'] });
+        // Lower-case words and symbols inside longer words don't match
+        assert.deepEqual(tag({ title: 'A bonding curve for USDCX' }, {}), { protocols: [], tokens: [] });
+        assert.deepEqual(tag({ title: 'Vote', space: 'curve.eth' }, { protocols: ['uniswap-v3'], spaces: { 'curve.eth': ['curve'] } }).protocols,
+            ['curve', 'uniswap-v3']);
+    });
+
+    it('tags a raised event with the protocols it names, not the source\'s own', () => {
+        const tag = createTagger(protocols);
+        const forum = { type: 'feed', category: 'governance', protocols: ['uniswap-v3'] };
+        assert.deepEqual(tag({ title: 'Should we react to the Curve exploit?', category: 'exploit' }, forum).protocols, ['curve']);
+        assert.deepEqual(tag({ title: 'Should we react to the Curve exploit?', category: 'governance' }, forum).protocols, ['curve', 'uniswap-v3']);
+    });
+});
+
+describe('scoreProtocolEvents', () => {
+    it('decays each event by its category half-life', () => {
+        const events = [
+            { category: 'exploit', severity: 1, publishedAt: new Date(NOW - 90 * DAY).toISOString() },
+            { category: 'governance', severity: 1, publishedAt: new Date(NOW).toISOString() },
+            { category: 'news', severity: 1, publishedAt: new Date(NOW).toISOString() }
+        ];
+        const result = scoreProtocolEvents(events, CATEGORIES, NOW);
+        assert.equal(result.penalty, 0.6);
+        assert.equal(result.score, 0.4);
+        assert.deepEqual(result.byCategory, { exploit: 0.5, governance: 0.1 });
+        assert.equal(scoreProtocolEvents([], CATEGORIES, NOW).score, 1);
+    });
+
+    it('floors the score at zero', () => {
+        const fresh = { category: 'exploit', severity: 1, publishedAt: new Date(NOW).toISOString() };
+        assert.equal(scoreProtocolEvents([fresh, fresh], CATEGORIES, NOW).score, 0);
+    });
+
+    it('caps what an active DAO\'s routine proposals can take off', () => {
+        // A forum post a day for the last month and a Snapshot vote every other day for 200 days
+        const routine = (count, everyDays) => Array.from({ length: count }, (_, i) => ({
+            category: 'governance',
+            severity: 0.5,
+            publishedAt: new Date(NOW - i * everyDays * DAY).toISOString()
+        }));
+        const events = [...routine(30, 1), ...routine(100, 2)];
+        const uncapped = { ...CATEGORIES, governance: { weight: 0.1, halfLifeDays: 14 } };
+        assert.equal(scoreProtocolEvents(events, uncapped, NOW).score, 0);
+
+        const result = scoreProtocolEvents(events, CATEGORIES, NOW);
+        assert.deepEqual([result.score, result.penalty, result.byCategory.governance], [0.75, 0.25, 0.25]);
+
+        // An exploit still counts in full on top
+        const exploit = { category: 'exploit', severity: 1, publishedAt: new Date(NOW - 90 * DAY).toISOString() };
+        assert.equal(scoreProtocolEvents([...events, exploit], CATEGORIES, NOW).score, 0.25);
+    });
+});
+
+describe('createIncidentFeed', () => {
+    const hacksFile = path.join(workDir, 'hacks.json');
+    const forumFile = path.join(workDir, 'forum.xml');
+    fs.writeFileSync(hacksFile, JSON.stringify([
+        { date: Math.floor(Date.now() / 1000) - 86400, name: 'Curve Finance', amount: 2e7, chain: ['Ethereum'] },
+        // Past the retention window
+        { date: Math.floor(Date.now() / 1000) - 400 * 86400, name: 'Uniswap', amount: 1e6 }
+    ]));
+    fs.writeFileSync(forumFile, rss);
+
+    const settings = {
+        maxAgeDays: 365,
+        maxItemsPerSource: 200,
+        categories: CATEGORIES,
+        sources: [
+            { id: 'hacks', type: 'exploits', file: hacksFile },
+            { id: 'forum', type: 'feed', file: forumFile, category: 'governance', protocols: ['curve'] }
+        ]
+    };
+
+    it('ingests file sources, tags events and scores protocols', async () => {
+        const cacheFile = path.join(workDir, 'news_cache.json');
+        const feed = createIncidentFeed(settings, { registry: { protocols }, filePath: cacheFile });
+        const state = await feed.refresh({ tokens: ['usdc'] });
+
+        assert.equal(state.events.length, 3);
+        assert.deepEqual(state.sources.hacks.status, 'ok');
+        assert.ok(fs.existsSync(cacheFile));
+
+        const curve = feed.getEvents({ protocols: ['curve'] });
+        assert.deepEqual(curve.map(event => event.category), ['exploit', 'incident', 'governance']);
+        assert.deepEqual(feed.getEvents({ tokens: ['usdc'] }).map(event => event.source), ['forum']);
+        assert.equal(feed.getEvents({ protocols: ['curve'], categories: ['exploit'] }).length, 1);
+        assert.equal(feed.getEvents({ protocols: ['uniswap-v3'] }).length, 0);
+
+        assert.ok(feed.assessProtocol('curve').score < 0.1);
+        assert.equal(feed.assessProtocol('uniswap-v3').score, 1);
+
+        // A second feed picks the events up from the cache file
+        assert.equal(createIncidentFeed(settings, { registry: { protocols }, filePath: cacheFile }).getEvents().length, 3);
+    });
+
+    it('keeps a failing source\'s earlier events', async () => {
+        const cacheFile = path.join(workDir, 'failing_cache.json');
+        const feed = createIncidentFeed(settings, { registry: { protocols }, filePath: cacheFile });
+        await feed.refresh();
+
+        const broken = { ...settings, sources: [{ ...settings.sources[0], file: path.join(workDir, 'missing.json') }, settings.sources[1]] };
+        const state = await createIncidentFeed(broken, { registry: { protocols }, filePath: cacheFile }).refresh();
+        assert.equal(state.sources.hacks.status, 'error');
+        assert.equal(state.events.filter(event => event.source === 'hacks').length, 1);
+    });
+
+    it('keeps the newest items of a source that lists them oldest first', async () => {
+        const oldestFirst = path.join(workDir, 'hacks-oldest-first.json');
+        const day = Math.floor(Date.now() / 1000) - 86400;
+        fs.writeFileSync(oldestFirst, JSON.stringify([30, 20, 10, 1].map(daysAgo => ({ date: day - daysAgo * 86400, name: `Curve ${daysAgo}d`, amount: 1e6 }))));
+        const limited = { ...settings, maxItemsPerSource: 2, sources: [{ id: 'hacks', type: 'exploits', file: oldestFirst }] };
+        const state = await createIncidentFeed(limited, { registry: { protocols }, filePath: path.join(workDir, 'limited_cache.json') }).refresh();
+        assert.deepEqual(state.events.map(event => event.title), ['Curve 1d exploited', 'Curve 10d exploited']);
+    });
+
+    it('dates an undated item when first seen, so it ages out like any other', async () => {
+        const undatedFile = path.join(workDir, 'undated.xml');
+        fs.writeFileSync(undatedFile, '<rss><channel><item><title>Curve Finance pool exploited</title><link>https://forum.example/t/3</link></item></channel></rss>');
+        const undated = { ...settings, sources: [{ id: 'forum', type: 'feed', file: undatedFile, category: 'governance', protocols: ['curve'] }] };
+        const cacheFile = path.join(workDir, 'undated_cache.json');
+        const originalNow = clock.now;
+        const originalDate = clock.date;
+        const setClock = time => {
+            clock.now = () => time;
+            clock.date = () => new Date(time);
+        };
+        try {
+            setClock(NOW);
+            const first = await createIncidentFeed(undated, { registry: { protocols }, filePath: cacheFile }).refresh();
+            assert.equal(first.events[0].publishedAt, new Date(NOW).toISOString());
+
+            setClock(NOW + 10 * DAY);
+            const feed = createIncidentFeed(undated, { registry: { protocols }, filePath: cacheFile });
+            assert.equal((await feed.refresh()).events[0].publishedAt, new Date(NOW).toISOString());
+
+            // Past maxAgeDays it's dropped, and stays dropped while the source still lists it
+            setClock(NOW + 400 * DAY);
+            assert.equal((await feed.refresh()).events.length, 0);
+            assert.equal((await feed.refresh()).events.length, 0);
+            assert.equal(feed.assessProtocol('curve').score, 1);
+        } finally {
+            clock.now = originalNow;
+            clock.date = originalDate;
+        }
+    });
+});
@@ -0,0 +1,75 @@
+// test/jobs.test.js - Unit tests for the refresh job manager
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobManager } = require('../lib/jobs');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createJobManager', () => {
+    it('runs one job at a time and hands back the running one', async () => {
+        const jobs = createJobManager();
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const first = jobs.start({ type: 'rolling' }, async job => {
+            job.reportProgress({ total: 4, processed: 2 });
+            await gate;
+            return { scored: 4 };
+        });
+        await tick();
+
+        const second = jobs.start({ type: 'pools', params: { poolIds: ['a'] } }, async () => ({ scored: 1 }));
+        assert.equal(first.started, true);
+        assert.equal(second.started, false);
+        assert.equal(second.job.id, first.job.id);
+        assert.equal(jobs.active().progress.processed, 2);
+        assert.equal(jobs.get(first.job.id).status, 'running');
+
+        release();
+        const finished = await first.done;
+        assert.equal(finished.status, 'completed');
+        assert.deepEqual(finished.result, { scored: 4 });
+        assert.ok(finished.finishedAt);
+        assert.equal(jobs.active(), null);
+        assert.equal(jobs.start({ type: 'rolling' }, async () => null).started, true);
+    });
+
+    it('records failures and per-item errors', async () => {
+        const jobs = createJobManager();
+        const { done } = jobs.start({ type: 'rolling' }, async job => {
+            job.recordError({ poolId: 'a', reason: 'fixture_missing' });
+            throw new Error('No pools fetched');
+        });
+        const finished = await done;
+        assert.equal(finished.status, 'failed');
+        assert.equal(finished.error, 'No pools fetched');
+        assert.deepEqual(finished.errors, [{ poolId: 'a', reason: 'fixture_missing' }]);
+    });
+
+    it('cancels a running job at its next checkpoint', async () => {
+        const jobs = createJobManager();
+        const { job, done } = jobs.start({ type: 'rolling' }, async handle => {
+            while (!handle.isCancelled()) await tick();
+            return { scored: 0 };
+        });
+
+        const outcome = jobs.cancel(job.id);
+        assert.equal(outcome.cancelled, true);
+        assert.equal(outcome.job.cancelRequested, true);
+        assert.equal((await done).status, 'cancelled');
+
+        assert.equal(jobs.cancel(job.id).cancelled, false);
+        assert.equal(jobs.cancel('missing'), null);
+    });
+
+    it('keeps a bounded history, most recent first', async () => {
+        const jobs = createJobManager({ historySize: 2 });
+        const ids = [];
+        for (let i = 0; i < 3; i++) {
+            const { job, done } = jobs.start({ type: 'rolling' }, async () => null);
+            ids.push(job.id);
+            await done;
+        }
+        assert.deepEqual(jobs.list().map(job => job.id), [ids[2], ids[1]]);
+        assert.equal(jobs.get(ids[0]), null);
+    });
+});
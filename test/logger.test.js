@@ -0,0 +1,48 @@
+// test/logger.test.js - Unit tests for the structured pipeline logger
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveLogFormat, createLogger } = require('../lib/logger');
+
+function capture(options) {
+    const lines = [];
+    const logger = createLogger({ now: () => new Date('2025-03-01T00:00:00Z'), write: (level, line) => lines.push([level, line]), ...options });
+    return { logger, lines };
+}
+
+describe('createLogger', () => {
+    it('writes one JSON object per entry with the scope\'s fields', () => {
+        const { logger, lines } = capture({ format: 'json' });
+        const error = Object.assign(new Error('HTTP 429'), { reason: 'rate_limited', status: 429 });
+        logger.child({ run_id: 'run-1' }).child({ pool_id: 'pool-a' }).error('Pool failed to score', { error, skipped: undefined });
+
+        assert.equal(lines.length, 1);
+        assert.equal(lines[0][0], 'error');
+        assert.deepEqual(JSON.parse(lines[0][1]), {
+            time: '2025-03-01T00:00:00.000Z',
+            level: 'error',
+            msg: 'Pool failed to score',
+            run_id: 'run-1',
+            pool_id: 'pool-a',
+            error: { message: 'HTTP 429', reason: 'rate_limited', status: 429 }
+        });
+    });
+
+    it('writes readable text and drops entries below the level', () => {
+        const { logger, lines } = capture({ format: 'pretty', level: 'info' });
+        logger.debug('Processing batch');
+        logger.info('Pool scored', { pool_id: 'pool-a', health_score: 72.5 });
+        logger.warn('Peg check failed', { error: new Error('timeout') });
+        assert.deepEqual(lines, [
+            ['info', 'Pool scored (pool_id=pool-a health_score=72.5)'],
+            ['warn', '⚠️ Peg check failed (error=timeout)']
+        ]);
+    });
+});
+
+describe('resolveLogFormat', () => {
+    it('uses LOG_FORMAT, else JSON in production', () => {
+        assert.equal(resolveLogFormat({ LOG_FORMAT: 'pretty', NODE_ENV: 'production' }), 'pretty');
+        assert.equal(resolveLogFormat({ NODE_ENV: 'production' }), 'json');
+        assert.equal(resolveLogFormat({ LOG_FORMAT: 'xml' }), 'pretty');
+    });
+});
@@ -0,0 +1,68 @@
+// test/metrics.test.js - Unit tests for the Prometheus metrics registry
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry, endpointLabel } = require('../lib/metrics');
+
+describe('createMetricsRegistry', () => {
+    it('renders counters and gauges per label set', () => {
+        const registry = createMetricsRegistry();
+        const requests = registry.counter({ name: 'requests_total', help: 'Requests.', labelNames: ['endpoint', 'status'] });
+        requests.inc({ endpoint: '/pools', status: 200 });
+        requests.inc({ status: 200, endpoint: '/pools' }, 2);
+        requests.inc({ endpoint: 'say "hi"\n', status: 429 });
+        registry.gauge({ name: 'queue_depth', help: 'Queued requests.' }).set({}, 4);
+
+        assert.equal(requests.get({ endpoint: '/pools', status: 200 }), 3);
+        assert.equal(registry.render(), [
+            '# HELP requests_total Requests.',
+            '# TYPE requests_total counter',
+            'requests_total{endpoint="/pools",status="200"} 3',
+            'requests_total{endpoint="say \\"hi\\"\\n",status="429"} 1',
+            '',
+            '# HELP queue_depth Queued requests.',
+            '# TYPE queue_depth gauge',
+            'queue_depth 4',
+            ''
+        ].join('\n'));
+    });
+
+    it('renders cumulative histogram buckets', () => {
+        const registry = createMetricsRegistry();
+        const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency.', buckets: [1, 0.1] });
+        [0.05, 0.5, 3, NaN].forEach(value => latency.observe({}, value));
+
+        assert.deepEqual(latency.get(), { buckets: [1, 2], count: 3, sum: 3.55 });
+        assert.match(registry.render(), /latency_seconds_bucket\{le="0.1"\} 1\nlatency_seconds_bucket\{le="1"\} 2\nlatency_seconds_bucket\{le="\+Inf"\} 3\nlatency_seconds_sum 3.55\nlatency_seconds_count 3/);
+    });
+
+    it('reads collected metrics off current state at render time', () => {
+        const registry = createMetricsRegistry();
+        let scores = [20, 80];
+        registry.histogram({ name: 'score', help: 'Scores.', buckets: [50, 100], collect: () => [{ values: scores }] });
+        registry.gauge({ name: 'pools', help: 'Pools.', labelNames: ['chain'], collect: () => [{ labels: { chain: 'Base' }, value: scores.length }] });
+
+        assert.match(registry.render(), /score_count 2[\s\S]*pools\{chain="Base"\} 2/);
+        scores = [90];
+        assert.match(registry.render(), /score_bucket\{le="50"\} 0[\s\S]*score_count 1[\s\S]*pools\{chain="Base"\} 1/);
+    });
+
+    it('returns the registered metric for a repeated name and rejects bad definitions', () => {
+        const registry = createMetricsRegistry();
+        const first = registry.counter({ name: 'runs_total', help: 'Runs.' });
+        assert.equal(registry.counter({ name: 'runs_total', help: 'Runs.' }), first);
+        assert.throws(() => registry.gauge({ name: 'runs_total', help: 'Runs.' }), /already registered/);
+        assert.throws(() => registry.counter({ name: 'bad-name', help: 'x' }), /Invalid metric name/);
+        assert.throws(() => registry.histogram({ name: 'h', help: 'x', labelNames: ['le'] }), /Invalid label name/);
+        assert.throws(() => first.inc({}, -1), /only increase/);
+    });
+});
+
+describe('endpointLabel', () => {
+    it('keeps the host and first path segment', () => {
+        assert.equal(endpointLabel('https://yields.llama.fi/pools'), 'yields.llama.fi/pools');
+        assert.equal(endpointLabel('https://yields.llama.fi/chart/747c1d2a-c668-4682-b9f9-296708a3dd90'), 'yields.llama.fi/chart');
+        assert.equal(endpointLabel('https://coins.llama.fi/chart/ethereum:0xa0b8,ethereum:0xdac1?start=1&span=30'), 'coins.llama.fi/chart');
+        assert.equal(endpointLabel('https://hub.snapshot.org/graphql?query=x'), 'hub.snapshot.org/graphql');
+        assert.equal(endpointLabel('not a url'), 'invalid');
+    });
+});
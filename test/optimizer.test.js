@@ -0,0 +1,139 @@
+// test/optimizer.test.js - Unit tests for the allocation optimizer
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoringProfiles } = require('../lib/scoring');
+const { validateOptimizationRequest, estimateAprStatistics, optimizeAllocation } = require('../lib/optimizer');
+
+const DAY = 86400;
+const START = Date.parse('2024-01-01T00:00:00Z') / 1000;
+const LABELS = ['Conservative', 'Moderate', 'Aggressive', 'Speculative'];
+const profile = scoringProfiles.defaultProfile;
+
+function scoredPool(poolId, { platform = 'uniswap-v3', tokenPair = 'WETH-USDC', healthScore = 85, days = 120, apr = () => 5 } = {}) {
+    const timestamps = Array.from({ length: days }, (_, i) => START + i * DAY);
+    return {
+        pool_id: poolId,
+        token_pair: tokenPair,
+        platform,
+        chain: 'Ethereum',
+        health_score: healthScore,
+        risk_category: { label: 'Conservative' },
+        historical_data: {
+            timestamps,
+            tvl: timestamps.map(() => 1e6),
+            apr: timestamps.map((_, i) => apr(i)),
+            volume: timestamps.map(() => 1000)
+        }
+    };
+}
+
+function weightsOf(result) {
+    return Object.fromEntries(result.allocations.map(a => [a.pool_id, a.weight]));
+}
+
+describe('validateOptimizationRequest', () => {
+    it('accepts a minimal request', () => {
+        assert.deepEqual(validateOptimizationRequest({ budget: 1000 }, LABELS), []);
+    });
+
+    it('reports every invalid field', () => {
+        const errors = validateOptimizationRequest({
+            budget: -1,
+            riskTolerance: 'reckless',
+            constraints: { maxPoolShare: 1.5, minHealthScore: 120 }
+        }, LABELS);
+        assert.equal(errors.length, 4);
+        assert.ok(errors.some(e => e.includes('Conservative, Moderate, Aggressive, Speculative')));
+    });
+});
+
+describe('estimateAprStatistics', () => {
+    it('estimates means and a symmetric covariance over the lookback window', () => {
+        const stats = estimateAprStatistics([
+            scoredPool('a', { apr: i => 10 + (i % 2) }),
+            scoredPool('b', { apr: i => 5 - (i % 2) })
+        ], 30);
+        assert.deepEqual(stats.expectedApr, [10.5, 4.5]);
+        assert.deepEqual(stats.observations, [30, 30]);
+        assert.ok(stats.covariance[0][1] < 0);
+        assert.equal(stats.covariance[0][1], stats.covariance[1][0]);
+    });
+});
+
+describe('optimizeAllocation', () => {
+    it('puts everything into the best yield when risk is ignored', () => {
+        const pools = [scoredPool('low', { apr: () => 4 }), scoredPool('high', { platform: 'curve', apr: i => 12 + 6 * Math.sin(i) })];
+        const result = optimizeAllocation(pools, { budget: 1000, riskAversion: 0 }, profile);
+        assert.deepEqual(weightsOf(result), { high: 1 });
+        assert.equal(result.allocated, 1000);
+        assert.equal(result.unallocated, 0);
+    });
+
+    it('trades yield for stability as risk aversion grows', () => {
+        const pools = [scoredPool('low', { apr: () => 4 }), scoredPool('high', { platform: 'curve', apr: i => 12 + 6 * Math.sin(i) })];
+        const result = optimizeAllocation(pools, { budget: 1000, riskAversion: 2 }, profile);
+        const weights = weightsOf(result);
+        assert.ok(weights.low > 0.5);
+        assert.ok(result.volatility < 3);
+        assert.ok(result.expectedApr > 4 && result.expectedApr < 12);
+    });
+
+    it('splits evenly between uncorrelated pools with the same yield and risk', () => {
+        const pools = [
+            scoredPool('a', { apr: i => 8 + (i % 2 === 0 ? 1 : -1) }),
+            scoredPool('b', { platform: 'curve', apr: i => 8 + (i % 4 < 2 ? 1 : -1) })
+        ];
+        const weights = weightsOf(optimizeAllocation(pools, { budget: 1000, riskTolerance: 'Conservative' }, profile));
+        assert.ok(Math.abs(weights.a - 0.5) <= 0.05);
+        assert.ok(Math.abs(weights.b - 0.5) <= 0.05);
+    });
+
+    it('respects pool, platform and token caps', () => {
+        const pools = [
+            scoredPool('a', { apr: () => 20 }),
+            scoredPool('b', { apr: () => 18, tokenPair: 'WBTC-WETH' }),
+            scoredPool('c', { platform: 'curve', tokenPair: 'USDC-USDT', apr: () => 6 }),
+            scoredPool('d', { platform: 'balancer-v2', tokenPair: 'DAI-USDT', apr: () => 5 })
+        ];
+        const result = optimizeAllocation(pools, {
+            budget: 1000,
+            riskAversion: 0,
+            constraints: { maxPoolShare: 0.4, maxPlatformShare: 0.5, maxTokenShare: 0.3 }
+        }, profile);
+        result.allocations.forEach(a => assert.ok(a.weight <= 0.4));
+        result.exposure.platform.breakdown.forEach(p => assert.ok(p.share <= 0.5 + 1e-9));
+        result.exposure.token.breakdown.forEach(t => assert.ok(t.share <= 0.3 + 1e-9));
+        assert.equal(result.allocated, 1000);
+    });
+
+    it('leaves the rest unallocated when the caps cannot absorb the budget', () => {
+        const pools = [scoredPool('a'), scoredPool('b', { platform: 'curve' })];
+        const result = optimizeAllocation(pools, { budget: 1000, constraints: { maxPoolShare: 0.25 } }, profile);
+        assert.equal(result.allocated, 500);
+        assert.equal(result.unallocated, 500);
+    });
+
+    it('only considers pools within the risk tolerance, minimum score and history requirements', () => {
+        const pools = [
+            scoredPool('safe', { healthScore: 88 }),
+            scoredPool('moderate', { healthScore: 65, apr: () => 15 }),
+            scoredPool('risky', { healthScore: 45, apr: () => 40 }),
+            scoredPool('new', { healthScore: 90, days: 5, apr: () => 30 })
+        ];
+        const conservative = optimizeAllocation(pools, { budget: 1000, riskTolerance: 'conservative' }, profile);
+        assert.deepEqual(Object.keys(weightsOf(conservative)), ['safe']);
+        assert.deepEqual(conservative.universe.excluded, { riskTolerance: 2, minHealthScore: 0, insufficientHistory: 1 });
+        assert.equal(conservative.riskCategory, 'Conservative');
+
+        const moderate = optimizeAllocation(pools, { budget: 1000, riskTolerance: 'Moderate', constraints: { minHealthScore: 70 } }, profile);
+        assert.deepEqual(Object.keys(weightsOf(moderate)), ['safe']);
+        assert.equal(moderate.universe.excluded.minHealthScore, 1);
+    });
+
+    it('returns an empty allocation when nothing qualifies', () => {
+        const result = optimizeAllocation([scoredPool('a', { healthScore: 30 })], { budget: 1000, riskTolerance: 'Conservative' }, profile);
+        assert.deepEqual(result.allocations, []);
+        assert.equal(result.expectedApr, null);
+        assert.equal(result.unallocated, 1000);
+    });
+});
@@ -0,0 +1,123 @@
+// test/poolQuery.test.js - Unit tests for the /api/pools query language
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePoolQuery, filterPools, sortPools, runPoolQuery } = require('../lib/poolQuery');
+
+const pools = [
+    { pool_id: 'a', token_pair: 'WETH-USDC', platform: 'uniswap-v3', chain: 'Ethereum', tvl: 8e6, avg_apr: 12, health_score: 80, data_points: 730, data_quality: 'Excellent', governance: { score: 1 } },
+    { pool_id: 'b', token_pair: 'USDC.E-USDT', platform: 'curve', chain: 'Arbitrum', tvl: 3e6, avg_apr: 4, health_score: 80, data_points: 400, data_quality: 'Good', governance: { score: 0.4 } },
+    { pool_id: 'c', token_pair: 'WBTC-WETH', platform: 'sushiswap', chain: 'Arbitrum', tvl: 2e6, avg_apr: 25, health_score: 55, data_points: 120, data_quality: 'Limited' },
+    { pool_id: 'd', token_pair: 'DAI-USDC', platform: 'curve', chain: 'Base', tvl: 5e5, avg_apr: null, health_score: 62, data_points: 200, data_quality: 'Fair' }
+];
+
+function query(params) {
+    const parsed = parsePoolQuery(params);
+    assert.deepEqual(parsed.errors, []);
+    return parsed;
+}
+
+const ids = list => list.map(pool => pool.pool_id);
+
+describe('parsePoolQuery', () => {
+    it('defaults to the best health score first with no page bounds', () => {
+        const parsed = query({});
+        assert.deepEqual(parsed.sort, [{ field: 'health_score', direction: 'desc' }]);
+        assert.equal(parsed.limit, null);
+        assert.equal(parsed.fields, null);
+        assert.deepEqual(parsed.filters.ranges, []);
+    });
+
+    it('reads sort keys, ranges, grades, tokens and fields', () => {
+        const parsed = query({ sort: 'tvl:ASC,health_score', minApr: '5', maxTvl: '1e7', dataQuality: 'good,Excellent', token: 'usdc.e', fields: 'tvl,tvl', platform: 'all' });
+        assert.deepEqual(parsed.sort, [{ field: 'tvl', direction: 'asc' }, { field: 'health_score', direction: 'desc' }]);
+        assert.deepEqual(parsed.filters.ranges, [{ field: 'avg_apr', min: 5, max: null }, { field: 'tvl', min: null, max: 1e7 }]);
+        assert.deepEqual(parsed.filters.dataQuality, ['Good', 'Excellent']);
+        assert.deepEqual(parsed.filters.tokens, ['usdc']);
+        assert.deepEqual(parsed.fields, ['pool_id', 'tvl']);
+        assert.equal(parsed.filters.platform, null);
+    });
+
+    it('reports every invalid parameter', () => {
+        const { errors } = parsePoolQuery({
+            sort: 'token_pair,tvl:sideways',
+            minScore: 'high',
+            minTvl: '10',
+            maxTvl: '5',
+            limit: '0',
+            offset: '1.5',
+            dataQuality: 'Great',
+            fields: 'secret'
+        });
+        assert.equal(errors.length, 8);
+        assert.equal(parsePoolQuery({ limit: '501' }).errors.length, 1);
+        assert.deepEqual(parsePoolQuery({ limit: '501' }, { maxLimit: 1000 }).errors, []);
+    });
+
+    it('rejects cursors that are malformed or from another sort', () => {
+        const { pagination } = runPoolQuery(pools, query({ limit: '1' }));
+        assert.match(parsePoolQuery({ cursor: pagination.nextCursor, sort: 'tvl' }).errors[0], /issued for sort=health_score:desc/);
+        assert.match(parsePoolQuery({ cursor: 'not-a-cursor' }).errors[0], /not valid/);
+        assert.match(parsePoolQuery({ cursor: pagination.nextCursor, offset: '1' }).errors[0], /either cursor or offset/);
+    });
+});
+
+describe('filterPools', () => {
+    it('applies ranges, leaving out pools without the value', () => {
+        assert.deepEqual(ids(filterPools(pools, query({ minApr: '4', maxApr: '20' }).filters)), ['a', 'b']);
+        assert.deepEqual(ids(filterPools(pools, query({ minDataPoints: '200', maxScore: '79' }).filters)), ['d']);
+    });
+
+    it('matches grades and requires every listed token, bridged variants included', () => {
+        assert.deepEqual(ids(filterPools(pools, query({ dataQuality: 'fair,limited' }).filters)), ['c', 'd']);
+        assert.deepEqual(ids(filterPools(pools, query({ token: 'USDC' }).filters)), ['a', 'b', 'd']);
+        assert.deepEqual(ids(filterPools(pools, query({ token: 'usdc,usdt' }).filters)), ['b']);
+    });
+
+    it('keeps the original platform, chain and search filters', () => {
+        assert.deepEqual(ids(filterPools(pools, query({ platform: 'curve', chain: 'base' }).filters)), ['d']);
+        assert.deepEqual(ids(filterPools(pools, query({ search: 'wbtc' }).filters)), ['c']);
+    });
+});
+
+describe('sortPools', () => {
+    it('sorts by each key in turn, then by pool id, with missing values last', () => {
+        assert.deepEqual(ids(sortPools(pools, query({}).sort)), ['a', 'b', 'd', 'c']);
+        assert.deepEqual(ids(sortPools(pools, query({ sort: 'avg_apr:asc' }).sort)), ['b', 'a', 'c', 'd']);
+        assert.deepEqual(ids(sortPools(pools, query({ sort: 'avg_apr' }).sort)), ['c', 'a', 'b', 'd']);
+        assert.deepEqual(ids(sortPools(pools, query({ sort: 'governance_score:asc' }).sort)), ['b', 'a', 'c', 'd']);
+    });
+});
+
+describe('runPoolQuery', () => {
+    it('counts every match in total and pages by offset', () => {
+        const result = runPoolQuery(pools, query({ limit: '3', offset: '2' }));
+        assert.equal(result.total, 4);
+        assert.deepEqual(ids(result.data), ['d', 'c']);
+        assert.deepEqual({ ...result.pagination, nextCursor: null }, { limit: 3, offset: 2, hasMore: false, nextOffset: null, nextCursor: null });
+        assert.equal(result.sort, 'health_score:desc');
+        assert.equal(runPoolQuery(pools, query({})).pagination.limit, 20);
+    });
+
+    it('walks every pool exactly once with cursors', () => {
+        const seen = [];
+        let cursor;
+        do {
+            const result = runPoolQuery(pools, query({ sort: 'tvl:asc', limit: '3', ...(cursor ? { cursor } : {}) }));
+            seen.push(...ids(result.data));
+            cursor = result.pagination.nextCursor;
+        } while (cursor);
+        assert.deepEqual(seen, ['d', 'c', 'b', 'a']);
+    });
+
+    it('resumes after the cursor position when rows tie on the sort value', () => {
+        const first = runPoolQuery(pools, query({ limit: '1' }));
+        assert.deepEqual(ids(first.data), ['a']);
+        const second = runPoolQuery(pools, query({ limit: '1', cursor: first.pagination.nextCursor }));
+        assert.deepEqual(ids(second.data), ['b']);
+    });
+
+    it('projects the requested fields', () => {
+        const { data } = runPoolQuery(pools, query({ fields: 'tvl,governance', limit: '2' }));
+        assert.deepEqual(data, [{ pool_id: 'a', tvl: 8e6, governance: { score: 1 } }, { pool_id: 'b', tvl: 3e6, governance: { score: 0.4 } }]);
+    });
+});
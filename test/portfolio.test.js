@@ -0,0 +1,135 @@
+// test/portfolio.test.js - Position valuation and portfolio summary on fixed price histories
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { impermanentLossConcentrated } = require('../lib/impermanentLoss');
+const { valuePosition, summarizePortfolio } = require('../lib/portfolio');
+
+const DAY = 86400;
+const START = Date.parse('2024-12-30T00:00:00Z') / 1000;
+const NOW = Date.parse('2025-01-11T00:00:00Z');
+const days = Array.from({ length: 13 }, (_, i) => START + i * DAY);
+
+// WETH goes from $1,000 to $4,000 the day after the deposit; USDC holds its peg
+const priceHistories = {
+    'ethereum:0xweth': days.map((date, i) => ({ date, price: i <= 2 ? 1000 : 4000 })),
+    'ethereum:0xusdc': days.map(date => ({ date, price: 1 }))
+};
+
+// 36.5% APY with no fee history accrues 0.1% a day
+const wethUsdc = {
+    pool_id: 'pool-a',
+    token_pair: 'WETH-USDC',
+    platform: 'uniswap-v2',
+    chain: 'Ethereum',
+    pool_type: 'amm',
+    health_score: 80,
+    risk_category: { label: 'Low Risk' },
+    underlying_tokens: ['0xWETH', '0xUSDC'],
+    historical_data: { timestamps: days, tvl: days.map(() => 1e6), apr: days.map(() => 36.5), fees: [] }
+};
+
+const deposit = fields => ({ id: 'p1', poolId: 'pool-a', depositDate: '2025-01-01T00:00:00.000Z', ...fields });
+
+describe('valuePosition', () => {
+    it('values a USD deposit against holding the two assets 50/50', () => {
+        const valued = valuePosition(deposit({ amountUsd: 10000 }), wethUsdc, priceHistories, NOW);
+        assert.equal(valued.status, 'ok');
+        assert.equal(valued.valuation, 'priced');
+        assert.equal(valued.daysHeld, 10);
+        // Holding: half in WETH (x4), half in USDC
+        assert.equal(valued.holdValue, 25000);
+        // A 4x price ratio costs a constant-product LP 20% against holding
+        assert.equal(valued.impermanentLoss, -0.2);
+        assert.equal(valued.lpValue, 20000);
+        assert.equal(valued.impermanentLossUsd, -5000);
+        // Ten days of accrual after the deposit day
+        assert.equal(valued.feeSource, 'apy');
+        assert.equal(valued.feesEarned, 100);
+        assert.equal(valued.currentValue, 20100);
+        assert.equal(valued.netPnl, 10100);
+        assert.equal(valued.netPnlPercent, 101);
+        assert.equal(valued.partialHistory, false);
+    });
+
+    it('prices token amounts at the deposit date and earns fees from the fee history', () => {
+        const withFees = { ...wethUsdc, historical_data: { ...wethUsdc.historical_data, fees: days.map(() => 500) } };
+        const valued = valuePosition(deposit({ tokenAmounts: [1, 1000] }), withFees, priceHistories, NOW);
+        assert.equal(valued.depositValue, 2000);
+        assert.equal(valued.holdValue, 5000);
+        assert.equal(valued.lpValue, 4000);
+        assert.equal(valued.impermanentLossUsd, -1000);
+        // $500 a day on $1M TVL is 0.05% a day
+        assert.equal(valued.feeSource, 'fees');
+        assert.equal(valued.feesEarned, 10);
+        assert.equal(valued.netPnl, 2010);
+    });
+
+    it('uses the concentrated model with the pool\'s range width', () => {
+        const concentrated = { ...wethUsdc, pool_type: 'concentrated', impermanent_loss: { range_width: 0.5 } };
+        const valued = valuePosition(deposit({ amountUsd: 10000 }), concentrated, priceHistories, NOW);
+        assert.equal(valued.impermanentLoss, Math.round(impermanentLossConcentrated(4, 0.5) * 1e6) / 1e6);
+        assert.ok(valued.impermanentLoss < -0.2);
+    });
+
+    it('falls back to fees only without prices, and refuses unpriced token amounts', () => {
+        const valued = valuePosition(deposit({ amountUsd: 10000 }), wethUsdc, {}, NOW);
+        assert.equal(valued.valuation, 'fees-only');
+        assert.equal(valued.impermanentLoss, null);
+        assert.deepEqual([valued.holdValue, valued.lpValue, valued.currentValue], [10000, 10000, 10100]);
+
+        assert.equal(valuePosition(deposit({ tokenAmounts: [1, 1000] }), wethUsdc, {}, NOW).status, 'unpriced');
+        assert.equal(valuePosition(deposit({ amountUsd: 10000 }), null, priceHistories, NOW).status, 'pool_unavailable');
+    });
+
+    it('flags a deposit older than the pool\'s history', () => {
+        const valued = valuePosition(deposit({ amountUsd: 10000, depositDate: '2024-12-01T00:00:00.000Z' }), wethUsdc, priceHistories, NOW);
+        assert.equal(valued.partialHistory, true);
+        // Accrual runs over the whole stored history, twelve days
+        assert.equal(valued.feesEarned, 120);
+    });
+});
+
+describe('summarizePortfolio', () => {
+    const position = (platform, chain, tokenPair, healthScore, risk, values) => ({
+        status: 'ok',
+        pool: { platform, chain, token_pair: tokenPair, health_score: healthScore, risk_category: risk },
+        ...values
+    });
+    const positions = [
+        position('uniswap-v3', 'Ethereum', 'WETH-USDC', 80, 'Low Risk', { depositValue: 5000, currentValue: 6000, feesEarned: 100, impermanentLossUsd: -200 }),
+        position('curve', 'Ethereum', 'USDC-USDT', 90, 'Low Risk', { depositValue: 3000, currentValue: 3000, feesEarned: 30, impermanentLossUsd: 0 }),
+        position('sushiswap', 'Arbitrum', 'WBTC-WETH', 50, 'High Risk', { depositValue: 2000, currentValue: 1000, feesEarned: 0, impermanentLossUsd: -300 }),
+        { status: 'pool_unavailable' }
+    ];
+
+    it('totals the valued positions and weights health by value', () => {
+        const summary = summarizePortfolio(positions);
+        assert.deepEqual([summary.positions, summary.valuedPositions], [4, 3]);
+        assert.deepEqual([summary.totalDeposited, summary.currentValue, summary.netPnl, summary.netPnlPercent], [10000, 10000, 0, 0]);
+        assert.deepEqual([summary.feesEarned, summary.impermanentLossUsd], [130, -500]);
+        // (80 x 6000 + 90 x 3000 + 50 x 1000) / 10000
+        assert.equal(summary.healthScore, 80);
+        assert.deepEqual(summary.riskMix, {
+            'Low Risk': { positions: 2, value: 9000, share: 0.9 },
+            'High Risk': { positions: 1, value: 1000, share: 0.1 }
+        });
+    });
+
+    it('measures concentration with a Herfindahl index per platform, chain and token', () => {
+        const { concentration } = summarizePortfolio(positions);
+        assert.deepEqual(concentration.platform.breakdown.map(b => [b.key, b.share]), [['uniswap-v3', 0.6], ['curve', 0.3], ['sushiswap', 0.1]]);
+        assert.equal(concentration.platform.herfindahl, 0.46);
+        assert.equal(concentration.chain.herfindahl, 0.82);
+        assert.equal(concentration.chain.largestShare, 0.9);
+        // Each position's value is split across its two tokens
+        assert.deepEqual(concentration.token.breakdown.map(b => [b.key, b.value]), [['USDC', 4500], ['WETH', 3500], ['USDT', 1500], ['WBTC', 500]]);
+        assert.equal(concentration.token.herfindahl, 0.35);
+    });
+
+    it('has no health score for an empty portfolio', () => {
+        const summary = summarizePortfolio([]);
+        assert.equal(summary.healthScore, null);
+        assert.equal(summary.netPnlPercent, null);
+        assert.deepEqual(summary.concentration.platform, { breakdown: [], herfindahl: 0, largestShare: 0 });
+    });
+});
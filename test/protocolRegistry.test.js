@@ -0,0 +1,92 @@
+// test/protocolRegistry.test.js - Validation and lookups of the protocol registry config
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_REGISTRY_FILE, validateProtocolRegistry, createProtocolRegistry, loadProtocolRegistry } = require('../lib/protocolRegistry');
+
+// The load summary is logged at startup; keep it off the test reporter's stdout
+console.log = () => {};
+
+const protocol = fields => ({ id: 'uniswap-v3', name: 'Uniswap V3', chains: ['Ethereum', 'Base'], baseSecurityScore: 0.9, ...fields });
+
+describe('validateProtocolRegistry', () => {
+    it('accepts the shipped registry', () => {
+        assert.deepEqual(validateProtocolRegistry(JSON.parse(fs.readFileSync(DEFAULT_REGISTRY_FILE, 'utf8'))), []);
+    });
+
+    it('needs a non-empty protocol list', () => {
+        assert.deepEqual(validateProtocolRegistry(null), ['registry must be a JSON object']);
+        assert.deepEqual(validateProtocolRegistry({ protocols: [] }), ['"protocols" must be a non-empty array']);
+    });
+
+    it('reports each bad field with the protocol it belongs to', () => {
+        const errors = validateProtocolRegistry({
+            defaults: { baseSecurityScore: 2 },
+            protocols: [
+                protocol(),
+                protocol({ name: '', chains: [], baseSecurityScore: 1.2, chainSecurityOverrides: { Base: -1 }, launched: 'someday', audits: 'none', aliases: [''] }),
+                protocol({ id: 'curve', multiplierRules: [{ multiplier: 3 }] }),
+                { name: 'No id' }
+            ]
+        });
+        assert.deepEqual(errors, [
+            'defaults.baseSecurityScore must be a number between 0 and 1',
+            'protocol "uniswap-v3": duplicate id',
+            'protocol "uniswap-v3": "name" is required',
+            'protocol "uniswap-v3": "chains" must be a non-empty array',
+            'protocol "uniswap-v3": "baseSecurityScore" must be a number between 0 and 1',
+            'protocol "uniswap-v3": chainSecurityOverrides.Base must be a number between 0 and 1',
+            'protocol "uniswap-v3": "launched" must be a date',
+            'protocol "uniswap-v3": "audits" must be an array',
+            'protocol "uniswap-v3": "aliases" must be an array of names',
+            'protocol "curve": multiplierRules[0].multiplier must be a number between 0.5 and 1.5',
+            'protocol "curve": multiplierRules[0] needs one of minStablecoins, minMajorTokens',
+            'protocols[3]: "id" (DefiLlama project id) is required'
+        ]);
+    });
+});
+
+describe('createProtocolRegistry', () => {
+    const registry = createProtocolRegistry({
+        version: 3,
+        protocols: [
+            protocol({ chainSecurityOverrides: { Base: 0.78 } }),
+            protocol({ id: 'curve', name: 'Curve', chains: ['Ethereum'], baseSecurityScore: 0.85, multiplierRules: [{ minStablecoins: 2, multiplier: 1.1 }] }),
+            protocol({ id: 'retired', name: 'Retired', enabled: false })
+        ]
+    });
+
+    it('refuses an invalid config', () => {
+        assert.throws(() => createProtocolRegistry({ protocols: [protocol({ baseSecurityScore: 5 })] }), /Invalid protocol registry:\n - protocol "uniswap-v3": "baseSecurityScore"/);
+    });
+
+    it('supports enabled protocols on their listed chains only', () => {
+        assert.equal(registry.supportsPool('uniswap-v3', 'Base'), true);
+        assert.equal(registry.supportsPool('uniswap-v3', 'Arbitrum'), false);
+        assert.equal(registry.supportsPool('retired', 'Ethereum'), false);
+        assert.equal(registry.supportsPool('unknown', 'Ethereum'), false);
+        assert.deepEqual(registry.getEnabledProtocols().map(p => p.id), ['uniswap-v3', 'curve']);
+    });
+
+    it('uses chain overrides, then the protocol score, then the default', () => {
+        assert.deepEqual(registry.getSecurityScore('uniswap-v3', 'Base'), { score: 0.78, overridden: true });
+        assert.deepEqual(registry.getSecurityScore('uniswap-v3', 'Ethereum'), { score: 0.9, overridden: false });
+        assert.deepEqual(registry.getSecurityScore('unknown', 'Ethereum'), { score: 0.5, overridden: false });
+    });
+
+    it('matches multiplier rules on the pool\'s token counts', () => {
+        assert.equal(registry.getMultiplierRule('curve', { stablecoinCount: 2, majorTokenCount: 0 }).multiplier, 1.1);
+        assert.equal(registry.getMultiplierRule('curve', { stablecoinCount: 1, majorTokenCount: 1 }), null);
+        assert.equal(registry.getProtocol('curve').poolType, 'unknown');
+    });
+});
+
+describe('loadProtocolRegistry', () => {
+    it('names the file it could not read', () => {
+        const file = path.join(os.tmpdir(), `protocols-missing-${process.pid}.json`);
+        assert.throws(() => loadProtocolRegistry(file), new RegExp(`Unable to read protocol registry ${file.replace(/[\\.]/g, '\\$&')}`));
+        assert.equal(loadProtocolRegistry().version, 1);
+    });
+});
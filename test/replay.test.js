@@ -0,0 +1,96 @@
+// test/replay.test.js - A replayed fixture set scores identically every time, token prices included
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { buildChart, buildPrices, buildPool, writeFixtureSet, RECORDED_AT } = require('./helpers/defillamaFixtures');
+const { buildCoinChartUrl } = require('../lib/prices');
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const USDT = '0xdac17f958d2ee523a2206206994597c13d831ec7';
+const ARB_WETH = '0x82af49447d8a07e3bd95bd0d56f35241523fbab1';
+const ARB_WBTC = '0x2f2a2543b76a4166549f7aab2e75bef0aefc5b0f';
+
+// Pools share tokens, so concurrent scoring races to fetch the same coins
+const pools = [
+    buildPool({ pool: 'pool-a', symbol: 'WETH-USDC', tvlUsd: 8e6, underlyingTokens: [WETH, USDC] }),
+    buildPool({ pool: 'pool-b', project: 'sushiswap', symbol: 'WETH-USDT', tvlUsd: 4e6, underlyingTokens: [WETH, USDT] }),
+    buildPool({ pool: 'pool-c', project: 'curve', symbol: 'USDC-USDT', tvlUsd: 3e6, underlyingTokens: [USDC, USDT] }),
+    // A shorter history asks for a shorter price span
+    buildPool({ pool: 'pool-d', chain: 'Arbitrum', symbol: 'WBTC-WETH', tvlUsd: 2e6, underlyingTokens: [ARB_WBTC, ARB_WETH] })
+];
+
+const charts = {
+    'pool-a': buildChart(400, { tvl: 8e6 }),
+    'pool-b': buildChart(400, { tvl: 4e6, tvlDrift: 0.1 }),
+    'pool-c': buildChart(400, { tvl: 3e6, apy: 3 }),
+    'pool-d': buildChart(200, { tvl: 2e6 })
+};
+
+const prices = {
+    [`ethereum:${WETH}`]: buildPrices(400, { price: 2000, drift: 0.5 }),
+    [`ethereum:${USDC}`]: buildPrices(400),
+    [`ethereum:${USDT}`]: buildPrices(400, { drift: -0.01 }),
+    [`arbitrum:${ARB_WETH}`]: buildPrices(400, { price: 2000, drift: 0.5 }),
+    [`arbitrum:${ARB_WBTC}`]: buildPrices(400, { price: 60000, drift: 0.2 })
+};
+
+const runUpdate = promisify(execFile);
+let workDir;
+let fixturesDir;
+
+// One rolling run in a fresh working directory and process; returns the metrics cache bytes and the run's output
+async function replayRun(name) {
+    const cwd = path.join(workDir, name);
+    fs.mkdirSync(cwd);
+    const env = {
+        ...process.env,
+        DEFILLAMA_MODE: 'replay',
+        DEFILLAMA_FIXTURES_DIR: fixturesDir,
+        NEWS_SOURCES_FILE: path.join(workDir, 'news-sources.json')
+    };
+    ['CLOCK_FIXED_TIME', 'PRICE_FIXTURES_DIR', 'DEFILLAMA_RUN_BUDGET', 'POOLS_PER_RUN'].forEach(key => delete env[key]);
+    const { stdout, stderr } = await runUpdate(process.execPath, [
+        '-e', `require(${JSON.stringify(path.join(__dirname, '..', 'app'))}).updatePoolData().then(() => process.exit(0), () => process.exit(1))`
+    ], { cwd, env, timeout: 60000 });
+    return { cache: fs.readFileSync(path.join(cwd, 'metrics_cache.json')), output: stdout + stderr };
+}
+
+describe('replayed runs', () => {
+    before(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+        fixturesDir = path.join(workDir, 'fixtures');
+        writeFixtureSet(fixturesDir, { pools, charts, prices });
+        fs.writeFileSync(path.join(workDir, 'news-sources.json'), JSON.stringify({ sources: [] }));
+    });
+
+    after(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('asks for one coin per URL, with the span rounded up to whole years', () => {
+        const now = Date.parse(RECORDED_AT);
+        const url = new URL(buildCoinChartUrl(`ethereum:${WETH}`, 401, now));
+        assert.equal(decodeURIComponent(url.pathname), `/chart/ethereum:${WETH}`);
+        assert.equal(url.searchParams.get('span'), '730');
+        assert.equal(url.searchParams.get('start'), String(now / 1000 - 730 * 86400));
+        assert.equal(buildCoinChartUrl(`ethereum:${WETH}`, 201, now), buildCoinChartUrl(`ethereum:${WETH}`, 365, now));
+    });
+
+    it('writes a byte-identical metrics cache each time, with IL priced from the recorded prices', async () => {
+        const first = await replayRun('first');
+        const second = await replayRun('second');
+        assert.ok(first.cache.equals(second.cache), 'metrics_cache.json differs between replays');
+
+        assert.doesNotMatch(first.output, /IL model unavailable/);
+        const cached = JSON.parse(first.cache.toString('utf8'));
+        assert.deepEqual(cached.pools.map(pool => pool.pool_id).sort(), ['pool-a', 'pool-b', 'pool-c', 'pool-d']);
+        cached.pools.forEach(pool => {
+            assert.equal(pool.impermanent_loss && pool.impermanent_loss.source, 'defillama-coins', pool.pool_id);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+// test/scoreExplanation.test.js - Unit tests for score explanations and category sensitivity
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoringProfiles, calculateHealthScore, categorizeRisk, deriveScoringInputs, scoreFromInputs } = require('../lib/scoring');
+const { describeBand, explainHealthScore } = require('../lib/scoreExplanation');
+
+function series(length, valueAt) {
+    return Array.from({ length }, (_, i) => valueAt(i));
+}
+
+const moderatePool = {
+    tvl: 8e5,
+    volume24h: 4e3,
+    aprHistory: series(200, i => 3.5 + 0.5 * Math.sin(i / 4)),
+    tvlHistory: series(200, i => 8e5 * (1 + 0.1 * Math.sin(i / 9))),
+    protocolRisk: 0.8,
+    tokenPair: 'WETH-LINK',
+    platform: 'sushiswap',
+    chain: 'Ethereum'
+};
+
+describe('explainHealthScore', () => {
+    it('matches calculateHealthScore for the same pool', () => {
+        const scored = calculateHealthScore(moderatePool);
+        const explanation = explainHealthScore(moderatePool);
+
+        assert.equal(explanation.healthScore, scored.totalScore);
+        assert.equal(explanation.profile, scored.profile);
+        assert.equal(explanation.riskCategory, categorizeRisk(scored.totalScore).label);
+
+        const points = Object.fromEntries(explanation.components.map(c => [c.component, c.points]));
+        assert.equal(points.liquidity, scored.breakdown.liquidityScore);
+        assert.equal(points.yield, scored.breakdown.yieldScore);
+        assert.equal(points.impermanentLoss, scored.breakdown.impermanentLossScore);
+        assert.equal(points.activity, scored.breakdown.activityScore);
+        assert.equal(points.trackRecord, scored.breakdown.trackRecordScore);
+        assert.equal(explanation.adjustments.poolTypeMultiplier.multiplier, scored.breakdown.poolTypeMultiplier);
+    });
+
+    it('reports the inputs and the band that awarded the points', () => {
+        const explanation = explainHealthScore(moderatePool);
+        const yieldComponent = explanation.components.find(c => c.component === 'yield');
+        const trackRecord = explanation.components.find(c => c.component === 'trackRecord');
+        const impermanentLoss = explanation.components.find(c => c.component === 'impermanentLoss');
+
+        assert.ok(Math.abs(yieldComponent.inputs.avgApr - 3.5) < 0.1);
+        assert.equal(yieldComponent.inputs.dataPoints, 200);
+        assert.equal(yieldComponent.band.condition, 'avgApr < 5');
+        assert.equal(trackRecord.band.condition, 'days < 365');
+        assert.equal(impermanentLoss.inputs.source, 'heuristic');
+        assert.equal(impermanentLoss.rule, 'Major token (ETH/BTC) paired with a volatile token');
+    });
+
+    it('explains why a short history gets no risk-adjusted points', () => {
+        const explanation = explainHealthScore({ ...moderatePool, aprHistory: [4, 5, 6], tvlHistory: [1, 1, 1] });
+        const riskAdjusted = explanation.components.find(c => c.component === 'riskAdjusted');
+        assert.equal(riskAdjusted.points, 0);
+        assert.equal(riskAdjusted.band, null);
+        assert.match(riskAdjusted.rule, /more than 30 APR data points/);
+    });
+
+    it('finds the smallest APR change that reaches the next category', () => {
+        const explanation = explainHealthScore(moderatePool);
+        assert.equal(explanation.riskCategory, 'Moderate');
+
+        const apr = explanation.sensitivity.find(entry => entry.input === 'avgApr');
+        assert.equal(apr.toNextCategory.category, 'Conservative');
+        assert.ok(apr.toNextCategory.change > 0);
+
+        // At the reported value the pool is upgraded; just short of it, it isn't
+        const inputs = deriveScoringInputs(moderatePool);
+        const categoryAt = avgApr => categorizeRisk(scoreFromInputs({ ...inputs, avgApr }).totalScore).label;
+        assert.equal(categoryAt(apr.toNextCategory.value + 0.01), 'Conservative');
+        assert.equal(categoryAt(apr.toNextCategory.value - 0.01), 'Moderate');
+    });
+
+    it('has no upgrade path from the top category', () => {
+        const explanation = explainHealthScore({
+            ...moderatePool,
+            tvl: 5e6,
+            volume24h: 2e5,
+            aprHistory: series(800, i => 9 + Math.sin(i / 5)),
+            tvlHistory: series(800, () => 5e6),
+            protocolRisk: 0.9
+        });
+        assert.equal(explanation.riskCategory, 'Conservative');
+        explanation.sensitivity.forEach(entry => assert.equal(entry.toNextCategory, null));
+        assert.ok(explanation.sensitivity.some(entry => entry.toPreviousCategory !== null));
+    });
+
+    it('uses the given profile', () => {
+        const profile = scoringProfiles.get('yield-seeker');
+        const explanation = explainHealthScore(moderatePool, profile);
+        assert.equal(explanation.healthScore, calculateHealthScore(moderatePool, profile).totalScore);
+        assert.equal(explanation.components.find(c => c.component === 'yield').maxPoints, profile.weights.yield);
+    });
+});
+
+describe('describeBand', () => {
+    const bands = [{ lt: 2, score: 0.2 }, { gte: 2, lte: 15, score: 1 }, { score: 0.1 }];
+
+    it('describes the first matching band', () => {
+        assert.deepEqual(describeBand(1, bands, 'apr'), { index: 0, condition: 'apr < 2', score: 0.2 });
+        assert.deepEqual(describeBand(5, bands, 'apr'), { index: 1, condition: 'apr >= 2 and apr <= 15', score: 1 });
+    });
+
+    it('labels the catch-all band', () => {
+        assert.equal(describeBand(50, bands, 'apr').condition, 'otherwise (catch-all band)');
+    });
+});
@@ -0,0 +1,82 @@
+// test/scoreHistory.test.js - Snapshots and the file backend of the score history store
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SNAPSHOT_FIELDS, buildScoreSnapshot, createScoreHistoryStore, createFileScoreHistoryStore } = require('../lib/scoreHistory');
+
+const snapshot = (poolId, recordedAt, healthScore) => ({ pool_id: poolId, recorded_at: recordedAt, health_score: healthScore });
+
+describe('buildScoreSnapshot', () => {
+    it('copies the snapshot fields and the risk label', () => {
+        const pool = { pool_id: 'pool-a', health_score: 72.5, tvl: 1e6, risk_category: { label: 'Low Risk', color: '#27ae60' }, historical_data: { tvl: [1, 2] } };
+        const built = buildScoreSnapshot(pool, '2025-03-01T00:00:00.000Z');
+        assert.deepEqual(Object.keys(built), ['pool_id', 'recorded_at', ...SNAPSHOT_FIELDS, 'risk_category']);
+        assert.deepEqual([built.health_score, built.tvl, built.risk_category, built.liquidity_score], [72.5, 1e6, 'Low Risk', undefined]);
+        assert.equal(buildScoreSnapshot({ pool_id: 'pool-b' }, '2025-03-01T00:00:00.000Z').risk_category, null);
+    });
+});
+
+describe('file score history store', () => {
+    let dir;
+    let file;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'score-history-test-'));
+        file = path.join(dir, 'history.jsonl');
+        const store = createFileScoreHistoryStore(file);
+        // Appended out of order across runs; queries come back oldest first
+        assert.equal(await store.append([snapshot('pool-a', '2025-03-02T00:00:00.000Z', 62), snapshot('pool-b', '2025-03-02T00:00:00.000Z', 80)]), 2);
+        await store.append([snapshot('pool-a', '2025-03-01T00:00:00.000Z', 60)]);
+        await store.append([snapshot('pool-a', '2025-03-03T00:00:00.000Z', 65)]);
+        assert.equal(await store.append([]), 0);
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('returns one pool\'s snapshots oldest first', async () => {
+        const history = await createFileScoreHistoryStore(file).query('pool-a');
+        assert.deepEqual(history.map(s => s.health_score), [60, 62, 65]);
+    });
+
+    it('filters by an inclusive time range', async () => {
+        const store = createFileScoreHistoryStore(file);
+        const between = await store.query('pool-a', { from: new Date('2025-03-02T00:00:00.000Z'), to: new Date('2025-03-03T00:00:00.000Z') });
+        assert.deepEqual(between.map(s => s.health_score), [62, 65]);
+        const until = await store.query('pool-a', { to: new Date('2025-03-01T12:00:00.000Z') });
+        assert.deepEqual(until.map(s => s.health_score), [60]);
+    });
+
+    it('reads several pools in one pass, keyed by pool id', async () => {
+        const history = await createFileScoreHistoryStore(file).queryMany(['pool-a', 'pool-b', 'pool-c'], { from: new Date('2025-03-02T00:00:00.000Z') });
+        assert.deepEqual(Array.from(history.keys()).sort(), ['pool-a', 'pool-b']);
+        assert.deepEqual(history.get('pool-a').map(s => s.health_score), [62, 65]);
+        assert.deepEqual(history.get('pool-b').map(s => s.health_score), [80]);
+    });
+
+    it('skips a partially written line', async () => {
+        const torn = path.join(dir, 'torn.jsonl');
+        fs.writeFileSync(torn, `${JSON.stringify(snapshot('pool-a', '2025-03-01T00:00:00.000Z', 60))}\n\n{"pool_id":"pool-a","rec`);
+        assert.deepEqual((await createFileScoreHistoryStore(torn).query('pool-a')).map(s => s.health_score), [60]);
+    });
+
+    it('has no history before the first append', async () => {
+        assert.deepEqual(await createFileScoreHistoryStore(path.join(dir, 'none.jsonl')).query('pool-a'), []);
+    });
+});
+
+describe('createScoreHistoryStore', () => {
+    it('falls back to the file backend without Supabase credentials', () => {
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            assert.equal(createScoreHistoryStore({ SCORE_HISTORY_BACKEND: 'supabase' }).backend, 'file');
+            assert.equal(createScoreHistoryStore({}).backend, 'file');
+        } finally {
+            console.warn = warn;
+        }
+    });
+});
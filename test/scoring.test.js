@@ -0,0 +1,264 @@
+// test/scoring.test.js - Unit tests for the health scoring engine
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    scoringProfiles,
+    calculateHealthScore,
+    calculateRobustVolatility,
+    calculateVariance,
+    assessWhaleConcentrationRisk,
+    assessImpermanentLossRisk,
+    getPoolTypeMultiplier,
+    isQualityPool
+} = require('../lib/scoring');
+
+function series(length, valueAt) {
+    return Array.from({ length }, (_, i) => valueAt(i));
+}
+
+const basePool = {
+    tvl: 5e6,
+    volume24h: 2e5,
+    aprHistory: series(400, i => 8 + Math.sin(i / 5)),
+    tvlHistory: series(400, () => 5e6),
+    protocolRisk: 0.9,
+    tokenPair: 'WETH-USDC',
+    platform: 'uniswap-v3',
+    chain: 'Ethereum'
+};
+
+function assertValidResult(result) {
+    assert.ok(Number.isFinite(result.totalScore), `totalScore ${result.totalScore} is not finite`);
+    assert.ok(result.totalScore >= 0 && result.totalScore <= 100);
+    Object.entries(result.breakdown).forEach(([key, value]) => {
+        assert.ok(Number.isFinite(value), `breakdown.${key} is ${value}`);
+    });
+}
+
+describe('calculateHealthScore', () => {
+    it('scores a healthy pool with the default profile', () => {
+        const result = calculateHealthScore(basePool);
+        assertValidResult(result);
+        assert.equal(result.profile, 'default@1.0.0');
+        assert.ok(result.totalScore > 70, `expected a strong score, got ${result.totalScore}`);
+        assert.equal(result.breakdown.poolTypeMultiplier, 1.02);
+    });
+
+    it('handles empty histories', () => {
+        const result = calculateHealthScore({ ...basePool, aprHistory: [], tvlHistory: [] });
+        assertValidResult(result);
+        assert.equal(result.breakdown.trackRecordScore, 0);
+        assert.equal(result.breakdown.riskAdjustedScore, 0);
+        assert.ok(result.totalScore < calculateHealthScore(basePool).totalScore);
+    });
+
+    it('handles missing histories and amounts', () => {
+        const result = calculateHealthScore({ tokenPair: 'WETH-USDC', platform: 'uniswap-v3', chain: 'Ethereum' });
+        assertValidResult(result);
+    });
+
+    it('gives a pool with zero TVL no liquidity points', () => {
+        const result = calculateHealthScore({ ...basePool, tvl: 0, tvlHistory: series(400, () => 0) });
+        assertValidResult(result);
+        assert.equal(result.breakdown.liquidityScore, 0);
+    });
+
+    it('ignores NaN and null APY values instead of propagating them', () => {
+        const clean = calculateHealthScore(basePool);
+        const noisy = calculateHealthScore({
+            ...basePool,
+            aprHistory: [NaN, ...basePool.aprHistory, null, undefined, Infinity]
+        });
+        assertValidResult(noisy);
+        assert.equal(noisy.totalScore, clean.totalScore);
+    });
+
+    it('scores an all-NaN APY history like an empty one', () => {
+        const nan = calculateHealthScore({ ...basePool, aprHistory: series(400, () => NaN) });
+        const empty = calculateHealthScore({ ...basePool, aprHistory: [] });
+        assertValidResult(nan);
+        assert.equal(nan.totalScore, empty.totalScore);
+    });
+
+    it('ranks a deep stable pool above a shallow volatile one', () => {
+        const shallow = calculateHealthScore({
+            ...basePool,
+            tvl: 20000,
+            volume24h: 10,
+            tvlHistory: series(400, i => 20000 * (1 + Math.sin(i))),
+            aprHistory: series(400, i => (i % 2 === 0 ? 300 : 1))
+        });
+        assert.ok(calculateHealthScore(basePool).totalScore > shallow.totalScore);
+    });
+
+    it('uses the modelled impermanent loss score when one is given', () => {
+        const result = calculateHealthScore({ ...basePool, impermanentLossModel: { score: 10 } });
+        assert.equal(result.breakdown.impermanentLossScore, 10);
+    });
+
+    it('subtracts the depeg penalty for an off-peg stablecoin', () => {
+        const pegged = calculateHealthScore({ ...basePool, tokenPair: 'USDC-USDT' });
+        const depegged = calculateHealthScore({
+            ...basePool,
+            tokenPair: 'USDC-USDT',
+            depegRisk: { riskScore: 1, depeggedTokens: ['usdt'] }
+        });
+        assert.equal(depegged.breakdown.depegPenalty, 15);
+        assert.ok(depegged.totalScore < pegged.totalScore - 10);
+    });
+
+    it('discounts the protocol component by the governance score', () => {
+        const quiet = calculateHealthScore(basePool);
+        assert.equal(calculateHealthScore({ ...basePool, governanceScore: 1 }).breakdown.protocolScore, quiet.breakdown.protocolScore);
+        const exploited = calculateHealthScore({ ...basePool, governanceScore: 0 });
+        // 0.9 security × (1 - 0.5 default impact) × 15 points
+        assert.equal(exploited.breakdown.protocolScore, 6.75);
+        assert.ok(exploited.totalScore < quiet.totalScore);
+    });
+
+    it('scores with another profile when one is passed', () => {
+        const profile = scoringProfiles.get('conservative-stables');
+        const result = calculateHealthScore(basePool, profile);
+        assertValidResult(result);
+        assert.equal(result.profile, `conservative-stables@${profile.version}`);
+    });
+});
+
+describe('calculateVariance', () => {
+    it('returns 0 for fewer than two values', () => {
+        assert.equal(calculateVariance([]), 0);
+        assert.equal(calculateVariance([5]), 0);
+        assert.equal(calculateVariance(undefined), 0);
+    });
+
+    it('returns 0 for a zero mean instead of dividing by it', () => {
+        assert.equal(calculateVariance([0, 0, 0]), 0);
+    });
+
+    it('returns the coefficient of variation', () => {
+        assert.equal(calculateVariance([1, 3]), 0.5);
+        assert.equal(calculateVariance([7, 7, 7]), 0);
+    });
+
+    it('skips non-numeric values', () => {
+        assert.equal(calculateVariance([1, NaN, 3, null]), 0.5);
+    });
+});
+
+describe('calculateRobustVolatility', () => {
+    it('needs at least ten values', () => {
+        assert.equal(calculateRobustVolatility(series(9, i => i + 1)), 0);
+        assert.equal(calculateRobustVolatility([]), 0);
+    });
+
+    it('is zero for a constant series', () => {
+        assert.equal(calculateRobustVolatility(series(100, () => 5)), 0);
+    });
+
+    it('discounts a single spike compared to the plain coefficient of variation', () => {
+        const values = series(200, () => 5);
+        values[100] = 500;
+        const robust = calculateRobustVolatility(values);
+        assert.ok(robust < calculateVariance(values), `robust ${robust} should be below ${calculateVariance(values)}`);
+    });
+
+    it('skips non-numeric values', () => {
+        const values = series(50, i => 5 + (i % 3));
+        const withGaps = [...values.slice(0, 25), NaN, null, ...values.slice(25)];
+        assert.equal(calculateRobustVolatility(withGaps), calculateRobustVolatility(values));
+    });
+});
+
+describe('assessWhaleConcentrationRisk', () => {
+    it('flags large pools with almost no trading', () => {
+        assert.equal(assessWhaleConcentrationRisk(6e6, 1e3), 5);
+    });
+
+    it('flags medium pools with low activity', () => {
+        assert.equal(assessWhaleConcentrationRisk(2e6, 5e3), 3);
+    });
+
+    it('applies a minor penalty to quiet small pools', () => {
+        assert.equal(assessWhaleConcentrationRisk(1e5, 500), 1);
+    });
+
+    it('does not penalize active pools', () => {
+        assert.equal(assessWhaleConcentrationRisk(1e5, 1e4), 0);
+    });
+
+    it('treats zero TVL as no activity rather than dividing by zero', () => {
+        assert.equal(assessWhaleConcentrationRisk(0, 0), 1);
+    });
+});
+
+describe('getPoolTypeMultiplier', () => {
+    it('rewards native stablecoin pairs most', () => {
+        assert.equal(getPoolTypeMultiplier('USDC-USDT', 'curve', 'Ethereum'), 1.05);
+    });
+
+    it('gives a smaller bonus when a stablecoin leg is bridged', () => {
+        assert.equal(getPoolTypeMultiplier('USDC.E-USDT', 'uniswap-v3', 'Arbitrum'), 1.03);
+    });
+
+    it('stops treating a depegged stablecoin as stable', () => {
+        assert.equal(getPoolTypeMultiplier('USDC-USDT', 'curve', 'Ethereum', ['usdt']), 1.03);
+    });
+
+    it('keeps USDD out of the stable-pair bonus', () => {
+        assert.equal(getPoolTypeMultiplier('FRAX-USDC', 'uniswap-v3', 'Ethereum'), 1.05);
+        assert.equal(getPoolTypeMultiplier('BUSD-USDT', 'uniswap-v3', 'Ethereum'), 1.05);
+        assert.equal(getPoolTypeMultiplier('USDD-USDT', 'uniswap-v3', 'Ethereum'), 1);
+    });
+
+    it('gives major-token pairs a small bonus', () => {
+        assert.equal(getPoolTypeMultiplier('WBTC-WETH', 'uniswap-v3', 'Ethereum'), 1.02);
+    });
+
+    it('is neutral for unknown tokens and missing pairs', () => {
+        assert.equal(getPoolTypeMultiplier('FOO-BAR', 'uniswap-v3', 'Ethereum'), 1);
+        assert.equal(getPoolTypeMultiplier(undefined, 'uniswap-v3'), 1);
+    });
+});
+
+describe('isQualityPool', () => {
+    it('rejects pools below the TVL floor', () => {
+        assert.equal(isQualityPool({ symbol: 'WETH-USDC', tvlUsd: 4999, chain: 'Ethereum' }), false);
+    });
+
+    it('rejects pools with missing or NaN TVL', () => {
+        assert.equal(isQualityPool({ symbol: 'WETH-USDC', chain: 'Ethereum' }), false);
+        assert.equal(isQualityPool({ symbol: 'WETH-USDC', tvlUsd: NaN, chain: 'Ethereum' }), false);
+    });
+
+    it('rejects single-asset pools', () => {
+        assert.equal(isQualityPool({ symbol: 'WETH', tvlUsd: 1e7, chain: 'Ethereum' }), false);
+    });
+
+    it('accepts small pools holding a major token or stablecoin', () => {
+        assert.equal(isQualityPool({ symbol: 'FOO-WETH', tvlUsd: 10000, chain: 'Ethereum' }), true);
+        assert.equal(isQualityPool({ symbol: 'FOO-FRAX', tvlUsd: 10000, chain: 'Ethereum' }), true);
+    });
+
+    it('does not count BUSD or USDD as a stablecoin leg', () => {
+        assert.equal(isQualityPool({ symbol: 'FOO-LUSD', tvlUsd: 10000, chain: 'Ethereum' }), true);
+        assert.equal(isQualityPool({ symbol: 'FOO-BUSD', tvlUsd: 10000, chain: 'BSC' }), false);
+        assert.equal(isQualityPool({ symbol: 'FOO-USDD', tvlUsd: 10000, chain: 'BSC' }), false);
+    });
+
+    it('accepts unknown tokens only above the high-TVL mark', () => {
+        assert.equal(isQualityPool({ symbol: 'FOO-BAR', tvlUsd: 10000, chain: 'Ethereum' }), false);
+        assert.equal(isQualityPool({ symbol: 'FOO-BAR', tvlUsd: 60000, chain: 'Ethereum' }), true);
+    });
+});
+
+describe('assessImpermanentLossRisk', () => {
+    it('treats every listed stablecoin pair as minimal IL risk', () => {
+        assert.equal(assessImpermanentLossRisk('USDD-USDC', [], [], 'Ethereum'), 20);
+        assert.equal(assessImpermanentLossRisk('USDC.E-USDT', [], [], 'Arbitrum'), 18);
+    });
+
+    it('still treats USDC-USDT as correlated when one leg is off its peg', () => {
+        assert.equal(assessImpermanentLossRisk('USDC-USDT', [], [], 'Ethereum', ['usdt']), 18);
+        assert.equal(assessImpermanentLossRisk('USDT-LUSD', [], [], 'Ethereum', ['usdt']), 15);
+    });
+});
@@ -0,0 +1,119 @@
+// test/trending.test.js - Unit tests for the trending and momentum signals
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { tvlFlow, aprTrend, volumeSpike, scoreMove, parseTrendingQuery, buildTrending } = require('../lib/trending');
+
+const DAY = 86400;
+const START = Date.parse('2025-01-01T00:00:00Z') / 1000;
+
+// 40 daily points; series given as functions of the day index
+function buildPool(id, { tvl = () => 1e6, apr = () => 5, volume = () => 2e4, volume24h = 2e4, ...fields } = {}) {
+    const days = Array.from({ length: 40 }, (_, i) => i);
+    return {
+        pool_id: id,
+        token_pair: 'WETH-USDC',
+        platform: 'uniswap-v3',
+        chain: 'Ethereum',
+        health_score: 70,
+        volume_24h: volume24h,
+        last_updated: '2025-02-10T00:00:00.000Z',
+        historical_data: {
+            timestamps: days.map(i => START + i * DAY),
+            tvl: days.map(tvl),
+            apr: days.map(apr),
+            volume: days.map(volume)
+        },
+        ...fields
+    };
+}
+
+describe('tvlFlow', () => {
+    it('measures the change from the last point before the window to the newest', () => {
+        const pool = buildPool('a', { tvl: i => 1e6 + i * 1e4 });
+        assert.deepEqual(tvlFlow(pool, 7), { window_days: 7, from_tvl: 1.32e6, to_tvl: 1.39e6, change_usd: 7e4, change_percent: 5.3 });
+        assert.equal(tvlFlow(pool, 1).change_usd, 1e4);
+        assert.equal(tvlFlow(buildPool('b'), 30).change_usd, 0);
+    });
+
+    it('needs history reaching back over the whole window', () => {
+        const pool = buildPool('a');
+        pool.historical_data.timestamps = pool.historical_data.timestamps.slice(-5);
+        pool.historical_data.tvl = pool.historical_data.tvl.slice(-5);
+        assert.equal(tvlFlow(pool, 7), null);
+    });
+});
+
+describe('aprTrend', () => {
+    it('fits the slope of the recent APR points', () => {
+        const trend = aprTrend(buildPool('a', { apr: i => 2 + i * 0.1 }));
+        assert.equal(trend.days, 30);
+        assert.equal(trend.slope_per_day, 0.1);
+        assert.equal(trend.trend_start, 3);
+        assert.equal(trend.trend_end, 5.9);
+    });
+});
+
+describe('volumeSpike', () => {
+    it('scores the current volume against the pool\'s own baseline', () => {
+        const spike = volumeSpike(buildPool('a', { volume: i => (i % 2 ? 1.1e4 : 0.9e4), volume24h: 1.5e4 }));
+        assert.equal(spike.baseline_mean, 1e4);
+        assert.equal(spike.baseline_stddev, 1e3);
+        assert.equal(spike.z_score, 5);
+    });
+
+    it('gives no score against a flat or short baseline', () => {
+        assert.equal(volumeSpike(buildPool('a', { volume24h: 9e4 })), null);
+        const short = buildPool('b', { volume: i => i * 100 });
+        short.historical_data.volume = short.historical_data.volume.slice(-3);
+        assert.equal(volumeSpike(short), null);
+    });
+});
+
+describe('score movers', () => {
+    it('reports the change and the components that moved most', () => {
+        const move = scoreMove(
+            buildPool('a', { liquidity_score: 80, yield_score: 50, activity_score: 40 }),
+            { recorded_at: '2025-02-09T12:00:00.000Z', health_score: 64, liquidity_score: 78, yield_score: 55, activity_score: 40 }
+        );
+        assert.equal(move.change, 6);
+        assert.deepEqual(move.components.map(c => [c.key, c.change]), [['yield_score', -5], ['liquidity_score', 2]]);
+    });
+});
+
+describe('parseTrendingQuery', () => {
+    it('defaults to every signal over 7 days and reports invalid parameters', () => {
+        assert.equal(parseTrendingQuery({}).signals.length, 5);
+        assert.deepEqual(parseTrendingQuery({ signal: 'apr_trend,apr_trend', window: '30' }), { errors: [], signals: ['apr_trend'], window: 30, limit: 10 });
+        assert.equal(parseTrendingQuery({ signal: 'hype', window: '14', limit: '0' }).errors.length, 3);
+    });
+});
+
+describe('buildTrending', () => {
+    const pools = [
+        buildPool('grow', { tvl: i => 1e6 + i * 1e4, apr: i => 2 + i * 0.1 }),
+        buildPool('shrink', { tvl: i => 2e6 - i * 5e4, apr: i => 9 - i * 0.05, liquidity_score: 60 }),
+        buildPool('spike', { volume: i => (i % 2 ? 1.1e4 : 0.9e4), volume24h: 3e4 }),
+        buildPool('flat')
+    ];
+
+    it('ranks each signal separately with an explanation', () => {
+        const previousSnapshots = new Map([['shrink', { recorded_at: '2025-02-09T00:00:00.000Z', health_score: 78.5, liquidity_score: 70 }]]);
+        const lists = buildTrending(pools, { previousSnapshots });
+
+        assert.deepEqual(lists.tvl_inflows.map(e => [e.rank, e.pool_id]), [[1, 'grow']]);
+        assert.equal(lists.tvl_inflows[0].explanation, 'TVL up $70.0K (+5.3%) over 7d, from $1.32M to $1.39M');
+        assert.deepEqual(lists.tvl_inflows[0].flows.map(f => f.window_days), [1, 7, 30]);
+        assert.deepEqual(lists.tvl_outflows.map(e => [e.pool_id, e.value]), [['shrink', 350000]]);
+        assert.deepEqual(lists.apr_trend.map(e => e.pool_id), ['grow', 'shrink']);
+        assert.match(lists.apr_trend[1].explanation, /^APR falling 0\.050 pts\/day over 30d/);
+        assert.equal(lists.volume_spikes[0].explanation, '24h volume $30.0K is 20.0σ above its 30-day average of $10.0K');
+        assert.equal(lists.score_movers[0].explanation, 'Health score down 8.5 since the previous run (78.5 → 70.0), led by Liquidity -10.0');
+    });
+
+    it('returns only the requested signals, limited', () => {
+        const lists = buildTrending(pools, { signals: ['tvl_outflows', 'apr_trend'], window: 1, limit: 1 });
+        assert.deepEqual(Object.keys(lists), ['tvl_outflows', 'apr_trend']);
+        assert.equal(lists.tvl_outflows[0].change_usd, -5e4);
+        assert.equal(lists.apr_trend.length, 1);
+    });
+});
@@ -0,0 +1,220 @@
+// test/upstream.test.js - Retries, circuit breaker, run budgets and conditional caching of the upstream client
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { parseRetryAfter, createUpstreamClient } = require('../lib/upstream');
+const { writeFixture } = require('../lib/fixtures');
+
+// Circuit transitions are logged at info level; keep them off the test reporter's stdout
+console.log = console.error;
+
+// Local upstream; each test installs a handler for its own path
+const handlers = {};
+const hits = {};
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const name = req.url.split('?')[0].slice(1);
+        hits[name] = (hits[name] || 0) + 1;
+        handlers[name](req, res, hits[name]);
+    });
+    server.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+function reply(res, status, body = null, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === null ? undefined : JSON.stringify(body));
+}
+
+// No jitter, no real waiting (the waits asked for are recorded), and a rate limit the tests never reach
+function createClient(options = {}) {
+    const waits = [];
+    const client = createUpstreamClient({
+        name: 'test',
+        ratePerSecond: 1000,
+        burst: 1000,
+        baseDelayMs: 100,
+        random: () => 0.5,
+        sleep: async ms => { waits.push(ms); },
+        ...options
+    });
+    return { client, waits };
+}
+
+describe('parseRetryAfter', () => {
+    it('reads delay-seconds and HTTP dates', () => {
+        const now = Date.parse('2025-03-01T12:00:00Z');
+        assert.equal(parseRetryAfter('120', now), 120000);
+        assert.equal(parseRetryAfter('0', now), 0);
+        assert.equal(parseRetryAfter('Sat, 01 Mar 2025 12:00:30 GMT', now), 30000);
+        // A date already past means retry now
+        assert.equal(parseRetryAfter('Sat, 01 Mar 2025 11:00:00 GMT', now), 0);
+        assert.equal(parseRetryAfter('soon', now), null);
+        assert.equal(parseRetryAfter(undefined, now), null);
+    });
+});
+
+describe('retries', () => {
+    it('waits as long as a 429\'s Retry-After seconds ask', async () => {
+        handlers.seconds = (req, res, hit) => (hit === 1 ? reply(res, 429, null, { 'Retry-After': '3' }) : reply(res, 200, { ok: true }));
+        const { client, waits } = createClient();
+        assert.deepEqual(await client.get(`${baseUrl}/seconds`), { ok: true });
+        assert.deepEqual(waits, [3000]);
+    });
+
+    it('waits until a 503\'s Retry-After date', async () => {
+        const retryAt = new Date(Math.ceil(Date.now() / 1000) * 1000 + 5000);
+        handlers.date = (req, res, hit) => (hit === 1 ? reply(res, 503, null, { 'Retry-After': retryAt.toUTCString() }) : reply(res, 200, { ok: true }));
+        const { client, waits } = createClient();
+        assert.deepEqual(await client.get(`${baseUrl}/date`), { ok: true });
+        assert.equal(waits.length, 1);
+        assert.ok(waits[0] > 4000 && waits[0] <= 6000, `waited ${waits[0]}ms`);
+    });
+
+    it('backs off exponentially without Retry-After and gives up after maxRetries', async () => {
+        handlers.down = (req, res) => reply(res, 500);
+        const { client, waits } = createClient({ maxRetries: 3, failureThreshold: 10 });
+        await assert.rejects(client.get(`${baseUrl}/down`), { reason: 'server_error', status: 500, attempts: 4 });
+        // random() = 0.5 of 100, 200 and 400ms
+        assert.deepEqual(waits, [50, 100, 200]);
+    });
+
+    it('fails at once when Retry-After is longer than it will wait', async () => {
+        handlers.later = (req, res) => reply(res, 429, null, { 'Retry-After': '3600' });
+        const { client, waits } = createClient();
+        await assert.rejects(client.get(`${baseUrl}/later`), { reason: 'rate_limited', retryAfterMs: 3600000, attempts: 1 });
+        assert.deepEqual(waits, []);
+    });
+});
+
+describe('circuit breaker', () => {
+    it('opens after consecutive failures, lets one trial through after the cooldown and closes on success', async () => {
+        let healthy = false;
+        let release = null;
+        handlers.flaky = (req, res) => {
+            if (!healthy) return reply(res, 500);
+            // Hold the trial request open so the half-open state can be seen
+            release = () => reply(res, 200, { ok: true });
+        };
+        const { client } = createClient({ maxRetries: 0, failureThreshold: 2, cooldownMs: 50 });
+        const url = `${baseUrl}/flaky`;
+
+        await assert.rejects(client.get(url), { reason: 'server_error' });
+        assert.equal(client.getState().circuit, 'closed');
+        await assert.rejects(client.get(url), { reason: 'server_error' });
+        assert.equal(client.getState().circuit, 'open');
+        assert.equal(client.isHalted(), true);
+
+        // Open: fails fast without reaching upstream
+        await assert.rejects(client.get(url), { reason: 'circuit_open' });
+        assert.equal(hits.flaky, 2);
+
+        // A failed trial opens it again
+        await new Promise(resolve => setTimeout(resolve, 60));
+        await assert.rejects(client.get(url), { reason: 'server_error' });
+        assert.equal(client.getState().circuit, 'open');
+        assert.equal(hits.flaky, 3);
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        healthy = true;
+        const trial = client.get(url);
+        while (!release) await new Promise(resolve => setTimeout(resolve, 5));
+        assert.equal(client.getState().circuit, 'half-open');
+        await assert.rejects(client.get(url), { reason: 'circuit_open', message: /trial request in flight/ });
+
+        release();
+        assert.deepEqual(await trial, { ok: true });
+        assert.deepEqual([client.getState().circuit, client.getState().consecutiveFailures], ['closed', 0]);
+    });
+
+    it('is not opened by client-side errors', async () => {
+        handlers.missing = (req, res) => reply(res, 404);
+        const { client } = createClient({ failureThreshold: 1 });
+        await assert.rejects(client.get(`${baseUrl}/missing`), { reason: 'not_found', attempts: 1 });
+        assert.equal(client.getState().circuit, 'closed');
+    });
+});
+
+describe('run budget', () => {
+    it('stops making requests once the run\'s budget is spent', async () => {
+        handlers.budget = (req, res) => reply(res, 200, { ok: true });
+        const { client } = createClient();
+        client.beginRun({ maxRequests: 2, runId: 'run-1' });
+
+        await client.get(`${baseUrl}/budget`);
+        await client.get(`${baseUrl}/budget`);
+        assert.equal(client.isHalted(), true);
+        await assert.rejects(client.get(`${baseUrl}/budget`), { reason: 'budget_exhausted' });
+        assert.equal(hits.budget, 2);
+
+        const stats = client.endRun();
+        assert.deepEqual([stats.requests, stats.failures, stats.failureReasons], [2, 1, { budget_exhausted: 1 }]);
+        // Budgets are per run
+        await client.get(`${baseUrl}/budget`);
+        assert.equal(client.getState().circuit, 'closed');
+    });
+
+    it('counts replayed fixtures as cache hits, not requests', async () => {
+        const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upstream-replay-'));
+        try {
+            writeFixture(fixturesDir, `${baseUrl}/replayed`, { ok: true });
+            const { client } = createClient({ mode: 'replay', fixturesDir });
+            client.beginRun({ maxRequests: 1 });
+            for (let i = 0; i < 3; i++) assert.deepEqual(await client.get(`${baseUrl}/replayed`), { ok: true });
+            assert.equal(client.isHalted(), false);
+            await assert.rejects(client.get(`${baseUrl}/unrecorded`), { reason: 'fixture_missing' });
+            const stats = client.endRun();
+            assert.deepEqual([stats.requests, stats.cacheHits, stats.failureReasons], [0, 3, { fixture_missing: 1 }]);
+        } finally {
+            fs.rmSync(fixturesDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('conditional cache', () => {
+    let cacheDir;
+
+    before(() => {
+        cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upstream-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    it('revalidates with the ETag and serves the cached body on 304', async () => {
+        const conditions = [];
+        handlers.etag = (req, res) => {
+            conditions.push(req.headers['if-none-match'] || null);
+            if (req.headers['if-none-match'] === '"v1"') return reply(res, 304);
+            reply(res, 200, { pools: [1, 2, 3] }, { ETag: '"v1"' });
+        };
+        const { client } = createClient({ cacheDir });
+        const url = `${baseUrl}/etag`;
+
+        assert.deepEqual(await client.get(url, { cache: true }), { pools: [1, 2, 3] });
+        client.beginRun();
+        assert.deepEqual(await client.get(url, { cache: true }), { pools: [1, 2, 3] });
+        assert.deepEqual(conditions, [null, '"v1"']);
+        assert.equal(client.endRun().notModified, 1);
+    });
+
+    it('fails a 304 it has no cached copy for instead of returning an empty body', async () => {
+        handlers.stray = (req, res) => reply(res, 304);
+        const { client } = createClient({ cacheDir });
+        await assert.rejects(client.get(`${baseUrl}/stray`), { reason: 'http_error', status: 304 });
+        await assert.rejects(client.get(`${baseUrl}/stray`, { cache: true }), { reason: 'http_error', status: 304 });
+        assert.equal(client.getState().circuit, 'closed');
+    });
+});